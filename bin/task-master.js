@@ -113,6 +113,14 @@ function createDevScriptAction(commandName) {
     // Add all command line args we collected
     args.push(...commandArgs);
     
+    // Forward global options given before the command name (e.g. task-master --replay ./cassettes expand)
+    const globalOptions = program.opts();
+    ['record', 'replay'].forEach(name => {
+      if (globalOptions[name] && !commandArgs.some(arg => arg === `--${name}` || arg.startsWith(`--${name}=`))) {
+        args.push(`--${name}=${globalOptions[name]}`);
+      }
+    });
+    
     // 4. Add default options from Commander if not specified on command line
     // Track which options we've seen on the command line
     const userOptions = new Set();
@@ -161,13 +169,21 @@ function createDevScriptAction(commandName) {
         return;
       }
       
+      // Repeatable options collect into a list; what the user gave was passed through above
+      if (Array.isArray(value)) {
+        return;
+      }
+
       // Add default values, using kebab-case for the parameter name
       if (value !== undefined) {
         if (typeof value === 'boolean') {
-          if (value === true) {
+          // A --no-<name> option defaults to true, and dev.js only knows its negated form
+          const command = program.commands.find(c => c.name() === commandName);
+          const negatable = command && command.options.some(opt => opt.negate && opt.attributeName() === key);
+          if (value === true && !negatable) {
             args.push(`--${kebabKey}`);
-          } else if (value === false && key === 'generate') {
-            args.push('--no-generate');
+          } else if (value === false && negatable) {
+            args.push(`--no-${kebabKey}`);
           }
         } else {
           // Always use kebab-case for option names
@@ -235,6 +251,8 @@ program
   .name('task-master')
   .description('Claude Task Master CLI')
   .version(version)
+  .option('--record <dir>', 'Record all AI requests and responses to a cassette directory')
+  .option('--replay <dir>', 'Replay AI responses from a cassette directory instead of calling a provider')
   .addHelpText('afterAll', () => {
     // Use the same help display function as dev.js for consistency
     displayHelp();
@@ -0,0 +1,884 @@
+/**
+ * core/task-master-core.js
+ * Direct, in-process implementations of the Task Master MCP tools
+ *
+ * Every function takes the tool arguments plus the FastMCP logger and resolves to
+ * { success: true, data } or { success: false, error: { code, message } }.
+ * Task Master's own console output is silenced while they run, because the MCP
+ * stdio transport uses stdout.
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  readJSON,
+  readComplexityReport,
+  tasksFileExists,
+  findTaskById,
+  enableSilentMode,
+  disableSilentMode,
+  isSilentMode,
+} from "../../../scripts/modules/utils.js";
+import {
+  parsePRD,
+  updateTasks,
+  generateTaskFiles,
+  setTaskStatus,
+  expandTask,
+  addTask,
+  analyzeTaskComplexity,
+  clearSubtasks,
+  addSubtask,
+  removeSubtask,
+} from "../../../scripts/modules/task-manager.js";
+import {
+  addDependency,
+  removeDependency,
+  validateDependenciesCommand,
+  fixDependenciesCommand,
+  exportDependencyGraph,
+  breakDependencyCycles,
+} from "../../../scripts/modules/dependency-manager.js";
+import { AIServiceError } from "../../../scripts/modules/ai-resilience.js";
+import { setHistoryContext } from "../../../scripts/modules/task-history.js";
+import {
+  isTerminalStatus,
+  getStatusDefinition,
+  getStatusWorkflow,
+  getWorkflowStatuses,
+} from "../../../scripts/modules/status-workflow.js";
+import { scheduleNextTask } from "../../../scripts/modules/task-scheduler.js";
+import { resolveDependencyNode } from "../../../scripts/modules/dependency-graph.js";
+
+/**
+ * Create an error carrying an MCP error code
+ * @param {string} code - Error code (e.g. "TASK_NOT_FOUND")
+ * @param {string} message - Error message
+ * @returns {Error} Error with a code property
+ */
+function coreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Resolve the tasks file for a tool call
+ * @param {Object} args - Tool arguments ({ projectRoot, file })
+ * @returns {string} Absolute path to an existing tasks.json
+ */
+function findTasksJsonPath(args) {
+  const projectRoot = args.projectRoot || process.cwd();
+  const tasksPath = path.resolve(projectRoot, args.file || "tasks/tasks.json");
+
+  if (!tasksFileExists(tasksPath)) {
+    throw coreError(
+      "TASKS_FILE_NOT_FOUND",
+      `Tasks file not found at ${tasksPath}`
+    );
+  }
+
+  return tasksPath;
+}
+
+/**
+ * Resolve a (possibly relative) path argument against the project root
+ * @param {Object} args - Tool arguments ({ projectRoot })
+ * @param {string} value - Path given by the caller
+ * @param {string} defaultPath - Path used when none is given
+ * @returns {string} Absolute path
+ */
+function resolveProjectPath(args, value, defaultPath) {
+  return path.resolve(args.projectRoot || process.cwd(), value || defaultPath);
+}
+
+/**
+ * Parse a task ID argument the same way the CLI does
+ * @param {string|number} value - Task ID ("3") or subtask ID ("3.1")
+ * @returns {number|string} Numeric task ID, or the dotted subtask ID
+ */
+function parseTaskId(value) {
+  const id = String(value).trim();
+  if (id.includes(".")) {
+    return id;
+  }
+
+  const taskId = parseInt(id, 10);
+  if (isNaN(taskId)) {
+    throw coreError("INPUT_VALIDATION_ERROR", `Invalid task ID: ${value}`);
+  }
+  return taskId;
+}
+
+/**
+ * Read the tasks data for a tool call
+ * @param {Object} args - Tool arguments ({ projectRoot, file })
+ * @returns {Object} Tasks data ({ meta, tasks })
+ */
+function readTasksData(args) {
+  const tasksPath = findTasksJsonPath(args);
+  const data = readJSON(tasksPath);
+  if (!data || !Array.isArray(data.tasks)) {
+    throw coreError(
+      "INVALID_TASKS_FILE",
+      `No valid tasks found in ${tasksPath}`
+    );
+  }
+  return data;
+}
+
+/**
+ * Convert an error into a failed result
+ * @param {Error} error - Error thrown by a core function
+ * @returns {Object} { success: false, error: { code, message } }
+ */
+function toErrorResult(error) {
+  let code = error.code || "CORE_FUNCTION_ERROR";
+  if (error instanceof AIServiceError) {
+    code = `AI_${error.type.toUpperCase().replace(/-/g, "_")}`;
+  }
+
+  return { success: false, error: { code, message: error.message } };
+}
+
+/**
+ * Run a core function with console output silenced and wrap its outcome
+ * @param {Object} log - FastMCP logger
+ * @param {string} action - Description used in log messages
+ * @param {Function} fn - Function producing the result data
+ * @returns {Promise<Object>} { success, data } or { success, error }
+ */
+async function runDirect(log, action, fn) {
+  const wasSilent = isSilentMode();
+  enableSilentMode();
+  setHistoryContext(`mcp: ${action}`);
+
+  try {
+    return { success: true, data: await fn() };
+  } catch (error) {
+    log.error(`Error ${action}: ${error.message}`);
+    return toErrorResult(error);
+  } finally {
+    if (!wasSilent) {
+      disableSilentMode();
+    }
+  }
+}
+
+/**
+ * Check whether a status counts as complete
+ * @param {string} status - Task status
+ * @returns {boolean} True for the terminal statuses of the status workflow
+ */
+function isDone(status) {
+  return isTerminalStatus(status);
+}
+
+/**
+ * Describe the dependencies of a task or subtask and whether they are satisfied
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} task - Task or subtask
+ * @param {Object} parentTask - Parent task when describing a subtask
+ * @returns {Object[]} [{ id, title, status, satisfied }]
+ */
+function describeDependencies(tasks, task, parentTask = null) {
+  return (task.dependencies || []).map((dependency) => {
+    // Read the same way as everywhere else: siblings, tasks and subtasks of other tasks
+    const nodeId = resolveDependencyNode(dependency, tasks, parentTask);
+    if (nodeId === null) {
+      return {
+        id: dependency,
+        title: null,
+        status: "not-found",
+        satisfied: false,
+      };
+    }
+
+    const [taskId, subtaskId] = nodeId.split(".").map(Number);
+    const owner = tasks.find((t) => t.id === taskId);
+    const target =
+      subtaskId === undefined
+        ? owner
+        : owner.subtasks.find((st) => st.id === subtaskId);
+
+    const status = target.status || getStatusWorkflow().initialStatus;
+    return {
+      id: subtaskId === undefined ? taskId : nodeId,
+      title: target.title,
+      status,
+      satisfied: isDone(status),
+    };
+  });
+}
+
+/**
+ * Add dependency status to a task and its subtasks
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} task - Task to describe
+ * @param {boolean} withSubtasks - Include subtasks
+ * @returns {Object} Task copy with dependencyStatus fields
+ */
+function withDependencyStatus(tasks, task, withSubtasks = true) {
+  const result = {
+    ...task,
+    dependencyStatus: describeDependencies(tasks, task),
+  };
+
+  if (withSubtasks && task.subtasks) {
+    result.subtasks = task.subtasks.map((subtask) => ({
+      ...subtask,
+      dependencyStatus: describeDependencies(tasks, subtask, task),
+    }));
+  } else {
+    delete result.subtasks;
+  }
+
+  return result;
+}
+
+/**
+ * List tasks with progress statistics
+ * @param {Object} args - { projectRoot, file, status, withSubtasks }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { tasks, filter, stats }
+ */
+async function listTasksDirect(args, log) {
+  return runDirect(log, "listing tasks", () => {
+    const data = readTasksData(args);
+    const filter = args.status || null;
+    const tasks = filter
+      ? data.tasks.filter(
+          (task) =>
+            task.status && task.status.toLowerCase() === filter.toLowerCase()
+        )
+      : data.tasks;
+
+    // Count tasks per workflow status; statuses outside the workflow are counted as unknown
+    const byStatus = Object.fromEntries(
+      getWorkflowStatuses().map((status) => [status, 0])
+    );
+    let unknown = 0;
+    data.tasks.forEach((task) => {
+      const definition = getStatusDefinition(
+        task.status || getStatusWorkflow().initialStatus
+      );
+      if (definition) {
+        byStatus[definition.name]++;
+      } else {
+        unknown++;
+      }
+    });
+    const done = data.tasks.filter((task) => isDone(task.status)).length;
+    const subtasks = data.tasks.flatMap((task) => task.subtasks || []);
+
+    return {
+      tasks: tasks.map((task) =>
+        withDependencyStatus(data.tasks, task, Boolean(args.withSubtasks))
+      ),
+      filter,
+      stats: {
+        total: data.tasks.length,
+        done,
+        byStatus,
+        unknown,
+        completionPercentage:
+          data.tasks.length > 0
+            ? Math.round((done / data.tasks.length) * 100)
+            : 0,
+        subtasks: {
+          total: subtasks.length,
+          done: subtasks.filter((subtask) => isDone(subtask.status)).length,
+        },
+      },
+    };
+  });
+}
+
+/**
+ * Show a task or subtask
+ * @param {Object} args - { projectRoot, file, id }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with the task (or subtask) and its dependency status
+ */
+async function showTaskDirect(args, log) {
+  return runDirect(log, "showing task", () => {
+    if (!args.id) {
+      throw coreError("INPUT_VALIDATION_ERROR", "Task ID is required");
+    }
+
+    const data = readTasksData(args);
+    const id = String(args.id);
+    const task = findTaskById(data.tasks, id);
+    if (!task) {
+      throw coreError("TASK_NOT_FOUND", `Task ${id} not found`);
+    }
+
+    if (task.isSubtask) {
+      const parent = data.tasks.find((t) => t.id === task.parentTask.id);
+      return {
+        ...task,
+        id,
+        dependencyStatus: describeDependencies(data.tasks, task, parent),
+      };
+    }
+
+    return withDependencyStatus(data.tasks, task);
+  });
+}
+
+/**
+ * Find the next task to work on
+ * @param {Object} args - { projectRoot, file, report, for }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { nextTask, nextSubtask, score, reasons, criticalPath } (nextTask is null when nothing is ready)
+ */
+async function nextTaskDirect(args, log) {
+  return runDirect(log, "finding next task", () => {
+    const data = readTasksData(args);
+    const complexityReport = readComplexityReport(
+      resolveProjectPath(
+        args,
+        args.report,
+        "scripts/task-complexity-report.json"
+      )
+    );
+    const recommendation = scheduleNextTask(data.tasks, {
+      complexityReport,
+      assignee: args.for || null,
+    });
+    const nextTask = recommendation.task;
+
+    return {
+      nextTask: nextTask ? withDependencyStatus(data.tasks, nextTask) : null,
+      nextSubtask: recommendation.subtask
+        ? {
+            ...recommendation.subtask,
+            id: `${nextTask.id}.${recommendation.subtask.id}`,
+          }
+        : null,
+      score: recommendation.score,
+      reasons: recommendation.reasons,
+      criticalPath: recommendation.criticalPath.ids,
+    };
+  });
+}
+
+/**
+ * Set the status of one or more tasks
+ * @param {Object} args - { projectRoot, file, id, status, fields, force }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { updatedTasks, cascaded } listing each change as { id, oldStatus, newStatus }
+ */
+async function setTaskStatusDirect(args, log) {
+  return runDirect(log, "setting task status", () => {
+    if (!args.id || !args.status) {
+      throw coreError(
+        "INPUT_VALIDATION_ERROR",
+        "Both a task ID and a status are required"
+      );
+    }
+
+    const tasksPath = findTasksJsonPath(args);
+    return setTaskStatus(tasksPath, String(args.id), args.status, "json", {
+      fields: args.fields || {},
+      force: args.force === true,
+    });
+  });
+}
+
+/**
+ * Break a task down into subtasks with AI
+ * @param {Object} args - { projectRoot, file, id, num, research, prompt, force }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { task, subtasks }
+ */
+async function expandTaskDirect(args, log) {
+  return runDirect(log, "expanding task", () => {
+    const taskId = parseInt(args.id, 10);
+    if (isNaN(taskId)) {
+      throw coreError("INPUT_VALIDATION_ERROR", `Invalid task ID: ${args.id}`);
+    }
+
+    const tasksPath = findTasksJsonPath(args);
+    log.info(`Expanding task ${taskId} in ${tasksPath}`);
+
+    return expandTask(
+      taskId,
+      args.num || undefined,
+      Boolean(args.research),
+      args.prompt || "",
+      { tasksPath, force: Boolean(args.force), outputFormat: "json" }
+    );
+  });
+}
+
+/**
+ * Add a new task with AI
+ * @param {Object} args - { projectRoot, file, prompt, dependencies, priority }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { taskId, task }
+ */
+async function addTaskDirect(args, log) {
+  return runDirect(log, "adding task", async () => {
+    if (!args.prompt) {
+      throw coreError(
+        "INPUT_VALIDATION_ERROR",
+        "A prompt describing the task is required"
+      );
+    }
+
+    const tasksPath = findTasksJsonPath(args);
+    const dependencies = args.dependencies
+      ? String(args.dependencies)
+          .split(",")
+          .map((id) => parseInt(id.trim(), 10))
+          .filter((id) => !isNaN(id))
+      : [];
+
+    const taskId = await addTask(
+      tasksPath,
+      args.prompt,
+      dependencies,
+      args.priority || "medium",
+      "json"
+    );
+    const data = readJSON(tasksPath);
+
+    return { taskId, task: data.tasks.find((task) => task.id === taskId) };
+  });
+}
+
+/**
+ * Summarize a PRD merge diff by task ID
+ * @param {Object} diff - Diff from diffTaskSets
+ * @returns {Object} { added, changed, obsolete, obsoleteStatus, rejected, preserved, unchanged }
+ */
+function summarizeTaskDiff(diff) {
+  return {
+    added: diff.added.map((task) => ({ id: task.id, title: task.title })),
+    changed: diff.changed.map(({ id, fields, removedDependencies }) => ({
+      id,
+      fields,
+      removedDependencies,
+    })),
+    obsolete: diff.obsolete.map((task) => ({ id: task.id, title: task.title })),
+    obsoleteStatus: diff.obsoleteStatus,
+    rejected: diff.rejected.map(({ id, status, reason }) => ({
+      id,
+      status,
+      reason,
+    })),
+    preserved: diff.preserved.map(({ id }) => id),
+    unchanged: diff.unchanged,
+  };
+}
+
+/**
+ * Generate tasks from a PRD, optionally merging them into the existing tasks
+ * @param {Object} args - { projectRoot, input, output, numTasks, merge, yes }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { tasksPath, taskCount } or the merge summary
+ */
+async function parsePRDDirect(args, log) {
+  return runDirect(log, "parsing PRD", async () => {
+    const prdPath = resolveProjectPath(args, args.input, "scripts/prd.txt");
+    if (!fs.existsSync(prdPath)) {
+      throw coreError("FILE_NOT_FOUND", `PRD file not found at ${prdPath}`);
+    }
+
+    const tasksPath = resolveProjectPath(args, args.output, "tasks/tasks.json");
+    const numTasks = args.numTasks || 10;
+    log.info(`Parsing ${prdPath} into ${numTasks} tasks at ${tasksPath}`);
+
+    const result = await parsePRD(prdPath, tasksPath, numTasks, {
+      merge: Boolean(args.merge),
+      yes: Boolean(args.yes),
+      outputFormat: "json",
+    });
+
+    if (!result.merged) {
+      return result;
+    }
+
+    return {
+      tasksPath,
+      merged: true,
+      applied: result.applied,
+      changes: summarizeTaskDiff(result.diff),
+    };
+  });
+}
+
+/**
+ * Update tasks from a given ID onwards with new context
+ * @param {Object} args - { projectRoot, file, from, prompt, research }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { updatedTaskIds }
+ */
+async function updateTasksDirect(args, log) {
+  return runDirect(log, "updating tasks", () => {
+    if (!args.prompt) {
+      throw coreError(
+        "INPUT_VALIDATION_ERROR",
+        "A prompt explaining the changes is required"
+      );
+    }
+
+    const fromId = parseInt(args.from || 1, 10);
+    if (isNaN(fromId)) {
+      throw coreError(
+        "INPUT_VALIDATION_ERROR",
+        `Invalid task ID: ${args.from}`
+      );
+    }
+
+    const tasksPath = findTasksJsonPath(args);
+    return updateTasks(
+      tasksPath,
+      fromId,
+      args.prompt,
+      Boolean(args.research),
+      "json"
+    );
+  });
+}
+
+/**
+ * Generate the individual task files from tasks.json
+ * @param {Object} args - { projectRoot, file, output, fixDependencies }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { outputDir, taskCount }
+ */
+async function generateTaskFilesDirect(args, log) {
+  return runDirect(log, "generating task files", () => {
+    const data = readTasksData(args);
+    const outputDir = resolveProjectPath(args, args.output, "tasks");
+
+    generateTaskFiles(findTasksJsonPath(args), outputDir, {
+      fixDependencies: args.fixDependencies !== false,
+    });
+    return { outputDir, taskCount: data.tasks.length };
+  });
+}
+
+/**
+ * Analyze task complexity with AI and write the report
+ * @param {Object} args - { projectRoot, file, output, model, threshold, research }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { reportPath, report }
+ */
+async function analyzeTaskComplexityDirect(args, log) {
+  return runDirect(log, "analyzing task complexity", async () => {
+    const tasksPath = findTasksJsonPath(args);
+    const reportPath = resolveProjectPath(
+      args,
+      args.output,
+      "scripts/task-complexity-report.json"
+    );
+
+    const report = await analyzeTaskComplexity({
+      file: tasksPath,
+      output: reportPath,
+      model: args.model,
+      threshold: args.threshold,
+      research: Boolean(args.research),
+      outputFormat: "json",
+    });
+
+    return { reportPath, report };
+  });
+}
+
+/**
+ * Read the complexity analysis report
+ * @param {Object} args - { projectRoot, file }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with the report ({ meta, complexityAnalysis })
+ */
+async function complexityReportDirect(args, log) {
+  return runDirect(log, "reading complexity report", () => {
+    const reportPath = resolveProjectPath(
+      args,
+      args.file,
+      "scripts/task-complexity-report.json"
+    );
+    if (!fs.existsSync(reportPath)) {
+      throw coreError(
+        "FILE_NOT_FOUND",
+        `Complexity report not found at ${reportPath}. Run analyzeComplexity first.`
+      );
+    }
+
+    const report = readJSON(reportPath);
+    if (!report || !Array.isArray(report.complexityAnalysis)) {
+      throw coreError(
+        "INVALID_REPORT_FILE",
+        `No complexity analysis found in ${reportPath}`
+      );
+    }
+    return report;
+  });
+}
+
+/**
+ * Clear subtasks from the given tasks (or all tasks)
+ * @param {Object} args - { projectRoot, file, id, all }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { clearedTasks, skipped }
+ */
+async function clearSubtasksDirect(args, log) {
+  return runDirect(log, "clearing subtasks", () => {
+    if (!args.id && !args.all) {
+      throw coreError(
+        "INPUT_VALIDATION_ERROR",
+        "Either task IDs or all must be given"
+      );
+    }
+
+    const tasksPath = findTasksJsonPath(args);
+    const taskIds = args.all
+      ? readTasksData(args)
+          .tasks.map((task) => task.id)
+          .join(",")
+      : String(args.id);
+
+    return clearSubtasks(tasksPath, taskIds, "json");
+  });
+}
+
+/**
+ * Add a dependency to a task or subtask
+ * @param {Object} args - { projectRoot, file, id, dependsOn }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { taskId, dependencyId, added }
+ */
+async function addDependencyDirect(args, log) {
+  return runDirect(log, "adding dependency", () => {
+    if (!args.id || !args.dependsOn) {
+      throw coreError(
+        "INPUT_VALIDATION_ERROR",
+        "Both a task ID and a dependency ID are required"
+      );
+    }
+
+    const tasksPath = findTasksJsonPath(args);
+    return addDependency(
+      tasksPath,
+      parseTaskId(args.id),
+      String(parseTaskId(args.dependsOn)),
+      "json"
+    );
+  });
+}
+
+/**
+ * Remove a dependency from a task or subtask
+ * @param {Object} args - { projectRoot, file, id, dependsOn }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { taskId, dependencyId, removed }
+ */
+async function removeDependencyDirect(args, log) {
+  return runDirect(log, "removing dependency", () => {
+    if (!args.id || !args.dependsOn) {
+      throw coreError(
+        "INPUT_VALIDATION_ERROR",
+        "Both a task ID and a dependency ID are required"
+      );
+    }
+
+    const tasksPath = findTasksJsonPath(args);
+    return removeDependency(
+      tasksPath,
+      parseTaskId(args.id),
+      String(parseTaskId(args.dependsOn)),
+      "json"
+    );
+  });
+}
+
+/**
+ * Check task dependencies without changing anything
+ * @param {Object} args - { projectRoot, file }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { valid, issues, tasksChecked, subtasksChecked }
+ */
+async function validateDependenciesDirect(args, log) {
+  return runDirect(log, "validating dependencies", () =>
+    validateDependenciesCommand(findTasksJsonPath(args), "json")
+  );
+}
+
+/**
+ * Remove invalid, duplicate and circular dependencies
+ * @param {Object} args - { projectRoot, file, dryRun }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { changed, dryRun, stats, changes }
+ */
+async function fixDependenciesDirect(args, log) {
+  return runDirect(log, "fixing dependencies", () =>
+    fixDependenciesCommand(findTasksJsonPath(args), "json", {
+      dryRun: Boolean(args.dryRun),
+    })
+  );
+}
+
+/**
+ * Export the dependency graph
+ * @param {Object} args - { projectRoot, file, format, id, direction, withSubtasks, report }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { format, content, cycles, criticalPath, missing }
+ */
+async function dependencyGraphDirect(args, log) {
+  return runDirect(log, "exporting dependency graph", async () => {
+    const { graph, content } = await exportDependencyGraph(
+      findTasksJsonPath(args),
+      {
+        format: args.format || "mermaid",
+        id: args.id ? String(args.id) : null,
+        direction: args.direction || "both",
+        subtasks: args.withSubtasks !== false,
+        report: resolveProjectPath(
+          args,
+          args.report,
+          "scripts/task-complexity-report.json"
+        ),
+      },
+      "json"
+    );
+
+    return {
+      format: args.format || "mermaid",
+      content,
+      cycles: graph.cycles,
+      criticalPath: graph.criticalPath.ids,
+      missing: graph.missing,
+    };
+  });
+}
+
+/**
+ * Explain each dependency cycle and suggest which dependency to cut or task to split
+ * @param {Object} args - { projectRoot, file, ai }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { cycles: [{ cycle, explanation, cuts, split, source }] }
+ */
+async function suggestCycleBreaksDirect(args, log) {
+  return runDirect(log, "suggesting cycle breaks", async () => {
+    const { suggestions } = await breakDependencyCycles(
+      findTasksJsonPath(args),
+      { ai: Boolean(args.ai) },
+      "json"
+    );
+
+    return {
+      cycles: suggestions.map(({ loop, ...suggestion }) => suggestion),
+    };
+  });
+}
+
+/**
+ * Add a new subtask, or convert an existing task into a subtask
+ * @param {Object} args - { projectRoot, file, parent, taskId, title, description, details, dependencies, status, skipGenerate }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { id, subtask }
+ */
+async function addSubtaskDirect(args, log) {
+  return runDirect(log, "adding subtask", async () => {
+    if (!args.parent) {
+      throw coreError("INPUT_VALIDATION_ERROR", "A parent task ID is required");
+    }
+    if (!args.taskId && !args.title) {
+      throw coreError(
+        "INPUT_VALIDATION_ERROR",
+        "Either taskId or title must be provided"
+      );
+    }
+
+    const tasksPath = findTasksJsonPath(args);
+    const generateFiles = !args.skipGenerate;
+    let subtask;
+
+    if (args.taskId) {
+      subtask = await addSubtask(
+        tasksPath,
+        args.parent,
+        args.taskId,
+        null,
+        generateFiles
+      );
+    } else {
+      const dependencies = args.dependencies
+        ? String(args.dependencies)
+            .split(",")
+            .map((id) => String(parseTaskId(id)))
+        : [];
+
+      subtask = await addSubtask(
+        tasksPath,
+        args.parent,
+        null,
+        {
+          title: args.title,
+          description: args.description || "",
+          details: args.details || "",
+          status: args.status || getStatusWorkflow().initialStatus,
+          dependencies,
+        },
+        generateFiles
+      );
+    }
+
+    return { id: `${subtask.parentTaskId}.${subtask.id}`, subtask };
+  });
+}
+
+/**
+ * Remove a subtask, optionally converting it into a standalone task
+ * @param {Object} args - { projectRoot, file, id, convert, skipGenerate }
+ * @param {Object} log - FastMCP logger
+ * @returns {Promise<Object>} Result with { removed, convertedTask }
+ */
+async function removeSubtaskDirect(args, log) {
+  return runDirect(log, "removing subtask", async () => {
+    if (!args.id) {
+      throw coreError(
+        "INPUT_VALIDATION_ERROR",
+        'A subtask ID in the format "parentId.subtaskId" is required'
+      );
+    }
+
+    const tasksPath = findTasksJsonPath(args);
+    const convertedTask = await removeSubtask(
+      tasksPath,
+      String(args.id),
+      Boolean(args.convert),
+      !args.skipGenerate
+    );
+
+    return { removed: String(args.id), convertedTask };
+  });
+}
+
+export {
+  findTasksJsonPath,
+  listTasksDirect,
+  showTaskDirect,
+  nextTaskDirect,
+  setTaskStatusDirect,
+  expandTaskDirect,
+  addTaskDirect,
+  parsePRDDirect,
+  updateTasksDirect,
+  generateTaskFilesDirect,
+  analyzeTaskComplexityDirect,
+  complexityReportDirect,
+  clearSubtasksDirect,
+  addDependencyDirect,
+  removeDependencyDirect,
+  validateDependenciesDirect,
+  fixDependenciesDirect,
+  dependencyGraphDirect,
+  suggestCycleBreaksDirect,
+  addSubtaskDirect,
+  removeSubtaskDirect,
+};
@@ -0,0 +1,47 @@
+/**
+ * tools/addDependency.js
+ * Tool to add a dependency to a task
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { addDependencyDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the addDependency tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddDependencyTool(server) {
+  server.addTool({
+    name: "addDependency",
+    description: "Add a dependency to a task",
+    parameters: z.object({
+      id: z
+        .string()
+        .describe("Task or subtask ID (e.g. 3 or 3.2) to add dependency to"),
+      dependsOn: z
+        .string()
+        .describe(
+          "Task or subtask ID (e.g. 5 or 5.1) that will become a dependency"
+        ),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Adding dependency ${args.dependsOn} to task ${args.id}`);
+
+        const result = await addDependencyDirect(args, log);
+
+        return handleApiResult(result, log, "Error adding dependency");
+      } catch (error) {
+        log.error(`Error adding dependency: ${error.message}`);
+        return createErrorResponse(`Error adding dependency: ${error.message}`);
+      }
+    },
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * tools/addSubtask.js
+ * Tool to add a subtask to a task
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { addSubtaskDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the addSubtask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddSubtaskTool(server) {
+  server.addTool({
+    name: "addSubtask",
+    description: "Add a subtask to an existing task",
+    parameters: z.object({
+      parent: z.string().describe("Parent task ID"),
+      taskId: z
+        .string()
+        .optional()
+        .describe("Existing task ID to convert to subtask"),
+      title: z
+        .string()
+        .optional()
+        .describe("Title for the new subtask (when creating a new subtask)"),
+      description: z
+        .string()
+        .optional()
+        .describe("Description for the new subtask"),
+      details: z
+        .string()
+        .optional()
+        .describe("Implementation details for the new subtask"),
+      dependencies: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated task or subtask IDs (e.g. 5 or 5.1) the new subtask depends on"
+        ),
+      status: z
+        .string()
+        .optional()
+        .describe("Status for the new subtask (default: pending)"),
+      skipGenerate: z
+        .boolean()
+        .optional()
+        .describe("Skip regenerating task files"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Adding subtask to task ${args.parent}`);
+
+        const result = await addSubtaskDirect(args, log);
+
+        return handleApiResult(result, log, "Error adding subtask");
+      } catch (error) {
+        log.error(`Error adding subtask: ${error.message}`);
+        return createErrorResponse(`Error adding subtask: ${error.message}`);
+      }
+    },
+  });
+}
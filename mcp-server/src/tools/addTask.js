@@ -4,11 +4,8 @@
  */
 
 import { z } from "zod";
-import {
-  executeTaskMasterCommand,
-  createContentResponse,
-  createErrorResponse,
-} from "./utils.js";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { addTaskDirect } from "../core/task-master-core.js";
 
 /**
  * Register the addTask tool with the MCP server
@@ -39,24 +36,9 @@ export function registerAddTaskTool(server) {
       try {
         log.info(`Adding new task: ${args.prompt}`);
 
-        const cmdArgs = [`--prompt="${args.prompt}"`];
-        if (args.dependencies)
-          cmdArgs.push(`--dependencies=${args.dependencies}`);
-        if (args.priority) cmdArgs.push(`--priority=${args.priority}`);
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
+        const result = await addTaskDirect(args, log);
 
-        const result = executeTaskMasterCommand(
-          "add-task",
-          log,
-          cmdArgs,
-          projectRoot
-        );
-
-        if (!result.success) {
-          throw new Error(result.error);
-        }
-
-        return createContentResponse(result.stdout);
+        return handleApiResult(result, log, "Error adding task");
       } catch (error) {
         log.error(`Error adding task: ${error.message}`);
         return createErrorResponse(`Error adding task: ${error.message}`);
@@ -0,0 +1,63 @@
+/**
+ * tools/analyzeComplexity.js
+ * Tool to analyze task complexity with AI
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { analyzeTaskComplexityDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the analyzeComplexity tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAnalyzeComplexityTool(server) {
+  server.addTool({
+    name: "analyzeComplexity",
+    description: "Analyze tasks and generate expansion recommendations",
+    parameters: z.object({
+      output: z
+        .string()
+        .optional()
+        .describe(
+          "Output file path for the report (default: scripts/task-complexity-report.json)"
+        ),
+      model: z
+        .string()
+        .optional()
+        .describe(
+          "LLM model to use for analysis (defaults to configured model)"
+        ),
+      threshold: z
+        .number()
+        .optional()
+        .describe(
+          "Minimum complexity score to recommend expansion (1-10, default: 5)"
+        ),
+      file: z.string().optional().describe("Path to the tasks file"),
+      research: z
+        .boolean()
+        .optional()
+        .describe("Use Perplexity AI for research-backed complexity analysis"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info("Analyzing task complexity");
+
+        const result = await analyzeTaskComplexityDirect(args, log);
+
+        return handleApiResult(result, log, "Error analyzing task complexity");
+      } catch (error) {
+        log.error(`Error analyzing task complexity: ${error.message}`);
+        return createErrorResponse(
+          `Error analyzing task complexity: ${error.message}`
+        );
+      }
+    },
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * tools/clearSubtasks.js
+ * Tool to clear subtasks from tasks
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { clearSubtasksDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the clearSubtasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerClearSubtasksTool(server) {
+  server.addTool({
+    name: "clearSubtasks",
+    description: "Clear subtasks from specified tasks",
+    parameters: z.object({
+      id: z
+        .string()
+        .optional()
+        .describe("Task IDs (comma-separated) to clear subtasks from"),
+      all: z.boolean().optional().describe("Clear subtasks from all tasks"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Clearing subtasks from ${args.all ? "all tasks" : args.id}`);
+
+        const result = await clearSubtasksDirect(args, log);
+
+        return handleApiResult(result, log, "Error clearing subtasks");
+      } catch (error) {
+        log.error(`Error clearing subtasks: ${error.message}`);
+        return createErrorResponse(`Error clearing subtasks: ${error.message}`);
+      }
+    },
+  });
+}
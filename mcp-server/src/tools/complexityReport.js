@@ -0,0 +1,46 @@
+/**
+ * tools/complexityReport.js
+ * Tool to read the complexity analysis report
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { complexityReportDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the complexityReport tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerComplexityReportTool(server) {
+  server.addTool({
+    name: "complexityReport",
+    description: "Show the complexity analysis report",
+    parameters: z.object({
+      file: z
+        .string()
+        .optional()
+        .describe(
+          "Path to the report file (default: scripts/task-complexity-report.json)"
+        ),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info("Reading complexity report");
+
+        const result = await complexityReportDirect(args, log);
+
+        return handleApiResult(result, log, "Error reading complexity report");
+      } catch (error) {
+        log.error(`Error reading complexity report: ${error.message}`);
+        return createErrorResponse(
+          `Error reading complexity report: ${error.message}`
+        );
+      }
+    },
+  });
+}
@@ -0,0 +1,66 @@
+/**
+ * tools/dependencyGraph.js
+ * Tool to export the dependency graph as Mermaid, Graphviz DOT or JSON
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { dependencyGraphDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the dependencyGraph tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerDependencyGraphTool(server) {
+  server.addTool({
+    name: "dependencyGraph",
+    description:
+      "Export the dependency graph of tasks and subtasks, highlighting cycles and the critical path",
+    parameters: z.object({
+      format: z
+        .enum(["mermaid", "dot", "json"])
+        .optional()
+        .describe("Output format (default: mermaid)"),
+      id: z
+        .string()
+        .optional()
+        .describe(
+          "Only include this task or subtask and the tasks connected to it"
+        ),
+      direction: z
+        .enum(["ancestors", "descendants", "both"])
+        .optional()
+        .describe(
+          "With id: what it waits on (ancestors), what waits on it (descendants) or both"
+        ),
+      withSubtasks: z
+        .boolean()
+        .optional()
+        .describe("Include subtasks (default: true)"),
+      report: z
+        .string()
+        .optional()
+        .describe("Complexity report used to find the critical path"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info("Exporting dependency graph");
+
+        const result = await dependencyGraphDirect(args, log);
+
+        return handleApiResult(result, log, "Error exporting dependency graph");
+      } catch (error) {
+        log.error(`Error exporting dependency graph: ${error.message}`);
+        return createErrorResponse(
+          `Error exporting dependency graph: ${error.message}`
+        );
+      }
+    },
+  });
+}
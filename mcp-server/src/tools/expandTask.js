@@ -4,11 +4,8 @@
  */
 
 import { z } from "zod";
-import {
-  executeTaskMasterCommand,
-  createContentResponse,
-  createErrorResponse,
-} from "./utils.js";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { expandTaskDirect } from "../core/task-master-core.js";
 
 /**
  * Register the expandTask tool with the MCP server
@@ -48,27 +45,9 @@ export function registerExpandTaskTool(server) {
       try {
         log.info(`Expanding task ${args.id}`);
 
-        const cmdArgs = [`--id=${args.id}`];
-        if (args.num) cmdArgs.push(`--num=${args.num}`);
-        if (args.research) cmdArgs.push("--research");
-        if (args.prompt) cmdArgs.push(`--prompt="${args.prompt}"`);
-        if (args.force) cmdArgs.push("--force");
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
+        const result = await expandTaskDirect(args, log);
 
-        const projectRoot = args.projectRoot;
-
-        const result = executeTaskMasterCommand(
-          "expand",
-          log,
-          cmdArgs,
-          projectRoot
-        );
-
-        if (!result.success) {
-          throw new Error(result.error);
-        }
-
-        return createContentResponse(result.stdout);
+        return handleApiResult(result, log, "Error expanding task");
       } catch (error) {
         log.error(`Error expanding task: ${error.message}`);
         return createErrorResponse(`Error expanding task: ${error.message}`);
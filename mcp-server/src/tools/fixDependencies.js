@@ -0,0 +1,48 @@
+/**
+ * tools/fixDependencies.js
+ * Tool to fix invalid task dependencies
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { fixDependenciesDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the fixDependencies tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerFixDependenciesTool(server) {
+  server.addTool({
+    name: "fixDependencies",
+    description:
+      "Fix invalid dependencies automatically, or list the fixes with dryRun",
+    parameters: z.object({
+      file: z.string().optional().describe("Path to the tasks file"),
+      dryRun: z
+        .boolean()
+        .optional()
+        .describe(
+          "List the dependencies that would be removed, and why, without writing anything"
+        ),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info("Fixing dependencies");
+
+        const result = await fixDependenciesDirect(args, log);
+
+        return handleApiResult(result, log, "Error fixing dependencies");
+      } catch (error) {
+        log.error(`Error fixing dependencies: ${error.message}`);
+        return createErrorResponse(
+          `Error fixing dependencies: ${error.message}`
+        );
+      }
+    },
+  });
+}
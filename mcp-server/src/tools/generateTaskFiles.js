@@ -0,0 +1,51 @@
+/**
+ * tools/generateTaskFiles.js
+ * Tool to generate the individual task files
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { generateTaskFilesDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the generateTaskFiles tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGenerateTaskFilesTool(server) {
+  server.addTool({
+    name: "generateTaskFiles",
+    description: "Generate individual task files from tasks.json",
+    parameters: z.object({
+      file: z.string().optional().describe("Path to the tasks file"),
+      output: z
+        .string()
+        .optional()
+        .describe("Output directory (default: tasks)"),
+      fixDependencies: z
+        .boolean()
+        .optional()
+        .describe(
+          "Fix invalid dependencies in tasks.json first (default: true); when false, fail if any need fixing"
+        ),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info("Generating task files");
+
+        const result = await generateTaskFilesDirect(args, log);
+
+        return handleApiResult(result, log, "Error generating task files");
+      } catch (error) {
+        log.error(`Error generating task files: ${error.message}`);
+        return createErrorResponse(
+          `Error generating task files: ${error.message}`
+        );
+      }
+    },
+  });
+}
@@ -10,6 +10,20 @@ import { registerSetTaskStatusTool } from "./setTaskStatus.js";
 import { registerExpandTaskTool } from "./expandTask.js";
 import { registerNextTaskTool } from "./nextTask.js";
 import { registerAddTaskTool } from "./addTask.js";
+import { registerParsePRDTool } from "./parsePRD.js";
+import { registerUpdateTasksTool } from "./updateTasks.js";
+import { registerGenerateTaskFilesTool } from "./generateTaskFiles.js";
+import { registerAnalyzeComplexityTool } from "./analyzeComplexity.js";
+import { registerComplexityReportTool } from "./complexityReport.js";
+import { registerClearSubtasksTool } from "./clearSubtasks.js";
+import { registerAddDependencyTool } from "./addDependency.js";
+import { registerRemoveDependencyTool } from "./removeDependency.js";
+import { registerValidateDependenciesTool } from "./validateDependencies.js";
+import { registerFixDependenciesTool } from "./fixDependencies.js";
+import { registerDependencyGraphTool } from "./dependencyGraph.js";
+import { registerSuggestCycleBreaksTool } from "./suggestCycleBreaks.js";
+import { registerAddSubtaskTool } from "./addSubtask.js";
+import { registerRemoveSubtaskTool } from "./removeSubtask.js";
 
 /**
  * Register all Task Master tools with the MCP server
@@ -22,6 +36,20 @@ export function registerTaskMasterTools(server) {
   registerExpandTaskTool(server);
   registerNextTaskTool(server);
   registerAddTaskTool(server);
+  registerParsePRDTool(server);
+  registerUpdateTasksTool(server);
+  registerGenerateTaskFilesTool(server);
+  registerAnalyzeComplexityTool(server);
+  registerComplexityReportTool(server);
+  registerClearSubtasksTool(server);
+  registerAddDependencyTool(server);
+  registerRemoveDependencyTool(server);
+  registerValidateDependenciesTool(server);
+  registerFixDependenciesTool(server);
+  registerDependencyGraphTool(server);
+  registerSuggestCycleBreaksTool(server);
+  registerAddSubtaskTool(server);
+  registerRemoveSubtaskTool(server);
 }
 
 export default {
@@ -4,11 +4,8 @@
  */
 
 import { z } from "zod";
-import {
-  executeTaskMasterCommand,
-  createContentResponse,
-  createErrorResponse,
-} from "./utils.js";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { listTasksDirect } from "../core/task-master-core.js";
 
 /**
  * Register the listTasks tool with the MCP server
@@ -35,27 +32,9 @@ export function registerListTasksTool(server) {
       try {
         log.info(`Listing tasks with filters: ${JSON.stringify(args)}`);
 
-        const cmdArgs = [];
-        if (args.status) cmdArgs.push(`--status=${args.status}`);
-        if (args.withSubtasks) cmdArgs.push("--with-subtasks");
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
+        const result = await listTasksDirect(args, log);
 
-        const projectRoot = args.projectRoot;
-
-        const result = executeTaskMasterCommand(
-          "list",
-          log,
-          cmdArgs,
-          projectRoot
-        );
-
-        if (!result.success) {
-          throw new Error(result.error);
-        }
-
-        log.info(`Listing tasks result: ${result.stdout}`, result.stdout);
-
-        return createContentResponse(result.stdout);
+        return handleApiResult(result, log, "Error listing tasks");
       } catch (error) {
         log.error(`Error listing tasks: ${error.message}`);
         return createErrorResponse(`Error listing tasks: ${error.message}`);
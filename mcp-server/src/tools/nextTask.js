@@ -4,11 +4,8 @@
  */
 
 import { z } from "zod";
-import {
-  executeTaskMasterCommand,
-  createContentResponse,
-  createErrorResponse,
-} from "./utils.js";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { nextTaskDirect } from "../core/task-master-core.js";
 
 /**
  * Register the nextTask tool with the MCP server
@@ -21,6 +18,18 @@ export function registerNextTaskTool(server) {
       "Show the next task to work on based on dependencies and status",
     parameters: z.object({
       file: z.string().optional().describe("Path to the tasks file"),
+      report: z
+        .string()
+        .optional()
+        .describe(
+          "Complexity report used to weigh the critical path (default: scripts/task-complexity-report.json)"
+        ),
+      for: z
+        .string()
+        .optional()
+        .describe(
+          "Find the next task for this person: their own or unassigned work, skipping work others have started"
+        ),
       projectRoot: z
         .string()
         .describe(
@@ -31,23 +40,9 @@ export function registerNextTaskTool(server) {
       try {
         log.info(`Finding next task to work on`);
 
-        const cmdArgs = [];
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
-
-        const projectRoot = args.projectRoot;
-
-        const result = executeTaskMasterCommand(
-          "next",
-          log,
-          cmdArgs,
-          projectRoot
-        );
-
-        if (!result.success) {
-          throw new Error(result.error);
-        }
+        const result = await nextTaskDirect(args, log);
 
-        return createContentResponse(result.stdout);
+        return handleApiResult(result, log, "Error finding next task");
       } catch (error) {
         log.error(`Error finding next task: ${error.message}`);
         return createErrorResponse(`Error finding next task: ${error.message}`);
@@ -0,0 +1,62 @@
+/**
+ * tools/parsePRD.js
+ * Tool to generate tasks from a PRD document
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { parsePRDDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the parsePRD tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerParsePRDTool(server) {
+  server.addTool({
+    name: "parsePRD",
+    description: "Parse a PRD document and generate tasks from it",
+    parameters: z.object({
+      input: z
+        .string()
+        .optional()
+        .describe("Path to the PRD file (default: scripts/prd.txt)"),
+      output: z
+        .string()
+        .optional()
+        .describe("Output path for tasks.json (default: tasks/tasks.json)"),
+      numTasks: z
+        .number()
+        .optional()
+        .describe("Number of tasks to generate (default: 10)"),
+      merge: z
+        .boolean()
+        .optional()
+        .describe(
+          "Merge with the existing tasks file instead of overwriting it"
+        ),
+      yes: z
+        .boolean()
+        .optional()
+        .describe(
+          "Apply merge changes; without it a merge only returns the proposed changes"
+        ),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Parsing PRD ${args.input || "scripts/prd.txt"}`);
+
+        const result = await parsePRDDirect(args, log);
+
+        return handleApiResult(result, log, "Error parsing PRD");
+      } catch (error) {
+        log.error(`Error parsing PRD: ${error.message}`);
+        return createErrorResponse(`Error parsing PRD: ${error.message}`);
+      }
+    },
+  });
+}
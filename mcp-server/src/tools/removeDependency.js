@@ -0,0 +1,49 @@
+/**
+ * tools/removeDependency.js
+ * Tool to remove a dependency from a task
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { removeDependencyDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the removeDependency tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRemoveDependencyTool(server) {
+  server.addTool({
+    name: "removeDependency",
+    description: "Remove a dependency from a task",
+    parameters: z.object({
+      id: z
+        .string()
+        .describe(
+          "Task or subtask ID (e.g. 3 or 3.2) to remove dependency from"
+        ),
+      dependsOn: z
+        .string()
+        .describe("Task or subtask ID to remove as a dependency"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Removing dependency ${args.dependsOn} from task ${args.id}`);
+
+        const result = await removeDependencyDirect(args, log);
+
+        return handleApiResult(result, log, "Error removing dependency");
+      } catch (error) {
+        log.error(`Error removing dependency: ${error.message}`);
+        return createErrorResponse(
+          `Error removing dependency: ${error.message}`
+        );
+      }
+    },
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * tools/removeSubtask.js
+ * Tool to remove a subtask from its parent task
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { removeSubtaskDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the removeSubtask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRemoveSubtaskTool(server) {
+  server.addTool({
+    name: "removeSubtask",
+    description: "Remove a subtask from its parent task",
+    parameters: z.object({
+      id: z
+        .string()
+        .describe('Subtask ID to remove in format "parentId.subtaskId"'),
+      convert: z
+        .boolean()
+        .optional()
+        .describe(
+          "Convert the subtask to a standalone task instead of deleting it"
+        ),
+      skipGenerate: z
+        .boolean()
+        .optional()
+        .describe("Skip regenerating task files"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Removing subtask ${args.id}`);
+
+        const result = await removeSubtaskDirect(args, log);
+
+        return handleApiResult(result, log, "Error removing subtask");
+      } catch (error) {
+        log.error(`Error removing subtask: ${error.message}`);
+        return createErrorResponse(`Error removing subtask: ${error.message}`);
+      }
+    },
+  });
+}
@@ -4,11 +4,8 @@
  */
 
 import { z } from "zod";
-import {
-  executeTaskMasterCommand,
-  createContentResponse,
-  createErrorResponse,
-} from "./utils.js";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { setTaskStatusDirect } from "../core/task-master-core.js";
 
 /**
  * Register the setTaskStatus tool with the MCP server
@@ -24,7 +21,21 @@ export function registerSetTaskStatusTool(server) {
         .describe("Task ID (can be comma-separated for multiple tasks)"),
       status: z
         .string()
-        .describe("New status (todo, in-progress, review, done)"),
+        .describe(
+          "New status, one of the statuses of the project's workflow (by default pending, in-progress, review, blocked, deferred, done)"
+        ),
+      fields: z
+        .record(z.string())
+        .optional()
+        .describe(
+          "Field values to set with the status, for statuses whose workflow entry requires them"
+        ),
+      force: z
+        .boolean()
+        .optional()
+        .describe(
+          "Finish a task that has open subtasks, finishing the subtasks with it"
+        ),
       file: z.string().optional().describe("Path to the tasks file"),
       projectRoot: z
         .string()
@@ -36,28 +47,12 @@ export function registerSetTaskStatusTool(server) {
       try {
         log.info(`Setting status of task(s) ${args.id} to: ${args.status}`);
 
-        const cmdArgs = [`--id=${args.id}`, `--status=${args.status}`];
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
-
-        const projectRoot = args.projectRoot;
-
-        const result = executeTaskMasterCommand(
-          "set-status",
-          log,
-          cmdArgs,
-          projectRoot
-        );
-
-        if (!result.success) {
-          throw new Error(result.error);
-        }
+        const result = await setTaskStatusDirect(args, log);
 
-        return createContentResponse(result.stdout);
+        return handleApiResult(result, log, "Error setting task status");
       } catch (error) {
         log.error(`Error setting task status: ${error.message}`);
-        return createErrorResponse(
-          `Error setting task status: ${error.message}`
-        );
+        return createErrorResponse(`Error setting task status: ${error.message}`);
       }
     },
   });
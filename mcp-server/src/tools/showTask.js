@@ -4,11 +4,8 @@
  */
 
 import { z } from "zod";
-import {
-  executeTaskMasterCommand,
-  createContentResponse,
-  createErrorResponse,
-} from "./utils.js";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { showTaskDirect } from "../core/task-master-core.js";
 
 /**
  * Register the showTask tool with the MCP server
@@ -31,23 +28,9 @@ export function registerShowTaskTool(server) {
       try {
         log.info(`Showing task details for ID: ${args.id}`);
 
-        const cmdArgs = [`--id=${args.id}`];
-        if (args.file) cmdArgs.push(`--file=${args.file}`);
+        const result = await showTaskDirect(args, log);
 
-        const projectRoot = args.projectRoot;
-
-        const result = executeTaskMasterCommand(
-          "show",
-          log,
-          cmdArgs,
-          projectRoot
-        );
-
-        if (!result.success) {
-          throw new Error(result.error);
-        }
-
-        return createContentResponse(result.stdout);
+        return handleApiResult(result, log, "Error showing task");
       } catch (error) {
         log.error(`Error showing task: ${error.message}`);
         return createErrorResponse(`Error showing task: ${error.message}`);
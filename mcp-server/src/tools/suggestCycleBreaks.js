@@ -0,0 +1,48 @@
+/**
+ * tools/suggestCycleBreaks.js
+ * Tool to explain dependency cycles and suggest how to break them
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { suggestCycleBreaksDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the suggestCycleBreaks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSuggestCycleBreaksTool(server) {
+  server.addTool({
+    name: "suggestCycleBreaks",
+    description:
+      "Explain each dependency cycle, rank which dependency to cut and propose splitting a task instead. Apply a cut with removeDependency.",
+    parameters: z.object({
+      ai: z
+        .boolean()
+        .optional()
+        .describe(
+          "Let the AI explain the cycles and rank the cuts using the task descriptions"
+        ),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info("Suggesting how to break dependency cycles");
+
+        const result = await suggestCycleBreaksDirect(args, log);
+
+        return handleApiResult(result, log, "Error suggesting cycle breaks");
+      } catch (error) {
+        log.error(`Error suggesting cycle breaks: ${error.message}`);
+        return createErrorResponse(
+          `Error suggesting cycle breaks: ${error.message}`
+        );
+      }
+    },
+  });
+}
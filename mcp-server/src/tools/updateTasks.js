@@ -0,0 +1,53 @@
+/**
+ * tools/updateTasks.js
+ * Tool to update tasks with new context
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { updateTasksDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the updateTasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUpdateTasksTool(server) {
+  server.addTool({
+    name: "updateTasks",
+    description:
+      "Update tasks based on new information or implementation changes",
+    parameters: z.object({
+      from: z
+        .string()
+        .optional()
+        .describe(
+          "Task ID to start updating from (tasks with ID >= this value are updated, default: 1)"
+        ),
+      prompt: z
+        .string()
+        .describe("Prompt explaining the changes or new context"),
+      research: z
+        .boolean()
+        .optional()
+        .describe("Use Perplexity AI for research-backed task updates"),
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info(`Updating tasks from ID ${args.from || 1}`);
+
+        const result = await updateTasksDirect(args, log);
+
+        return handleApiResult(result, log, "Error updating tasks");
+      } catch (error) {
+        log.error(`Error updating tasks: ${error.message}`);
+        return createErrorResponse(`Error updating tasks: ${error.message}`);
+      }
+    },
+  });
+}
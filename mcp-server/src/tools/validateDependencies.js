@@ -0,0 +1,41 @@
+/**
+ * tools/validateDependencies.js
+ * Tool to check task dependencies
+ */
+
+import { z } from "zod";
+import { handleApiResult, createErrorResponse } from "./utils.js";
+import { validateDependenciesDirect } from "../core/task-master-core.js";
+
+/**
+ * Register the validateDependencies tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerValidateDependenciesTool(server) {
+  server.addTool({
+    name: "validateDependencies",
+    description: "Identify invalid dependencies without fixing them",
+    parameters: z.object({
+      file: z.string().optional().describe("Path to the tasks file"),
+      projectRoot: z
+        .string()
+        .describe(
+          "Root directory of the project (default: current working directory)"
+        ),
+    }),
+    execute: async (args, { log }) => {
+      try {
+        log.info("Validating dependencies");
+
+        const result = await validateDependenciesDirect(args, log);
+
+        return handleApiResult(result, log, "Error validating dependencies");
+      } catch (error) {
+        log.error(`Error validating dependencies: ${error.message}`);
+        return createErrorResponse(
+          `Error validating dependencies: ${error.message}`
+        );
+      }
+    },
+  });
+}
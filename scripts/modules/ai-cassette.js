@@ -0,0 +1,181 @@
+/**
+ * ai-cassette.js
+ * Record/replay of AI calls for deterministic, offline runs
+ *
+ * In record mode every AI request and its raw response are written to
+ * <dir>/<purpose>-<hash>.json, keyed by a hash of the prompt. In replay mode
+ * the same request is answered from disk and no provider is contacted.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { CONFIG, log } from "./utils.js";
+
+/**
+ * Configure the cassette mode, usually from the --record/--replay CLI options
+ * @param {Object} options - Cassette options
+ * @param {string} options.record - Directory to record responses into
+ * @param {string} options.replay - Directory to replay responses from
+ */
+function configureCassette({ record, replay } = {}) {
+  if (record && replay) {
+    throw new Error("The --record and --replay options cannot be used together");
+  }
+
+  if (record) {
+    CONFIG.recordDir = record;
+    CONFIG.replayDir = null;
+  } else if (replay) {
+    if (!fs.existsSync(replay)) {
+      throw new Error(`Replay directory not found: ${replay}`);
+    }
+    CONFIG.replayDir = replay;
+    CONFIG.recordDir = null;
+  }
+}
+
+/**
+ * Get the active cassette mode
+ * @returns {{mode: string, dir: string}|null} The active mode, or null when AI calls go straight to the provider
+ */
+function getCassetteMode() {
+  if (CONFIG.replayDir) {
+    return { mode: "replay", dir: CONFIG.replayDir };
+  }
+  if (CONFIG.recordDir) {
+    return { mode: "record", dir: CONFIG.recordDir };
+  }
+  return null;
+}
+
+/**
+ * Compute the cassette key for a request. Only the prompt content is hashed so a
+ * recording can be replayed regardless of the provider or model configured.
+ * @param {Object} request - AI request
+ * @returns {string} Hex sha256 digest
+ */
+function getCassetteKey({ purpose, systemPrompt, prompt }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ purpose: purpose || "", systemPrompt: systemPrompt || "", prompt: prompt || "" }))
+    .digest("hex");
+}
+
+/**
+ * Get the path of the cassette file for a request
+ * @param {string} dir - Cassette directory
+ * @param {Object} request - AI request
+ * @returns {string} Cassette file path
+ */
+function getCassettePath(dir, request) {
+  const purpose = (request.purpose || "ai").replace(/[^a-z0-9-]/gi, "_");
+  return path.join(dir, `${purpose}-${getCassetteKey(request).slice(0, 16)}.json`);
+}
+
+/**
+ * Read a recorded response
+ * @param {string} dir - Cassette directory
+ * @param {Object} request - AI request
+ * @returns {Object|null} The recorded response ({ text, finishReason, safety, raw }) or null when none exists
+ */
+function readCassette(dir, request) {
+  const cassettePath = getCassettePath(dir, request);
+  if (!fs.existsSync(cassettePath)) {
+    return null;
+  }
+
+  const cassette = JSON.parse(fs.readFileSync(cassettePath, "utf8"));
+  return cassette.response;
+}
+
+/**
+ * Write a request and its response to a cassette file
+ * @param {string} dir - Cassette directory
+ * @param {Object} request - AI request
+ * @param {Object} response - Provider response ({ text, raw })
+ * @param {Object} meta - Extra information to store (provider, model, command)
+ * @returns {string} Path of the written cassette
+ */
+function writeCassette(dir, request, response, meta = {}) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const cassettePath = getCassettePath(dir, request);
+  const cassette = {
+    key: getCassetteKey(request),
+    recordedAt: new Date().toISOString(),
+    ...meta,
+    request: {
+      purpose: request.purpose,
+      systemPrompt: request.systemPrompt || "",
+      prompt: request.prompt,
+      temperature: request.temperature,
+      maxTokens: request.maxTokens,
+    },
+    response: {
+      text: response.text,
+      finishReason: response.finishReason || "stop",
+      safety: response.safety || null,
+      raw: toSerializable(response.raw),
+    },
+  };
+
+  fs.writeFileSync(cassettePath, JSON.stringify(cassette, null, 2));
+  return cassettePath;
+}
+
+/**
+ * Convert a raw provider response into plain JSON, dropping anything that can't be serialized
+ * @param {*} raw - Raw provider response
+ * @returns {*} JSON-safe copy or null
+ */
+function toSerializable(raw) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(raw));
+  } catch (error) {
+    log("debug", `Could not serialize raw AI response: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Run an AI call through the active cassette. In replay mode the recorded
+ * response is returned without calling the provider; in record mode the live
+ * response is saved before it is returned.
+ * @param {Object} request - AI request ({ purpose, systemPrompt, prompt, temperature, maxTokens })
+ * @param {Function} callProvider - Performs the live call, resolving to { text, raw }
+ * @param {Object} meta - Extra information stored with recordings
+ * @returns {Promise<Object>} The response ({ text, raw })
+ */
+async function withCassette(request, callProvider, meta = {}) {
+  const cassette = getCassetteMode();
+  if (!cassette) {
+    return callProvider();
+  }
+
+  if (cassette.mode === "replay") {
+    const recorded = readCassette(cassette.dir, request);
+    if (!recorded) {
+      throw new Error(
+        `No recorded AI response for "${request.purpose}" in ${cassette.dir} (expected ${path.basename(
+          getCassettePath(cassette.dir, request)
+        )}). Re-run with --record to capture it.`
+      );
+    }
+    log("debug", `Replaying recorded AI response for ${request.purpose}`);
+    return recorded;
+  }
+
+  const response = await callProvider();
+  const cassettePath = writeCassette(cassette.dir, request, response, meta);
+  log("debug", `Recorded AI response to ${cassettePath}`);
+  return response;
+}
+
+export { configureCassette, getCassetteMode, getCassetteKey, getCassettePath, readCassette, writeCassette, withCassette };
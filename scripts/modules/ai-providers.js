@@ -0,0 +1,392 @@
+/**
+ * ai-providers.js
+ * Pluggable AI provider layer for the Task Master CLI
+ *
+ * Every provider exposes the same shape:
+ *   { name, model, generate({ systemPrompt, prompt, temperature, maxTokens, purpose }) => Promise<{ text, raw, usage, finishReason, safety }> }
+ * where usage is { inputTokens, outputTokens } (null when the backend does not report it),
+ * finishReason is "stop", "length", "safety" or "other", and safety describes a block
+ * ({ source, reason, categories }) or is null.
+ * Clients are created lazily on the first request, so importing this module never
+ * requires an API key.
+ */
+
+import fs from "fs";
+import path from "path";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { CONFIG, log } from "./utils.js";
+
+// Instantiated providers, keyed by "<name>:<model>"
+const providerCache = new Map();
+
+// Gemini finish reasons mapped to the normalized set
+const GEMINI_FINISH_REASONS = {
+  STOP: "stop",
+  MAX_TOKENS: "length",
+  SAFETY: "safety",
+  PROHIBITED_CONTENT: "safety",
+  BLOCKLIST: "safety",
+  SPII: "safety",
+};
+
+/**
+ * Read finish reason, safety block and text from a Gemini response.
+ * response.text() throws for blocked candidates, so blocked responses yield empty text.
+ * @param {Object} response - Gemini GenerateContentResponse
+ * @returns {{text: string, finishReason: string, safety: Object|null}} Normalized result
+ */
+function readGeminiResponse(response) {
+  const candidate = (response.candidates || [])[0];
+  const promptFeedback = response.promptFeedback || {};
+
+  // Categories rated as likely harmful (or that caused the block)
+  const flaggedCategories = (ratings) =>
+    (ratings || [])
+      .filter((rating) => rating.blocked || rating.probability === "HIGH" || rating.probability === "MEDIUM")
+      .map((rating) => String(rating.category).replace(/^HARM_CATEGORY_/, ""));
+
+  if (promptFeedback.blockReason) {
+    return {
+      text: "",
+      finishReason: "safety",
+      safety: { source: "prompt", reason: promptFeedback.blockReason, categories: flaggedCategories(promptFeedback.safetyRatings) },
+    };
+  }
+
+  const rawReason = candidate && candidate.finishReason;
+  const finishReason = rawReason ? GEMINI_FINISH_REASONS[rawReason] || "other" : "stop";
+  if (finishReason === "safety") {
+    return {
+      text: "",
+      finishReason,
+      safety: { source: "response", reason: rawReason, categories: flaggedCategories(candidate.safetyRatings) },
+    };
+  }
+
+  let text = "";
+  try {
+    text = response.text();
+  } catch (error) {
+    log("debug", `Gemini returned no text (finish reason ${rawReason}): ${error.message}`);
+  }
+
+  return { text, finishReason, safety: null };
+}
+
+/**
+ * Create a Gemini provider using the Google Generative AI SDK
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name override
+ * @returns {Object} Provider instance
+ */
+function createGeminiProvider(options = {}) {
+  const model = options.model || CONFIG.model;
+  let client = null;
+
+  return {
+    name: "gemini",
+    model,
+    async generate({ systemPrompt, prompt, temperature, maxTokens }) {
+      if (!client) {
+        const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+        if (!apiKey) {
+          throw new Error("No Gemini API key found. Please set GEMINI_API_KEY or GOOGLE_API_KEY in your environment variables.");
+        }
+        client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+        log("debug", `Initialized Gemini model: ${model}`);
+      }
+
+      const request = {
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens,
+        },
+      };
+      if (systemPrompt) {
+        request.systemInstruction = systemPrompt;
+      }
+
+      const result = await client.generateContent(request);
+      const usage = result.response.usageMetadata;
+      return {
+        ...readGeminiResponse(result.response),
+        raw: result.response,
+        usage: usage ? { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 } : null,
+      };
+    },
+  };
+}
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions endpoint
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name override
+ * @returns {Object} Provider instance
+ */
+function createOpenAIProvider(options = {}) {
+  const model = options.model || process.env.OPENAI_MODEL || "gpt-4o-mini";
+  let client = null;
+
+  return {
+    name: "openai",
+    model,
+    async generate({ systemPrompt, prompt, temperature, maxTokens }) {
+      if (!client) {
+        if (!process.env.OPENAI_API_KEY) {
+          throw new Error("No OpenAI API key found. Please set OPENAI_API_KEY in your environment variables.");
+        }
+        const OpenAI = (await import("openai")).default;
+        client = new OpenAI({
+          apiKey: process.env.OPENAI_API_KEY,
+          baseURL: process.env.OPENAI_BASE_URL || undefined,
+        });
+        log("debug", `Initialized OpenAI-compatible client for model: ${model}`);
+      }
+
+      const messages = [];
+      if (systemPrompt) {
+        messages.push({ role: "system", content: systemPrompt });
+      }
+      messages.push({ role: "user", content: prompt });
+
+      const result = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      });
+
+      const finishReason = { stop: "stop", length: "length", content_filter: "safety" }[result.choices[0].finish_reason] || "other";
+      return {
+        text: result.choices[0].message.content || "",
+        raw: result,
+        usage: result.usage ? { inputTokens: result.usage.prompt_tokens || 0, outputTokens: result.usage.completion_tokens || 0 } : null,
+        finishReason,
+        safety: finishReason === "safety" ? { source: "response", reason: "content_filter", categories: [] } : null,
+      };
+    },
+  };
+}
+
+/**
+ * Create an Anthropic provider using the Messages HTTP API
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name override
+ * @returns {Object} Provider instance
+ */
+function createAnthropicProvider(options = {}) {
+  const model = options.model || process.env.ANTHROPIC_MODEL || "claude-3-7-sonnet-20250219";
+  const baseURL = process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com";
+
+  return {
+    name: "anthropic",
+    model,
+    async generate({ systemPrompt, prompt, temperature, maxTokens }) {
+      if (!process.env.ANTHROPIC_API_KEY) {
+        throw new Error("No Anthropic API key found. Please set ANTHROPIC_API_KEY in your environment variables.");
+      }
+
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [{ role: "user", content: prompt }],
+      };
+      if (systemPrompt) {
+        body.system = systemPrompt;
+      }
+
+      const result = await postJSON(`${baseURL}/v1/messages`, body, {
+        "x-api-key": process.env.ANTHROPIC_API_KEY,
+        "anthropic-version": "2023-06-01",
+      });
+
+      const text = (result.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+
+      const finishReason = { end_turn: "stop", stop_sequence: "stop", max_tokens: "length", refusal: "safety" }[result.stop_reason] || "other";
+      return {
+        text,
+        raw: result,
+        usage: result.usage ? { inputTokens: result.usage.input_tokens || 0, outputTokens: result.usage.output_tokens || 0 } : null,
+        finishReason,
+        safety: finishReason === "safety" ? { source: "response", reason: "refusal", categories: [] } : null,
+      };
+    },
+  };
+}
+
+/**
+ * Create a provider for a local Ollama-style HTTP endpoint
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name override
+ * @returns {Object} Provider instance
+ */
+function createOllamaProvider(options = {}) {
+  const model = options.model || process.env.OLLAMA_MODEL || "llama3";
+  const baseURL = process.env.OLLAMA_BASE_URL || "http://localhost:11434";
+
+  return {
+    name: "ollama",
+    model,
+    async generate({ systemPrompt, prompt, temperature, maxTokens }) {
+      const messages = [];
+      if (systemPrompt) {
+        messages.push({ role: "system", content: systemPrompt });
+      }
+      messages.push({ role: "user", content: prompt });
+
+      const result = await postJSON(`${baseURL}/api/chat`, {
+        model,
+        messages,
+        stream: false,
+        options: { temperature, num_predict: maxTokens },
+      });
+
+      return {
+        text: (result.message && result.message.content) || "",
+        raw: result,
+        usage: result.eval_count !== undefined ? { inputTokens: result.prompt_eval_count || 0, outputTokens: result.eval_count || 0 } : null,
+        finishReason: result.done_reason === "length" ? "length" : "stop",
+        safety: null,
+      };
+    },
+  };
+}
+
+/**
+ * Create an offline provider that answers from canned response files.
+ * Responses are looked up as <dir>/<purpose>.json, <dir>/<purpose>.txt, then <dir>/default.txt
+ * @param {Object} options - Provider options
+ * @param {string} options.dir - Fixture directory override
+ * @returns {Object} Provider instance
+ */
+function createFixtureProvider(options = {}) {
+  const dir = options.dir || CONFIG.fixtureDir;
+
+  return {
+    name: "fixture",
+    model: "fixture",
+    async generate({ purpose }) {
+      if (!dir) {
+        throw new Error("The fixture provider needs a response directory. Please set AI_FIXTURE_DIR in your environment variables.");
+      }
+
+      const candidates = [`${purpose}.json`, `${purpose}.txt`, "default.txt"].map((file) => path.join(dir, file));
+      const fixturePath = candidates.find((candidate) => fs.existsSync(candidate));
+      if (!fixturePath) {
+        throw new Error(`No fixture response found for "${purpose}" in ${dir}`);
+      }
+
+      log("debug", `Serving fixture response from ${fixturePath}`);
+      return { text: fs.readFileSync(fixturePath, "utf8"), raw: null, usage: null, finishReason: "stop", safety: null };
+    },
+  };
+}
+
+// Registered provider factories, keyed by the name used in CONFIG
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  ollama: createOllamaProvider,
+  fixture: createFixtureProvider,
+};
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function postJSON(url, body, headers = {}) {
+  // fetch is only built into Node 18 and later
+  if (typeof fetch !== "function") {
+    throw new Error(`This AI provider requires Node 18 or later (running ${process.version}). Please upgrade Node.`);
+  }
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Request to ${url} failed with status ${response.status}: ${errorText}`);
+    error.status = response.status;
+    error.retryAfter = response.headers.get("retry-after");
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Get the provider name configured for a command
+ * @param {string} command - CLI command name (e.g. "parse-prd", "expand")
+ * @returns {string} Provider name
+ */
+function resolveProviderName(command) {
+  return (command && CONFIG.commandProviders[command]) || CONFIG.aiProvider;
+}
+
+/**
+ * Get the provider to use for a command, creating it on first use
+ * @param {string} command - CLI command name
+ * @param {Object} options - Provider options (e.g. model override)
+ * @returns {Object} Provider instance
+ */
+function getProvider(command, options = {}) {
+  const name = resolveProviderName(command);
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider "${name}". Available providers: ${Object.keys(PROVIDER_FACTORIES).join(", ")}`);
+  }
+
+  const cacheKey = `${name}:${options.model || ""}`;
+  if (!providerCache.has(cacheKey)) {
+    providerCache.set(cacheKey, factory(options));
+  }
+
+  return providerCache.get(cacheKey);
+}
+
+/**
+ * Register (or replace) a provider factory
+ * @param {string} name - Provider name used in CONFIG
+ * @param {Function} factory - Function returning a provider instance
+ */
+function registerProvider(name, factory) {
+  PROVIDER_FACTORIES[name] = factory;
+  for (const key of providerCache.keys()) {
+    if (key.startsWith(`${name}:`)) {
+      providerCache.delete(key);
+    }
+  }
+}
+
+/**
+ * Get the names of all registered providers
+ * @returns {string[]} Provider names
+ */
+function listProviders() {
+  return Object.keys(PROVIDER_FACTORIES);
+}
+
+export {
+  readGeminiResponse,
+  createGeminiProvider,
+  createOpenAIProvider,
+  createAnthropicProvider,
+  createOllamaProvider,
+  createFixtureProvider,
+  resolveProviderName,
+  getProvider,
+  registerProvider,
+  listProviders,
+};
@@ -0,0 +1,370 @@
+/**
+ * ai-resilience.js
+ * Retry, backoff, rate-limit and circuit-breaker handling for AI provider calls
+ *
+ * Every live provider call goes through withResilience(), which:
+ *   - classifies failures into an AIServiceError (auth, quota, rate-limit, overloaded, safety, invalid-model, network)
+ *   - retries rate-limit, overload and network failures with exponential backoff and jitter,
+ *     waiting for the server's retry-after hint when one is given
+ *   - opens a per-provider circuit after repeated transient failures so the remaining calls fail fast
+ */
+
+import { CONFIG, log } from "./utils.js";
+
+// Environment variables holding each provider's API key, used in auth error hints
+const API_KEY_VARIABLES = {
+  gemini: "GEMINI_API_KEY",
+  openai: "OPENAI_API_KEY",
+  anthropic: "ANTHROPIC_API_KEY",
+  perplexity: "PERPLEXITY_API_KEY",
+};
+
+// Error types that are worth retrying
+const RETRYABLE_TYPES = ["rate-limit", "overloaded", "network"];
+
+// Circuit state per provider: { failures, openedAt }
+const circuits = new Map();
+
+/**
+ * Error raised for a failed AI call, with a classification the CLI can act on
+ */
+class AIServiceError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Error details
+   * @param {string} details.type - auth, quota, rate-limit, overloaded, safety, invalid-model, network, circuit-open or unknown
+   * @param {string} details.provider - Provider name
+   * @param {number} details.status - HTTP status, if known
+   * @param {number} details.retryAfterMs - Server-requested wait before retrying, if any
+   * @param {Error} details.cause - Original error
+   * @param {Object} details.safety - Safety block details ({ source, reason, categories }) for safety errors
+   */
+  constructor(message, { type, provider = null, status = null, retryAfterMs = null, cause = null, safety = null } = {}) {
+    super(message);
+    this.name = "AIServiceError";
+    this.type = type;
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = RETRYABLE_TYPES.includes(type);
+    this.cause = cause;
+    this.safety = safety;
+  }
+}
+
+/**
+ * Find the HTTP status of a provider error
+ * @param {Error} error - Provider error
+ * @returns {number|null} Status code
+ */
+function getErrorStatus(error) {
+  if (typeof error.status === "number") {
+    return error.status;
+  }
+  if (error.response && typeof error.response.status === "number") {
+    return error.response.status;
+  }
+
+  // The Gemini SDK puts the status in the message, e.g. "[429 Too Many Requests]"
+  const match = (error.message || "").match(/\[(\d{3})[^\]]*\]|status (\d{3})/);
+  return match ? parseInt(match[1] || match[2], 10) : null;
+}
+
+/**
+ * Convert a retry-after value (seconds, "37s", or an HTTP date) to milliseconds
+ * @param {string|number} value - Raw retry-after value
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+
+  const seconds = parseFloat(String(value).replace(/s$/, ""));
+  if (!isNaN(seconds) && /^\s*[\d.]+s?\s*$/.test(String(value))) {
+    return Math.round(seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Find the server's retry-after hint on a provider error
+ * @param {Error} error - Provider error
+ * @returns {number|null} Delay in milliseconds
+ */
+function getRetryAfterMs(error) {
+  if (error.retryAfter !== undefined) {
+    return parseRetryAfter(error.retryAfter);
+  }
+
+  const headers = error.headers || (error.response && error.response.headers);
+  if (headers) {
+    const value = typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+    if (value) {
+      return parseRetryAfter(value);
+    }
+  }
+
+  // Gemini reports google.rpc.RetryInfo in errorDetails
+  const retryInfo = (error.errorDetails || []).find((detail) => detail && detail.retryDelay);
+  if (retryInfo) {
+    return parseRetryAfter(retryInfo.retryDelay);
+  }
+
+  const match = (error.message || "").match(/retry in ([\d.]+)\s*s/i);
+  return match ? parseRetryAfter(match[1]) : null;
+}
+
+/**
+ * Classify a provider error
+ * @param {Error} error - Provider error
+ * @param {Object} context - Call context
+ * @param {string} context.provider - Provider name
+ * @param {string} context.model - Model name
+ * @returns {AIServiceError} Classified error (returned unchanged if already classified)
+ */
+function classifyError(error, { provider = null, model = null } = {}) {
+  if (error instanceof AIServiceError) {
+    return error;
+  }
+
+  const status = getErrorStatus(error);
+  const message = error.message || String(error);
+  const label = provider || "AI provider";
+  let type = "unknown";
+
+  if (/SAFETY|blocked due to|PROHIBITED_CONTENT|blockReason|content_filter|content filter/i.test(message)) {
+    type = "safety";
+  } else if (status === 401 || status === 403 || /API key not valid|invalid.{0,10}api.?key|no .* api key found|PERMISSION_DENIED|unauthorized/i.test(message)) {
+    type = "auth";
+  } else if (status === 404 || /model.{0,40}not (found|supported)|model_not_found|unknown model|invalid model/i.test(message)) {
+    type = "invalid-model";
+  } else if (status === 429 || /RESOURCE_EXHAUSTED|too many requests|rate.?limit/i.test(message)) {
+    type = /per.?day|daily|insufficient_quota|billing|exceeded your current quota/i.test(message) ? "quota" : "rate-limit";
+  } else if ([500, 502, 503, 504, 529].includes(status) || /overloaded|UNAVAILABLE|service unavailable/i.test(message)) {
+    type = "overloaded";
+  } else if (/ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|fetch failed|socket hang up|network/i.test(message)) {
+    type = "network";
+  }
+
+  const hints = {
+    auth: `${label} rejected the request as unauthorized. Check ${API_KEY_VARIABLES[provider] || "the API key"} in your environment.`,
+    quota: `${label} quota is exhausted. Wait for it to reset or check your plan and billing.`,
+    "rate-limit": `${label} rate limit reached. Try again later or lower AI_CONCURRENCY.`,
+    overloaded: `${label} is overloaded or unavailable. Try again later.`,
+    safety: `${label} blocked the response with its safety filters. Rephrase the content and try again.`,
+    "invalid-model": `${label} does not recognise the model${model ? ` "${model}"` : ""}. Check the MODEL setting for this provider.`,
+    network: `Could not reach ${label}. Check your network connection or the provider's base URL.`,
+    unknown: `${label} request failed.`,
+  };
+
+  return new AIServiceError(`${hints[type]} (${message})`, {
+    type,
+    provider,
+    status,
+    retryAfterMs: getRetryAfterMs(error),
+    cause: error,
+  });
+}
+
+/**
+ * Compute the backoff before a retry
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {number} options.maxDelayMs - Upper bound for the delay
+ * @param {Function} options.random - Random number source (0-1)
+ * @returns {number} Delay in milliseconds, randomly between half and all of the exponential ceiling
+ */
+function getBackoffDelay(attempt, { baseDelayMs = CONFIG.retryBaseDelayMs, maxDelayMs = CONFIG.retryMaxDelayMs, random = Math.random } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + (random() * ceiling) / 2);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the circuit state of a provider
+ * @param {string} provider - Provider name
+ * @returns {Object} Circuit state ({ failures, openedAt })
+ */
+function getCircuit(provider) {
+  if (!circuits.has(provider)) {
+    circuits.set(provider, { failures: 0, openedAt: null });
+  }
+  return circuits.get(provider);
+}
+
+/**
+ * Throw if the provider's circuit is open. After the cooldown one trial call is let through.
+ * @param {string} provider - Provider name
+ */
+function checkCircuit(provider) {
+  const circuit = getCircuit(provider);
+  if (circuit.openedAt === null) {
+    return;
+  }
+
+  const remainingMs = circuit.openedAt + CONFIG.circuitBreakerCooldownMs - Date.now();
+  if (remainingMs > 0) {
+    throw new AIServiceError(
+      `${provider} failed ${circuit.failures} times in a row; skipping calls for another ${Math.ceil(remainingMs / 1000)}s. Try again later.`,
+      { type: "circuit-open", provider }
+    );
+  }
+
+  log("info", `Retrying ${provider} after circuit cooldown`);
+}
+
+/**
+ * Update the provider's circuit after a call
+ * @param {string} provider - Provider name
+ * @param {AIServiceError|null} error - Classified error, or null on success
+ */
+function updateCircuit(provider, error) {
+  const circuit = getCircuit(provider);
+  if (!error) {
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    return;
+  }
+
+  // Only transient failures say anything about the provider's health
+  if (!error.retryable) {
+    return;
+  }
+
+  circuit.failures++;
+  if (circuit.failures >= CONFIG.circuitBreakerThreshold) {
+    if (circuit.openedAt === null) {
+      log("warn", `Opening circuit for ${provider} after ${circuit.failures} consecutive failures`);
+    }
+    circuit.openedAt = Date.now();
+  }
+}
+
+/**
+ * Reset circuit state (all providers, or one)
+ * @param {string} provider - Provider name to reset
+ */
+function resetCircuits(provider) {
+  if (provider) {
+    circuits.delete(provider);
+  } else {
+    circuits.clear();
+  }
+}
+
+/**
+ * Run a provider call with classification, retries and the circuit breaker
+ * @param {Object} context - Call context
+ * @param {string} context.provider - Provider name (one circuit per provider)
+ * @param {string} context.model - Model name
+ * @param {string} context.purpose - What the call is for (used in log messages)
+ * @param {Function} callProvider - Performs the call
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Retries after the first attempt (defaults to CONFIG.maxRetries)
+ * @param {Function} options.sleep - Delay function (overridable in tests)
+ * @param {Function} options.random - Random number source for jitter
+ * @returns {Promise<*>} Result of callProvider
+ */
+async function withResilience(context, callProvider, options = {}) {
+  const { provider = "AI provider", purpose } = context;
+  const maxRetries = options.maxRetries === undefined ? CONFIG.maxRetries : options.maxRetries;
+  const wait = options.sleep || sleep;
+
+  for (let attempt = 1; ; attempt++) {
+    checkCircuit(provider);
+
+    try {
+      const result = await callProvider();
+      updateCircuit(provider, null);
+      return result;
+    } catch (rawError) {
+      const error = classifyError(rawError, context);
+      updateCircuit(provider, error);
+
+      if (!error.retryable || attempt > maxRetries) {
+        throw error;
+      }
+
+      // A retry-after longer than we are willing to wait means the limit will not clear in time
+      if (error.retryAfterMs !== null && error.retryAfterMs > CONFIG.retryMaxDelayMs) {
+        throw error;
+      }
+
+      const delay = error.retryAfterMs !== null ? error.retryAfterMs : getBackoffDelay(attempt, { random: options.random });
+      log(
+        "warn",
+        `${provider} ${error.type} error${purpose ? ` during ${purpose}` : ""} (attempt ${attempt}/${maxRetries + 1}). Retrying in ${(delay / 1000).toFixed(1)}s...`
+      );
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Create a limiter that runs at most `limit` async functions at once
+ * @param {number} limit - Maximum concurrent calls
+ * @returns {Function} run(fn) => Promise resolving to fn's result
+ */
+function createConcurrencyLimiter(limit) {
+  const maxActive = Math.max(1, limit || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= maxActive || queue.length === 0) {
+      return;
+    }
+
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Map over items with an async function, at most `limit` at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+function mapWithConcurrency(items, limit, fn) {
+  const run = createConcurrencyLimiter(limit);
+  return Promise.all(items.map((item, index) => run(() => fn(item, index))));
+}
+
+export {
+  AIServiceError,
+  classifyError,
+  parseRetryAfter,
+  getRetryAfterMs,
+  getBackoffDelay,
+  withResilience,
+  resetCircuits,
+  createConcurrencyLimiter,
+  mapWithConcurrency,
+};
@@ -3,46 +3,177 @@
  * AI service interactions for the Task Master CLI
  */
 
-// NOTE/TODO: Include the beta header output-128k-2025-02-19 in your API request to increase the maximum output token length to 128k tokens for Claude 3.7 Sonnet.
-
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { CONFIG, log } from "./utils.js";
 import { startLoadingIndicator, stopLoadingIndicator } from "./ui.js";
+import { getProvider } from "./ai-providers.js";
+import { withCassette } from "./ai-cassette.js";
+import { withUsageTracking } from "./usage-tracker.js";
+import { AIServiceError, withResilience } from "./ai-resilience.js";
+import { PRD_RESPONSE_SCHEMA, SUBTASK_LIST_SCHEMA, CYCLE_BREAK_SCHEMA, parseStructuredResponse, buildRepairPrompt } from "./structured-output.js";
+
+/**
+ * Build the prompt that asks the model to continue a response cut off by the token limit
+ * @param {string} prompt - Original user prompt
+ * @param {string} partialText - Text generated so far
+ * @returns {string} Continuation prompt
+ */
+function buildContinuationPrompt(prompt, partialText) {
+  return `${prompt}
+
+Your previous response was cut off because it reached the output token limit. This is what you have written so far:
+
+${partialText}
+
+Continue exactly where the response stops. Do not repeat any of the text above, do not start over and do not add commentary.`;
+}
+
+/**
+ * Append a continuation to a partial response, dropping a repeated code fence or overlap
+ * @param {string} partialText - Text generated so far
+ * @param {string} continuation - Text of the continuation
+ * @returns {string} Joined text
+ */
+function joinContinuation(partialText, continuation) {
+  let next = continuation;
+
+  // Models often reopen the code block they were writing
+  if (/^\s*```/.test(next) && /```/.test(partialText)) {
+    next = next.replace(/^\s*```[a-z]*\s*\n?/i, "");
+  }
+
+  // Drop text the model repeated from the end of the partial response
+  for (let length = Math.min(200, partialText.length, next.length); length >= 10; length--) {
+    if (partialText.endsWith(next.slice(0, length))) {
+      next = next.slice(length);
+      break;
+    }
+  }
+
+  return partialText + next;
+}
+
+/**
+ * Generate text through the AI provider configured for a command.
+ * Calls are recorded or replayed when --record/--replay is active; live calls are retried on
+ * rate-limit and overload errors and fail with a classified AIServiceError.
+ * Responses cut off by the token limit are continued up to CONFIG.maxContinuations times,
+ * and safety-blocked responses fail with an AIServiceError of type "safety".
+ * @param {Object} options - Generation options
+ * @param {string} options.command - CLI command the call belongs to (selects the provider)
+ * @param {string} options.purpose - What the call is for (e.g. "parse-prd", "research")
+ * @param {string} options.systemPrompt - Optional system prompt
+ * @param {string} options.prompt - User prompt
+ * @param {number} options.temperature - Sampling temperature (defaults to CONFIG.temperature)
+ * @param {number} options.maxTokens - Maximum output tokens (defaults to CONFIG.maxTokens)
+ * @param {string} options.model - Optional model override
+ * @param {string|number} options.taskId - Task the call is made for (recorded in the usage ledger)
+ * @returns {Promise<string>} The generated text
+ */
+async function generateText({
+  command,
+  purpose,
+  systemPrompt = "",
+  prompt,
+  temperature = CONFIG.temperature,
+  maxTokens = CONFIG.maxTokens,
+  model,
+  taskId = null,
+}) {
+  const provider = getProvider(command, { model });
+  const callPurpose = purpose || command;
+
+  const callOnce = (userPrompt) => {
+    const request = { systemPrompt, prompt: userPrompt, temperature, maxTokens, purpose: callPurpose };
+    return withCassette(
+      request,
+      () => {
+        log("debug", `Calling ${provider.name} (${provider.model}) for ${callPurpose}`);
+        return withResilience({ provider: provider.name, model: provider.model, purpose: callPurpose }, () =>
+          withUsageTracking({ command, purpose: callPurpose, taskId, provider: provider.name, model: provider.model }, () =>
+            provider.generate(request)
+          )
+        );
+      },
+      { command, provider: provider.name, model: provider.model }
+    );
+  };
+
+  let result = await callOnce(prompt);
+  let text = result.text || "";
+
+  for (let continuation = 1; result.finishReason === "length"; continuation++) {
+    if (continuation > CONFIG.maxContinuations) {
+      log("warn", `The ${callPurpose} response is still truncated after ${CONFIG.maxContinuations} continuation(s); using the partial output`);
+      break;
+    }
 
-// Debug logging for environment variables
-log("debug", "Environment variables:");
-log("debug", `GEMINI_API_KEY exists: ${!!process.env.GEMINI_API_KEY}`);
-log("debug", `GOOGLE_API_KEY exists: ${!!process.env.GOOGLE_API_KEY}`);
-log("debug", `MODEL: ${process.env.MODEL}`);
-log("debug", `CONFIG.model: ${CONFIG.model}`);
-
-// Initialize Gemini client
-const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
-if (!apiKey) {
-  throw new Error("No Gemini API key found. Please set GEMINI_API_KEY or GOOGLE_API_KEY in your environment variables.");
+    log("warn", `The ${callPurpose} response hit the output token limit; asking ${provider.name} to continue (${continuation}/${CONFIG.maxContinuations})`);
+    result = await callOnce(buildContinuationPrompt(prompt, text));
+    text = joinContinuation(text, result.text || "");
+  }
+
+  if (result.finishReason === "safety") {
+    const safety = result.safety || { source: "response", reason: null, categories: [] };
+    const categories = safety.categories && safety.categories.length > 0 ? ` (${safety.categories.join(", ")})` : "";
+    throw new AIServiceError(
+      `${provider.name} blocked the ${safety.source === "prompt" ? "prompt" : "response"} for ${callPurpose}${
+        taskId !== null ? ` of task ${taskId}` : ""
+      } with its safety filters${categories}. Rephrase the content and try again.`,
+      { type: "safety", provider: provider.name, safety }
+    );
+  }
+
+  return text;
 }
 
-const genAI = new GoogleGenerativeAI(apiKey);
-
-// Validate and initialize model
-let geminiModel;
-try {
-  geminiModel = genAI.getGenerativeModel({ model: CONFIG.model });
-  log("debug", `Initialized Gemini model: ${CONFIG.model}`);
-} catch (error) {
-  log("error", `Error initializing Gemini model: ${error.message}`);
-  log("error", "Available models: gemini-1.5-pro, gemini-1.5-pro-latest, gemini-1.5-pro-vision");
-  throw error;
+/**
+ * Generate a JSON response that satisfies a schema. Invalid responses are sent back to
+ * the model together with the validation errors, up to CONFIG.maxRepairAttempts times.
+ * @param {Object} options - Same options as generateText, plus:
+ * @param {Object} options.schema - Schema the parsed response must satisfy
+ * @returns {Promise<*>} The parsed and validated response
+ */
+async function generateStructured({ schema, ...request }) {
+  const maxAttempts = Math.max(0, CONFIG.maxRepairAttempts) + 1;
+  let prompt = request.prompt;
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const responseText = await generateText({ ...request, prompt });
+
+    try {
+      const { data, repaired } = parseStructuredResponse(responseText, schema);
+      if (repaired) {
+        log("warn", `Recovered a truncated ${request.purpose || request.command} response; trailing incomplete items were dropped`);
+      }
+      return data;
+    } catch (error) {
+      lastError = error;
+      if (attempt < maxAttempts) {
+        log("warn", `Invalid ${request.purpose || request.command} response (attempt ${attempt}/${maxAttempts}): ${error.message}. Asking the model to fix it...`);
+        prompt = buildRepairPrompt(request.prompt, responseText, error.validationErrors || [error.message]);
+      }
+    }
+  }
+
+  throw new Error(`Could not get a valid response from the AI after ${maxAttempts} attempt(s): ${lastError.message}`);
 }
 
 /**
- * Call Gemini API with streaming
+ * Generate tasks from a PRD using the provider configured for parse-prd
  * @param {string} prdContent - The PRD content to analyze
  * @param {string} prdPath - Path to the PRD file
  * @param {number} numTasks - Number of tasks to generate
- * @returns {Promise<string>} The generated response
+ * @param {Object} options - Options used when the PRD is processed in chunks
+ * @param {number} options.startId - ID of the first task to generate (default 1)
+ * @param {Object[]} options.previousTasks - Tasks generated from earlier chunks, offered as dependency targets
+ * @param {Object} options.chunk - Position of this chunk ({ index, total, headings })
+ * @returns {Promise<Object>} The validated response ({ tasks, metadata })
  */
-async function callGemini(prdContent, prdPath, numTasks) {
+async function callGemini(prdContent, prdPath, numTasks, options = {}) {
+  const { startId = 1, previousTasks = [], chunk = null } = options;
+  const lastId = startId + numTasks - 1;
+
   try {
     const systemPrompt = `You are an AI assistant helping to break down a Product Requirements Document (PRD) into a set of sequential development tasks. 
 Your goal is to create ${numTasks} well-structured, actionable development tasks based on the PRD provided.
@@ -60,7 +191,7 @@ Each task should follow this JSON structure:
 }
 
 Guidelines:
-1. Create exactly ${numTasks} tasks, numbered from 1 to ${numTasks}
+1. Create exactly ${numTasks} tasks, numbered from ${startId} to ${lastId}
 2. Each task should be atomic and focused on a single responsibility
 3. Order tasks logically - consider dependencies and implementation sequence
 4. Early tasks should focus on setup, core functionality first, then advanced features
@@ -90,32 +221,50 @@ Expected output format:
 
 Important: Your response must be valid JSON only, with no additional explanation or comments.`;
 
-    const userPrompt = `Please analyze this PRD and generate ${numTasks} sequential development tasks:
+    let userPrompt = `Please analyze this PRD and generate ${numTasks} sequential development tasks:
 
 ${prdContent}`;
 
-    const result = await geminiModel.generateContent({
-      contents: [{ role: "user", parts: [{ text: userPrompt }] }],
-      generationConfig: {
-        temperature: CONFIG.temperature,
-        maxOutputTokens: CONFIG.maxTokens,
-      },
-      systemInstruction: systemPrompt,
-    });
+    if (chunk) {
+      const previousList = previousTasks.length
+        ? previousTasks.map((task) => `- Task ${task.id}: ${task.title}`).join("\n")
+        : "None yet.";
+
+      userPrompt = `This is part ${chunk.index + 1} of ${chunk.total} of a larger PRD${
+        chunk.headings.length ? ` (sections: ${chunk.headings.join(", ")})` : ""
+      }. Tasks for the other parts are generated separately.
 
-    return result.response.text();
+Tasks already generated from earlier parts (your tasks may depend on these IDs):
+${previousList}
+
+Please analyze this part of the PRD and generate ${numTasks} sequential development tasks, numbered from ${startId} to ${lastId}. Do not repeat tasks that are already listed above:
+
+${prdContent}`;
+    }
+
+    return await generateStructured({
+      command: "parse-prd",
+      purpose: "parse-prd",
+      schema: PRD_RESPONSE_SCHEMA,
+      systemPrompt,
+      prompt: userPrompt,
+    });
   } catch (error) {
-    log("error", `Error calling Gemini API: ${error.message}`);
+    log("error", `Error calling AI provider: ${error.message}`);
     throw error;
   }
 }
 
+// Extra response field requested when the user asks for effort estimates
+const ESTIMATE_FIELD_PROMPT = '"estimatedHours": number (realistic hours of focused work for one developer)';
+
 /**
  * Generate a prompt for task complexity analysis
  * @param {Object[]} tasks - Array of tasks to analyze
+ * @param {Object} options - { estimate } to also ask for an effort estimate per task
  * @returns {string} The generated prompt
  */
-function generateComplexityAnalysisPrompt(tasksData) {
+function generateComplexityAnalysisPrompt(tasksData, options = {}) {
   return `Analyze the complexity of the following tasks and provide recommendations for subtask breakdown:
 
 ${tasksData.tasks
@@ -139,7 +288,7 @@ Analyze each task and return a JSON array with the following structure for each
     "complexityScore": number (1-10),
     "recommendedSubtasks": number (${Math.max(3, CONFIG.defaultSubtasks - 1)}-${Math.min(8, CONFIG.defaultSubtasks + 2)}),
     "expansionPrompt": string (a specific prompt for generating good subtasks),
-    "reasoning": string (brief explanation of your assessment)
+    "reasoning": string (brief explanation of your assessment)${options.estimate ? `,\n    ${ESTIMATE_FIELD_PROMPT}` : ""}
   },
   ...
 ]
@@ -149,40 +298,41 @@ IMPORTANT: Make sure to include an analysis for EVERY task listed above, with th
 }
 
 /**
- * Generate subtasks with research using Gemini
+ * Generate research-backed subtasks using the provider configured for expand
  * @param {Object} task - The task to generate subtasks for
  * @param {number} numSubtasks - Number of subtasks to generate
  * @param {number} nextSubtaskId - Next available subtask ID
  * @param {string} additionalContext - Additional context for generation
+ * @param {Object} options - { estimate } to also ask for an effort estimate per subtask
  * @returns {Promise<Array>} Array of generated subtasks
  */
-async function generateSubtasksWithGeminiWithResearch(task, numSubtasks = 3, nextSubtaskId = 1, additionalContext = "") {
+async function generateSubtasksWithGeminiWithResearch(task, numSubtasks = 3, nextSubtaskId = 1, additionalContext = "", options = {}) {
   try {
     // First, perform research to get context
     log("info", `Researching context for task ${task.id}: ${task.title}`);
 
-    const researchLoadingIndicator = startLoadingIndicator("Researching best practices with Gemini AI...");
+    const researchLoadingIndicator = startLoadingIndicator("Researching best practices...");
 
     // Formulate research query based on task
     const researchQuery = `I need to implement "${task.title}" which involves: "${task.description}". 
 What are current best practices, libraries, design patterns, and implementation approaches? 
 Include concrete code examples and technical considerations where relevant.`;
 
-    // Query Gemini for research
-    const researchResponse = await geminiModel.generateContent({
-      contents: [{ role: "user", parts: [{ text: researchQuery }] }],
-      generationConfig: {
+    let researchResult;
+    try {
+      researchResult = await generateText({
+        command: "expand",
+        purpose: "research",
+        taskId: task.id,
+        prompt: researchQuery,
         temperature: 0.1, // Lower temperature for more factual responses
-        maxOutputTokens: CONFIG.maxTokens,
-      },
-    });
-
-    const researchResult = researchResponse.response.text();
-
-    stopLoadingIndicator(researchLoadingIndicator);
+      });
+    } finally {
+      stopLoadingIndicator(researchLoadingIndicator);
+    }
     log("info", "Research completed, now generating subtasks with additional context");
 
-    // Use the research result as additional context for Gemini to generate subtasks
+    // Use the research result as additional context when generating subtasks
     const combinedContext = `
 RESEARCH FINDINGS:
 ${researchResult}
@@ -191,11 +341,8 @@ ADDITIONAL CONTEXT PROVIDED BY USER:
 ${additionalContext || "No additional context provided."}
 `;
 
-    // Now generate subtasks with Gemini
+    // Now generate the subtasks
     const loadingIndicator = startLoadingIndicator(`Generating research-backed subtasks for task ${task.id}...`);
-    let streamingInterval = null;
-    let responseText = "";
-
     const systemPrompt = `You are an AI assistant helping with task breakdown for software development.
 You need to break down a high-level task into ${numSubtasks} specific subtasks that can be implemented one by one.
 
@@ -234,7 +381,7 @@ Return exactly ${numSubtasks} subtasks with the following JSON structure:
     "title": "First subtask title",
     "description": "Detailed description incorporating research",
     "dependencies": [], 
-    "details": "Implementation details with best practices"
+    "details": "Implementation details with best practices"${options.estimate ? `,\n    ${ESTIMATE_FIELD_PROMPT}` : ""}
   },
   ...more subtasks...
 ]
@@ -242,60 +389,21 @@ Return exactly ${numSubtasks} subtasks with the following JSON structure:
 Note on dependencies: Subtasks can depend on other subtasks with lower IDs. Use an empty array if there are no dependencies.`;
 
     try {
-      // Update loading indicator to show streaming progress
-      let dotCount = 0;
-      const readline = await import("readline");
-      streamingInterval = setInterval(() => {
-        readline.cursorTo(process.stdout, 0);
-        process.stdout.write(`Generating research-backed subtasks for task ${task.id}${".".repeat(dotCount)}`);
-        dotCount = (dotCount + 1) % 4;
-      }, 500);
-
-      // Use Gemini API call
-      const stream = await geminiModel.generateContent({
-        contents: [{ role: "user", parts: [{ text: userPrompt }] }],
-        generationConfig: {
-          temperature: CONFIG.temperature,
-          maxOutputTokens: CONFIG.maxTokens,
-        },
-        systemInstruction: systemPrompt,
+      const subtasks = await generateStructured({
+        command: "expand",
+        purpose: "expand-research",
+        taskId: task.id,
+        schema: SUBTASK_LIST_SCHEMA,
+        systemPrompt,
+        prompt: userPrompt,
       });
 
-      // Process the stream
-      for await (const chunk of stream) {
-        if (chunk.type === "content_block_delta" && chunk.delta.text) {
-          responseText += chunk.delta.text;
-        }
-      }
-
-      if (streamingInterval) clearInterval(streamingInterval);
       stopLoadingIndicator(loadingIndicator);
 
       log("info", `Completed generating research-backed subtasks for task ${task.id}`);
 
-      // Extract JSON from response
-      const jsonStart = responseText.indexOf("[");
-      const jsonEnd = responseText.lastIndexOf("]");
-
-      if (jsonStart === -1 || jsonEnd === -1) {
-        throw new Error("Could not find valid JSON array in Gemini's response");
-      }
-
-      const jsonText = responseText.substring(jsonStart, jsonEnd + 1);
-      const subtasks = JSON.parse(jsonText);
-
-      // Validate subtasks
-      if (!Array.isArray(subtasks)) {
-        throw new Error("Generated subtasks is not an array");
-      }
-
-      if (subtasks.length === 0) {
-        throw new Error("No subtasks were generated");
-      }
-
       return subtasks;
     } catch (error) {
-      if (streamingInterval) clearInterval(streamingInterval);
       stopLoadingIndicator(loadingIndicator);
       throw error;
     }
@@ -306,14 +414,15 @@ Note on dependencies: Subtasks can depend on other subtasks with lower IDs. Use
 }
 
 /**
- * Generate subtasks with Gemini
+ * Generate subtasks using the provider configured for expand
  * @param {Object} task - The task to generate subtasks for
  * @param {number} numSubtasks - Number of subtasks to generate
  * @param {number} nextSubtaskId - Next available subtask ID
  * @param {string} additionalContext - Additional context for generation
+ * @param {Object} options - { estimate } to also ask for an effort estimate per subtask
  * @returns {Promise<Array>} Array of generated subtasks
  */
-async function generateSubtasksWithGemini(task, numSubtasks, nextSubtaskId, additionalContext = "") {
+async function generateSubtasksWithGemini(task, numSubtasks, nextSubtaskId, additionalContext = "", options = {}) {
   try {
     log("info", `Generating ${numSubtasks} subtasks for task ${task.id}: ${task.title}`);
 
@@ -342,56 +451,103 @@ Return the subtasks as a valid JSON array in this format:
     "description": "string",
     "status": "pending",
     "dependencies": [number],
-    "acceptanceCriteria": "string"
+    "acceptanceCriteria": "string"${options.estimate ? `,\n    ${ESTIMATE_FIELD_PROMPT}` : ""}
   }
 ]
 
 IMPORTANT: Return ONLY the JSON array, nothing else.`;
 
     try {
-      // Use Gemini API call
-      const result = await geminiModel.generateContent({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: CONFIG.temperature,
-          maxOutputTokens: CONFIG.maxTokens,
-        },
+      const subtasks = await generateStructured({
+        command: "expand",
+        purpose: "expand",
+        taskId: task.id,
+        schema: SUBTASK_LIST_SCHEMA,
+        prompt,
       });
-
-      const responseText = result.response.text();
       stopLoadingIndicator(loadingIndicator);
 
       log("info", `Completed generating subtasks for task ${task.id}`);
 
-      // Extract JSON from response
-      const jsonStart = responseText.indexOf("[");
-      const jsonEnd = responseText.lastIndexOf("]");
-
-      if (jsonStart === -1 || jsonEnd === -1) {
-        throw new Error("Could not find valid JSON array in Gemini's response");
-      }
-
-      const jsonText = responseText.substring(jsonStart, jsonEnd + 1);
-      const subtasks = JSON.parse(jsonText);
-
-      // Validate subtasks
-      if (!Array.isArray(subtasks)) {
-        throw new Error("Generated subtasks is not an array");
-      }
-
-      if (subtasks.length === 0) {
-        throw new Error("No subtasks were generated");
-      }
-
       return subtasks;
     } catch (error) {
       stopLoadingIndicator(loadingIndicator);
       throw error;
     }
   } catch (error) {
-    log("error", `Error generating subtasks with Gemini: ${error.message}`);
+    log("error", `Error generating subtasks: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ask the AI how to break a dependency cycle: which dependency to cut, and whether splitting a task in two
+ * would keep every dependency
+ * @param {Object} cycle - Cycle description from describeCycleForAI ({ explanation, items, cuts, splitCandidates })
+ * @returns {Promise<Object>} The validated response ({ explanation, cuts, split })
+ */
+async function suggestCycleBreakWithAI(cycle) {
+  const loadingIndicator = startLoadingIndicator("Asking the AI how to break the cycle...");
+
+  const systemPrompt = `You are a project planning assistant. A software project's tasks depend on each other in a circle, so none of them can be finished.
+Work out which dependency was added by mistake or points the wrong way, so that removing it keeps the order the project intends.`;
+
+  const prompt = `The cycle: ${cycle.explanation}
+
+Tasks and subtasks in the cycle (subtask IDs look like "parent.sub"):
+${cycle.items
+  .map(
+    (item) =>
+      `- ${item.id}: ${item.title} [priority: ${item.priority}, status: ${item.status}]\n  Description: ${item.description || "(none)"}${
+        item.details ? `\n  Details: ${item.details.slice(0, 500)}` : ""
+      }`
+  )
+  .join("\n")}
+
+Dependencies that could be cut ("id" waits on "dependsOn"):
+${cycle.cuts.map((cut) => `- ${cut.id} waits on ${cut.dependsOn}`).join("\n")}
+
+Rank these dependencies from the best one to cut to the worst, using the IDs (lower IDs are usually planned first), the priorities and what the descriptions say each item needs.
+${
+  cycle.splitCandidates.length > 0
+    ? `If cutting any of them would lose a real requirement, you may instead propose splitting one of these items in two: ${cycle.splitCandidates.join(", ")}.
+The first part keeps the ID and holds what the next item in the cycle needs; the second part holds the rest and waits on the previous item.`
+    : "None of the items can be split, so do not propose a split."
+}
+
+Return a JSON object in this format:
+{
+  "explanation": "string (why the cycle exists, in one or two sentences)",
+  "cuts": [{ "id": "string", "dependsOn": "string", "reason": "string" }],
+  "split": { "id": "string", "reason": "string", "first": { "title": "string", "description": "string" }, "second": { "title": "string", "description": "string" } } or null
+}
+
+IMPORTANT: Return ONLY the JSON object, nothing else.`;
+
+  try {
+    const response = await generateStructured({
+      command: "break-cycles",
+      purpose: "break-cycles",
+      schema: CYCLE_BREAK_SCHEMA,
+      systemPrompt,
+      prompt,
+    });
+    stopLoadingIndicator(loadingIndicator);
+    return response;
+  } catch (error) {
+    stopLoadingIndicator(loadingIndicator);
     throw error;
   }
 }
 
-export { callGemini, generateComplexityAnalysisPrompt, geminiModel, generateSubtasksWithGeminiWithResearch, generateSubtasksWithGemini };
+export {
+  buildContinuationPrompt,
+  joinContinuation,
+  generateText,
+  generateStructured,
+  callGemini,
+  generateComplexityAnalysisPrompt,
+  generateSubtasksWithGeminiWithResearch,
+  generateSubtasksWithGemini,
+  suggestCycleBreakWithAI,
+};
@@ -0,0 +1,83 @@
+/**
+ * assignees.js
+ * Task and subtask owners. Items keep an optional `assignees` array of names; names are compared
+ * case-insensitively and stored as first written.
+ */
+
+/**
+ * Split a comma-separated list of names
+ * @param {string|string[]} input - "alice, bob" or ["alice", "bob"]
+ * @returns {string[]} Trimmed names without blanks or case-insensitive duplicates
+ */
+function parseAssigneeNames(input) {
+  const names = (Array.isArray(input) ? input : String(input || "").split(",")).map((name) => String(name).trim()).filter(Boolean);
+  return names.filter((name, index) => names.findIndex((other) => sameAssignee(other, name)) === index);
+}
+
+/**
+ * Compare two names
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {boolean} True when they name the same person
+ */
+function sameAssignee(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Get the people assigned to a task or subtask
+ * @param {Object} item - Task or subtask
+ * @returns {string[]} Names (empty when unassigned)
+ */
+function getAssignees(item) {
+  return item && Array.isArray(item.assignees) ? item.assignees : [];
+}
+
+/**
+ * Check whether a person is assigned to a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {string} name - Person
+ * @returns {boolean} True when the name is among its assignees
+ */
+function isAssignedTo(item, name) {
+  return getAssignees(item).some((assignee) => sameAssignee(assignee, name));
+}
+
+/**
+ * Check whether a task or subtask belongs to other people
+ * @param {Object} item - Task or subtask
+ * @param {string} name - Person
+ * @returns {boolean} True when it is assigned, but not to this person
+ */
+function isAssignedToOthers(item, name) {
+  return getAssignees(item).length > 0 && !isAssignedTo(item, name);
+}
+
+/**
+ * Change the assignees of a task or subtask
+ * @param {Object} item - Task or subtask (modified in place; `assignees` is removed when it becomes empty)
+ * @param {Object} change - { add, remove, clear } where add and remove are name lists
+ * @returns {Object} { added, removed } with the names that actually changed
+ */
+function updateAssignees(item, { add = [], remove = [], clear = false }) {
+  const previous = getAssignees(item);
+  let next = clear ? [] : previous.filter((assignee) => !remove.some((name) => sameAssignee(name, assignee)));
+  add.forEach((name) => {
+    if (!next.some((assignee) => sameAssignee(assignee, name))) {
+      next = [...next, name];
+    }
+  });
+
+  if (next.length > 0) {
+    item.assignees = next;
+  } else {
+    delete item.assignees;
+  }
+
+  return {
+    added: next.filter((name) => !previous.some((assignee) => sameAssignee(assignee, name))),
+    removed: previous.filter((name) => !next.some((assignee) => sameAssignee(assignee, name))),
+  };
+}
+
+export { parseAssigneeNames, sameAssignee, getAssignees, isAssignedTo, isAssignedToOthers, updateAssignees };
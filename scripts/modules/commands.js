@@ -9,12 +9,21 @@ import chalk from "chalk";
 import boxen from "boxen";
 import fs from "fs";
 
-import { CONFIG, log, readJSON, writeJSON } from "./utils.js";
+import { CONFIG, log, readJSON, writeJSON, enableSilentMode, disableSilentMode } from "./utils.js";
 import {
   parsePRD,
   updateTasks,
   generateTaskFiles,
+  syncTaskFiles,
+  migrateStorage,
+  showTaskHistory,
+  undoTaskChanges,
+  redoTaskChanges,
   setTaskStatus,
+  assignTask,
+  estimateTask,
+  startTaskTimer,
+  stopTaskTimer,
   listTasks,
   expandTask,
   expandAllTasks,
@@ -25,9 +34,24 @@ import {
   analyzeTaskComplexity,
 } from "./task-manager.js";
 
-import { addDependency, removeDependency, validateDependenciesCommand, fixDependenciesCommand } from "./dependency-manager.js";
+import { addDependency, removeDependency, validateDependenciesCommand, fixDependenciesCommand, exportDependencyGraph, breakDependencyCycles } from "./dependency-manager.js";
 
-import { displayBanner, displayHelp, displayNextTask, displayTaskById, displayComplexityReport, getStatusWithColor } from "./ui.js";
+import {
+  displayBanner,
+  displayHelp,
+  displayNextTask,
+  displayTaskById,
+  displayComplexityReport,
+  displayUsageReport,
+  displayTimeReport,
+  displayDependencyTree,
+  displayBlockedTasks,
+  getStatusWithColor,
+} from "./ui.js";
+
+import { configureCassette } from "./ai-cassette.js";
+import { setHistoryContext } from "./task-history.js";
+import { USAGE_GROUPINGS } from "./usage-tracker.js";
 
 /**
  * Configure and register CLI commands
@@ -47,6 +71,8 @@ function registerCommands(programInstance) {
     .option("-i, --input <file>", "Path to the PRD file (alternative to positional argument)")
     .option("-o, --output <file>", "Output file path", "tasks/tasks.json")
     .option("-n, --num-tasks <number>", "Number of tasks to generate", "10")
+    .option("-m, --merge", "Merge with the existing tasks file instead of overwriting it")
+    .option("-y, --yes", "Apply merge changes without asking for confirmation")
     .action(async (file, options) => {
       // Use input option if file argument not provided
       const inputFile = file || options.input;
@@ -60,7 +86,7 @@ function registerCommands(programInstance) {
           const outputPath = options.output;
 
           console.log(chalk.blue(`Generating ${numTasks} tasks...`));
-          await parsePRD(defaultPrdPath, outputPath, numTasks);
+          await parsePRD(defaultPrdPath, outputPath, numTasks, { merge: options.merge, yes: options.yes });
           return;
         }
 
@@ -76,16 +102,19 @@ function registerCommands(programInstance) {
               "\n" +
               "  -i, --input <file>       Path to the PRD file (alternative to positional argument)\n" +
               '  -o, --output <file>      Output file path (default: "tasks/tasks.json")\n' +
-              "  -n, --num-tasks <number> Number of tasks to generate (default: 10)\n\n" +
+              "  -n, --num-tasks <number> Number of tasks to generate (default: 10)\n" +
+              "  -m, --merge              Merge with the existing tasks file, keeping IDs, status and done work\n" +
+              "  -y, --yes                Apply merge changes without confirmation\n\n" +
               chalk.cyan("Example:") +
               "\n" +
               "  task-master parse-prd requirements.txt --num-tasks 15\n" +
-              "  task-master parse-prd --input=requirements.txt\n\n" +
+              "  task-master parse-prd --input=requirements.txt\n" +
+              "  task-master parse-prd requirements.txt --merge\n\n" +
               chalk.yellow("Note: This command will:") +
               "\n" +
               "  1. Look for a PRD file at scripts/prd.txt by default\n" +
               "  2. Use the file specified by --input or positional argument if provided\n" +
-              "  3. Generate tasks from the PRD and overwrite any existing tasks.json file",
+              "  3. Generate tasks from the PRD and overwrite any existing tasks.json file (unless --merge is used)",
             { padding: 1, borderColor: "blue", borderStyle: "round" }
           )
         );
@@ -98,7 +127,7 @@ function registerCommands(programInstance) {
       console.log(chalk.blue(`Parsing PRD file: ${inputFile}`));
       console.log(chalk.blue(`Generating ${numTasks} tasks...`));
 
-      await parsePRD(inputFile, outputPath, numTasks);
+      await parsePRD(inputFile, outputPath, numTasks, { merge: options.merge, yes: options.yes });
     });
 
   // update command
@@ -136,6 +165,7 @@ function registerCommands(programInstance) {
     .description("Generate task files from tasks.json")
     .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
     .option("-o, --output <dir>", "Output directory", "tasks")
+    .option("--no-fix-dependencies", "Fail if dependencies need fixing instead of fixing them in tasks.json")
     .action(async (options) => {
       const tasksPath = options.file;
       const outputDir = options.output;
@@ -143,7 +173,71 @@ function registerCommands(programInstance) {
       console.log(chalk.blue(`Generating task files from: ${tasksPath}`));
       console.log(chalk.blue(`Output directory: ${outputDir}`));
 
-      await generateTaskFiles(tasksPath, outputDir);
+      await generateTaskFiles(tasksPath, outputDir, { fixDependencies: options.fixDependencies });
+    });
+
+  // sync-files command
+  programInstance
+    .command("sync-files")
+    .description("Merge edits made to the task files back into tasks.json")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-d, --dir <dir>", "Directory containing the task files (defaults to the tasks file directory)")
+    .option("--prefer <side>", "Side to keep when a field changed in both places: json or file", "json")
+    .option("--dry-run", "Show what would change without writing anything")
+    .action(async (options) => {
+      const tasksPath = options.file;
+      const taskFilesDir = options.dir || path.dirname(tasksPath);
+
+      console.log(chalk.blue(`Syncing task files from: ${taskFilesDir}`));
+
+      await syncTaskFiles(tasksPath, taskFilesDir, { prefer: options.prefer, dryRun: options.dryRun });
+    });
+
+  // migrate-storage command
+  programInstance
+    .command("migrate-storage")
+    .description("Move tasks to another storage backend (json, yaml or markdown)")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("--to <backend>", "Backend to migrate to: json, yaml or markdown")
+    .action(async (options) => {
+      if (!options.to) {
+        console.error(chalk.red("Error: --to is required (json, yaml or markdown)"));
+        process.exit(1);
+      }
+
+      console.log(chalk.blue(`Migrating tasks from ${options.file} to ${options.to} storage`));
+
+      await migrateStorage(options.file, options.to);
+    });
+
+  // history command
+  programInstance
+    .command("history")
+    .description("Show recorded changes to the tasks")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-l, --limit <number>", "Number of changes to show", "20")
+    .action(async (options) => {
+      showTaskHistory(options.file, parseInt(options.limit, 10));
+    });
+
+  // undo command
+  programInstance
+    .command("undo [n]")
+    .description("Undo the last n recorded changes to the tasks (default 1)")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("--force", "Undo even if the tasks were changed outside the history")
+    .action(async (n, options) => {
+      await undoTaskChanges(options.file, n === undefined ? 1 : Number(n), { force: options.force });
+    });
+
+  // redo command
+  programInstance
+    .command("redo [n]")
+    .description("Redo the last n undone changes to the tasks (default 1)")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("--force", "Redo even if the tasks were changed outside the history")
+    .action(async (n, options) => {
+      await redoTaskChanges(options.file, n === undefined ? 1 : Number(n), { force: options.force });
     });
 
   // set-status command
@@ -151,7 +245,10 @@ function registerCommands(programInstance) {
     .command("set-status")
     .description("Set the status of a task")
     .option("-i, --id <id>", "Task ID (can be comma-separated for multiple tasks)")
-    .option("-s, --status <status>", "New status (todo, in-progress, review, done)")
+    .option("-s, --status <status>", "New status (one of the statuses of the project workflow, by default pending, in-progress, review, blocked, deferred, done)")
+    .option("--field <name=value>", "Set a field along with the status, for statuses that require it (repeatable)", (value, previous) => [...previous, value], [])
+    .option("--note <text>", "Set the completion note (shortcut for --field completionNote=<text>)")
+    .option("--force", "Finish a task that has open subtasks, finishing the subtasks with it")
     .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
     .action(async (options) => {
       const tasksPath = options.file;
@@ -163,9 +260,22 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
 
+      const fields = {};
+      for (const field of options.field) {
+        const separator = field.indexOf("=");
+        if (separator <= 0) {
+          console.error(chalk.red(`Error: Invalid --field "${field}". Use --field <name>=<value>`));
+          process.exit(1);
+        }
+        fields[field.slice(0, separator).trim()] = field.slice(separator + 1);
+      }
+      if (options.note !== undefined) {
+        fields.completionNote = options.note;
+      }
+
       console.log(chalk.blue(`Setting status of task(s) ${taskId} to: ${status}`));
 
-      await setTaskStatus(tasksPath, taskId, status);
+      await setTaskStatus(tasksPath, taskId, status, "text", { fields, force: options.force });
     });
 
   // list command
@@ -174,6 +284,7 @@ function registerCommands(programInstance) {
     .description("List all tasks")
     .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
     .option("-s, --status <status>", "Filter by status")
+    .option("-a, --assignee <name>", "Only list tasks with work assigned to this person")
     .option("--with-subtasks", "Show subtasks for each task")
     .action(async (options) => {
       const tasksPath = options.file;
@@ -184,11 +295,78 @@ function registerCommands(programInstance) {
       if (statusFilter) {
         console.log(chalk.blue(`Filtering by status: ${statusFilter}`));
       }
+      if (options.assignee) {
+        console.log(chalk.blue(`Filtering by assignee: ${options.assignee}`));
+      }
       if (withSubtasks) {
         console.log(chalk.blue("Including subtasks in listing"));
       }
 
-      await listTasks(tasksPath, statusFilter, withSubtasks);
+      await listTasks(tasksPath, statusFilter, withSubtasks, { assignee: options.assignee });
+    });
+
+  // assign command
+  programInstance
+    .command("assign")
+    .description("Assign tasks and subtasks to people")
+    .option("-i, --id <id>", "Task or subtask ID(s), comma-separated")
+    .option("-t, --to <names>", "People to assign, comma-separated")
+    .option("-r, --remove <names>", "People to unassign, comma-separated")
+    .option("--clear", "Remove all assignees")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .action(async (options) => {
+      if (!options.id) {
+        console.error(chalk.red("Error: --id is required"));
+        process.exit(1);
+      }
+
+      await assignTask(options.file, options.id, { add: options.to, remove: options.remove, clear: options.clear || false });
+    });
+
+  // estimate command
+  programInstance
+    .command("estimate")
+    .description("Set the expected effort of tasks and subtasks")
+    .option("-i, --id <id>", "Task or subtask ID(s), comma-separated")
+    .option("--hours <number>", "Estimate in hours")
+    .option("--points <number>", "Estimate in story points")
+    .option("--clear", "Remove the estimate")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .action(async (options) => {
+      if (!options.id) {
+        console.error(chalk.red("Error: --id is required"));
+        process.exit(1);
+      }
+
+      await estimateTask(options.file, options.id, { hours: options.hours, points: options.points, clear: options.clear || false });
+    });
+
+  // start command
+  programInstance
+    .command("start")
+    .description("Start a work timer on a task or subtask")
+    .option("-i, --id <id>", "Task or subtask ID")
+    .option("-b, --by <name>", "Who is working; other timers of this person are stopped")
+    .option("-n, --note <text>", "What the session is about")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .action(async (options) => {
+      if (!options.id) {
+        console.error(chalk.red("Error: --id is required"));
+        process.exit(1);
+      }
+
+      await startTaskTimer(options.file, options.id, { by: options.by, note: options.note });
+    });
+
+  // stop command
+  programInstance
+    .command("stop")
+    .description("Stop the running work timer and log the time")
+    .option("-i, --id <id>", "Only stop the timer on this task or subtask")
+    .option("-b, --by <name>", "Stop this person's timer")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .action(async (options) => {
+      await stopTaskTimer(options.file, options.id || null, { by: options.by });
     });
 
   // expand command
@@ -202,6 +380,7 @@ function registerCommands(programInstance) {
     .option("--research", "Enable Gemini AI for research-backed subtask generation")
     .option("-p, --prompt <text>", "Additional context to guide subtask generation")
     .option("--force", "Force regeneration of subtasks for tasks that already have them")
+    .option("-e, --estimate", "Ask the AI for an hour estimate per subtask")
     .action(async (options) => {
       const tasksPath = options.file;
       const idArg = options.id ? parseInt(options.id, 10) : null;
@@ -210,6 +389,7 @@ function registerCommands(programInstance) {
       const forceFlag = options.force;
       const useResearch = options.research === true;
       const additionalContext = options.prompt || "";
+      const estimate = options.estimate === true;
 
       // Debug log to verify the value
       log("debug", `Research enabled: ${useResearch}`);
@@ -224,7 +404,7 @@ function registerCommands(programInstance) {
         if (additionalContext) {
           console.log(chalk.blue(`Additional context: "${additionalContext}"`));
         }
-        await expandAllTasks(numSubtasks, useResearch, additionalContext, forceFlag);
+        await expandAllTasks(numSubtasks, useResearch, additionalContext, forceFlag, { estimate });
       } else if (idArg) {
         console.log(chalk.blue(`Expanding task ${idArg} with ${numSubtasks} subtasks...`));
         if (useResearch) {
@@ -235,7 +415,7 @@ function registerCommands(programInstance) {
         if (additionalContext) {
           console.log(chalk.blue(`Additional context: "${additionalContext}"`));
         }
-        await expandTask(idArg, numSubtasks, useResearch, additionalContext);
+        await expandTask(idArg, numSubtasks, useResearch, additionalContext, { estimate });
       } else {
         console.error(chalk.red("Error: Please specify a task ID with --id=<id> or use --all to expand all tasks."));
       }
@@ -250,6 +430,7 @@ function registerCommands(programInstance) {
     .option("-t, --threshold <number>", "Minimum complexity score to recommend expansion (1-10)", "5")
     .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
     .option("-r, --research", "Use Perplexity AI for research-backed complexity analysis")
+    .option("-e, --estimate", "Also estimate the hours of each task and save them on tasks that were not estimated by hand")
     .action(async (options) => {
       const tasksPath = options.file || "tasks/tasks.json";
       const outputPath = options.output;
@@ -329,9 +510,12 @@ function registerCommands(programInstance) {
     .command("next")
     .description(`Show the next task to work on based on dependencies and status${chalk.reset("")}`)
     .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-e, --explain", "Explain why the task was chosen")
+    .option("-r, --report <file>", "Complexity report used to weigh the critical path", "scripts/task-complexity-report.json")
+    .option("--for <name>", "Find the next task for this person")
     .action(async (options) => {
       const tasksPath = options.file;
-      await displayNextTask(tasksPath);
+      await displayNextTask(tasksPath, { explain: options.explain, report: options.report, assignee: options.for });
     });
 
   // show command
@@ -353,12 +537,40 @@ function registerCommands(programInstance) {
       await displayTaskById(tasksPath, idArg);
     });
 
+  // tree command
+  programInstance
+    .command("tree")
+    .description("Show the chain of unfinished prerequisites of a task or subtask")
+    .argument("[id]", "Task or subtask ID")
+    .option("-i, --id <id>", "Task or subtask ID")
+    .option("-a, --all", "Include finished prerequisites")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .action(async (taskId, options) => {
+      const idArg = taskId || options.id;
+
+      if (!idArg) {
+        console.error(chalk.red("Error: Please provide a task ID"));
+        process.exit(1);
+      }
+
+      displayDependencyTree(options.file, idArg, { all: options.all || false });
+    });
+
+  // blocked command
+  programInstance
+    .command("blocked")
+    .description("List blocked tasks and subtasks with the prerequisites each is waiting on")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .action(async (options) => {
+      displayBlockedTasks(options.file);
+    });
+
   // add-dependency command
   programInstance
     .command("add-dependency")
-    .description("Add a dependency to a task")
-    .option("-i, --id <id>", "Task ID to add dependency to")
-    .option("-d, --depends-on <id>", "Task ID that will become a dependency")
+    .description("Add a dependency to a task or subtask")
+    .option("-i, --id <id>", "Task ID (or parent.sub subtask ID) to add dependency to")
+    .option("-d, --depends-on <id>", "Task or subtask ID (e.g. 5 or 5.1) that will become a dependency")
     .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
     .action(async (options) => {
       const tasksPath = options.file;
@@ -370,15 +582,16 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
 
-      await addDependency(tasksPath, parseInt(taskId, 10), parseInt(dependencyId, 10));
+      // Keep dotted subtask IDs intact; addDependency normalizes both forms
+      await addDependency(tasksPath, taskId, dependencyId);
     });
 
   // remove-dependency command
   programInstance
     .command("remove-dependency")
-    .description("Remove a dependency from a task")
-    .option("-i, --id <id>", "Task ID to remove dependency from")
-    .option("-d, --depends-on <id>", "Task ID to remove as a dependency")
+    .description("Remove a dependency from a task or subtask")
+    .option("-i, --id <id>", "Task ID (or parent.sub subtask ID) to remove dependency from")
+    .option("-d, --depends-on <id>", "Task or subtask ID to remove as a dependency")
     .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
     .action(async (options) => {
       const tasksPath = options.file;
@@ -390,7 +603,7 @@ function registerCommands(programInstance) {
         process.exit(1);
       }
 
-      await removeDependency(tasksPath, parseInt(taskId, 10), parseInt(dependencyId, 10));
+      await removeDependency(tasksPath, taskId, dependencyId);
     });
 
   // validate-dependencies command
@@ -407,8 +620,62 @@ function registerCommands(programInstance) {
     .command("fix-dependencies")
     .description(`Fix invalid dependencies automatically${chalk.reset("")}`)
     .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("--dry-run", "List the dependencies that would be removed, and why, without writing anything")
+    .option("--json", "Print the changes as JSON (for CI)")
     .action(async (options) => {
-      await fixDependenciesCommand(options.file);
+      let result;
+      if (options.json) {
+        enableSilentMode();
+        try {
+          result = await fixDependenciesCommand(options.file, "json", { dryRun: options.dryRun });
+        } catch (error) {
+          disableSilentMode();
+          console.log(JSON.stringify({ error: error.message }, null, 2));
+          process.exit(1);
+        }
+        disableSilentMode();
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        result = await fixDependenciesCommand(options.file, "text", { dryRun: options.dryRun });
+      }
+
+      // A dry run that finds something to fix fails, so CI can check that dependencies are clean
+      if (options.dryRun && result.changed) {
+        process.exit(1);
+      }
+    });
+
+  // break-cycles command
+  programInstance
+    .command("break-cycles")
+    .description("Explain dependency cycles and suggest which dependency to cut or task to split")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-i, --interactive", "Choose a cut or split for each cycle and apply it")
+    .option("--ai", "Let the AI explain the cycles and rank the cuts using the task descriptions")
+    .action(async (options) => {
+      await breakDependencyCycles(options.file, { interactive: options.interactive, ai: options.ai });
+    });
+
+  // graph command
+  programInstance
+    .command("graph")
+    .description("Export the dependency graph as Mermaid, Graphviz DOT or JSON")
+    .option("--format <format>", "Output format: mermaid, dot or json", "mermaid")
+    .option("-i, --id <id>", "Only show this task or subtask and the tasks connected to it")
+    .option("-d, --direction <direction>", "With --id: ancestors, descendants or both", "both")
+    .option("--no-subtasks", "Leave out subtasks")
+    .option("-o, --output <file>", "Write the graph to a file instead of printing it")
+    .option("-r, --report <file>", "Complexity report used to find the critical path", "scripts/task-complexity-report.json")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .action(async (options) => {
+      await exportDependencyGraph(options.file, {
+        format: options.format,
+        id: options.id,
+        direction: options.direction,
+        subtasks: options.subtasks,
+        output: options.output,
+        report: options.report,
+      });
     });
 
   // complexity-report command
@@ -420,6 +687,32 @@ function registerCommands(programInstance) {
       await displayComplexityReport(options.file);
     });
 
+  // usage command
+  programInstance
+    .command("usage")
+    .description("Show AI token usage, latency and estimated cost")
+    .option("-f, --file <file>", "Path to the usage ledger", CONFIG.usageLedger)
+    .option("-b, --by <grouping>", "Show a single breakdown: day, command, task or model")
+    .option("-s, --since <date>", "Only include calls on or after this date (YYYY-MM-DD)")
+    .action(async (options) => {
+      if (options.by && !USAGE_GROUPINGS[options.by]) {
+        console.error(chalk.red(`Error: Invalid --by value "${options.by}". Use one of: ${Object.keys(USAGE_GROUPINGS).join(", ")}`));
+        process.exit(1);
+      }
+
+      displayUsageReport(options.file, { by: options.by, since: options.since });
+    });
+
+  // time-report command
+  programInstance
+    .command("time-report")
+    .description("Compare estimated and logged effort per task and complexity score")
+    .option("-f, --file <file>", "Path to the tasks file", "tasks/tasks.json")
+    .option("-r, --report <file>", "Complexity report used to group tasks", "scripts/task-complexity-report.json")
+    .action(async (options) => {
+      displayTimeReport(options.file, { report: options.report });
+    });
+
   // add-subtask command
   programInstance
     .command("add-subtask")
@@ -430,8 +723,8 @@ function registerCommands(programInstance) {
     .option("-t, --title <title>", "Title for the new subtask (when creating a new subtask)")
     .option("-d, --description <text>", "Description for the new subtask")
     .option("--details <text>", "Implementation details for the new subtask")
-    .option("--dependencies <ids>", "Comma-separated list of dependency IDs for the new subtask")
-    .option("-s, --status <status>", "Status for the new subtask", "pending")
+    .option("--dependencies <ids>", "Comma-separated list of task or subtask IDs (e.g. 5 or 5.1) the new subtask depends on")
+    .option("-s, --status <status>", "Status for the new subtask (default: the initial status of the workflow)")
     .option("--no-generate", "Skip regenerating task files")
     .action(async (options) => {
       const tasksPath = options.file;
@@ -447,10 +740,8 @@ function registerCommands(programInstance) {
       // Parse dependencies if provided
       let dependencies = [];
       if (options.dependencies) {
-        dependencies = options.dependencies.split(",").map((id) => {
-          // Handle both regular IDs and dot notation
-          return id.includes(".") ? id.trim() : parseInt(id.trim(), 10);
-        });
+        // Full IDs: 5 is task 5, 5.1 a subtask of task 5 (also for siblings); addSubtask normalizes them
+        dependencies = options.dependencies.split(",").map((id) => id.trim());
       }
 
       try {
@@ -467,7 +758,7 @@ function registerCommands(programInstance) {
             title: options.title,
             description: options.description || "",
             details: options.details || "",
-            status: options.status || "pending",
+            status: options.status,
             dependencies: dependencies,
           };
 
@@ -635,6 +926,8 @@ function setupCLI() {
       return CONFIG.projectVersion; // Default fallback
     })
     .helpOption("-h, --help", "Display help")
+    .option("--record <dir>", "Record all AI requests and responses to a cassette directory")
+    .option("--replay <dir>", "Replay AI responses from a cassette directory instead of calling a provider")
     .addHelpCommand(false) // Disable default help command
     .on("--help", () => {
       displayHelp(); // Use your custom help display instead
@@ -644,6 +937,16 @@ function setupCLI() {
       process.exit(0);
     });
 
+  // Apply the global record/replay options before any command runs
+  programInstance.hook("preAction", (thisCommand, actionCommand) => {
+    const { record, replay } = thisCommand.opts();
+    configureCassette({ record, replay });
+
+    // Record task changes made by this command under its name in the undo history
+    const args = actionCommand.args.length > 0 ? { ...actionCommand.opts(), args: actionCommand.args } : actionCommand.opts();
+    setHistoryContext(actionCommand.name(), args);
+  });
+
   // Modify the help option to use your custom display
   programInstance.helpInformation = () => {
     displayHelp();
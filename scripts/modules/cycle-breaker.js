@@ -0,0 +1,441 @@
+/**
+ * cycle-breaker.js
+ * Suggestions for breaking dependency cycles. Each cycle is reduced to one loop of "waits on" links,
+ * and every dependency in the loop is a candidate cut, ranked by how likely it is to point the wrong way:
+ * - an item that waits on one with a higher ID waits on work that was planned after it
+ * - an item that waits on less urgent work is more likely wrong than one that waits on more urgent work
+ * - a prerequisite whose text refers to the item waiting on it probably builds on that item, while an
+ *   item whose text refers to its prerequisite really needs it
+ * - a cut that leaves other dependencies forming a cycle does not solve the problem
+ *
+ * A loop can also be broken without dropping a dependency, by splitting one of its tasks in two: a first
+ * part that the next item in the loop needs, and a second part that waits on the previous one.
+ */
+
+import { resolveDependencyNode, normalizeDependencyId, findDependencyCycles, findDependencyPath } from "./dependency-graph.js";
+import { getStatusWorkflow } from "./status-workflow.js";
+
+// Score contributions; see rankCycleCuts
+const BACKWARD_SCORE = 2;
+const PRIORITY_STEP_SCORE = 1;
+const REFERENCED_BY_PREREQUISITE_SCORE = 3;
+const REFERS_TO_PREREQUISITE_SCORE = -3;
+const STILL_CYCLIC_SCORE = -5;
+
+const PRIORITY_LEVELS = { low: 1, medium: 2, high: 3 };
+
+/**
+ * Find a task or subtask by its node ID
+ * @param {Object[]} tasks - All tasks
+ * @param {string} nodeId - Task ID, or "parent.sub" for a subtask
+ * @returns {Object} { item, parentTask } with the parent task for subtasks; item is null when nothing matches
+ */
+function findCycleItem(tasks, nodeId) {
+  const [taskPart, subtaskPart] = String(nodeId).split(".");
+  const task = tasks.find((t) => t.id === Number(taskPart)) || null;
+  if (!task || subtaskPart === undefined) {
+    return { item: task, parentTask: null };
+  }
+  return { item: (task.subtasks || []).find((st) => st.id === Number(subtaskPart)) || null, parentTask: task };
+}
+
+/**
+ * Name a task or subtask by its node ID
+ * @param {string} nodeId - Task ID, or "parent.sub" for a subtask
+ * @returns {string} e.g. "task 3" or "subtask 3.1"
+ */
+function labelCycleItem(nodeId) {
+  return `${nodeId.includes(".") ? "subtask" : "task"} ${nodeId}`;
+}
+
+/**
+ * Capitalize the first letter of a sentence fragment
+ * @param {string} text - Text
+ * @returns {string} The text starting with a capital letter
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Compare two node IDs in plan order: tasks by ID, subtasks after their parent
+ * @param {string} a - Node ID
+ * @param {string} b - Node ID
+ * @returns {number} Negative if a comes first
+ */
+function compareNodeIds(a, b) {
+  const [taskA, subA = 0] = a.split(".").map(Number);
+  const [taskB, subB = 0] = b.split(".").map(Number);
+  return taskA - taskB || subA - subB;
+}
+
+/**
+ * Get the priority of a task or subtask; subtasks without one share their parent's
+ * @param {Object} item - Task or subtask
+ * @param {Object|null} parentTask - Parent task for subtasks
+ * @returns {string} "high", "medium" or "low"
+ */
+function getItemPriority(item, parentTask) {
+  const priority = item.priority || (parentTask && parentTask.priority) || "medium";
+  return PRIORITY_LEVELS[priority] ? priority : "medium";
+}
+
+/**
+ * Check whether the text of a task or subtask refers to another one, by ID ("task 5", "#5.1") or by title
+ * @param {Object} item - Task or subtask whose text is searched
+ * @param {string} nodeId - ID of the item looked for
+ * @param {string} title - Title of the item looked for
+ * @returns {boolean} True if it is mentioned
+ */
+function refersTo(item, nodeId, title) {
+  const text = [item.title, item.description, item.details].filter(Boolean).join(" ").toLowerCase();
+  const idPattern = new RegExp(`(?:task|subtask|#)\\s*${nodeId.replace(".", "\\.")}(?!\\.?\\d)`);
+  return idPattern.test(text) || Boolean(title && title.length >= 4 && text.includes(title.toLowerCase()));
+}
+
+/**
+ * Reduce a cycle to one loop through its lowest ID, taking the shortest way back
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string[]} cycle - Node IDs of one cycle (graph.cycles)
+ * @returns {Object[]} Edges of the loop in order, each edge's `to` being the next edge's `from`
+ */
+function findCycleLoop(graph, cycle) {
+  const members = new Set(cycle);
+  const inner = { ...graph, edges: graph.edges.filter((edge) => members.has(edge.from) && members.has(edge.to)) };
+  const start = [...cycle].sort(compareNodeIds)[0];
+
+  let best = null;
+  inner.edges
+    .filter((edge) => edge.from === start)
+    .forEach((edge) => {
+      const path = edge.to === start ? [start] : findDependencyPath(inner, edge.to, start);
+      if (path && (!best || path.length + 1 < best.length)) {
+        best = [start, ...path];
+      }
+    });
+  if (!best) {
+    return [];
+  }
+
+  return best.slice(1).map((to, position) => {
+    const from = best[position];
+    const links = inner.edges.filter((edge) => edge.from === from && edge.to === to);
+    return links.find((edge) => edge.type === "dependency") || links[0];
+  });
+}
+
+/**
+ * Explain a loop in words, e.g. "Task 3 (Build UI) waits on task 5 (API), which waits on task 3 (Build UI) again."
+ * @param {Object[]} tasks - All tasks
+ * @param {Object[]} loop - Loop from findCycleLoop
+ * @returns {string} Explanation
+ */
+function explainCycleLoop(tasks, loop) {
+  if (loop.length === 0) {
+    return "";
+  }
+  const describe = (nodeId) => {
+    const { item } = findCycleItem(tasks, nodeId);
+    return `${labelCycleItem(nodeId)}${item && item.title ? ` (${item.title})` : ""}`;
+  };
+
+  const start = loop[loop.length - 1].to;
+  const steps = [...loop].reverse().map((edge, position) => {
+    const verb = edge.type === "dependency" ? "waits on" : "needs its subtask";
+    const target = edge.from === start ? `${describe(edge.from)} again` : describe(edge.from);
+    return `${position === 0 ? "" : ", which "}${verb} ${target}`;
+  });
+  return `${capitalize(describe(start))} ${steps.join("")}. None of them can be finished.`;
+}
+
+/**
+ * Rank the dependencies of a loop by how good a cut they are (see the module comment)
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string[]} cycle - Node IDs of the cycle the loop belongs to
+ * @param {Object[]} loop - Loop from findCycleLoop
+ * @returns {Object[]} Cuts { id, dependsOn, score, reasons }, best first; cutting removes `dependsOn` from `id`
+ */
+function rankCycleCuts(tasks, graph, cycle, loop) {
+  const members = new Set(cycle);
+
+  const cuts = loop
+    .filter((edge) => edge.type === "dependency")
+    .map((edge) => {
+      const dependent = findCycleItem(tasks, edge.to);
+      const prerequisite = findCycleItem(tasks, edge.from);
+      const reasons = [];
+      let score = 0;
+
+      const [dependentTask] = edge.to.split(".");
+      const [prerequisiteTask] = edge.from.split(".");
+      const parentAndChild = dependentTask === prerequisiteTask && (!edge.to.includes(".") || !edge.from.includes("."));
+      if (!parentAndChild && compareNodeIds(edge.from, edge.to) > 0) {
+        score += BACKWARD_SCORE;
+        reasons.push(`${capitalize(labelCycleItem(edge.to))} waits on ${labelCycleItem(edge.from)}, which comes later in the plan`);
+      }
+
+      if (dependent.item && prerequisite.item) {
+        const dependentPriority = getItemPriority(dependent.item, dependent.parentTask);
+        const prerequisitePriority = getItemPriority(prerequisite.item, prerequisite.parentTask);
+        const steps = PRIORITY_LEVELS[dependentPriority] - PRIORITY_LEVELS[prerequisitePriority];
+        if (steps > 0) {
+          score += steps * PRIORITY_STEP_SCORE;
+          reasons.push(
+            `${capitalize(labelCycleItem(edge.to))} is ${dependentPriority} priority but waits on ${prerequisitePriority}-priority ${labelCycleItem(edge.from)}`
+          );
+        }
+
+        if (refersTo(prerequisite.item, edge.to, dependent.item.title)) {
+          score += REFERENCED_BY_PREREQUISITE_SCORE;
+          reasons.push(`${capitalize(labelCycleItem(edge.from))} refers to ${labelCycleItem(edge.to)}, so it probably builds on it`);
+        }
+        if (refersTo(dependent.item, edge.from, prerequisite.item.title)) {
+          score += REFERS_TO_PREREQUISITE_SCORE;
+          reasons.push(`${capitalize(labelCycleItem(edge.to))} refers to ${labelCycleItem(edge.from)}, so the dependency looks intended`);
+        }
+      }
+
+      const remaining = graph.edges.filter((other) => other !== edge && members.has(other.from) && members.has(other.to));
+      if (findDependencyCycles(cycle, remaining).length > 0) {
+        score += STILL_CYCLIC_SCORE;
+        reasons.push("Other dependencies would still form a cycle");
+      }
+
+      return { id: edge.to, dependsOn: edge.from, score, reasons };
+    });
+
+  // Stable sort: equal scores keep the order of the loop
+  return cuts
+    .map((cut, position) => ({ cut, position }))
+    .sort((a, b) => b.cut.score - a.cut.score || a.position - b.position)
+    .map(({ cut }) => cut);
+}
+
+/**
+ * Find the items of a loop that could be split in two: those that wait on the previous item of the
+ * loop and are waited on by the next one, both through dependencies
+ * @param {Object[]} loop - Loop from findCycleLoop
+ * @returns {Object[]} Candidates { id, waitsOn, neededBy }
+ */
+function findSplitCandidates(loop) {
+  return loop
+    .map((incoming, position) => ({ incoming, outgoing: loop[(position + 1) % loop.length] }))
+    .filter(({ incoming, outgoing }) => loop.length > 1 && incoming.type === "dependency" && outgoing.type === "dependency")
+    .map(({ incoming, outgoing }) => ({ id: incoming.to, waitsOn: incoming.from, neededBy: outgoing.to }));
+}
+
+/**
+ * Propose splitting an item of a loop in two, so that every dependency keeps its purpose. Without an
+ * ID, the item whose dependencies in the loop look the most intended (the lowest cut scores) is chosen.
+ * @param {Object[]} tasks - All tasks
+ * @param {Object[]} loop - Loop from findCycleLoop
+ * @param {Object[]} cuts - Cuts from rankCycleCuts
+ * @param {string|null} id - Item to split
+ * @returns {Object|null} { id, waitsOn, neededBy, first, second, reason } with { title, description } parts, or null
+ */
+function proposeCycleSplit(tasks, loop, cuts, id = null) {
+  const scoreOf = (dependentId, prerequisiteId) => {
+    const cut = cuts.find((candidate) => candidate.id === dependentId && candidate.dependsOn === prerequisiteId);
+    return cut ? cut.score : 0;
+  };
+  const candidates = findSplitCandidates(loop).filter((candidate) => id === null || candidate.id === String(id));
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const chosen = candidates.reduce((best, candidate) => {
+    const total = (entry) => scoreOf(entry.id, entry.waitsOn) + scoreOf(entry.neededBy, entry.id);
+    return total(candidate) < total(best) ? candidate : best;
+  });
+  const { item } = findCycleItem(tasks, chosen.id);
+  const title = item ? item.title : labelCycleItem(chosen.id);
+
+  return {
+    ...chosen,
+    first: {
+      title: `${title} (part 1)`,
+      description: `The part of "${title}" that ${labelCycleItem(chosen.neededBy)} needs. It does not wait on ${labelCycleItem(chosen.waitsOn)}.`,
+    },
+    second: {
+      title: `${title} (part 2)`,
+      description: `The rest of "${title}", done once ${labelCycleItem(chosen.waitsOn)} is.`,
+    },
+    reason: `${capitalize(labelCycleItem(chosen.id))} is needed by ${labelCycleItem(chosen.neededBy)} but waits on ${labelCycleItem(
+      chosen.waitsOn
+    )}; splitting it keeps both dependencies`,
+  };
+}
+
+/**
+ * Suggest how to break one cycle: an explanation, the ranked cuts and a split proposal
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string[]} cycle - Node IDs of one cycle (graph.cycles)
+ * @returns {Object} { cycle, loop, explanation, cuts, split, source: "heuristic" }
+ */
+function suggestCycleBreak(tasks, graph, cycle) {
+  const loop = findCycleLoop(graph, cycle);
+  const cuts = rankCycleCuts(tasks, graph, cycle, loop);
+  return {
+    cycle,
+    loop,
+    explanation: explainCycleLoop(tasks, loop),
+    cuts,
+    split: proposeCycleSplit(tasks, loop, cuts),
+    source: "heuristic",
+  };
+}
+
+/**
+ * Describe a suggestion's cycle for the AI: the items involved, the possible cuts and the items that can be split
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} suggestion - Suggestion from suggestCycleBreak
+ * @returns {Object} { explanation, items, cuts, splitCandidates }
+ */
+function describeCycleForAI(tasks, suggestion) {
+  const ids = [...new Set(suggestion.loop.map((edge) => edge.from))];
+  return {
+    explanation: suggestion.explanation,
+    items: ids.map((id) => {
+      const { item, parentTask } = findCycleItem(tasks, id);
+      return {
+        id,
+        title: item.title,
+        description: item.description || "",
+        details: item.details || "",
+        priority: getItemPriority(item, parentTask),
+        status: item.status,
+      };
+    }),
+    cuts: suggestion.cuts.map((cut) => ({ id: cut.id, dependsOn: cut.dependsOn })),
+    splitCandidates: findSplitCandidates(suggestion.loop).map((candidate) => candidate.id),
+  };
+}
+
+/**
+ * Take the AI's ranking and split proposal into a suggestion. Cuts and splits the loop does not allow
+ * are ignored; cuts the AI left out follow its ranking with their own reasons.
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} suggestion - Suggestion from suggestCycleBreak
+ * @param {Object} response - Validated AI response { explanation, cuts, split }
+ * @returns {Object} The suggestion with source "ai"
+ */
+function mergeAICycleBreak(tasks, suggestion, response) {
+  const ranked = [];
+  response.cuts.forEach((aiCut) => {
+    const cut = suggestion.cuts.find((candidate) => candidate.id === String(aiCut.id) && candidate.dependsOn === String(aiCut.dependsOn));
+    if (cut && !ranked.some((entry) => entry.id === cut.id && entry.dependsOn === cut.dependsOn)) {
+      ranked.push({ ...cut, reasons: [aiCut.reason] });
+    }
+  });
+  const unranked = suggestion.cuts.filter((cut) => !ranked.some((entry) => entry.id === cut.id && entry.dependsOn === cut.dependsOn));
+
+  let split = null;
+  if (response.split) {
+    const proposal = proposeCycleSplit(tasks, suggestion.loop, suggestion.cuts, String(response.split.id));
+    if (proposal) {
+      split = {
+        ...proposal,
+        first: { ...proposal.first, ...response.split.first },
+        second: { ...proposal.second, ...response.split.second },
+        reason: response.split.reason || proposal.reason,
+      };
+    }
+  }
+
+  return { ...suggestion, explanation: response.explanation, cuts: [...ranked, ...unranked], split, source: "ai" };
+}
+
+/**
+ * Cut a dependency: remove `dependsOn` from the dependencies of `id`
+ * @param {Object[]} tasks - All tasks (changed in place)
+ * @param {Object} cut - { id, dependsOn } node IDs
+ * @returns {boolean} True if a dependency was removed
+ */
+function applyCycleCut(tasks, cut) {
+  const { item, parentTask } = findCycleItem(tasks, cut.id);
+  if (!item || !item.dependencies) {
+    return false;
+  }
+  const before = item.dependencies.length;
+  item.dependencies = item.dependencies.filter((depId) => resolveDependencyNode(depId, tasks, parentTask) !== cut.dependsOn);
+  return item.dependencies.length < before;
+}
+
+/**
+ * Split a task or subtask in two. The item keeps its ID and becomes the first part, without its
+ * dependency on `waitsOn`. The second part is a new task (or a new subtask of the same parent) that
+ * waits on the first part and on `waitsOn`. Everything that waited on the item, except `neededBy`,
+ * waits on the second part instead, so it still gets the whole of the work.
+ * @param {Object[]} tasks - All tasks (changed in place)
+ * @param {Object} split - Proposal from proposeCycleSplit
+ * @returns {string} ID of the second part
+ */
+function applyCycleSplit(tasks, split) {
+  const { item, parentTask } = findCycleItem(tasks, split.id);
+  if (!item) {
+    throw new Error(`${capitalize(labelCycleItem(split.id))} not found`);
+  }
+
+  const waitsOnDependencies = (item.dependencies || []).filter((depId) => resolveDependencyNode(depId, tasks, parentTask) === split.waitsOn);
+
+  // Work out what waits on the item before the new part exists, while plain IDs still mean the same thing
+  const dependents = [];
+  tasks.forEach((task) => {
+    [task, ...(task.subtasks || [])].forEach((other) => {
+      const owner = other === task ? null : task;
+      const otherId = owner ? `${owner.id}.${other.id}` : String(other.id);
+      if (otherId === split.id || otherId === split.neededBy || !other.dependencies) {
+        return;
+      }
+      other.dependencies.forEach((depId, position) => {
+        if (resolveDependencyNode(depId, tasks, owner) === split.id) {
+          dependents.push({ item: other, owner, position });
+        }
+      });
+    });
+  });
+
+  let secondId;
+  const second = {
+    title: split.second.title,
+    description: split.second.description || "",
+    details: split.second.details || "",
+    status: getStatusWorkflow().initialStatus,
+  };
+  if (parentTask) {
+    const newId = Math.max(0, ...parentTask.subtasks.map((st) => st.id)) + 1;
+    parentTask.subtasks.push({ id: newId, ...second, dependencies: [item.id, ...waitsOnDependencies] });
+    secondId = `${parentTask.id}.${newId}`;
+  } else {
+    const newId = Math.max(0, ...tasks.map((t) => t.id)) + 1;
+    tasks.push({ id: newId, ...second, dependencies: [item.id, ...waitsOnDependencies], priority: item.priority || "medium", testStrategy: "" });
+    secondId = String(newId);
+  }
+
+  dependents.forEach(({ item: other, owner, position }) => {
+    other.dependencies[position] = normalizeDependencyId(secondId, tasks, owner);
+  });
+  item.title = split.first.title;
+  item.description = split.first.description || item.description;
+  if (split.first.details) {
+    item.details = split.first.details;
+  }
+  item.dependencies = (item.dependencies || []).filter((depId) => !waitsOnDependencies.includes(depId));
+
+  return secondId;
+}
+
+export {
+  findCycleLoop,
+  explainCycleLoop,
+  rankCycleCuts,
+  findSplitCandidates,
+  proposeCycleSplit,
+  suggestCycleBreak,
+  describeCycleForAI,
+  mergeAICycleBreak,
+  applyCycleCut,
+  applyCycleSplit,
+};
@@ -0,0 +1,563 @@
+/**
+ * dependency-graph.js
+ * The dependency graph of tasks and subtasks, and its export to Mermaid, Graphviz DOT and JSON
+ *
+ * Nodes are tasks ("3") and subtasks ("3.2"). A dependency edge runs from the prerequisite to the
+ * item that waits on it; a subtask edge links a subtask to its parent, which is only finished once its
+ * subtasks are. Edges inside a dependency cycle and along the critical path of the remaining work are
+ * marked so the renderers can highlight them.
+ */
+
+import { getStatusDefinition, isTerminalStatus, isActionableStatus } from "./status-workflow.js";
+import { buildTaskGraph, findCriticalPath } from "./task-scheduler.js";
+
+const GRAPH_FORMATS = ["mermaid", "dot", "json"];
+const GRAPH_DIRECTIONS = ["ancestors", "descendants", "both"];
+
+// Hex values for the chalk color names a workflow can use
+const COLOR_HEX = {
+  black: "#343a40",
+  red: "#dc3545",
+  green: "#28a745",
+  yellow: "#ffc107",
+  blue: "#007bff",
+  magenta: "#d63384",
+  cyan: "#17a2b8",
+  white: "#adb5bd",
+  gray: "#6c757d",
+  grey: "#6c757d",
+};
+const CYCLE_COLOR = "#dc3545";
+const CRITICAL_COLOR = "#fd7e14";
+
+/**
+ * Resolve a dependency reference to a node ID. Dotted IDs name a subtask of any task. On a subtask,
+ * numbers name a sibling subtask (or a task with that ID when there is no such sibling, as older
+ * files have them) and plain strings ("5") name a task; on a task, plain IDs always name a task.
+ * @param {number|string} depId - Dependency as stored
+ * @param {Object[]} tasks - All tasks
+ * @param {Object|null} parentTask - Parent of the item the dependency belongs to, for subtasks
+ * @returns {string|null} Node ID, or null when nothing matches
+ */
+function resolveDependencyNode(depId, tasks, parentTask = null) {
+  const [taskPart, subtaskPart] = String(depId).trim().split(".");
+  const taskId = parseInt(taskPart, 10);
+  if (subtaskPart === undefined) {
+    if (parentTask && typeof depId === "number" && (parentTask.subtasks || []).some((st) => st.id === taskId)) {
+      return `${parentTask.id}.${taskId}`;
+    }
+    return tasks.some((t) => t.id === taskId) ? String(taskId) : null;
+  }
+  const owner = tasks.find((t) => t.id === taskId);
+  const subtaskId = parseInt(subtaskPart, 10);
+  return owner && (owner.subtasks || []).some((st) => st.id === subtaskId) ? `${taskId}.${subtaskId}` : null;
+}
+
+/**
+ * Normalize a dependency reference to the form stored in tasks.json. Tasks store task dependencies as
+ * numbers; subtasks store siblings as numbers and other tasks as strings, so neither can be mistaken
+ * for the other. Subtasks of other tasks are "parent.sub" strings.
+ * @param {number|string} depId - Dependency as given, e.g. 5, "5", "5.1", or "3.1" on a subtask of task 3
+ * @param {Object[]} tasks - All tasks
+ * @param {Object|null} parentTask - Parent of the item the dependency belongs to, for subtasks
+ * @returns {number|string|null} Stored form, or null when nothing matches
+ */
+function normalizeDependencyId(depId, tasks, parentTask = null) {
+  const nodeId = resolveDependencyNode(depId, tasks, parentTask);
+  if (nodeId === null) {
+    return null;
+  }
+  const [taskPart, subtaskPart] = nodeId.split(".");
+  if (subtaskPart === undefined) {
+    return parentTask ? nodeId : Number(taskPart);
+  }
+  return parentTask && Number(taskPart) === parentTask.id ? Number(subtaskPart) : nodeId;
+}
+
+/**
+ * Find the nodes that lie on a dependency cycle (strongly connected components, Tarjan's algorithm)
+ * @param {string[]} ids - Node IDs
+ * @param {Object[]} edges - Dependency edges { from, to }
+ * @returns {string[][]} Each cycle as a list of node IDs
+ */
+function findDependencyCycles(ids, edges) {
+  const next = new Map(ids.map((id) => [id, []]));
+  edges.forEach((edge) => next.get(edge.from).push(edge.to));
+
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  const connect = (id) => {
+    index.set(id, index.size);
+    lowLink.set(id, index.get(id));
+    stack.push(id);
+    onStack.add(id);
+
+    next.get(id).forEach((to) => {
+      if (!index.has(to)) {
+        connect(to);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(to)));
+      } else if (onStack.has(to)) {
+        lowLink.set(id, Math.min(lowLink.get(id), index.get(to)));
+      }
+    });
+
+    if (lowLink.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      if (component.length > 1 || next.get(id).includes(id)) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  ids.forEach((id) => {
+    if (!index.has(id)) {
+      connect(id);
+    }
+  });
+  return cycles;
+}
+
+/**
+ * Build the dependency graph
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} options - { subtasks, complexityReport }: whether to include subtasks, and the report that weighs the critical path
+ * @returns {Object} { nodes, edges, cycles, criticalPath, missing }
+ */
+function buildDependencyGraph(tasks, options = {}) {
+  const { subtasks: withSubtasks = true, complexityReport = null } = options;
+  const criticalPath = findCriticalPath(buildTaskGraph(tasks, complexityReport));
+  const criticalIds = criticalPath.ids.map(String);
+
+  const nodes = [];
+  const edges = [];
+  const missing = [];
+  const addItem = (item, parentTask) => {
+    const id = parentTask ? `${parentTask.id}.${item.id}` : String(item.id);
+    nodes.push({
+      id,
+      type: parentTask ? "subtask" : "task",
+      parent: parentTask ? String(parentTask.id) : null,
+      title: item.title,
+      status: item.status,
+      priority: parentTask ? null : item.priority || "medium",
+      inCycle: false,
+      critical: !parentTask && criticalIds.includes(id),
+    });
+    (item.dependencies || []).forEach((depId) => {
+      const from = resolveDependencyNode(depId, tasks, parentTask);
+      if (from === null || (!withSubtasks && from.includes("."))) {
+        if (from === null) {
+          missing.push({ id, dependency: String(depId) });
+        }
+        return;
+      }
+      edges.push({ from, to: id, type: "dependency", inCycle: false, critical: false });
+    });
+  };
+
+  tasks.forEach((task) => {
+    addItem(task, null);
+    if (withSubtasks) {
+      (task.subtasks || []).forEach((subtask) => {
+        addItem(subtask, task);
+        edges.push({ from: `${task.id}.${subtask.id}`, to: String(task.id), type: "subtask", inCycle: false, critical: false });
+      });
+    }
+  });
+
+  // Duplicated dependencies would draw the same edge twice
+  const uniqueEdges = edges.filter(
+    (edge, position) => edges.findIndex((other) => other.from === edge.from && other.to === edge.to && other.type === edge.type) === position
+  );
+
+  // A subtask that waits on its own parent, directly or through other work, can never finish either
+  const cycles = findDependencyCycles(
+    nodes.map((node) => node.id),
+    uniqueEdges
+  );
+  const cycleOf = new Map();
+  cycles.forEach((cycle, position) => cycle.forEach((id) => cycleOf.set(id, position)));
+
+  nodes.forEach((node) => {
+    node.inCycle = cycleOf.has(node.id);
+  });
+  uniqueEdges.forEach((edge) => {
+    edge.inCycle = cycleOf.has(edge.from) && cycleOf.get(edge.from) === cycleOf.get(edge.to);
+    if (edge.type !== "dependency") {
+      return;
+    }
+    const position = criticalIds.indexOf(edge.from);
+    edge.critical = position !== -1 && criticalIds[position + 1] === edge.to;
+  });
+
+  return { nodes, edges: uniqueEdges, cycles, criticalPath: { ids: criticalIds, length: criticalPath.length }, missing };
+}
+
+/**
+ * Reduce a graph to the ancestors and/or descendants of one task or subtask. Focusing a task
+ * includes its subtasks.
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string|number} id - Task or subtask ID
+ * @param {string} direction - "ancestors" (what it waits on), "descendants" (what waits on it) or "both"
+ * @returns {Object} The graph restricted to those nodes
+ */
+function filterDependencyGraph(graph, id, direction = "both") {
+  const focus = String(id).trim();
+  if (!graph.nodes.some((node) => node.id === focus)) {
+    throw new Error(`${focus.includes(".") ? "Subtask" : "Task"} ${focus} not found`);
+  }
+  if (!GRAPH_DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown direction "${direction}". Use one of: ${GRAPH_DIRECTIONS.join(", ")}`);
+  }
+
+  const seeds = [focus, ...graph.nodes.filter((node) => node.parent === focus).map((node) => node.id)];
+  const dependencyEdges = graph.edges.filter((edge) => edge.type === "dependency");
+  const walk = (step) => {
+    const reached = new Set(seeds);
+    const stack = [...seeds];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      step(current).forEach((neighbour) => {
+        if (!reached.has(neighbour)) {
+          reached.add(neighbour);
+          stack.push(neighbour);
+        }
+      });
+    }
+    return reached;
+  };
+
+  const kept = new Set(seeds);
+  if (direction !== "descendants") {
+    walk((current) => dependencyEdges.filter((edge) => edge.to === current).map((edge) => edge.from)).forEach((node) => kept.add(node));
+  }
+  if (direction !== "ancestors") {
+    walk((current) => dependencyEdges.filter((edge) => edge.from === current).map((edge) => edge.to)).forEach((node) => kept.add(node));
+  }
+
+  return {
+    ...graph,
+    nodes: graph.nodes.filter((node) => kept.has(node.id)),
+    edges: graph.edges.filter((edge) => kept.has(edge.from) && kept.has(edge.to)),
+    cycles: graph.cycles.filter((cycle) => cycle.some((member) => kept.has(member))),
+    missing: graph.missing.filter((entry) => kept.has(entry.id)),
+  };
+}
+
+/**
+ * List the prerequisites of a node
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string} id - Node ID
+ * @returns {string[]} IDs of the nodes it depends on
+ */
+function getPrerequisites(graph, id) {
+  return graph.edges.filter((edge) => edge.type === "dependency" && edge.to === id).map((edge) => edge.from);
+}
+
+/**
+ * Check whether a node still waits on something: an unfinished or missing prerequisite of its own,
+ * or, for a subtask, of its parent task
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string} id - Node ID
+ * @returns {boolean} True when it cannot be started yet
+ */
+function isWaiting(graph, id) {
+  const node = graph.nodes.find((candidate) => candidate.id === id);
+  const unfinished = getPrerequisites(graph, id).some((prerequisiteId) => {
+    const prerequisite = graph.nodes.find((candidate) => candidate.id === prerequisiteId);
+    return !isTerminalStatus(prerequisite.status);
+  });
+  return unfinished || graph.missing.some((missing) => missing.id === id) || Boolean(node && node.parent && isWaiting(graph, node.parent));
+}
+
+/**
+ * Find a chain of edges from one node to another, through dependencies and from subtasks to their parents
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string} from - Node ID to start at
+ * @param {string} to - Node ID to reach
+ * @returns {string[]|null} Node IDs from `from` to `to`, each one waiting on the one before, or null
+ */
+function findDependencyPath(graph, from, to) {
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === to) {
+      const path = [];
+      for (let id = to; id !== null; id = previous.get(id)) {
+        path.unshift(id);
+      }
+      return path;
+    }
+    graph.edges
+      .filter((edge) => edge.from === current && !previous.has(edge.to))
+      .forEach((edge) => {
+        previous.set(edge.to, current);
+        queue.push(edge.to);
+      });
+  }
+  return null;
+}
+
+/**
+ * Build the tree of prerequisites that stand between a task or subtask and its start. A node
+ * reached a second time is marked `repeated` instead of being expanded again; a node that leads
+ * back to one of its own dependents is marked `cycle`. `ready` marks open, actionable nodes that
+ * wait on nothing.
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string|number} id - Task or subtask ID
+ * @param {Object} options - { all } to include finished prerequisites
+ * @returns {Object} { id, node, children, missing, repeated, cycle, ready }
+ */
+function buildDependencyTree(graph, id, options = {}) {
+  const focus = String(id).trim();
+  const nodes = new Map(graph.nodes.map((node) => [node.id, node]));
+  if (!nodes.has(focus)) {
+    throw new Error(`${focus.includes(".") ? "Subtask" : "Task"} ${focus} not found`);
+  }
+
+  const shown = (prerequisiteId) => options.all || !isTerminalStatus(nodes.get(prerequisiteId).status);
+  const expanded = new Set();
+  const expand = (nodeId, dependents) => {
+    const node = nodes.get(nodeId);
+    const ready = !isTerminalStatus(node.status) && isActionableStatus(node.status) && !isWaiting(graph, nodeId);
+    const entry = { id: nodeId, node, children: [], missing: [], repeated: false, cycle: false, ready };
+    const prerequisites = getPrerequisites(graph, nodeId).filter(shown);
+    if (dependents.includes(nodeId)) {
+      entry.cycle = true;
+      return entry;
+    }
+    if (expanded.has(nodeId)) {
+      entry.repeated = prerequisites.length > 0;
+      return entry;
+    }
+
+    expanded.add(nodeId);
+    entry.children = prerequisites.map((prerequisiteId) => expand(prerequisiteId, [...dependents, nodeId]));
+    entry.missing = graph.missing.filter((missing) => missing.id === nodeId).map((missing) => missing.dependency);
+    return entry;
+  };
+
+  return expand(focus, []);
+}
+
+/**
+ * Find the open tasks and subtasks that wait on unfinished or missing prerequisites, and the
+ * prerequisites that hold them up while being free to start themselves
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @returns {Object} { blocked: [{ node, waitingOn, missing }], blockers: [{ node, holdsUp }] }
+ *   where blockers are sorted by how many blocked items wait on them, directly or through others
+ */
+function findBlockedItems(graph) {
+  const nodes = new Map(graph.nodes.map((node) => [node.id, node]));
+  const isOpen = (id) => !isTerminalStatus(nodes.get(id).status);
+
+  const blocked = graph.nodes
+    .filter((node) => isOpen(node.id))
+    .map((node) => ({
+      node,
+      waitingOn: getPrerequisites(graph, node.id).filter(isOpen).map((id) => nodes.get(id)),
+      missing: graph.missing.filter((missing) => missing.id === node.id).map((missing) => missing.dependency),
+    }))
+    .filter((entry) => entry.waitingOn.length > 0 || entry.missing.length > 0);
+
+  const blockedIds = new Set(blocked.map((entry) => entry.node.id));
+  const blockerIds = [...new Set(blocked.flatMap((entry) => entry.waitingOn.map((node) => node.id)))].filter((id) => !isWaiting(graph, id));
+  const blockers = blockerIds
+    .map((id) => {
+      const reached = new Set();
+      const stack = [id];
+      while (stack.length > 0) {
+        const current = stack.pop();
+        graph.edges
+          .filter((edge) => edge.type === "dependency" && edge.from === current && blockedIds.has(edge.to) && !reached.has(edge.to))
+          .forEach((edge) => {
+            reached.add(edge.to);
+            stack.push(edge.to);
+          });
+      }
+      return { node: nodes.get(id), holdsUp: reached.size };
+    })
+    .sort((a, b) => b.holdsUp - a.holdsUp);
+
+  return { blocked, blockers };
+}
+
+/**
+ * Get the display color of a status as hex
+ * @param {string} status - Status
+ * @returns {string} "#rrggbb"
+ */
+function getStatusHex(status) {
+  const definition = getStatusDefinition(status);
+  const color = definition ? definition.color : "white";
+  return /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : COLOR_HEX[color] || COLOR_HEX.white;
+}
+
+/**
+ * Mix a color with white, for readable node fills
+ * @param {string} hex - "#rrggbb"
+ * @param {number} amount - Share of white, 0-1
+ * @returns {string} "#rrggbb"
+ */
+function lighten(hex, amount) {
+  const channels = [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+  return `#${channels
+    .map((channel) =>
+      Math.round(channel + (255 - channel) * amount)
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("")}`;
+}
+
+/**
+ * Label of a node
+ * @param {Object} node - Graph node
+ * @returns {string} "#3 Title (pending)" for tasks, "3.2 Title (pending)" for subtasks
+ */
+function nodeLabel(node) {
+  return `${node.type === "task" ? "#" : ""}${node.id} ${node.title} (${node.status})`;
+}
+
+/**
+ * Render a graph as a Mermaid flowchart
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @returns {string} Mermaid source
+ */
+function renderMermaid(graph) {
+  const nodeId = (id) => `t${String(id).replace(".", "_")}`;
+  const escape = (text) => String(text).replace(/"/g, "#quot;");
+  const statusClass = (status) => `status_${String(status).replace(/[^a-zA-Z0-9_]/g, "_")}`;
+
+  const lines = ["flowchart LR"];
+  graph.nodes.forEach((node) => {
+    const label = `"${escape(nodeLabel(node))}"`;
+    lines.push(`  ${nodeId(node.id)}${node.type === "task" ? `[${label}]` : `(${label})`}`);
+  });
+
+  const highlighted = { cycle: [], critical: [] };
+  graph.edges.forEach((edge, position) => {
+    lines.push(`  ${nodeId(edge.from)} ${edge.type === "subtask" ? "-.-" : "-->"} ${nodeId(edge.to)}`);
+    if (edge.inCycle) {
+      highlighted.cycle.push(position);
+    } else if (edge.critical) {
+      highlighted.critical.push(position);
+    }
+  });
+
+  const statuses = [...new Set(graph.nodes.map((node) => node.status))];
+  statuses.forEach((status) => {
+    const hex = getStatusHex(status);
+    lines.push(`  classDef ${statusClass(status)} fill:${lighten(hex, 0.75)},stroke:${hex},color:#212529`);
+    lines.push(`  class ${graph.nodes.filter((node) => node.status === status).map((node) => nodeId(node.id)).join(",")} ${statusClass(status)}`);
+  });
+
+  const critical = graph.nodes.filter((node) => node.critical && !node.inCycle);
+  if (critical.length > 0) {
+    lines.push(`  classDef critical stroke:${CRITICAL_COLOR},stroke-width:3px`);
+    lines.push(`  class ${critical.map((node) => nodeId(node.id)).join(",")} critical`);
+  }
+  const inCycle = graph.nodes.filter((node) => node.inCycle);
+  if (inCycle.length > 0) {
+    lines.push(`  classDef cycle stroke:${CYCLE_COLOR},stroke-width:3px,stroke-dasharray:5 3`);
+    lines.push(`  class ${inCycle.map((node) => nodeId(node.id)).join(",")} cycle`);
+  }
+  if (highlighted.critical.length > 0) {
+    lines.push(`  linkStyle ${highlighted.critical.join(",")} stroke:${CRITICAL_COLOR},stroke-width:3px`);
+  }
+  if (highlighted.cycle.length > 0) {
+    lines.push(`  linkStyle ${highlighted.cycle.join(",")} stroke:${CYCLE_COLOR},stroke-width:3px`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Render a graph in Graphviz DOT
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @returns {string} DOT source
+ */
+function renderDot(graph) {
+  const quote = (text) => `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+  const lines = ["digraph tasks {", "  rankdir=LR;", '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'];
+  graph.nodes.forEach((node) => {
+    const hex = getStatusHex(node.status);
+    const border = node.inCycle ? CYCLE_COLOR : node.critical ? CRITICAL_COLOR : hex;
+    const attributes = [`label=${quote(nodeLabel(node))}`, `fillcolor=${quote(lighten(hex, 0.75))}`, `color=${quote(border)}`];
+    if (border !== hex) {
+      attributes.push("penwidth=3");
+    }
+    if (node.type === "subtask") {
+      attributes.push('shape=ellipse, style="filled"');
+    }
+    lines.push(`  ${quote(node.id)} [${attributes.join(", ")}];`);
+  });
+
+  graph.edges.forEach((edge) => {
+    const attributes = [];
+    if (edge.type === "subtask") {
+      attributes.push("style=dashed", "arrowhead=none");
+    }
+    if (edge.inCycle) {
+      attributes.push(`color=${quote(CYCLE_COLOR)}`, "penwidth=2");
+    } else if (edge.critical && edge.type === "dependency") {
+      attributes.push(`color=${quote(CRITICAL_COLOR)}`, "penwidth=2");
+    }
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attributes.length > 0 ? ` [${attributes.join(", ")}]` : ""};`);
+  });
+
+  lines.push("}");
+  return lines.join("\n");
+}
+
+/**
+ * Render a graph in the requested format
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string} format - "mermaid", "dot" or "json"
+ * @returns {string} Rendered graph
+ */
+function renderDependencyGraph(graph, format = "mermaid") {
+  switch (format) {
+    case "mermaid":
+      return renderMermaid(graph);
+    case "dot":
+      return renderDot(graph);
+    case "json":
+      return JSON.stringify(
+        {
+          ...graph,
+          nodes: graph.nodes.map((node) => ({ ...node, finished: isTerminalStatus(node.status) })),
+        },
+        null,
+        2
+      );
+    default:
+      throw new Error(`Unknown graph format "${format}". Use one of: ${GRAPH_FORMATS.join(", ")}`);
+  }
+}
+
+export {
+  GRAPH_FORMATS,
+  GRAPH_DIRECTIONS,
+  resolveDependencyNode,
+  normalizeDependencyId,
+  findDependencyCycles,
+  buildDependencyGraph,
+  filterDependencyGraph,
+  findDependencyPath,
+  buildDependencyTree,
+  findBlockedItems,
+  renderDependencyGraph,
+};
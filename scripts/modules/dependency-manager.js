@@ -3,228 +3,226 @@
  * Manages task dependencies and relationships
  */
 
+import fs from "fs";
 import path from "path";
 import chalk from "chalk";
 import boxen from "boxen";
 
-import { log, readJSON, writeJSON, taskExists, formatTaskId, findCycles } from "./utils.js";
-
-import { displayBanner } from "./ui.js";
+import { log, readJSON, writeJSON, formatTaskId, readComplexityReport } from "./utils.js";
+import {
+  GRAPH_FORMATS,
+  resolveDependencyNode,
+  normalizeDependencyId,
+  buildDependencyGraph,
+  filterDependencyGraph,
+  findDependencyPath,
+  renderDependencyGraph,
+} from "./dependency-graph.js";
+
+import {
+  findCycleLoop,
+  suggestCycleBreak,
+  describeCycleForAI,
+  mergeAICycleBreak,
+  applyCycleCut,
+  applyCycleSplit,
+} from "./cycle-breaker.js";
+
+import { displayBanner, displayDependencyFixPlan, displayCycleSuggestion, promptInput } from "./ui.js";
 
 import { generateTaskFiles } from "./task-manager.js";
+import { suggestCycleBreakWithAI } from "./ai-services.js";
 
 /**
- * Add a dependency to a task
- * @param {string} tasksPath - Path to the tasks.json file
- * @param {number|string} taskId - ID of the task to add dependency to
- * @param {number|string} dependencyId - ID of the task to add as dependency
+ * Report a dependency command failure
+ * @param {string} message - Error message
+ * @param {string} outputFormat - "text" exits the process, "json" throws instead
  */
-async function addDependency(tasksPath, taskId, dependencyId) {
-  log("info", `Adding dependency ${dependencyId} to task ${taskId}...`);
-
-  const data = readJSON(tasksPath);
-  if (!data || !data.tasks) {
-    log("error", "No valid tasks found in tasks.json");
-    process.exit(1);
+function failDependencyCommand(message, outputFormat) {
+  log("error", message);
+  if (outputFormat !== "text") {
+    throw new Error(message);
   }
+  process.exit(1);
+}
 
-  // Format the task and dependency IDs correctly
-  const formattedTaskId = typeof taskId === "string" && taskId.includes(".") ? taskId : parseInt(taskId, 10);
-
-  const formattedDependencyId = formatTaskId(dependencyId);
-
-  // Check if the dependency task or subtask actually exists
-  if (!taskExists(data.tasks, formattedDependencyId)) {
-    log("error", `Dependency target ${formattedDependencyId} does not exist in tasks.json`);
-    process.exit(1);
-  }
+/**
+ * Describe a dependency that a fix removes
+ * @param {number|string} id - Task ID, or "parent.sub" for a subtask
+ * @param {number|string} dependency - Dependency as stored
+ * @param {string} reason - "duplicate", "self", "missing", "circular" or "sibling"
+ * @param {string} message - Why it is removed
+ * @returns {Object} { id, dependency, reason, message }
+ */
+function dependencyFix(id, dependency, reason, message) {
+  return { id: String(id), dependency, reason, message };
+}
 
-  // Find the task to update
-  let targetTask = null;
-  let isSubtask = false;
+/**
+ * Find the task or subtask whose dependencies a command changes
+ * @param {Object[]} tasks - All tasks
+ * @param {number|string} taskId - Task ID, or "parent.sub" for a subtask
+ * @param {string} outputFormat - "text" exits the process on errors, "json" throws instead
+ * @returns {Object} { id, item, parentTask } with the ID (a number for tasks, "parent.sub" for subtasks), and the parent task for subtasks
+ */
+function findDependentItem(tasks, taskId, outputFormat) {
+  const id = String(taskId).trim();
 
-  if (typeof formattedTaskId === "string" && formattedTaskId.includes(".")) {
+  if (id.includes(".")) {
     // Handle dot notation for subtasks (e.g., "1.2")
-    const [parentId, subtaskId] = formattedTaskId.split(".").map((id) => parseInt(id, 10));
-    const parentTask = data.tasks.find((t) => t.id === parentId);
+    const [parentId, subtaskId] = id.split(".").map((part) => parseInt(part, 10));
+    const parentTask = tasks.find((t) => t.id === parentId);
 
     if (!parentTask) {
-      log("error", `Parent task ${parentId} not found.`);
-      process.exit(1);
+      failDependencyCommand(`Parent task ${parentId} not found.`, outputFormat);
     }
 
     if (!parentTask.subtasks) {
-      log("error", `Parent task ${parentId} has no subtasks.`);
-      process.exit(1);
+      failDependencyCommand(`Parent task ${parentId} has no subtasks.`, outputFormat);
     }
 
-    targetTask = parentTask.subtasks.find((s) => s.id === subtaskId);
-    isSubtask = true;
-
-    if (!targetTask) {
-      log("error", `Subtask ${formattedTaskId} not found.`);
-      process.exit(1);
+    const subtask = parentTask.subtasks.find((s) => s.id === subtaskId);
+    if (!subtask) {
+      failDependencyCommand(`Subtask ${id} not found.`, outputFormat);
     }
-  } else {
-    // Regular task (not a subtask)
-    targetTask = data.tasks.find((t) => t.id === formattedTaskId);
+    return { id: `${parentId}.${subtaskId}`, item: subtask, parentTask };
+  }
 
-    if (!targetTask) {
-      log("error", `Task ${formattedTaskId} not found.`);
-      process.exit(1);
-    }
+  const task = tasks.find((t) => t.id === parseInt(id, 10));
+  if (!task) {
+    failDependencyCommand(`Task ${parseInt(id, 10)} not found.`, outputFormat);
   }
+  return { id: task.id, item: task, parentTask: null };
+}
+
+/**
+ * Add a dependency to a task or subtask. The dependency is a full ID: 5 names task 5 and 5.1 a
+ * subtask of task 5, also when it is a sibling.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number|string} taskId - ID of the task or subtask ("parent.sub") to add dependency to
+ * @param {number|string} dependencyId - ID of the task or subtask to add as dependency
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { taskId, dependencyId, added }
+ */
+async function addDependency(tasksPath, taskId, dependencyId, outputFormat = "text") {
+  log("info", `Adding dependency ${dependencyId} to task ${taskId}...`);
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    failDependencyCommand("No valid tasks found in tasks.json", outputFormat);
+  }
+
+  const { id: formattedTaskId, item: targetTask, parentTask } = findDependentItem(data.tasks, taskId, outputFormat);
+
+  // Resolve the dependency the same way it is read back later
+  const storedDependencyId = normalizeDependencyId(dependencyId, data.tasks, parentTask);
+  if (storedDependencyId === null) {
+    failDependencyCommand(`Dependency target ${formatTaskId(dependencyId)} does not exist in tasks.json`, outputFormat);
+  }
+  const formattedDependencyId = resolveDependencyNode(storedDependencyId, data.tasks, parentTask);
 
   // Initialize dependencies array if it doesn't exist
   if (!targetTask.dependencies) {
     targetTask.dependencies = [];
   }
 
-  // Check if dependency already exists
-  if (
-    targetTask.dependencies.some((d) => {
-      // Convert both to strings for comparison to handle both numeric and string IDs
-      return String(d) === String(formattedDependencyId);
-    })
-  ) {
+  // Check if dependency already exists, however it was written
+  if (targetTask.dependencies.some((d) => resolveDependencyNode(d, data.tasks, parentTask) === formattedDependencyId)) {
     log("warn", `Dependency ${formattedDependencyId} already exists in task ${formattedTaskId}.`);
-    return;
+    return { taskId: formattedTaskId, dependencyId: formattedDependencyId, added: false };
   }
 
   // Check if the task is trying to depend on itself
-  if (String(formattedTaskId) === String(formattedDependencyId)) {
-    log("error", `Task ${formattedTaskId} cannot depend on itself.`);
-    process.exit(1);
+  if (String(formattedTaskId) === formattedDependencyId) {
+    failDependencyCommand(`Task ${formattedTaskId} cannot depend on itself.`, outputFormat);
   }
 
-  // Check for circular dependencies
-  let dependencyChain = [formattedTaskId];
-  if (!isCircularDependency(data.tasks, formattedDependencyId, dependencyChain)) {
-    // Add the dependency
-    targetTask.dependencies.push(formattedDependencyId);
-
-    // Sort dependencies numerically or by parent task ID first, then subtask ID
-    targetTask.dependencies.sort((a, b) => {
-      if (typeof a === "number" && typeof b === "number") {
-        return a - b;
-      } else if (typeof a === "string" && typeof b === "string") {
-        const [aParent, aChild] = a.split(".").map(Number);
-        const [bParent, bChild] = b.split(".").map(Number);
-        return aParent !== bParent ? aParent - bParent : aChild - bChild;
-      } else if (typeof a === "number") {
-        return -1; // Numbers come before strings
-      } else {
-        return 1; // Strings come after numbers
-      }
-    });
+  // The new dependency closes a cycle when the dependency already waits on this task or subtask,
+  // including through a parent task that waits on its subtasks
+  const cycle = findDependencyPath(buildDependencyGraph(data.tasks), String(formattedTaskId), formattedDependencyId);
+  if (cycle) {
+    failDependencyCommand(
+      `Cannot add dependency ${formattedDependencyId} to task ${formattedTaskId} as it would create a circular dependency: ` +
+        `${[formattedTaskId, ...cycle.reverse()].join(" → ")}`,
+      outputFormat
+    );
+  }
 
-    // Save changes
-    writeJSON(tasksPath, data);
-    log("success", `Added dependency ${formattedDependencyId} to task ${formattedTaskId}`);
+  // Add the dependency (task and sibling IDs stay numeric so they match task.id)
+  targetTask.dependencies.push(storedDependencyId);
+
+  // Sort dependencies numerically or by parent task ID first, then subtask ID
+  targetTask.dependencies.sort((a, b) => {
+    if (typeof a === "number" && typeof b === "number") {
+      return a - b;
+    } else if (typeof a === "string" && typeof b === "string") {
+      const [aParent, aChild] = a.split(".").map(Number);
+      const [bParent, bChild] = b.split(".").map(Number);
+      return aParent !== bParent ? aParent - bParent : aChild - bChild;
+    } else if (typeof a === "number") {
+      return -1; // Numbers come before strings
+    } else {
+      return 1; // Strings come after numbers
+    }
+  });
+
+  // Save changes
+  writeJSON(tasksPath, data);
+  log("success", `Added dependency ${formattedDependencyId} to task ${formattedTaskId}`);
 
-    // Display a more visually appealing success message
+  // Display a more visually appealing success message
+  if (outputFormat === "text") {
     console.log(
       boxen(
         chalk.green(`Successfully added dependency:\n\n`) + `Task ${chalk.bold(formattedTaskId)} now depends on ${chalk.bold(formattedDependencyId)}`,
         { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
       )
     );
+  }
 
-    // Generate updated task files
-    await generateTaskFiles(tasksPath, "tasks");
+  // Generate updated task files
+  await generateTaskFiles(tasksPath, path.dirname(tasksPath));
 
-    log("info", "Task files regenerated with updated dependencies.");
-  } else {
-    log("error", `Cannot add dependency ${formattedDependencyId} to task ${formattedTaskId} as it would create a circular dependency.`);
-    process.exit(1);
-  }
+  log("info", "Task files regenerated with updated dependencies.");
+  return { taskId: formattedTaskId, dependencyId: formattedDependencyId, added: true };
 }
 
 /**
- * Remove a dependency from a task
+ * Remove a dependency from a task or subtask
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {number|string} taskId - ID of the task to remove dependency from
- * @param {number|string} dependencyId - ID of the task to remove as dependency
+ * @param {number|string} taskId - ID of the task or subtask ("parent.sub") to remove dependency from
+ * @param {number|string} dependencyId - ID of the task or subtask to remove as dependency
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { taskId, dependencyId, removed }
  */
-async function removeDependency(tasksPath, taskId, dependencyId) {
+async function removeDependency(tasksPath, taskId, dependencyId, outputFormat = "text") {
   log("info", `Removing dependency ${dependencyId} from task ${taskId}...`);
 
   // Read tasks file
   const data = readJSON(tasksPath);
   if (!data || !data.tasks) {
-    log("error", "No valid tasks found.");
-    process.exit(1);
+    failDependencyCommand("No valid tasks found.", outputFormat);
   }
 
-  // Format the task and dependency IDs correctly
-  const formattedTaskId = typeof taskId === "string" && taskId.includes(".") ? taskId : parseInt(taskId, 10);
-
-  const formattedDependencyId = formatTaskId(dependencyId);
-
-  // Find the task to update
-  let targetTask = null;
-  let isSubtask = false;
-
-  if (typeof formattedTaskId === "string" && formattedTaskId.includes(".")) {
-    // Handle dot notation for subtasks (e.g., "1.2")
-    const [parentId, subtaskId] = formattedTaskId.split(".").map((id) => parseInt(id, 10));
-    const parentTask = data.tasks.find((t) => t.id === parentId);
-
-    if (!parentTask) {
-      log("error", `Parent task ${parentId} not found.`);
-      process.exit(1);
-    }
-
-    if (!parentTask.subtasks) {
-      log("error", `Parent task ${parentId} has no subtasks.`);
-      process.exit(1);
-    }
-
-    targetTask = parentTask.subtasks.find((s) => s.id === subtaskId);
-    isSubtask = true;
-
-    if (!targetTask) {
-      log("error", `Subtask ${formattedTaskId} not found.`);
-      process.exit(1);
-    }
-  } else {
-    // Regular task (not a subtask)
-    targetTask = data.tasks.find((t) => t.id === formattedTaskId);
-
-    if (!targetTask) {
-      log("error", `Task ${formattedTaskId} not found.`);
-      process.exit(1);
-    }
-  }
+  const { id: formattedTaskId, item: targetTask, parentTask } = findDependentItem(data.tasks, taskId, outputFormat);
+  const formattedDependencyId = String(formatTaskId(dependencyId)).trim();
 
   // Check if the task has any dependencies
   if (!targetTask.dependencies || targetTask.dependencies.length === 0) {
     log("info", `Task ${formattedTaskId} has no dependencies, nothing to remove.`);
-    return;
+    return { taskId: formattedTaskId, dependencyId: formattedDependencyId, removed: false };
   }
 
-  // Normalize the dependency ID for comparison to handle different formats
-  const normalizedDependencyId = String(formattedDependencyId);
-
-  // Check if the dependency exists by comparing string representations
-  const dependencyIndex = targetTask.dependencies.findIndex((dep) => {
-    // Convert both to strings for comparison
-    let depStr = String(dep);
-
-    // Special handling for numeric IDs that might be subtask references
-    if (typeof dep === "number" && dep < 100 && isSubtask) {
-      // It's likely a reference to another subtask in the same parent task
-      // Convert to full format for comparison (e.g., 2 -> "1.2" for a subtask in task 1)
-      const [parentId] = formattedTaskId.split(".");
-      depStr = `${parentId}.${dep}`;
-    }
-
-    return depStr === normalizedDependencyId;
-  });
+  // Match what the dependency refers to (so "3.1" removes a sibling stored as 1), or else
+  // the stored value itself, so dependencies on deleted tasks can be removed as well
+  const dependencyNodeId = resolveDependencyNode(formattedDependencyId, data.tasks, parentTask);
+  const dependencyIndex = targetTask.dependencies.findIndex((dep) =>
+    dependencyNodeId !== null ? resolveDependencyNode(dep, data.tasks, parentTask) === dependencyNodeId : String(dep) === formattedDependencyId
+  );
 
   if (dependencyIndex === -1) {
     log("info", `Task ${formattedTaskId} does not depend on ${formattedDependencyId}, no changes made.`);
-    return;
+    return { taskId: formattedTaskId, dependencyId: formattedDependencyId, removed: false };
   }
 
   // Remove the dependency
@@ -237,94 +235,87 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
   log("success", `Removed dependency: Task ${formattedTaskId} no longer depends on ${formattedDependencyId}`);
 
   // Display a more visually appealing success message
-  console.log(
-    boxen(
-      chalk.green(`Successfully removed dependency:\n\n`) +
-        `Task ${chalk.bold(formattedTaskId)} no longer depends on ${chalk.bold(formattedDependencyId)}`,
-      { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
-    )
-  );
+  if (outputFormat === "text") {
+    console.log(
+      boxen(
+        chalk.green(`Successfully removed dependency:\n\n`) +
+          `Task ${chalk.bold(formattedTaskId)} no longer depends on ${chalk.bold(formattedDependencyId)}`,
+        { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
+      )
+    );
+  }
 
   // Regenerate task files
-  await generateTaskFiles(tasksPath, "tasks");
+  await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+
+  return { taskId: formattedTaskId, dependencyId: formattedDependencyId, removed: true };
 }
 
 /**
- * Check if adding a dependency would create a circular dependency
+ * Check whether a task or subtask is part of a circular dependency
  * @param {Array} tasks - Array of all tasks
- * @param {number|string} taskId - ID of task to check
- * @param {Array} chain - Chain of dependencies to check
- * @returns {boolean} True if circular dependency would be created
+ * @param {number|string} taskId - Task ID, or "parent.sub" for a subtask
+ * @returns {boolean} True if it waits on itself, directly or through other tasks and subtasks
  */
-function isCircularDependency(tasks, taskId, chain = []) {
-  // Convert taskId to string for comparison
-  const taskIdStr = String(taskId);
-
-  // If we've seen this task before in the chain, we have a circular dependency
-  if (chain.some((id) => String(id) === taskIdStr)) {
-    return true;
-  }
-
-  // Find the task
-  const task = tasks.find((t) => String(t.id) === taskIdStr);
-  if (!task) {
-    return false; // Task doesn't exist, can't create circular dependency
-  }
-
-  // No dependencies, can't create circular dependency
-  if (!task.dependencies || task.dependencies.length === 0) {
-    return false;
-  }
-
-  // Check each dependency recursively
-  const newChain = [...chain, taskId];
-  return task.dependencies.some((depId) => isCircularDependency(tasks, depId, newChain));
+function isCircularDependency(tasks, taskId) {
+  const id = String(taskId);
+  return buildDependencyGraph(tasks).nodes.some((node) => node.id === id && node.inCycle);
 }
 
 /**
- * Validate task dependencies
+ * Validate the dependencies of tasks and subtasks
  * @param {Array} tasks - Array of all tasks
  * @returns {Object} Validation result with valid flag and issues array
  */
 function validateTaskDependencies(tasks) {
   const issues = [];
+  const cycleIds = new Set(
+    buildDependencyGraph(tasks)
+      .nodes.filter((node) => node.inCycle)
+      .map((node) => node.id)
+  );
 
-  // Check each task's dependencies
-  tasks.forEach((task) => {
-    if (!task.dependencies) {
-      return; // No dependencies to validate
-    }
+  const validateItem = (item, parentTask) => {
+    const itemId = parentTask ? `${parentTask.id}.${item.id}` : item.id;
+    const label = parentTask ? `Subtask ${itemId}` : `Task ${itemId}`;
+
+    (item.dependencies || []).forEach((depId) => {
+      const nodeId = resolveDependencyNode(depId, tasks, parentTask);
 
-    task.dependencies.forEach((depId) => {
       // Check for self-dependencies
-      if (String(depId) === String(task.id)) {
+      if (nodeId === String(itemId)) {
         issues.push({
           type: "self",
-          taskId: task.id,
-          message: `Task ${task.id} depends on itself`,
+          taskId: itemId,
+          message: `${label} depends on itself`,
         });
         return;
       }
 
       // Check if dependency exists
-      if (!taskExists(tasks, depId)) {
+      if (nodeId === null) {
         issues.push({
           type: "missing",
-          taskId: task.id,
+          taskId: itemId,
           dependencyId: depId,
-          message: `Task ${task.id} depends on non-existent task ${depId}`,
+          message: `${label} depends on non-existent ${String(depId).includes(".") ? "subtask" : "task"} ${depId}`,
         });
       }
     });
 
     // Check for circular dependencies
-    if (isCircularDependency(tasks, task.id)) {
+    if (cycleIds.has(String(itemId))) {
       issues.push({
         type: "circular",
-        taskId: task.id,
-        message: `Task ${task.id} is part of a circular dependency chain`,
+        taskId: itemId,
+        message: `${label} is part of a circular dependency chain`,
       });
     }
+  };
+
+  tasks.forEach((task) => {
+    validateItem(task, null);
+    (task.subtasks || []).forEach((subtask) => validateItem(subtask, task));
   });
 
   return {
@@ -369,7 +360,7 @@ function cleanupSubtaskDependencies(tasksData) {
     if (task.dependencies) {
       task.dependencies = task.dependencies.filter((depId) => {
         // Keep only dependencies that exist
-        return taskExists(tasksData.tasks, depId);
+        return resolveDependencyNode(depId, tasksData.tasks) !== null;
       });
     }
 
@@ -380,9 +371,9 @@ function cleanupSubtaskDependencies(tasksData) {
           return subtask;
         }
 
-        // Filter out dependencies to non-existent subtasks
+        // Filter out dependencies to non-existent siblings, tasks and subtasks of other tasks
         subtask.dependencies = subtask.dependencies.filter((depId) => {
-          return taskExists(tasksData.tasks, depId);
+          return resolveDependencyNode(depId, tasksData.tasks, task) !== null;
         });
 
         return subtask;
@@ -401,17 +392,20 @@ function cleanupSubtaskDependencies(tasksData) {
 /**
  * Validate dependencies in task files
  * @param {string} tasksPath - Path to tasks.json
+ * @param {string} outputFormat - "text" to print a report, "json" to return the issues without changing the file
+ * @returns {Promise<Object|undefined>} In JSON mode: { valid, issues, tasksChecked, subtasksChecked }
  */
-async function validateDependenciesCommand(tasksPath) {
-  displayBanner();
+async function validateDependenciesCommand(tasksPath, outputFormat = "text") {
+  if (outputFormat === "text") {
+    displayBanner();
+  }
 
   log("info", "Checking for invalid dependencies in task files...");
 
   // Read tasks data
   const data = readJSON(tasksPath);
   if (!data || !data.tasks) {
-    log("error", "No valid tasks found in tasks.json");
-    process.exit(1);
+    failDependencyCommand("No valid tasks found in tasks.json", outputFormat);
   }
 
   // Count of tasks and subtasks for reporting
@@ -425,116 +419,47 @@ async function validateDependenciesCommand(tasksPath) {
 
   log("info", `Analyzing dependencies for ${taskCount} tasks and ${subtaskCount} subtasks...`);
 
-  // Track validation statistics
-  const stats = {
-    nonExistentDependenciesRemoved: 0,
-    selfDependenciesRemoved: 0,
-    tasksFixed: 0,
-    subtasksFixed: 0,
-  };
-
-  // Create a custom logger instead of reassigning the imported log function
-  const warnings = [];
-  const customLogger = function (level, ...args) {
-    if (level === "warn") {
-      warnings.push(args.join(" "));
-
-      // Count the type of fix based on the warning message
-      const msg = args.join(" ");
-      if (msg.includes("self-dependency")) {
-        stats.selfDependenciesRemoved++;
-      } else if (msg.includes("invalid")) {
-        stats.nonExistentDependenciesRemoved++;
-      }
-
-      // Count if it's a task or subtask being fixed
-      if (msg.includes("from subtask")) {
-        stats.subtasksFixed++;
-      } else if (msg.includes("from task")) {
-        stats.tasksFixed++;
-      }
-    }
-    // Call the original log function
-    return log(level, ...args);
-  };
-
-  // Run validation with custom logger
-  try {
-    // Temporarily save validateTaskDependencies function with normal log
-    const originalValidateTaskDependencies = validateTaskDependencies;
-
-    // Create patched version that uses customLogger
-    const patchedValidateTaskDependencies = (tasks, tasksPath) => {
-      // Temporarily redirect log calls in this scope
-      const originalLog = log;
-      const logProxy = function (...args) {
-        return customLogger(...args);
-      };
-
-      // Call the original function in a context where log calls are intercepted
-      const result = (() => {
-        // Use Function.prototype.bind to create a new function that has logProxy available
-        return Function(
-          "tasks",
-          "tasksPath",
-          "log",
-          "customLogger",
-          `return (${originalValidateTaskDependencies.toString()})(tasks, tasksPath);`
-        )(tasks, tasksPath, logProxy, customLogger);
-      })();
-
-      return result;
-    };
-
-    const changesDetected = patchedValidateTaskDependencies(data.tasks, tasksPath);
+  const { valid, issues } = validateTaskDependencies(data.tasks);
+  if (outputFormat !== "text") {
+    return { valid, issues, tasksChecked: taskCount, subtasksChecked: subtaskCount };
+  }
 
-    // Create a detailed report
-    if (changesDetected) {
-      log("success", "Invalid dependencies were removed from tasks.json");
+  if (valid) {
+    log("success", "No invalid dependencies found - all dependencies are valid");
 
-      // Show detailed stats in a nice box
-      console.log(
-        boxen(
-          chalk.green(`Dependency Validation Results:\n\n`) +
-            `${chalk.cyan("Tasks checked:")} ${taskCount}\n` +
-            `${chalk.cyan("Subtasks checked:")} ${subtaskCount}\n` +
-            `${chalk.cyan("Non-existent dependencies removed:")} ${stats.nonExistentDependenciesRemoved}\n` +
-            `${chalk.cyan("Self-dependencies removed:")} ${stats.selfDependenciesRemoved}\n` +
-            `${chalk.cyan("Tasks fixed:")} ${stats.tasksFixed}\n` +
-            `${chalk.cyan("Subtasks fixed:")} ${stats.subtasksFixed}`,
-          { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1, bottom: 1 } }
-        )
-      );
+    // Show validation summary
+    console.log(
+      boxen(
+        chalk.green(`All Dependencies Are Valid\n\n`) +
+          `${chalk.cyan("Tasks checked:")} ${taskCount}\n` +
+          `${chalk.cyan("Subtasks checked:")} ${subtaskCount}\n` +
+          `${chalk.cyan("Total dependencies verified:")} ${countAllDependencies(data.tasks)}`,
+        { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1, bottom: 1 } }
+      )
+    );
+    return;
+  }
 
-      // Show all warnings in a collapsible list if there are many
-      if (warnings.length > 0) {
-        console.log(chalk.yellow("\nDetailed fixes:"));
-        warnings.forEach((warning) => {
-          console.log(`  ${warning}`);
-        });
-      }
+  log("warn", `Found ${issues.length} dependency issue${issues.length === 1 ? "" : "s"}`);
 
-      // Regenerate task files to reflect the changes
-      await generateTaskFiles(tasksPath, path.dirname(tasksPath));
-      log("info", "Task files regenerated to reflect dependency changes");
-    } else {
-      log("success", "No invalid dependencies found - all dependencies are valid");
+  const count = (type) => issues.filter((issue) => issue.type === type).length;
+  console.log(
+    boxen(
+      chalk.yellow(`Dependency Validation Results:\n\n`) +
+        `${chalk.cyan("Tasks checked:")} ${taskCount}\n` +
+        `${chalk.cyan("Subtasks checked:")} ${subtaskCount}\n` +
+        `${chalk.cyan("Non-existent dependencies:")} ${count("missing")}\n` +
+        `${chalk.cyan("Self-dependencies:")} ${count("self")}\n` +
+        `${chalk.cyan("In a circular dependency:")} ${count("circular")}`,
+      { padding: 1, borderColor: "yellow", borderStyle: "round", margin: { top: 1, bottom: 1 } }
+    )
+  );
 
-      // Show validation summary
-      console.log(
-        boxen(
-          chalk.green(`All Dependencies Are Valid\n\n`) +
-            `${chalk.cyan("Tasks checked:")} ${taskCount}\n` +
-            `${chalk.cyan("Subtasks checked:")} ${subtaskCount}\n` +
-            `${chalk.cyan("Total dependencies verified:")} ${countAllDependencies(data.tasks)}`,
-          { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1, bottom: 1 } }
-        )
-      );
-    }
-  } catch (error) {
-    log("error", "Error validating dependencies:", error);
-    process.exit(1);
-  }
+  console.log(chalk.yellow("Issues:"));
+  issues.forEach((issue) => {
+    console.log(`  ${issue.message}`);
+  });
+  console.log(`\n${chalk.cyan("Fix them with:")} ${chalk.yellow("task-master fix-dependencies")}`);
 }
 
 /**
@@ -567,18 +492,24 @@ function countAllDependencies(tasks) {
 /**
  * Fixes invalid dependencies in tasks.json
  * @param {string} tasksPath - Path to tasks.json
+ * @param {string} outputFormat - "text" to print a report, "json" to only return it (errors are thrown)
+ * @param {Object} options - Fix options
+ * @param {boolean} options.dryRun - Work out the changes without writing anything
+ * @returns {Promise<Object>} { changed, dryRun, stats, changes } with one { id, dependency, reason, message } per removed dependency
  */
-async function fixDependenciesCommand(tasksPath) {
-  displayBanner();
+async function fixDependenciesCommand(tasksPath, outputFormat = "text", options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  if (outputFormat === "text") {
+    displayBanner();
+  }
 
-  log("info", "Checking for and fixing invalid dependencies in tasks.json...");
+  log("info", dryRun ? "Checking which dependencies fix-dependencies would change..." : "Checking for and fixing invalid dependencies in tasks.json...");
 
   try {
     // Read tasks data
     const data = readJSON(tasksPath);
     if (!data || !data.tasks) {
-      log("error", "No valid tasks found in tasks.json");
-      process.exit(1);
+      throw new Error("No valid tasks found in tasks.json");
     }
 
     // Create a deep copy of the original data for comparison
@@ -593,6 +524,7 @@ async function fixDependenciesCommand(tasksPath) {
       tasksFixed: 0,
       subtasksFixed: 0,
     };
+    const changes = [];
 
     // First phase: Remove duplicate dependencies in tasks
     data.tasks.forEach((task) => {
@@ -600,10 +532,11 @@ async function fixDependenciesCommand(tasksPath) {
         const uniqueDeps = new Set();
         const originalLength = task.dependencies.length;
         task.dependencies = task.dependencies.filter((depId) => {
-          const depIdStr = String(depId);
+          const depIdStr = resolveDependencyNode(depId, data.tasks) || String(depId);
           if (uniqueDeps.has(depIdStr)) {
             log("info", `Removing duplicate dependency from task ${task.id}: ${depId}`);
             stats.duplicateDependenciesRemoved++;
+            changes.push(dependencyFix(task.id, depId, "duplicate", `Repeats the dependency on ${depIdStr}`));
             return false;
           }
           uniqueDeps.add(depIdStr);
@@ -621,13 +554,11 @@ async function fixDependenciesCommand(tasksPath) {
             const uniqueDeps = new Set();
             const originalLength = subtask.dependencies.length;
             subtask.dependencies = subtask.dependencies.filter((depId) => {
-              let depIdStr = String(depId);
-              if (typeof depId === "number" && depId < 100) {
-                depIdStr = `${task.id}.${depId}`;
-              }
+              const depIdStr = resolveDependencyNode(depId, data.tasks, task) || String(depId);
               if (uniqueDeps.has(depIdStr)) {
                 log("info", `Removing duplicate dependency from subtask ${task.id}.${subtask.id}: ${depId}`);
                 stats.duplicateDependenciesRemoved++;
+                changes.push(dependencyFix(`${task.id}.${subtask.id}`, depId, "duplicate", `Repeats the dependency on ${depIdStr}`));
                 return false;
               }
               uniqueDeps.add(depIdStr);
@@ -641,42 +572,26 @@ async function fixDependenciesCommand(tasksPath) {
       }
     });
 
-    // Create validity maps for tasks and subtasks
-    const validTaskIds = new Set(data.tasks.map((t) => t.id));
-    const validSubtaskIds = new Set();
-    data.tasks.forEach((task) => {
-      if (task.subtasks && Array.isArray(task.subtasks)) {
-        task.subtasks.forEach((subtask) => {
-          validSubtaskIds.add(`${task.id}.${subtask.id}`);
-        });
-      }
-    });
-
-    // Second phase: Remove invalid task dependencies (non-existent tasks)
+    // Second phase: Remove self-dependencies and dependencies on tasks or subtasks that do not exist
     data.tasks.forEach((task) => {
       if (task.dependencies && Array.isArray(task.dependencies)) {
         const originalLength = task.dependencies.length;
         task.dependencies = task.dependencies.filter((depId) => {
-          const isSubtask = typeof depId === "string" && depId.includes(".");
-
-          if (isSubtask) {
-            // Check if the subtask exists
-            if (!validSubtaskIds.has(depId)) {
-              log("info", `Removing invalid subtask dependency from task ${task.id}: ${depId} (subtask does not exist)`);
-              stats.nonExistentDependenciesRemoved++;
-              return false;
-            }
-            return true;
-          } else {
-            // Check if the task exists
-            const numericId = typeof depId === "string" ? parseInt(depId, 10) : depId;
-            if (!validTaskIds.has(numericId)) {
-              log("info", `Removing invalid task dependency from task ${task.id}: ${depId} (task does not exist)`);
-              stats.nonExistentDependenciesRemoved++;
-              return false;
-            }
-            return true;
+          const nodeId = resolveDependencyNode(depId, data.tasks);
+          if (nodeId === String(task.id)) {
+            log("info", `Removing self-dependency from task ${task.id}`);
+            stats.selfDependenciesRemoved++;
+            changes.push(dependencyFix(task.id, depId, "self", "A task cannot depend on itself"));
+            return false;
           }
+          if (nodeId === null) {
+            const kind = String(depId).includes(".") ? "subtask" : "task";
+            log("info", `Removing invalid ${kind} dependency from task ${task.id}: ${depId} (${kind} does not exist)`);
+            stats.nonExistentDependenciesRemoved++;
+            changes.push(dependencyFix(task.id, depId, "missing", `No ${kind} ${depId} exists`));
+            return false;
+          }
+          return true;
         });
 
         if (task.dependencies.length < originalLength) {
@@ -684,70 +599,27 @@ async function fixDependenciesCommand(tasksPath) {
         }
       }
 
-      // Check subtask dependencies for invalid references
+      // Plain IDs on a subtask name a sibling when there is one, else a task; dotted IDs a subtask of any task
       if (task.subtasks && Array.isArray(task.subtasks)) {
         task.subtasks.forEach((subtask) => {
           if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
             const originalLength = subtask.dependencies.length;
             const subtaskId = `${task.id}.${subtask.id}`;
 
-            // First check for self-dependencies
-            const hasSelfDependency = subtask.dependencies.some((depId) => {
-              if (typeof depId === "string" && depId.includes(".")) {
-                return depId === subtaskId;
-              } else if (typeof depId === "number" && depId < 100) {
-                return depId === subtask.id;
-              }
-              return false;
-            });
-
-            if (hasSelfDependency) {
-              subtask.dependencies = subtask.dependencies.filter((depId) => {
-                const normalizedDepId = typeof depId === "number" && depId < 100 ? `${task.id}.${depId}` : String(depId);
-
-                if (normalizedDepId === subtaskId) {
-                  log("info", `Removing self-dependency from subtask ${subtaskId}`);
-                  stats.selfDependenciesRemoved++;
-                  return false;
-                }
-                return true;
-              });
-            }
-
-            // Then check for non-existent dependencies
             subtask.dependencies = subtask.dependencies.filter((depId) => {
-              if (typeof depId === "string" && depId.includes(".")) {
-                if (!validSubtaskIds.has(depId)) {
-                  log("info", `Removing invalid subtask dependency from subtask ${subtaskId}: ${depId} (subtask does not exist)`);
-                  stats.nonExistentDependenciesRemoved++;
-                  return false;
-                }
-                return true;
-              }
-
-              // Handle numeric dependencies
-              const numericId = typeof depId === "number" ? depId : parseInt(depId, 10);
-
-              // Small numbers likely refer to subtasks in the same task
-              if (numericId < 100) {
-                const fullSubtaskId = `${task.id}.${numericId}`;
-
-                if (!validSubtaskIds.has(fullSubtaskId)) {
-                  log("info", `Removing invalid subtask dependency from subtask ${subtaskId}: ${numericId}`);
-                  stats.nonExistentDependenciesRemoved++;
-                  return false;
-                }
-
-                return true;
+              const nodeId = resolveDependencyNode(depId, data.tasks, task);
+              if (nodeId === subtaskId) {
+                log("info", `Removing self-dependency from subtask ${subtaskId}`);
+                stats.selfDependenciesRemoved++;
+                changes.push(dependencyFix(subtaskId, depId, "self", "A subtask cannot depend on itself"));
+                return false;
               }
-
-              // Otherwise it's a task reference
-              if (!validTaskIds.has(numericId)) {
-                log("info", `Removing invalid task dependency from subtask ${subtaskId}: ${numericId}`);
+              if (nodeId === null) {
+                log("info", `Removing invalid dependency from subtask ${subtaskId}: ${depId} (no such task or subtask)`);
                 stats.nonExistentDependenciesRemoved++;
+                changes.push(dependencyFix(subtaskId, depId, "missing", `No task or subtask ${depId} exists`));
                 return false;
               }
-
               return true;
             });
 
@@ -759,88 +631,23 @@ async function fixDependenciesCommand(tasksPath) {
       }
     });
 
-    // Third phase: Check for circular dependencies
+    // Third phase: Break circular dependencies, using the same cycles that validation reports
     log("info", "Checking for circular dependencies...");
 
-    // Build the dependency map for subtasks
-    const subtaskDependencyMap = new Map();
-    data.tasks.forEach((task) => {
-      if (task.subtasks && Array.isArray(task.subtasks)) {
-        task.subtasks.forEach((subtask) => {
-          const subtaskId = `${task.id}.${subtask.id}`;
-
-          if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-            const normalizedDeps = subtask.dependencies.map((depId) => {
-              if (typeof depId === "string" && depId.includes(".")) {
-                return depId;
-              } else if (typeof depId === "number" && depId < 100) {
-                return `${task.id}.${depId}`;
-              }
-              return String(depId);
-            });
-            subtaskDependencyMap.set(subtaskId, normalizedDeps);
-          } else {
-            subtaskDependencyMap.set(subtaskId, []);
-          }
-        });
-      }
+    const circularChanges = [];
+    stats.circularDependenciesFixed = removeCircularDependencies(data.tasks, circularChanges);
+    circularChanges.forEach((change) => {
+      log("info", `Breaking circular dependency: Removing ${change.dependency} from ${change.id.includes(".") ? "subtask" : "task"} ${change.id}`);
+      stats[change.id.includes(".") ? "subtasksFixed" : "tasksFixed"]++;
     });
-
-    // Check for and fix circular dependencies
-    for (const [subtaskId, dependencies] of subtaskDependencyMap.entries()) {
-      const visited = new Set();
-      const recursionStack = new Set();
-
-      // Detect cycles
-      const cycleEdges = findCycles(subtaskId, subtaskDependencyMap, visited, recursionStack);
-
-      if (cycleEdges.length > 0) {
-        const [taskId, subtaskNum] = subtaskId.split(".").map((part) => Number(part));
-        const task = data.tasks.find((t) => t.id === taskId);
-
-        if (task && task.subtasks) {
-          const subtask = task.subtasks.find((st) => st.id === subtaskNum);
-
-          if (subtask && subtask.dependencies) {
-            const originalLength = subtask.dependencies.length;
-
-            const edgesToRemove = cycleEdges.map((edge) => {
-              if (edge.includes(".")) {
-                const [depTaskId, depSubtaskId] = edge.split(".").map((part) => Number(part));
-
-                if (depTaskId === taskId) {
-                  return depSubtaskId;
-                }
-
-                return edge;
-              }
-
-              return Number(edge);
-            });
-
-            subtask.dependencies = subtask.dependencies.filter((depId) => {
-              const normalizedDepId = typeof depId === "number" && depId < 100 ? `${taskId}.${depId}` : String(depId);
-
-              if (edgesToRemove.includes(depId) || edgesToRemove.includes(normalizedDepId)) {
-                log("info", `Breaking circular dependency: Removing ${normalizedDepId} from subtask ${subtaskId}`);
-                stats.circularDependenciesFixed++;
-                return false;
-              }
-              return true;
-            });
-
-            if (subtask.dependencies.length < originalLength) {
-              stats.subtasksFixed++;
-            }
-          }
-        }
-      }
-    }
+    changes.push(...circularChanges);
 
     // Check if any changes were made by comparing with original data
     const dataChanged = JSON.stringify(data) !== JSON.stringify(originalData);
 
-    if (dataChanged) {
+    if (dryRun) {
+      log("info", dataChanged ? `Dry run: ${changes.length} dependency change(s) found, nothing written` : "No changes needed to fix dependencies");
+    } else if (dataChanged) {
       // Save the changes
       writeJSON(tasksPath, data);
       log("success", "Fixed dependency issues in tasks.json");
@@ -852,6 +659,16 @@ async function fixDependenciesCommand(tasksPath) {
       log("info", "No changes needed to fix dependencies");
     }
 
+    const result = { changed: dataChanged, dryRun, stats, changes };
+    if (outputFormat !== "text") {
+      return result;
+    }
+
+    if (dryRun) {
+      displayDependencyFixPlan(changes, { dryRun });
+      return result;
+    }
+
     // Show detailed statistics report
     const totalFixedAll =
       stats.nonExistentDependenciesRemoved + stats.selfDependenciesRemoved + stats.duplicateDependenciesRemoved + stats.circularDependenciesFixed;
@@ -871,6 +688,7 @@ async function fixDependenciesCommand(tasksPath) {
           { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1, bottom: 1 } }
         )
       );
+      displayDependencyFixPlan(changes, { dryRun });
     } else {
       log("success", "No dependency issues found - all dependencies are valid");
 
@@ -883,18 +701,106 @@ async function fixDependenciesCommand(tasksPath) {
         )
       );
     }
+
+    return result;
   } catch (error) {
     log("error", "Error in fix-dependencies command:", error);
+    if (outputFormat !== "text") {
+      throw error;
+    }
     process.exit(1);
   }
 }
 
 /**
- * Ensure at least one subtask in each task has no dependencies
+ * Check whether a subtask depends on one of its siblings
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} task - Parent task
+ * @param {Object} subtask - Subtask
+ * @returns {boolean} True if one of its dependencies is another subtask of the same task
+ */
+function dependsOnSibling(tasks, task, subtask) {
+  return (subtask.dependencies || []).some((depId) => {
+    const nodeId = resolveDependencyNode(depId, tasks, task);
+    return nodeId !== null && nodeId.startsWith(`${task.id}.`);
+  });
+}
+
+/**
+ * Remove the sibling dependencies of a subtask. Dependencies on other tasks and their subtasks stay.
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} task - Parent task
+ * @param {Object} subtask - Subtask
+ * @param {Object[]} changes - Receives a fix record for each removed dependency
+ */
+function clearSiblingDependencies(tasks, task, subtask, changes = []) {
+  subtask.dependencies = (subtask.dependencies || []).filter((depId) => {
+    const nodeId = resolveDependencyNode(depId, tasks, task);
+    if (nodeId === null || !nodeId.startsWith(`${task.id}.`)) {
+      return true;
+    }
+    changes.push(dependencyFix(`${task.id}.${subtask.id}`, depId, "sibling", `Every subtask of task ${task.id} waited on a sibling, so none could start`));
+    return false;
+  });
+}
+
+/**
+ * Break every dependency cycle. Each loop is cut at the dependency that closes it, where its lowest ID
+ * waits on the last item of the loop; if that link is a task needing its own subtask, the last real
+ * dependency before it is cut instead. The graph is rebuilt after each cut, so overlapping cycles
+ * lose no more dependencies than needed.
+ * @param {Object[]} tasks - All tasks (changed in place)
+ * @param {Object[]} changes - Receives a fix record for each removed dependency
+ * @returns {number} Number of dependencies removed
+ */
+function removeCircularDependencies(tasks, changes = []) {
+  let removed = 0;
+  let graph = buildDependencyGraph(tasks);
+
+  while (graph.cycles.length > 0) {
+    const loop = findCycleLoop(graph, graph.cycles[0]);
+    const closing = loop.filter((edge) => edge.type === "dependency").pop();
+    if (!closing) {
+      break;
+    }
+
+    // Each ID waits on the one after it, as in the cycle that add-dependency reports
+    const path = [loop[loop.length - 1].to, ...loop.map((edge) => edge.from).reverse()];
+    const [taskPart, subtaskPart] = closing.to.split(".");
+    const parentTask = subtaskPart === undefined ? null : tasks.find((t) => String(t.id) === taskPart);
+    const item = parentTask
+      ? (parentTask.subtasks || []).find((st) => String(st.id) === subtaskPart)
+      : tasks.find((t) => String(t.id) === taskPart);
+    if (!item || !item.dependencies) {
+      break;
+    }
+
+    const before = item.dependencies.length;
+    item.dependencies = item.dependencies.filter((depId) => {
+      if (resolveDependencyNode(depId, tasks, parentTask) !== closing.from) {
+        return true;
+      }
+      changes.push(dependencyFix(closing.to, depId, "circular", `Closes the dependency cycle ${path.join(" → ")}`));
+      return false;
+    });
+    if (item.dependencies.length === before) {
+      break;
+    }
+
+    removed += before - item.dependencies.length;
+    graph = buildDependencyGraph(tasks);
+  }
+
+  return removed;
+}
+
+/**
+ * Ensure at least one subtask in each task does not wait on a sibling, so the task can be started
  * @param {Object} tasksData - The tasks data object with tasks array
+ * @param {Object[]} changes - Receives a fix record for each removed dependency
  * @returns {boolean} - True if any changes were made
  */
-function ensureAtLeastOneIndependentSubtask(tasksData) {
+function ensureAtLeastOneIndependentSubtask(tasksData, changes = []) {
   if (!tasksData || !tasksData.tasks || !Array.isArray(tasksData.tasks)) {
     return false;
   }
@@ -906,17 +812,15 @@ function ensureAtLeastOneIndependentSubtask(tasksData) {
       return;
     }
 
-    // Check if any subtask has no dependencies
-    const hasIndependentSubtask = task.subtasks.some((st) => !st.dependencies || !Array.isArray(st.dependencies) || st.dependencies.length === 0);
+    // Check if any subtask has no sibling dependencies
+    const hasIndependentSubtask = task.subtasks.some((st) => !dependsOnSibling(tasksData.tasks, task, st));
 
     if (!hasIndependentSubtask) {
-      // Find the first subtask and clear its dependencies
-      if (task.subtasks.length > 0) {
-        const firstSubtask = task.subtasks[0];
-        log("debug", `Ensuring at least one independent subtask: Clearing dependencies for subtask ${task.id}.${firstSubtask.id}`);
-        firstSubtask.dependencies = [];
-        changesDetected = true;
-      }
+      // Find the first subtask and clear its sibling dependencies
+      const firstSubtask = task.subtasks[0];
+      log("debug", `Ensuring at least one independent subtask: Clearing sibling dependencies for subtask ${task.id}.${firstSubtask.id}`);
+      clearSiblingDependencies(tasksData.tasks, task, firstSubtask, changes);
+      changesDetected = true;
     }
   });
 
@@ -928,9 +832,10 @@ function ensureAtLeastOneIndependentSubtask(tasksData) {
  * This function is designed to be called after any task modification
  * @param {Object} tasksData - The tasks data object with tasks array
  * @param {string} tasksPath - Optional path to save the changes
+ * @param {Object[]} changes - Receives a { id, dependency, reason, message } record for each removed dependency
  * @returns {boolean} - True if any changes were made
  */
-function validateAndFixDependencies(tasksData, tasksPath = null) {
+function validateAndFixDependencies(tasksData, tasksPath = null, changes = []) {
   if (!tasksData || !tasksData.tasks || !Array.isArray(tasksData.tasks)) {
     log("error", "Invalid tasks data");
     return false;
@@ -941,69 +846,50 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
   // Create a deep copy for comparison
   const originalData = JSON.parse(JSON.stringify(tasksData));
 
-  // 1. Remove duplicate dependencies from tasks and subtasks
-  tasksData.tasks = tasksData.tasks.map((task) => {
-    // Handle task dependencies
-    if (task.dependencies) {
-      const uniqueDeps = [...new Set(task.dependencies)];
-      task.dependencies = uniqueDeps;
-    }
-
-    // Handle subtask dependencies
-    if (task.subtasks) {
-      task.subtasks = task.subtasks.map((subtask) => {
-        if (subtask.dependencies) {
-          const uniqueDeps = [...new Set(subtask.dependencies)];
-          subtask.dependencies = uniqueDeps;
-        }
-        return subtask;
-      });
-    }
-    return task;
-  });
+  // Keep the first of the dependencies that refer to the same task or subtask ("3.1" and 1 on a subtask of
+  // task 3), and drop self-dependencies and those that refer to nothing
+  const cleanDependencies = (itemId, dependencies, parentTask) => {
+    const seen = new Set();
+    return dependencies.filter((depId) => {
+      const nodeId = resolveDependencyNode(depId, tasksData.tasks, parentTask);
+      if (nodeId === null) {
+        const kind = parentTask ? "task or subtask" : String(depId).includes(".") ? "subtask" : "task";
+        changes.push(dependencyFix(itemId, depId, "missing", `No ${kind} ${depId} exists`));
+        return false;
+      }
+      if (nodeId === itemId) {
+        changes.push(dependencyFix(itemId, depId, "self", `A ${parentTask ? "subtask" : "task"} cannot depend on itself`));
+        return false;
+      }
+      if (seen.has(nodeId)) {
+        changes.push(dependencyFix(itemId, depId, "duplicate", `Repeats the dependency on ${nodeId}`));
+        return false;
+      }
+      seen.add(nodeId);
+      return true;
+    });
+  };
 
-  // 2. Remove invalid task dependencies (non-existent tasks)
+  // 1. Remove duplicate, self and non-existent dependencies from tasks and subtasks
   tasksData.tasks.forEach((task) => {
-    // Clean up task dependencies
     if (task.dependencies) {
-      task.dependencies = task.dependencies.filter((depId) => {
-        // Remove self-dependencies
-        if (String(depId) === String(task.id)) {
-          return false;
-        }
-        // Remove non-existent dependencies
-        return taskExists(tasksData.tasks, depId);
-      });
+      task.dependencies = cleanDependencies(String(task.id), task.dependencies, null);
     }
 
-    // Clean up subtask dependencies
     if (task.subtasks) {
       task.subtasks.forEach((subtask) => {
         if (subtask.dependencies) {
-          subtask.dependencies = subtask.dependencies.filter((depId) => {
-            // Handle numeric subtask references
-            if (typeof depId === "number" && depId < 100) {
-              const fullSubtaskId = `${task.id}.${depId}`;
-              return taskExists(tasksData.tasks, fullSubtaskId);
-            }
-            // Handle full task/subtask references
-            return taskExists(tasksData.tasks, depId);
-          });
+          subtask.dependencies = cleanDependencies(`${task.id}.${subtask.id}`, subtask.dependencies, task);
         }
       });
     }
   });
 
-  // 3. Ensure at least one subtask has no dependencies in each task
-  tasksData.tasks.forEach((task) => {
-    if (task.subtasks && task.subtasks.length > 0) {
-      const hasIndependentSubtask = task.subtasks.some((st) => !st.dependencies || !Array.isArray(st.dependencies) || st.dependencies.length === 0);
+  // 2. Break dependency cycles
+  removeCircularDependencies(tasksData.tasks, changes);
 
-      if (!hasIndependentSubtask) {
-        task.subtasks[0].dependencies = [];
-      }
-    }
-  });
+  // 3. Ensure at least one subtask in each task does not wait on a sibling
+  ensureAtLeastOneIndependentSubtask(tasksData, changes);
 
   // Check if any changes were made by comparing with original data
   const changesDetected = JSON.stringify(tasksData) !== JSON.stringify(originalData);
@@ -1021,6 +907,165 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
   return changesDetected;
 }
 
+/**
+ * Export the dependency graph of tasks and subtasks
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} options - Graph options
+ * @param {string} options.format - "mermaid", "dot" or "json"
+ * @param {string} options.id - Only show this task or subtask with its ancestors and/or descendants
+ * @param {string} options.direction - "ancestors", "descendants" or "both" (with id)
+ * @param {boolean} options.subtasks - Include subtasks (default true)
+ * @param {string} options.output - Write the graph to this file instead of printing it
+ * @param {string} options.report - Complexity report that weighs the critical path
+ * @param {string} outputFormat - "text" to print or save the graph, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { graph, content } with the graph data and the rendered graph
+ */
+async function exportDependencyGraph(tasksPath, options = {}, outputFormat = "text") {
+  const format = options.format || "mermaid";
+  if (!GRAPH_FORMATS.includes(format)) {
+    failDependencyCommand(`Unknown graph format "${format}". Use one of: ${GRAPH_FORMATS.join(", ")}`, outputFormat);
+  }
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    failDependencyCommand("No valid tasks found in tasks.json", outputFormat);
+  }
+
+  let graph;
+  try {
+    graph = buildDependencyGraph(data.tasks, { subtasks: options.subtasks !== false, complexityReport: readComplexityReport(options.report || null) });
+    if (options.id) {
+      graph = filterDependencyGraph(graph, options.id, options.direction || "both");
+    }
+  } catch (error) {
+    failDependencyCommand(error.message, outputFormat);
+  }
+  const content = renderDependencyGraph(graph, format);
+
+  if (outputFormat === "text") {
+    if (options.output) {
+      fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+      fs.writeFileSync(options.output, content + "\n", "utf8");
+      console.log(chalk.green(`Wrote ${format} graph of ${graph.nodes.length} tasks and subtasks to ${options.output}`));
+    } else {
+      console.log(content);
+    }
+    if (graph.cycles.length > 0) {
+      console.error(chalk.yellow(`Dependency cycles (highlighted): ${graph.cycles.map((cycle) => cycle.join(" → ")).join("; ")}`));
+    }
+  }
+
+  return { graph, content };
+}
+
+/**
+ * Suggest how to break each dependency cycle: explain it, rank the dependencies that could be cut and
+ * propose splitting a task instead. Interactively, the user picks a cut or the split for each cycle in
+ * turn, and the result is saved once all cycles are dealt with.
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} options - Options
+ * @param {boolean} options.ai - Let the AI explain and rank, using the task descriptions
+ * @param {boolean} options.interactive - Ask which suggestion to apply for each cycle
+ * @param {string} outputFormat - "text" to print the suggestions, "json" to only return them (errors are thrown)
+ * @returns {Promise<Object>} { suggestions, applied } with the suggestions shown and the cuts and splits made
+ */
+async function breakDependencyCycles(tasksPath, options = {}, outputFormat = "text") {
+  if (options.interactive && outputFormat !== "text") {
+    failDependencyCommand("Choosing how to break cycles interactively needs a terminal", outputFormat);
+  }
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    failDependencyCommand("No valid tasks found in tasks.json", outputFormat);
+  }
+
+  const suggest = async (graph, cycle) => {
+    const suggestion = suggestCycleBreak(data.tasks, graph, cycle);
+    if (!options.ai) {
+      return suggestion;
+    }
+    try {
+      return mergeAICycleBreak(data.tasks, suggestion, await suggestCycleBreakWithAI(describeCycleForAI(data.tasks, suggestion)));
+    } catch (error) {
+      if (outputFormat !== "text") {
+        throw error;
+      }
+      failDependencyCommand(`Could not get suggestions from the AI: ${error.message}`, outputFormat);
+    }
+  };
+
+  const suggestions = [];
+  const applied = [];
+
+  if (!options.interactive) {
+    const graph = buildDependencyGraph(data.tasks);
+    for (const cycle of graph.cycles) {
+      suggestions.push(await suggest(graph, cycle));
+    }
+    if (outputFormat === "text") {
+      if (suggestions.length === 0) {
+        console.log(chalk.green("No dependency cycles found."));
+      }
+      suggestions.forEach((suggestion, index) => displayCycleSuggestion(suggestion, { index, total: suggestions.length }));
+      if (suggestions.length > 0) {
+        console.log(`\n${chalk.cyan("Apply one with:")} ${chalk.yellow("task-master break-cycles --interactive")}`);
+      }
+    }
+    return { suggestions, applied };
+  }
+
+  // Cutting one dependency can leave a smaller cycle behind, so the graph is rebuilt after every change
+  const skipped = new Set();
+  for (;;) {
+    const graph = buildDependencyGraph(data.tasks);
+    const cycle = graph.cycles.find((ids) => !skipped.has([...ids].sort().join(",")));
+    if (!cycle) {
+      break;
+    }
+
+    const suggestion = await suggest(graph, cycle);
+    suggestions.push(suggestion);
+    displayCycleSuggestion(suggestion, { interactive: true });
+
+    const choices = [`1-${suggestion.cuts.length} to cut`, suggestion.split ? "s to split" : null, "Enter to skip"].filter(Boolean);
+    const answer = (await promptInput(`Your choice (${choices.join(", ")})`)).toLowerCase();
+    const cut = /^\d+$/.test(answer) ? suggestion.cuts[Number(answer) - 1] : null;
+
+    if (answer === "") {
+      skipped.add([...cycle].sort().join(","));
+    } else if (answer === "s" && suggestion.split) {
+      const secondId = applyCycleSplit(data.tasks, suggestion.split);
+      applied.push({ type: "split", id: suggestion.split.id, newId: secondId });
+      log("success", `Split ${suggestion.split.id}: the second part is ${secondId}`);
+    } else if (cut) {
+      applyCycleCut(data.tasks, cut);
+      applied.push({ type: "cut", id: cut.id, dependsOn: cut.dependsOn });
+      log("success", `${cut.id} no longer waits on ${cut.dependsOn}`);
+    } else {
+      console.log(chalk.yellow(`Unknown choice "${answer}"`));
+    }
+  }
+
+  if (applied.length > 0) {
+    writeJSON(tasksPath, data);
+    await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+  }
+
+  const remaining = buildDependencyGraph(data.tasks).cycles.length;
+  console.log(
+    boxen(
+      chalk.white.bold("Cycle Breaking Summary") +
+        "\n\n" +
+        `${chalk.cyan("Dependencies cut:")} ${applied.filter((change) => change.type === "cut").length}\n` +
+        `${chalk.cyan("Tasks split:")} ${applied.filter((change) => change.type === "split").length}\n` +
+        `${chalk.cyan("Cycles left:")} ${remaining}`,
+      { padding: 1, borderColor: remaining > 0 ? "yellow" : "green", borderStyle: "round", margin: { top: 1, bottom: 1 } }
+    )
+  );
+
+  return { suggestions, applied };
+}
+
 export {
   addDependency,
   removeDependency,
@@ -1031,5 +1076,8 @@ export {
   removeDuplicateDependencies,
   cleanupSubtaskDependencies,
   ensureAtLeastOneIndependentSubtask,
+  removeCircularDependencies,
   validateAndFixDependencies,
+  exportDependencyGraph,
+  breakDependencyCycles,
 };
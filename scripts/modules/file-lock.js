@@ -0,0 +1,187 @@
+/**
+ * file-lock.js
+ * Atomic file writes and advisory lock files, so concurrent CLI commands and MCP tool calls
+ * cannot corrupt or clobber the tasks file
+ *
+ * A lock is a "<file>.lock" file created exclusively and holding the owner's pid, host and
+ * start time. Locks left behind by a process that died, or older than LOCK_STALE_MS, are removed.
+ */
+
+import fs from "fs";
+import os from "os";
+
+// Give up waiting for a lock after this long
+const LOCK_TIMEOUT_MS = 10000;
+
+// Treat a lock as abandoned once it is this old, even if its owner looks alive
+const LOCK_STALE_MS = 30000;
+
+// Pause between attempts to take a lock
+const LOCK_RETRY_MS = 50;
+
+// Paths locked by this process, so nested withFileLock calls do not wait on themselves
+const heldLocks = new Set();
+
+let tempCounter = 0;
+
+/**
+ * Error raised when the tasks file is locked, was changed by another process, or would be written with invalid data
+ */
+class TasksFileError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Error details
+   * @param {string} details.code - TASKS_FILE_LOCKED, TASKS_FILE_CONFLICT or TASKS_FILE_INVALID
+   * @param {string} details.path - File involved
+   */
+  constructor(message, { code, path = null } = {}) {
+    super(message);
+    this.name = "TasksFileError";
+    this.code = code;
+    this.path = path;
+  }
+}
+
+/**
+ * Block the current thread for a while (lock waits happen inside synchronous writes)
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Write a file by writing a temporary file next to it and renaming it into place,
+ * so readers never see a partly written file
+ * @param {string} filePath - File to write
+ * @param {string} content - File contents
+ */
+function writeFileAtomic(filePath, content) {
+  tempCounter += 1;
+  const tempPath = `${filePath}.${process.pid}.${tempCounter}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (cleanupError) {
+      // The temporary file was never created or has already been renamed
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check whether a process is still running on this machine
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Read the owner recorded in a lock file
+ * @param {string} lockPath - Lock file path
+ * @returns {Object|null} { pid, host, acquiredAt }, or null if the lock is gone or unreadable
+ */
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a lock was abandoned by its owner
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleMs - Age after which any lock is stale
+ * @returns {boolean} True if the lock can be removed
+ */
+function isStaleLock(lockPath, staleMs) {
+  let stats;
+  try {
+    stats = fs.statSync(lockPath);
+  } catch (error) {
+    return false;
+  }
+
+  if (Date.now() - stats.mtimeMs > staleMs) {
+    return true;
+  }
+
+  const owner = readLockOwner(lockPath);
+  return Boolean(owner && owner.host === os.hostname() && owner.pid !== process.pid && !isProcessAlive(owner.pid));
+}
+
+/**
+ * Run a function while holding the advisory lock for a file
+ * @param {string} filePath - File to lock (the lock is "<filePath>.lock")
+ * @param {Function} fn - Function to run
+ * @param {Object} options - { timeoutMs, staleMs }
+ * @returns {*} The function's result
+ */
+function withFileLock(filePath, fn, options = {}) {
+  const lockPath = `${filePath}.lock`;
+  if (heldLocks.has(lockPath)) {
+    return fn();
+  }
+
+  const timeoutMs = options.timeoutMs === undefined ? LOCK_TIMEOUT_MS : options.timeoutMs;
+  const staleMs = options.staleMs === undefined ? LOCK_STALE_MS : options.staleMs;
+  const startedAt = Date.now();
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    if (isStaleLock(lockPath, staleMs)) {
+      try {
+        fs.unlinkSync(lockPath);
+      } catch (error) {
+        // Another process removed it first
+      }
+      continue;
+    }
+
+    if (Date.now() - startedAt >= timeoutMs) {
+      const owner = readLockOwner(lockPath);
+      throw new TasksFileError(
+        `${filePath} is locked by ${owner ? `process ${owner.pid} on ${owner.host}` : "another process"}. ` +
+          `Wait for it to finish, or delete ${lockPath} if that process is gone.`,
+        { code: "TASKS_FILE_LOCKED", path: filePath }
+      );
+    }
+
+    sleepSync(LOCK_RETRY_MS);
+  }
+
+  heldLocks.add(lockPath);
+  try {
+    return fn();
+  } finally {
+    heldLocks.delete(lockPath);
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (error) {
+      // Already removed as stale by another process
+    }
+  }
+}
+
+export { LOCK_TIMEOUT_MS, LOCK_STALE_MS, TasksFileError, writeFileAtomic, withFileLock, isStaleLock };
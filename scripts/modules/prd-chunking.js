@@ -0,0 +1,222 @@
+/**
+ * prd-chunking.js
+ * Token budgeting and section-based chunking for large PRDs
+ */
+
+// Rough characters-per-token ratio used for estimates (no tokenizer dependency)
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split a PRD into sections at markdown headings. Headings inside fenced code blocks are ignored.
+ * @param {string} content - PRD content
+ * @returns {Array<{heading: string, text: string}>} Sections in document order
+ */
+function splitPrdIntoSections(content) {
+  const sections = [];
+  let current = { heading: "", lines: [] };
+  let inFence = false;
+
+  for (const line of content.split("\n")) {
+    if (/^\s*```/.test(line)) {
+      inFence = !inFence;
+    }
+
+    if (!inFence && /^#{1,6}\s+\S/.test(line) && current.lines.some((existing) => existing.trim() !== "")) {
+      sections.push(current);
+      current = { heading: "", lines: [] };
+    }
+
+    if (!inFence && !current.heading && /^#{1,6}\s+\S/.test(line)) {
+      current.heading = line.replace(/^#{1,6}\s+/, "").trim();
+    }
+    current.lines.push(line);
+  }
+  sections.push(current);
+
+  return sections
+    .map((section) => ({ heading: section.heading, text: section.lines.join("\n").trim() }))
+    .filter((section) => section.text !== "");
+}
+
+/**
+ * Split text that is too large for one chunk at paragraph boundaries
+ * @param {string} text - Section text
+ * @param {number} maxTokens - Token budget per piece
+ * @returns {string[]} Pieces within the budget (a single oversized paragraph is kept whole)
+ */
+function splitOversizedSection(text, maxTokens) {
+  const pieces = [];
+  let current = "";
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+    if (current && estimateTokens(candidate) > maxTokens) {
+      pieces.push(current);
+      current = paragraph;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * Group PRD sections into chunks that each fit the token budget
+ * @param {string} content - PRD content
+ * @param {number} maxTokens - Token budget per chunk
+ * @returns {Array<{text: string, headings: string[], tokens: number}>} Chunks in document order
+ */
+function chunkPrd(content, maxTokens) {
+  const chunks = [];
+  let current = null;
+
+  const pushPiece = (heading, text) => {
+    const candidate = current ? `${current.text}\n\n${text}` : text;
+    if (current && estimateTokens(candidate) > maxTokens) {
+      chunks.push(current);
+      current = null;
+    }
+
+    if (!current) {
+      current = { text, headings: [] };
+    } else {
+      current.text = candidate;
+    }
+    if (heading && !current.headings.includes(heading)) {
+      current.headings.push(heading);
+    }
+  };
+
+  for (const section of splitPrdIntoSections(content)) {
+    if (estimateTokens(section.text) > maxTokens) {
+      splitOversizedSection(section.text, maxTokens).forEach((piece) => pushPiece(section.heading, piece));
+    } else {
+      pushPiece(section.heading, section.text);
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks.map((chunk) => ({ ...chunk, tokens: estimateTokens(chunk.text) }));
+}
+
+/**
+ * Merge neighbouring chunks, smallest pair first, until there are at most maxChunks. Used when
+ * fewer tasks are requested than the PRD has chunks, since every chunk needs at least one task.
+ * Merged chunks can exceed the token budget.
+ * @param {Array<{text: string, headings: string[], tokens: number}>} chunks - Chunks in document order
+ * @param {number} maxChunks - Maximum number of chunks
+ * @returns {Array<{text: string, headings: string[], tokens: number}>} Chunks in document order
+ */
+function mergeChunks(chunks, maxChunks) {
+  const merged = [...chunks];
+  while (merged.length > Math.max(1, maxChunks)) {
+    let best = 0;
+    for (let index = 1; index < merged.length - 1; index++) {
+      if (merged[index].tokens + merged[index + 1].tokens < merged[best].tokens + merged[best + 1].tokens) {
+        best = index;
+      }
+    }
+
+    const [first, second] = merged.slice(best, best + 2);
+    const text = `${first.text}\n\n${second.text}`;
+    const headings = [...first.headings, ...second.headings.filter((heading) => !first.headings.includes(heading))];
+    merged.splice(best, 2, { text, headings, tokens: estimateTokens(text) });
+  }
+  return merged;
+}
+
+/**
+ * Distribute the requested number of tasks over chunks in proportion to their size
+ * @param {Array<{tokens: number}>} chunks - PRD chunks
+ * @param {number} numTasks - Total number of tasks requested
+ * @returns {number[]} Number of tasks to request for each chunk, adding up to numTasks (at least one each
+ *   when there are no more chunks than tasks; merge the chunks first with mergeChunks otherwise)
+ */
+function allocateTasksToChunks(chunks, numTasks) {
+  const totalTokens = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0) || 1;
+  const allocation = chunks.map((chunk) => Math.max(1, Math.floor((numTasks * chunk.tokens) / totalTokens)));
+
+  // Hand out any remainder to the largest chunks first, or take back what the minimum of one overshot
+  let remaining = numTasks - allocation.reduce((sum, count) => sum + count, 0);
+  const bySize = chunks.map((chunk, index) => index).sort((a, b) => chunks[b].tokens - chunks[a].tokens);
+  for (let i = 0; remaining > 0; i = (i + 1) % bySize.length, remaining--) {
+    allocation[bySize[i]]++;
+  }
+  while (remaining < 0) {
+    // Only when there are more chunks than tasks do the smallest chunks end up with none
+    const largest = bySize.find((index) => allocation[index] > 1);
+    const index = largest !== undefined ? largest : [...bySize].reverse().find((i) => allocation[i] > 0);
+    allocation[index]--;
+    remaining++;
+  }
+
+  return allocation;
+}
+
+/**
+ * Merge per-chunk task lists into one list with sequential IDs.
+ * Each chunk's tasks are renumbered in order; a dependency is resolved against the chunk's own
+ * IDs first, then against tasks from earlier chunks. Dependencies that point forward, at the
+ * task itself, or at unknown IDs are dropped.
+ * @param {Array<Array<Object>>} chunkTasks - Tasks generated for each chunk, in chunk order
+ * @returns {{tasks: Object[], droppedDependencies: Array<{taskId: number, dependency: *}>}} Merged tasks
+ */
+function mergeChunkTasks(chunkTasks) {
+  const tasks = [];
+  const droppedDependencies = [];
+  let nextId = 1;
+
+  chunkTasks.forEach((chunk) => {
+    const chunkStartId = nextId;
+    const localIds = new Map();
+    chunk.forEach((task) => {
+      if (!localIds.has(task.id)) {
+        localIds.set(task.id, nextId);
+      }
+      nextId++;
+    });
+
+    chunk.forEach((task, index) => {
+      const newId = chunkStartId + index;
+      const dependencies = [];
+
+      (task.dependencies || []).forEach((dependency) => {
+        const numericDependency = parseInt(dependency, 10);
+        let resolved = null;
+
+        if (localIds.has(dependency) || localIds.has(numericDependency)) {
+          resolved = localIds.has(dependency) ? localIds.get(dependency) : localIds.get(numericDependency);
+        } else if (numericDependency >= 1 && numericDependency < chunkStartId) {
+          resolved = numericDependency;
+        }
+
+        if (resolved !== null && resolved < newId && !dependencies.includes(resolved)) {
+          dependencies.push(resolved);
+        } else if (resolved === null || resolved >= newId) {
+          droppedDependencies.push({ taskId: newId, dependency });
+        }
+      });
+
+      tasks.push({ ...task, id: newId, dependencies });
+    });
+  });
+
+  return { tasks, droppedDependencies };
+}
+
+export { estimateTokens, splitPrdIntoSections, splitOversizedSection, chunkPrd, mergeChunks, allocateTasksToChunks, mergeChunkTasks };
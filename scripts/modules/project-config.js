@@ -0,0 +1,65 @@
+/**
+ * project-config.js
+ * Per-project settings stored in .taskmasterconfig at the project root
+ */
+
+import fs from "fs";
+import path from "path";
+
+const PROJECT_CONFIG_FILE = ".taskmasterconfig";
+
+// How many directories above a tasks file to look for the project config
+const MAX_CONFIG_DEPTH = 3;
+
+/**
+ * Find the project config file for a path by walking up from its directory
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} Path to .taskmasterconfig, or null if there is none
+ */
+function findProjectConfig(startDir) {
+  let dir = path.resolve(startDir);
+  for (let depth = 0; depth <= MAX_CONFIG_DEPTH; depth++) {
+    const candidate = path.join(dir, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      break;
+    }
+    dir = parent;
+  }
+  return null;
+}
+
+/**
+ * Read a project config file
+ * @param {string} configPath - Path to .taskmasterconfig
+ * @returns {Object} Parsed config (empty when missing)
+ */
+function readProjectConfig(configPath) {
+  if (!configPath || !fs.existsSync(configPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid project config ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Update a project config file, keeping settings that are not being changed
+ * @param {string} configPath - Path to .taskmasterconfig
+ * @param {Object} changes - Top-level settings to merge in
+ * @returns {Object} The written config
+ */
+function updateProjectConfig(configPath, changes) {
+  const config = { ...readProjectConfig(configPath), ...changes };
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + "\n");
+  return config;
+}
+
+export { PROJECT_CONFIG_FILE, findProjectConfig, readProjectConfig, updateProjectConfig };
@@ -0,0 +1,264 @@
+/**
+ * status-workflow.js
+ * Configurable task status workflow: the allowed statuses, how they are displayed, which count as
+ * finished, which can be picked up next, which transitions are allowed and which fields must be
+ * filled in when a task enters a status.
+ *
+ * The workflow is set in the "workflow" section of .taskmasterconfig and becomes active whenever a
+ * tasks file of that project is read. Without one, DEFAULT_WORKFLOW applies and any transition is allowed.
+ */
+
+import path from "path";
+
+import { findProjectConfig, readProjectConfig } from "./project-config.js";
+
+// Status fields: color (chalk color name or hex), icon, tableIcon, terminal (counts as finished
+// and satisfies dependencies), actionable (can be suggested by next), requires (fields needed to enter it)
+const BUILT_IN_STATUSES = {
+  pending: { color: "yellow", icon: "⏱️", tableIcon: "○", actionable: true },
+  "in-progress": { color: "#FFA500", icon: "🔄", tableIcon: "►", actionable: true },
+  review: { color: "magenta", icon: "👀", tableIcon: "?" },
+  blocked: { color: "red", icon: "❌", tableIcon: "!" },
+  deferred: { color: "gray", icon: "⏱️", tableIcon: "x" },
+  done: { color: "green", icon: "✅", tableIcon: "✓", terminal: true },
+  completed: { color: "green", icon: "✅", tableIcon: "✓", terminal: true },
+};
+
+// Display defaults for statuses configured without a color or icon
+const FALLBACK_STYLE = { color: "white", icon: "•", tableIcon: "•" };
+
+// Fields that can be set with a status change even when no status requires them (set-status --note)
+const STATUS_CHANGE_FIELDS = ["completionNote"];
+
+/**
+ * Check a workflow definition and fill in defaults
+ * @param {Object} config - "workflow" section of .taskmasterconfig
+ * @param {string} source - Where the workflow came from, for error messages
+ * @returns {Object} Complete workflow
+ */
+function normalizeWorkflow(config, source = "workflow") {
+  const fail = (message) => {
+    throw new Error(`Invalid status workflow in ${source}: ${message}`);
+  };
+
+  if (!config.statuses || typeof config.statuses !== "object" || Object.keys(config.statuses).length === 0) {
+    fail("statuses must be an object with at least one status");
+  }
+
+  const statuses = {};
+  Object.entries(config.statuses).forEach(([name, definition]) => {
+    if (definition !== null && typeof definition !== "object") {
+      fail(`status "${name}" must be an object`);
+    }
+    const builtIn = BUILT_IN_STATUSES[name] || FALLBACK_STYLE;
+    const requires = (definition && definition.requires) || [];
+    if (!Array.isArray(requires) || requires.some((field) => typeof field !== "string")) {
+      fail(`requires of status "${name}" must be a list of field names`);
+    }
+    // A status named like a built-in one keeps its meaning unless the flag is set explicitly
+    const flag = (key) => Boolean(definition && definition[key] !== undefined ? definition[key] : builtIn[key]);
+    statuses[name] = {
+      color: builtIn.color,
+      icon: builtIn.icon,
+      tableIcon: builtIn.tableIcon,
+      ...definition,
+      terminal: flag("terminal"),
+      actionable: flag("actionable"),
+      requires,
+    };
+  });
+
+  const names = Object.keys(statuses);
+  if (!names.some((name) => statuses[name].terminal)) {
+    fail("at least one status must be terminal");
+  }
+
+  const initialStatus = config.initialStatus || names[0];
+  if (!statuses[initialStatus]) {
+    fail(`initialStatus "${initialStatus}" is not one of the statuses`);
+  }
+
+  let transitions = null;
+  if (config.transitions) {
+    transitions = {};
+    Object.entries(config.transitions).forEach(([from, targets]) => {
+      if (from !== "*" && !statuses[from]) {
+        fail(`transitions lists unknown status "${from}"`);
+      }
+      if (!Array.isArray(targets)) {
+        fail(`transitions from "${from}" must be a list of statuses`);
+      }
+      targets.forEach((target) => {
+        if (target !== "*" && !statuses[target]) {
+          fail(`transition ${from} -> ${target} uses unknown status "${target}"`);
+        }
+      });
+      transitions[from] = targets;
+    });
+  }
+
+  // Status parse-prd --merge moves tasks to once they drop out of the PRD: the configured one, else
+  // "deferred", else the first status that is neither finished nor picked up next (null if there is none)
+  const parked = (name) => !statuses[name].terminal && !statuses[name].actionable;
+  let obsoleteStatus = config.obsoleteStatus;
+  if (obsoleteStatus !== undefined && obsoleteStatus !== null) {
+    if (!statuses[obsoleteStatus]) {
+      fail(`obsoleteStatus "${obsoleteStatus}" is not one of the statuses`);
+    }
+    if (statuses[obsoleteStatus].terminal) {
+      fail(`obsoleteStatus "${obsoleteStatus}" must not be terminal`);
+    }
+  } else if (obsoleteStatus === undefined) {
+    obsoleteStatus = statuses.deferred && parked("deferred") ? "deferred" : names.find(parked) || null;
+  }
+
+  return { initialStatus, obsoleteStatus, statuses, transitions };
+}
+
+const DEFAULT_WORKFLOW = normalizeWorkflow({ initialStatus: "pending", statuses: BUILT_IN_STATUSES }, "default workflow");
+
+let activeWorkflow = DEFAULT_WORKFLOW;
+
+/**
+ * Load the workflow of the project a tasks file belongs to and make it the active workflow
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} The workflow
+ */
+function loadStatusWorkflow(tasksPath) {
+  const configPath = findProjectConfig(path.dirname(path.resolve(tasksPath)));
+  const config = readProjectConfig(configPath).workflow;
+  activeWorkflow = config ? normalizeWorkflow(config, configPath) : DEFAULT_WORKFLOW;
+  return activeWorkflow;
+}
+
+/**
+ * Get the active workflow
+ * @returns {Object} The workflow loaded with the last tasks file (the default one before that)
+ */
+function getStatusWorkflow() {
+  return activeWorkflow;
+}
+
+/**
+ * Set the active workflow (used by tests and by callers that do not read a tasks file)
+ * @param {Object|null} config - Workflow definition, or null for the default
+ * @returns {Object} The workflow
+ */
+function setStatusWorkflow(config) {
+  activeWorkflow = config ? normalizeWorkflow(config) : DEFAULT_WORKFLOW;
+  return activeWorkflow;
+}
+
+/**
+ * Look up a status in the active workflow (case-insensitively)
+ * @param {string} status - Status name
+ * @returns {Object|null} { name, ...definition }, or null for statuses outside the workflow
+ */
+function getStatusDefinition(status) {
+  if (!status) {
+    return null;
+  }
+  const name = activeWorkflow.statuses[status]
+    ? status
+    : Object.keys(activeWorkflow.statuses).find((key) => key.toLowerCase() === status.toLowerCase());
+  return name ? { name, ...activeWorkflow.statuses[name] } : null;
+}
+
+/**
+ * Check whether a status counts as finished
+ * @param {string} status - Status name
+ * @returns {boolean} True for terminal statuses
+ */
+function isTerminalStatus(status) {
+  const definition = getStatusDefinition(status);
+  return Boolean(definition && definition.terminal);
+}
+
+/**
+ * Check whether a task in this status can be suggested as the next task
+ * @param {string} status - Status name
+ * @returns {boolean} True for actionable statuses
+ */
+function isActionableStatus(status) {
+  const definition = getStatusDefinition(status || activeWorkflow.initialStatus);
+  return Boolean(definition && definition.actionable);
+}
+
+/**
+ * List the statuses of the active workflow
+ * @returns {string[]} Status names
+ */
+function getWorkflowStatuses() {
+  return Object.keys(activeWorkflow.statuses);
+}
+
+/**
+ * List the fields that may be set along with a status change: those some status requires, and completionNote
+ * @returns {string[]} Field names
+ */
+function getStatusChangeFields() {
+  const fields = new Set(STATUS_CHANGE_FIELDS);
+  Object.values(activeWorkflow.statuses).forEach((definition) => definition.requires.forEach((field) => fields.add(field)));
+  return [...fields];
+}
+
+/**
+ * Check that an item may move to a status, then set the fields supplied with the change
+ * @param {Object} item - Task or subtask
+ * @param {string} label - How to refer to the item in errors (e.g. "task 3" or "subtask 3.1")
+ * @param {string} newStatus - Status to move to
+ * @param {Object} fields - Field values supplied with the status change
+ * @returns {string} The status name as defined in the workflow
+ */
+function checkStatusTransition(item, label, newStatus, fields = {}) {
+  const target = getStatusDefinition(newStatus);
+  if (!target) {
+    throw new Error(`Unknown status "${newStatus}". Allowed statuses: ${getWorkflowStatuses().join(", ")}`);
+  }
+
+  // Only fields the workflow asks for can be set this way, so a status change cannot overwrite a title, ID or dependencies
+  const allowedFields = getStatusChangeFields();
+  const unknownFields = Object.keys(fields).filter((field) => !allowedFields.includes(field));
+  if (unknownFields.length > 0) {
+    throw new Error(
+      `Cannot set ${unknownFields.join(", ")} with a status change. Fields that can be set: ${allowedFields.join(", ")}`
+    );
+  }
+
+  const current = getStatusDefinition(item.status || activeWorkflow.initialStatus);
+  const from = current ? current.name : item.status;
+  if (from !== target.name && activeWorkflow.transitions) {
+    const allowed = [...(activeWorkflow.transitions[from] || []), ...(activeWorkflow.transitions["*"] || [])];
+    if (!allowed.includes(target.name) && !allowed.includes("*")) {
+      throw new Error(
+        `Cannot move ${label} from "${from}" to "${target.name}". ` +
+          (allowed.length > 0 ? `Allowed from "${from}": ${allowed.join(", ")}` : `No transitions are allowed from "${from}"`)
+      );
+    }
+  }
+
+  const missing = target.requires.filter((field) => {
+    const value = fields[field] !== undefined ? fields[field] : item[field];
+    return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+  });
+  if (missing.length > 0) {
+    throw new Error(`Moving ${label} to "${target.name}" requires ${missing.join(", ")}. Provide it with --field <name>=<value>.`);
+  }
+
+  Object.assign(item, fields);
+  return target.name;
+}
+
+export {
+  DEFAULT_WORKFLOW,
+  normalizeWorkflow,
+  loadStatusWorkflow,
+  getStatusWorkflow,
+  setStatusWorkflow,
+  getStatusDefinition,
+  isTerminalStatus,
+  isActionableStatus,
+  getWorkflowStatuses,
+  getStatusChangeFields,
+  checkStatusTransition,
+};
@@ -0,0 +1,427 @@
+/**
+ * structured-output.js
+ * Parsing and schema validation of structured (JSON) AI responses
+ */
+
+// Shared field definitions
+const ID_SCHEMA = { type: "integer", minimum: 1 };
+const DEPENDENCY_LIST_SCHEMA = { type: "array", items: { type: ["integer", "string"] } };
+const PRIORITY_SCHEMA = { type: "string", enum: ["high", "medium", "low"] };
+
+// A top-level task as produced by parse-prd and update
+const TASK_SCHEMA = {
+  type: "object",
+  required: ["id", "title", "dependencies", "priority"],
+  properties: {
+    id: ID_SCHEMA,
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    status: { type: "string" },
+    dependencies: DEPENDENCY_LIST_SCHEMA,
+    priority: PRIORITY_SCHEMA,
+    details: { type: "string" },
+    testStrategy: { type: "string" },
+  },
+};
+
+// A subtask as produced by expand
+const SUBTASK_SCHEMA = {
+  type: "object",
+  required: ["id", "title", "dependencies"],
+  properties: {
+    id: ID_SCHEMA,
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    status: { type: "string" },
+    dependencies: DEPENDENCY_LIST_SCHEMA,
+    details: { type: "string" },
+    acceptanceCriteria: { type: "string" },
+    estimatedHours: { type: "number", minimum: 0 },
+  },
+};
+
+// One entry of a complexity analysis
+const COMPLEXITY_ENTRY_SCHEMA = {
+  type: "object",
+  required: ["taskId", "taskTitle", "complexityScore"],
+  properties: {
+    taskId: ID_SCHEMA,
+    taskTitle: { type: "string" },
+    complexityScore: { type: "number" },
+    recommendedSubtasks: { type: "integer", minimum: 0 },
+    expansionPrompt: { type: "string" },
+    reasoning: { type: "string" },
+    estimatedHours: { type: "number", minimum: 0 },
+  },
+};
+
+// Full parse-prd response
+const PRD_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["tasks"],
+  properties: {
+    tasks: { type: "array", minItems: 1, items: TASK_SCHEMA },
+    metadata: { type: "object" },
+  },
+};
+
+// Single task generated by add-task (ID, status, dependencies and priority are assigned locally)
+const NEW_TASK_SCHEMA = {
+  type: "object",
+  required: ["title", "description"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    details: { type: "string" },
+    testStrategy: { type: "string" },
+  },
+};
+
+// One half of a task split proposed by break-cycles --ai
+const SPLIT_PART_SCHEMA = {
+  type: "object",
+  required: ["title", "description"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    details: { type: "string" },
+  },
+};
+
+// Suggestions for breaking one dependency cycle (break-cycles --ai); split is optional
+const CYCLE_BREAK_SCHEMA = {
+  type: "object",
+  required: ["explanation", "cuts"],
+  properties: {
+    explanation: { type: "string", minLength: 1 },
+    cuts: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["id", "dependsOn", "reason"],
+        properties: {
+          id: { type: ["string", "integer"] },
+          dependsOn: { type: ["string", "integer"] },
+          reason: { type: "string" },
+        },
+      },
+    },
+    split: {
+      type: "object",
+      required: ["id", "first", "second"],
+      properties: {
+        id: { type: ["string", "integer"] },
+        reason: { type: "string" },
+        first: SPLIT_PART_SCHEMA,
+        second: SPLIT_PART_SCHEMA,
+      },
+    },
+  },
+};
+
+const TASK_LIST_SCHEMA = { type: "array", minItems: 1, items: TASK_SCHEMA };
+const SUBTASK_LIST_SCHEMA = { type: "array", minItems: 1, items: SUBTASK_SCHEMA };
+const COMPLEXITY_LIST_SCHEMA = { type: "array", minItems: 1, items: COMPLEXITY_ENTRY_SCHEMA };
+
+/**
+ * Remove markdown code fences wrapped around a response. Only fences that start a line count,
+ * so a code sample inside a JSON string (where newlines are escaped) is left alone.
+ * @param {string} text - Raw model output
+ * @returns {string} Text without the surrounding fences
+ */
+function stripCodeFences(text) {
+  const trimmed = (text || "").trim();
+  const fenced = trimmed.match(/(?:^|\n)[ \t]*```(?:json|JSON)?[ \t]*(?:\n|$)([\s\S]*?)(?:\n[ \t]*```|$)/);
+  return fenced ? fenced[1].trim() : trimmed;
+}
+
+/**
+ * Extract the JSON value from a response that may contain surrounding prose
+ * @param {string} text - Model output without code fences
+ * @param {string} expect - Expected top-level type: "array", "object" or "any"
+ * @returns {string} The JSON text, running to the end of the input if no closing bracket was found
+ */
+function extractJson(text, expect = "any") {
+  const openers = expect === "array" ? ["["] : expect === "object" ? ["{"] : ["[", "{"];
+  const starts = openers.map((opener) => text.indexOf(opener)).filter((index) => index !== -1);
+  if (starts.length === 0) {
+    throw new Error(`Could not find a JSON ${expect === "any" ? "value" : expect} in the response`);
+  }
+
+  const start = Math.min(...starts);
+  const closer = text[start] === "[" ? "]" : "}";
+  const end = text.lastIndexOf(closer);
+
+  return end > start ? text.substring(start, end + 1) : text.substring(start);
+}
+
+/**
+ * Close a JSON document that was cut off mid-way, dropping the incomplete trailing element
+ * @param {string} text - Possibly truncated JSON text
+ * @returns {string|null} Repaired JSON text, or null if nothing could be recovered
+ */
+function repairTruncatedJson(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let lastSafe = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === "[" || char === "{") {
+      stack.push(char === "[" ? "]" : "}");
+    } else if (char === "]" || char === "}") {
+      stack.pop();
+      if (stack.length === 0) {
+        // The document is complete; anything after it is ignored
+        return text.substring(0, i + 1);
+      }
+      lastSafe = { index: i + 1, closers: [...stack] };
+    }
+  }
+
+  if (!lastSafe) {
+    return null;
+  }
+
+  // Cut after the last complete element and close the containers still open at that point
+  const head = text.substring(0, lastSafe.index).replace(/,\s*$/, "");
+  return head + lastSafe.closers.reverse().join("");
+}
+
+/**
+ * Parse JSON out of a model response, tolerating code fences, prose, trailing commas and truncation
+ * @param {string} text - Raw model output
+ * @param {string} expect - Expected top-level type: "array", "object" or "any"
+ * @returns {{data: *, repaired: boolean}} Parsed value and whether truncation repair was needed
+ */
+function parseJsonResponse(text, expect = "any") {
+  try {
+    return { data: JSON.parse((text || "").trim()), repaired: false };
+  } catch (error) {
+    // Not plain JSON, so look for fences and prose around it
+  }
+
+  const stripped = stripCodeFences(text);
+
+  try {
+    return { data: JSON.parse(stripped), repaired: false };
+  } catch (error) {
+    // Fall through to the more lenient strategies
+  }
+
+  const extracted = extractJson(stripped, expect);
+  const candidates = [extracted, extracted.replace(/,(\s*[\]}])/g, "$1")];
+
+  for (const candidate of candidates) {
+    try {
+      return { data: JSON.parse(candidate), repaired: false };
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  const repaired = repairTruncatedJson(extracted);
+  if (repaired) {
+    try {
+      return { data: JSON.parse(repaired), repaired: true };
+    } catch (error) {
+      // Reported below
+    }
+  }
+
+  throw new Error("Response is not valid JSON");
+}
+
+/**
+ * Check a value against the JSON type name used in a schema
+ * @param {*} value - Value to check
+ * @param {string} type - JSON schema type name
+ * @returns {boolean} True if the value has the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && !Number.isNaN(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a (subset of) JSON schema
+ * Supports type, required, properties, items, enum, minimum, maximum, minItems and minLength.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} pathPrefix - Path of the value, used in error messages
+ * @returns {string[]} Validation errors, each prefixed with the path of the offending value
+ */
+function validateSchema(value, schema, pathPrefix = "$") {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${pathPrefix}: expected ${types.join(" or ")} but got ${value === null ? "null" : Array.isArray(value) ? "array" : typeof value}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pathPrefix}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${pathPrefix}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${pathPrefix}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${pathPrefix}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pathPrefix}: must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${pathPrefix}[${index}]`));
+      });
+    }
+  } else if (value !== null && typeof value === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${pathPrefix}.${key}: is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, `${pathPrefix}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a structured model response
+ * @param {string} text - Raw model output
+ * @param {Object} schema - Schema the response must satisfy
+ * @returns {{data: *, repaired: boolean}} The validated value
+ * @throws {Error} With a `validationErrors` array when parsing or validation fails
+ */
+function parseStructuredResponse(text, schema) {
+  const expect = schema.type === "array" || schema.type === "object" ? schema.type : "any";
+
+  let parsed;
+  try {
+    parsed = parseJsonResponse(text, expect);
+  } catch (error) {
+    error.validationErrors = [`$: ${error.message}`];
+    throw error;
+  }
+
+  // A lone object where a list was expected is accepted as a one-element list
+  if (expect === "array" && matchesType(parsed.data, "object")) {
+    parsed.data = [parsed.data];
+  }
+
+  const errors = validateSchema(parsed.data, schema);
+  if (errors.length > 0) {
+    const error = new Error(`Response failed validation: ${errors.slice(0, 5).join("; ")}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ""}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return parsed;
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix an invalid response
+ * @param {string} originalPrompt - The prompt that produced the invalid response
+ * @param {string} responseText - The invalid response
+ * @param {string[]} validationErrors - Problems found in the response
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(originalPrompt, responseText, validationErrors) {
+  return `${originalPrompt}
+
+Your previous response could not be used because it did not match the required JSON format:
+${validationErrors
+  .slice(0, 20)
+  .map((error) => `- ${error}`)
+  .join("\n")}
+
+Previous response:
+${responseText}
+
+Return the corrected response as valid JSON only, with no explanation or markdown formatting.`;
+}
+
+/**
+ * Clamp complexity scores and fill in optional fields of a complexity analysis
+ * @param {Object[]} entries - Validated complexity entries
+ * @returns {Object[]} Normalized entries
+ */
+function normalizeComplexityAnalysis(entries) {
+  return entries.map((analysis) => {
+    const complexityScore = Math.max(1, Math.min(10, analysis.complexityScore));
+    const recommendedSubtasks = analysis.recommendedSubtasks || Math.ceil(complexityScore / 2);
+
+    return {
+      ...analysis,
+      complexityScore,
+      recommendedSubtasks,
+      expansionPrompt: analysis.expansionPrompt || `Break down task ${analysis.taskId} into ${recommendedSubtasks} subtasks`,
+      reasoning: analysis.reasoning || "No specific reasoning provided",
+    };
+  });
+}
+
+export {
+  TASK_SCHEMA,
+  SUBTASK_SCHEMA,
+  COMPLEXITY_ENTRY_SCHEMA,
+  PRD_RESPONSE_SCHEMA,
+  NEW_TASK_SCHEMA,
+  CYCLE_BREAK_SCHEMA,
+  TASK_LIST_SCHEMA,
+  SUBTASK_LIST_SCHEMA,
+  COMPLEXITY_LIST_SCHEMA,
+  stripCodeFences,
+  extractJson,
+  repairTruncatedJson,
+  parseJsonResponse,
+  validateSchema,
+  parseStructuredResponse,
+  buildRepairPrompt,
+  normalizeComplexityAnalysis,
+};
@@ -0,0 +1,246 @@
+/**
+ * task-diff.js
+ * Diffing and merging of task sets, used by parse-prd --merge
+ */
+
+import { getStatusWorkflow, getStatusDefinition, isTerminalStatus, checkStatusTransition } from "./status-workflow.js";
+
+// Fields a re-parsed PRD is allowed to change on an existing task
+const DIFF_FIELDS = ["title", "description", "details", "testStrategy", "priority", "dependencies"];
+
+// Minimum title similarity for a proposed task to count as a revision of an existing one
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * Split a title into a set of lower-cased words
+ * @param {string} text - Text to tokenize
+ * @returns {Set<string>} Words in the text
+ */
+function tokenize(text) {
+  return new Set(
+    (text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 1)
+  );
+}
+
+/**
+ * Jaccard similarity between the words of two titles
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity between 0 and 1
+ */
+function titleSimilarity(a, b) {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) {
+      shared++;
+    }
+  });
+
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Compare two field values, treating missing and null as equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Pair proposed tasks with existing tasks, best title matches first
+ * @param {Object[]} existingTasks - Tasks currently in tasks.json
+ * @param {Object[]} proposedTasks - Tasks generated from the revised PRD
+ * @returns {Map<number, number>} Proposed task ID -> existing task ID
+ */
+function matchTasks(existingTasks, proposedTasks) {
+  const candidates = [];
+  proposedTasks.forEach((proposed) => {
+    existingTasks.forEach((existing) => {
+      const score = titleSimilarity(proposed.title, existing.title);
+      if (score >= MATCH_THRESHOLD) {
+        candidates.push({ proposedId: proposed.id, existingId: existing.id, score });
+      }
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score || a.existingId - b.existingId);
+
+  const matches = new Map();
+  const usedExisting = new Set();
+  candidates.forEach(({ proposedId, existingId }) => {
+    if (!matches.has(proposedId) && !usedExisting.has(existingId)) {
+      matches.set(proposedId, existingId);
+      usedExisting.add(existingId);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Merge the dependencies of an existing task with those the revised PRD proposes for it. Dependencies
+ * on tasks the PRD describes follow the PRD; the rest (subtasks such as "5.1", and tasks added by hand
+ * or no longer in the PRD) cannot be expressed by it and are kept.
+ * @param {Array<number|string>} existing - Current dependencies of the task
+ * @param {number[]} proposed - Dependencies proposed by the PRD, as final task IDs
+ * @param {Set<number>} prdTaskIds - Final IDs of the tasks the PRD describes
+ * @returns {Array<number|string>} Existing dependencies that are kept, in their order, then the new ones
+ */
+function mergeDependencies(existing, proposed, prdTaskIds) {
+  // IDs are compared as strings, since hand-edited files may list task 3 as "3"
+  const has = (list, dependency) => list.some((other) => String(other) === String(dependency));
+  const kept = existing.filter((dependency) => has(proposed, dependency) || !has([...prdTaskIds], dependency));
+  return [...kept, ...proposed.filter((dependency) => !has(kept, dependency))];
+}
+
+/**
+ * Compare a revised task set with the existing one
+ * Proposed dependencies are translated to the IDs the tasks will have after merging:
+ * matched tasks keep their existing ID and added tasks are numbered after the current highest ID.
+ * Matched tasks keep the dependencies the PRD cannot express (see mergeDependencies).
+ * @param {Object[]} existingTasks - Tasks currently in tasks.json
+ * @param {Object[]} proposedTasks - Tasks generated from the revised PRD
+ * Open tasks missing from the PRD become obsolete when the status workflow allows moving them to its
+ * obsolete status; otherwise they are listed as rejected with the reason.
+ * @returns {Object} Diff with added, changed, unchanged, obsolete, rejected and preserved (done) entries,
+ * and the obsoleteStatus obsolete tasks are moved to
+ */
+function diffTaskSets(existingTasks, proposedTasks) {
+  const matches = matchTasks(existingTasks, proposedTasks);
+  const existingById = new Map(existingTasks.map((task) => [task.id, task]));
+
+  // Work out the final ID of every proposed task
+  let nextId = existingTasks.reduce((max, task) => Math.max(max, task.id), 0) + 1;
+  const idMap = new Map();
+  proposedTasks.forEach((proposed) => {
+    idMap.set(proposed.id, matches.has(proposed.id) ? matches.get(proposed.id) : nextId++);
+  });
+
+  const prdTaskIds = new Set(idMap.values());
+
+  const { obsoleteStatus } = getStatusWorkflow();
+  const diff = { added: [], changed: [], unchanged: [], obsolete: [], rejected: [], preserved: [], obsoleteStatus };
+
+  proposedTasks.forEach((proposed) => {
+    const id = idMap.get(proposed.id);
+    const dependencies = (proposed.dependencies || [])
+      .map((dependency) => idMap.get(dependency))
+      .filter((dependency) => dependency !== undefined && dependency !== id);
+    const candidate = { ...proposed, id, dependencies };
+
+    if (!matches.has(proposed.id)) {
+      diff.added.push({ ...candidate, status: getStatusWorkflow().initialStatus });
+      return;
+    }
+
+    const existing = existingById.get(id);
+    candidate.dependencies = mergeDependencies(existing.dependencies || [], dependencies, prdTaskIds);
+    const removedDependencies = (existing.dependencies || []).filter(
+      (dependency) => !candidate.dependencies.some((kept) => String(kept) === String(dependency))
+    );
+    const fields = DIFF_FIELDS.filter((field) => !sameValue(existing[field], candidate[field]));
+
+    if (fields.length === 0) {
+      diff.unchanged.push(id);
+    } else if (isTerminalStatus(existing.status)) {
+      // Completed work is never rewritten by a PRD revision
+      diff.preserved.push({ id, existing, proposed: candidate, fields });
+    } else {
+      diff.changed.push({ id, existing, proposed: candidate, fields, removedDependencies });
+    }
+  });
+
+  const matchedExisting = new Set(matches.values());
+  existingTasks.forEach((existing) => {
+    if (!matchedExisting.has(existing.id)) {
+      const current = getStatusDefinition(existing.status);
+      if (isTerminalStatus(existing.status)) {
+        diff.preserved.push({ id: existing.id, existing, proposed: null, fields: [] });
+      } else if (!obsoleteStatus) {
+        diff.rejected.push({
+          id: existing.id,
+          existing,
+          status: null,
+          reason: "The status workflow has no status for obsolete tasks. Set workflow.obsoleteStatus in .taskmasterconfig.",
+        });
+      } else if (!current || current.name !== obsoleteStatus) {
+        try {
+          checkStatusTransition({ ...existing }, `task ${existing.id}`, obsoleteStatus);
+          diff.obsolete.push(existing);
+        } catch (error) {
+          diff.rejected.push({ id: existing.id, existing, status: obsoleteStatus, reason: error.message });
+        }
+      }
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Check whether a diff would modify anything
+ * @param {Object} diff - Result of diffTaskSets
+ * @returns {boolean} True if there are added, changed or obsolete tasks
+ */
+function hasTaskChanges(diff) {
+  return diff.added.length > 0 || diff.changed.length > 0 || diff.obsolete.length > 0;
+}
+
+/**
+ * Apply a diff to the existing tasks data
+ * Changed tasks keep their ID, status and subtasks; obsolete tasks are moved to the workflow's obsolete
+ * status rather than deleted so their history and any references to them survive.
+ * @param {Object} data - Existing tasks data ({ meta, tasks })
+ * @param {Object} diff - Result of diffTaskSets
+ * @returns {Object} New tasks data
+ */
+function applyTaskDiff(data, diff) {
+  const changedById = new Map(diff.changed.map((change) => [change.id, change]));
+  const obsoleteIds = new Set(diff.obsolete.map((task) => task.id));
+
+  const tasks = data.tasks.map((task) => {
+    if (changedById.has(task.id)) {
+      const { proposed, fields } = changedById.get(task.id);
+      const updated = { ...task };
+      fields.forEach((field) => {
+        updated[field] = proposed[field];
+      });
+      return updated;
+    }
+
+    if (obsoleteIds.has(task.id)) {
+      return { ...task, status: diff.obsoleteStatus };
+    }
+
+    return task;
+  });
+
+  diff.added.forEach((task) => {
+    tasks.push({
+      id: task.id,
+      title: task.title,
+      description: task.description || "",
+      status: getStatusWorkflow().initialStatus,
+      dependencies: task.dependencies,
+      priority: task.priority,
+      details: task.details || "",
+      testStrategy: task.testStrategy || "",
+    });
+  });
+
+  return { ...data, tasks };
+}
+
+export { DIFF_FIELDS, titleSimilarity, matchTasks, mergeDependencies, diffTaskSets, hasTaskChanges, applyTaskDiff };
@@ -0,0 +1,495 @@
+/**
+ * task-files.js
+ * Formatting and parsing of the tasks/task_NNN.txt files, and syncing edits made to them
+ * back into tasks.json
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { readJSON, writeJSON } from "./utils.js";
+import { formatDependenciesWithStatus } from "./ui.js";
+import { checkStatusTransition, getStatusWorkflow } from "./status-workflow.js";
+
+// Snapshot of the files as last generated, used as the common ancestor when syncing
+const SYNC_BASE_FILE = ".task-files-base.json";
+
+// Task and subtask fields that can be edited in a task file
+const TASK_FILE_FIELDS = ["title", "status", "priority", "dependencies", "description", "details", "testStrategy"];
+const SUBTASK_FILE_FIELDS = ["title", "status", "dependencies", "description", "details"];
+
+// "# Name: value" headers of a task file, mapped to task fields
+const TASK_HEADERS = {
+  "Task ID": "id",
+  Title: "title",
+  Status: "status",
+  Dependencies: "dependencies",
+  Priority: "priority",
+  Description: "description",
+  Details: "details",
+  "Test Strategy": "testStrategy",
+  Subtasks: "subtasks",
+};
+
+// "### Name: value" headers of a subtask section
+const SUBTASK_HEADERS = {
+  Dependencies: "dependencies",
+  Description: "description",
+  Details: "details",
+};
+
+/**
+ * Get the file name of a task file
+ * @param {number} taskId - Task ID
+ * @returns {string} File name (e.g. "task_001.txt")
+ */
+function getTaskFileName(taskId) {
+  return `task_${taskId.toString().padStart(3, "0")}.txt`;
+}
+
+/**
+ * Format the dependencies of a subtask for a task file
+ * @param {Object} task - Parent task
+ * @param {Object} subtask - Subtask
+ * @returns {string} Comma-separated dependency IDs, or "None"
+ */
+function formatSubtaskDependencies(task, subtask) {
+  if (!subtask.dependencies || subtask.dependencies.length === 0) {
+    return "None";
+  }
+
+  return subtask.dependencies
+    .map((depId) => {
+      // Numeric dependencies on sibling subtasks are written with the parent ID
+      if (typeof depId === "number" && task.subtasks.find((st) => st.id === depId)) {
+        return `${task.id}.${depId}`;
+      }
+      return depId.toString();
+    })
+    .join(", ");
+}
+
+/**
+ * Format a task as the contents of its task file
+ * @param {Object} task - Task to format
+ * @param {Object[]} allTasks - All tasks, used to describe dependencies
+ * @returns {string} File contents
+ */
+function formatTaskFile(task, allTasks) {
+  let content = `# Task ID: ${task.id}\n`;
+  content += `# Title: ${task.title}\n`;
+  content += `# Status: ${task.status || getStatusWorkflow().initialStatus}\n`;
+  content += `# Dependencies: ${formatDependenciesWithStatus(task.dependencies, allTasks, false)}\n`;
+  content += `# Priority: ${task.priority || "medium"}\n`;
+  content += `# Description: ${task.description || ""}\n`;
+
+  content += "# Details:\n";
+  content += `${task.details || ""}\n\n`;
+
+  content += "# Test Strategy:\n";
+  content += `${task.testStrategy || ""}\n`;
+
+  if (task.subtasks && task.subtasks.length > 0) {
+    content += "\n# Subtasks:\n";
+
+    task.subtasks.forEach((subtask) => {
+      content += `## ${subtask.id}. ${subtask.title} [${subtask.status || getStatusWorkflow().initialStatus}]\n`;
+      content += `### Dependencies: ${formatSubtaskDependencies(task, subtask)}\n`;
+      content += `### Description: ${subtask.description || ""}\n`;
+      content += "### Details:\n";
+      content += `${subtask.details || ""}\n\n`;
+    });
+  }
+
+  return content;
+}
+
+/**
+ * Parse a dependency list written in a task file
+ * @param {string} value - e.g. "1, 3.2 (Not found)" or "None"
+ * @param {number|null} parentId - Parent task ID when parsing subtask dependencies
+ * @returns {Array<number|string>} Dependencies as stored: see normalizeDependencyId in dependency-graph.js
+ */
+function parseDependencyList(value, parentId = null) {
+  if (!value || value.trim().toLowerCase() === "none") {
+    return [];
+  }
+
+  return value
+    .split(",")
+    .map((item) => item.trim().match(/^(\d+)(?:\.(\d+))?/))
+    .filter(Boolean)
+    .map(([, taskId, subtaskId]) => {
+      // Siblings are always written with the parent ID, so a plain ID on a subtask is a task
+      if (subtaskId === undefined) {
+        return parentId === null ? parseInt(taskId, 10) : String(parseInt(taskId, 10));
+      }
+      // Siblings are stored as plain subtask numbers
+      return parseInt(taskId, 10) === parentId ? parseInt(subtaskId, 10) : `${taskId}.${subtaskId}`;
+    });
+}
+
+/**
+ * Strip the trailing blank lines that separate sections
+ * @param {string[]} lines - Lines of a multi-line section
+ * @returns {string} Section text
+ */
+function joinSection(lines) {
+  return lines.join("\n").replace(/\s+$/, "");
+}
+
+/**
+ * Parse the contents of a task file
+ * @param {string} content - File contents
+ * @returns {Object} { id, title, status, dependencies, priority, description, details, testStrategy, subtasks }
+ */
+function parseTaskFile(content) {
+  const task = { subtasks: [] };
+  let section = null; // Multi-line field currently being read
+  let sectionLines = [];
+  let inSubtasks = false;
+  let subtask = null;
+
+  const closeSection = () => {
+    if (section) {
+      (subtask || task)[section] = joinSection(sectionLines);
+    }
+    section = null;
+    sectionLines = [];
+  };
+
+  content.split(/\r?\n/).forEach((line) => {
+    const subtaskHeading = inSubtasks ? line.match(/^## (\d+)\. (.*) \[([^\]]*)\]\s*$/) : null;
+    const subtaskHeader = subtask ? line.match(/^### ([A-Za-z ]+):\s?(.*)$/) : null;
+    const taskHeader = subtask ? null : line.match(/^# ([A-Za-z ]+):\s?(.*)$/);
+
+    if (subtaskHeading) {
+      closeSection();
+      subtask = {
+        id: parseInt(subtaskHeading[1], 10),
+        title: subtaskHeading[2].trim(),
+        status: subtaskHeading[3].trim(),
+        dependencies: [],
+        description: "",
+        details: "",
+      };
+      task.subtasks.push(subtask);
+      return;
+    }
+
+    if (subtaskHeader && SUBTASK_HEADERS[subtaskHeader[1]]) {
+      closeSection();
+      const field = SUBTASK_HEADERS[subtaskHeader[1]];
+      if (field === "details") {
+        section = field;
+      } else if (field === "dependencies") {
+        subtask.dependencies = parseDependencyList(subtaskHeader[2], task.id);
+      } else {
+        subtask[field] = subtaskHeader[2].trim();
+      }
+      return;
+    }
+
+    if (taskHeader && TASK_HEADERS[taskHeader[1]]) {
+      closeSection();
+      const field = TASK_HEADERS[taskHeader[1]];
+      if (field === "details" || field === "testStrategy") {
+        section = field;
+      } else if (field === "id") {
+        task.id = parseInt(taskHeader[2], 10);
+      } else if (field === "dependencies") {
+        task.dependencies = parseDependencyList(taskHeader[2]);
+      } else if (field === "subtasks") {
+        inSubtasks = true;
+      } else {
+        task[field] = taskHeader[2].trim();
+      }
+      return;
+    }
+
+    if (section) {
+      sectionLines.push(line);
+    }
+  });
+  closeSection();
+
+  if (!Number.isInteger(task.id)) {
+    throw new Error("Missing or invalid '# Task ID:' header");
+  }
+
+  return task;
+}
+
+/**
+ * Read the snapshot of the files as they were last generated
+ * @param {string} outputDir - Directory containing the task files
+ * @returns {Object} Map of task ID to file contents
+ */
+function readSyncBase(outputDir) {
+  const basePath = path.join(outputDir, SYNC_BASE_FILE);
+  if (!fs.existsSync(basePath)) {
+    return {};
+  }
+
+  const base = readJSON(basePath);
+  return (base && base.tasks) || {};
+}
+
+/**
+ * Write task files and record them as the sync base
+ * @param {Object} data - Tasks data ({ tasks })
+ * @param {string} outputDir - Directory to write to
+ * @param {number[]|null} taskIds - Only write these tasks (all tasks when null)
+ * @returns {string[]} Names of the files written
+ */
+function writeTaskFiles(data, outputDir, taskIds = null) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const base = readSyncBase(outputDir);
+  const written = [];
+
+  data.tasks
+    .filter((task) => !taskIds || taskIds.includes(task.id))
+    .forEach((task) => {
+      const content = formatTaskFile(task, data.tasks);
+      fs.writeFileSync(path.join(outputDir, getTaskFileName(task.id)), content);
+      base[task.id] = content;
+      written.push(getTaskFileName(task.id));
+    });
+
+  writeJSON(path.join(outputDir, SYNC_BASE_FILE), { tasks: base });
+  return written;
+}
+
+/**
+ * Compare two parsed field values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Three-way merge of the fields of a task or subtask
+ * @param {string} id - Display ID ("3" or "3.2")
+ * @param {string[]} fields - Fields to merge
+ * @param {Object} file - Parsed values from the task file
+ * @param {Object} current - Current values from tasks.json (in parsed form)
+ * @param {Object|null} base - Values as last generated (null when unknown)
+ * @param {Object} result - Collects { changes, conflicts }
+ * @param {string} prefer - Side that wins a conflict: "json" or "file"
+ */
+function mergeFields(id, fields, file, current, base, result, prefer) {
+  fields.forEach((field) => {
+    if (sameValue(file[field], current[field])) {
+      return;
+    }
+
+    if (base && sameValue(file[field], base[field])) {
+      // Only tasks.json changed since the files were generated
+      return;
+    }
+
+    if (base && sameValue(current[field], base[field])) {
+      result.changes.push({ type: "field", id, field, from: current[field], to: file[field] });
+      return;
+    }
+
+    // Both sides changed (or there is no base to tell which side did)
+    result.conflicts.push({ id, field, file: file[field], json: current[field], resolvedWith: prefer });
+    if (prefer === "file") {
+      result.changes.push({ type: "field", id, field, from: current[field], to: file[field] });
+    }
+  });
+}
+
+/**
+ * Work out how a task file's edits merge into the current task
+ * @param {Object} file - Parsed task file
+ * @param {Object} current - Current task in parsed form (parseTaskFile(formatTaskFile(task)))
+ * @param {Object|null} base - Task as last generated, in parsed form (null when unknown)
+ * @param {Object} options - { prefer: "json" | "file" }
+ * @returns {Object} { changes, conflicts }
+ */
+function mergeTaskFile(file, current, base, options = {}) {
+  const prefer = options.prefer || "json";
+  const result = { changes: [], conflicts: [] };
+
+  mergeFields(String(file.id), TASK_FILE_FIELDS, file, current, base, result, prefer);
+
+  const findSubtask = (task, subtaskId) => (task && task.subtasks ? task.subtasks.find((st) => st.id === subtaskId) : null);
+
+  file.subtasks.forEach((fileSubtask) => {
+    const id = `${file.id}.${fileSubtask.id}`;
+    const currentSubtask = findSubtask(current, fileSubtask.id);
+    const baseSubtask = findSubtask(base, fileSubtask.id);
+
+    if (!currentSubtask) {
+      if (baseSubtask) {
+        // Removed from tasks.json but kept (or edited) in the file
+        result.conflicts.push({ id, field: "subtask", file: "present", json: "removed", resolvedWith: prefer });
+        if (prefer === "file") {
+          result.changes.push({ type: "add-subtask", id, subtask: fileSubtask });
+        }
+      } else {
+        result.changes.push({ type: "add-subtask", id, subtask: fileSubtask });
+      }
+      return;
+    }
+
+    mergeFields(id, SUBTASK_FILE_FIELDS, fileSubtask, currentSubtask, base ? baseSubtask || null : null, result, prefer);
+  });
+
+  // Subtasks deleted from the file
+  current.subtasks.forEach((currentSubtask) => {
+    if (findSubtask(file, currentSubtask.id)) {
+      return;
+    }
+
+    const id = `${file.id}.${currentSubtask.id}`;
+    const baseSubtask = findSubtask(base, currentSubtask.id);
+    if (!baseSubtask) {
+      // Added to tasks.json after the files were generated
+      return;
+    }
+
+    const unchanged = SUBTASK_FILE_FIELDS.every((field) => sameValue(currentSubtask[field], baseSubtask[field]));
+    if (unchanged || prefer === "file") {
+      result.changes.push({ type: "remove-subtask", id });
+    }
+    if (!unchanged) {
+      result.conflicts.push({ id, field: "subtask", file: "removed", json: "changed", resolvedWith: prefer });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Apply merged task file changes to a task in tasks.json
+ * @param {Object} task - Task to update (modified in place)
+ * @param {Object[]} changes - Changes from mergeTaskFile
+ */
+function applyTaskFileChanges(task, changes) {
+  changes.forEach((change) => {
+    const subtaskId = change.id.includes(".") ? parseInt(change.id.split(".")[1], 10) : null;
+
+    if (change.type === "add-subtask") {
+      const { id, title, status, dependencies, description, details } = change.subtask;
+      task.subtasks = task.subtasks || [];
+      task.subtasks.push({ id, title, description, details, status, dependencies });
+      return;
+    }
+
+    if (change.type === "remove-subtask") {
+      task.subtasks = (task.subtasks || []).filter((st) => st.id !== subtaskId);
+      return;
+    }
+
+    const target = subtaskId === null ? task : (task.subtasks || []).find((st) => st.id === subtaskId);
+    if (target) {
+      target[change.field] = change.to;
+    }
+  });
+}
+
+/**
+ * Check the status edits among merged task file changes against the status workflow, as set-status would
+ * @param {Object} task - Task in tasks.json
+ * @param {Object[]} changes - Changes from mergeTaskFile
+ * @returns {Object} { changes, rejected } - rejected changes carry the reason they were not allowed
+ */
+function checkTaskFileStatusChanges(task, changes) {
+  const accepted = [];
+  const rejected = [];
+
+  changes.forEach((change) => {
+    const subtaskId = change.id.includes(".") ? parseInt(change.id.split(".")[1], 10) : null;
+    const label = subtaskId === null ? `task ${change.id}` : `subtask ${change.id}`;
+
+    try {
+      if (change.type === "add-subtask") {
+        // A new subtask starts in the initial status, so its status must be reachable from there
+        if (change.subtask.status) {
+          const status = checkStatusTransition({}, label, change.subtask.status);
+          accepted.push({ ...change, subtask: { ...change.subtask, status } });
+          return;
+        }
+      } else if (change.type === "field" && change.field === "status") {
+        const target = subtaskId === null ? task : (task.subtasks || []).find((st) => st.id === subtaskId);
+        if (target) {
+          accepted.push({ ...change, to: checkStatusTransition({ ...target }, label, change.to) });
+          return;
+        }
+      }
+      accepted.push(change);
+    } catch (error) {
+      rejected.push({ ...change, reason: error.message });
+    }
+  });
+
+  return { changes: accepted, rejected };
+}
+
+/**
+ * Compare every task file with tasks.json and the sync base
+ * @param {Object} data - Tasks data ({ tasks })
+ * @param {string} outputDir - Directory containing the task files
+ * @param {Object} options - { prefer: "json" | "file" }
+ * @returns {Object} { results: [{ id, file, changes, conflicts, rejected }], skipped: [{ file, reason }] }
+ */
+function planTaskFileSync(data, outputDir, options = {}) {
+  if (!fs.existsSync(outputDir)) {
+    throw new Error(`Task files directory not found: ${outputDir}`);
+  }
+
+  const base = readSyncBase(outputDir);
+  const results = [];
+  const skipped = [];
+
+  fs.readdirSync(outputDir)
+    .filter((name) => /^task_\d+\.txt$/.test(name))
+    .sort()
+    .forEach((name) => {
+      let file;
+      try {
+        file = parseTaskFile(fs.readFileSync(path.join(outputDir, name), "utf8"));
+      } catch (error) {
+        skipped.push({ file: name, reason: error.message });
+        return;
+      }
+
+      const task = data.tasks.find((t) => t.id === file.id);
+      if (!task) {
+        skipped.push({ file: name, reason: `Task ${file.id} is not in tasks.json` });
+        return;
+      }
+
+      const current = parseTaskFile(formatTaskFile(task, data.tasks));
+      const baseTask = base[task.id] ? parseTaskFile(base[task.id]) : null;
+      const merged = mergeTaskFile(file, current, baseTask, options);
+      const { changes, rejected } = checkTaskFileStatusChanges(task, merged.changes);
+
+      results.push({ id: task.id, file: name, changes, conflicts: merged.conflicts, rejected });
+    });
+
+  return { results, skipped };
+}
+
+export {
+  SYNC_BASE_FILE,
+  getTaskFileName,
+  formatTaskFile,
+  parseTaskFile,
+  parseDependencyList,
+  readSyncBase,
+  writeTaskFiles,
+  mergeTaskFile,
+  applyTaskFileChanges,
+  checkTaskFileStatusChanges,
+  planTaskFileSync,
+};
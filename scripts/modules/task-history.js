@@ -0,0 +1,262 @@
+/**
+ * task-history.js
+ * Undo/redo journal for changes to the tasks file
+ *
+ * Every write of the tasks through writeJSON is recorded in tasks/.history. journal.json lists
+ * the entries (command, args and time), and each entry keeps snapshots of the tasks before and
+ * after it. The writes made by one command run are grouped into a single entry.
+ */
+
+import fs from "fs";
+import path from "path";
+
+import { writeFileAtomic, withFileLock } from "./file-lock.js";
+import { readTasks, writeTasks, canonicalJSON } from "./task-storage.js";
+import { migrateTasksData } from "./task-schema.js";
+
+const HISTORY_DIR = ".history";
+const JOURNAL_FILE = "journal.json";
+
+// Oldest entries are dropped once the journal holds this many
+const HISTORY_LIMIT = 50;
+
+// Command run that the next writes belong to
+let historyContext = { command: null, args: {}, runId: null };
+let runCounter = 0;
+
+/**
+ * Set the command that following task writes are recorded under
+ * @param {string} command - Command name (e.g. "expand" or "mcp: setting task status")
+ * @param {Object} args - Command options and arguments
+ */
+function setHistoryContext(command, args = {}) {
+  runCounter += 1;
+  historyContext = { command, args, runId: `${process.pid}-${Date.now()}-${runCounter}` };
+}
+
+/**
+ * Get the history directory for a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {string} History directory
+ */
+function getHistoryDir(tasksPath) {
+  return path.join(path.dirname(tasksPath), HISTORY_DIR);
+}
+
+/**
+ * Read the history journal
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} { position, nextId, entries }; position is the number of entries currently applied
+ */
+function readJournal(tasksPath) {
+  const journalPath = path.join(getHistoryDir(tasksPath), JOURNAL_FILE);
+  if (!fs.existsSync(journalPath)) {
+    return { position: 0, nextId: 1, entries: [] };
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(journalPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid history journal ${journalPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the history journal
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} journal - Journal to write
+ */
+function writeJournal(tasksPath, journal) {
+  fs.mkdirSync(getHistoryDir(tasksPath), { recursive: true });
+  writeFileAtomic(path.join(getHistoryDir(tasksPath), JOURNAL_FILE), JSON.stringify(journal, null, 2));
+}
+
+/**
+ * Get the path of an entry snapshot
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} entry - Journal entry
+ * @param {string} side - "before" or "after"
+ * @returns {string} Snapshot path
+ */
+function getSnapshotPath(tasksPath, entry, side) {
+  return path.join(getHistoryDir(tasksPath), `${String(entry.id).padStart(6, "0")}-${side}.json`);
+}
+
+/**
+ * Read an entry snapshot
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} entry - Journal entry
+ * @param {string} side - "before" or "after"
+ * @returns {Object} Tasks data
+ */
+function readSnapshot(tasksPath, entry, side) {
+  const snapshotPath = getSnapshotPath(tasksPath, entry, side);
+  if (!fs.existsSync(snapshotPath)) {
+    throw new Error(`History snapshot ${snapshotPath} is missing`);
+  }
+  return JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+}
+
+/**
+ * Delete the snapshots of journal entries
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object[]} entries - Entries being dropped
+ */
+function removeSnapshots(tasksPath, entries) {
+  entries.forEach((entry) => {
+    ["before", "after"].forEach((side) => {
+      const snapshotPath = getSnapshotPath(tasksPath, entry, side);
+      if (fs.existsSync(snapshotPath)) {
+        fs.unlinkSync(snapshotPath);
+      }
+    });
+  });
+}
+
+/**
+ * Compare two versions of the tasks, ignoring the revision counter and what upgrading to the
+ * current schema fills in, so rewriting restored tasks without changing them is not a change
+ * @param {Object} a - Tasks data
+ * @param {Object} b - Tasks data
+ * @returns {boolean} True if they hold the same tasks
+ */
+function sameTasks(a, b) {
+  const strip = (data) => {
+    if (!data) {
+      return null;
+    }
+    const copy = migrateTasksData(JSON.parse(JSON.stringify(data))).data;
+    return { ...copy, meta: { ...copy.meta, revision: undefined } };
+  };
+  return canonicalJSON(strip(a)) === canonicalJSON(strip(b));
+}
+
+/**
+ * Record a write of the tasks in the journal. Called by writeJSON while it holds the tasks file lock.
+ * Writes that leave the tasks as they were are not recorded and keep the entries that can be redone.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object|null} previous - Tasks before the write (null when the file was just created)
+ * @param {Object} written - Tasks as written
+ * @returns {Object|null} The recorded entry, or null if nothing changed
+ */
+function recordTaskHistory(tasksPath, previous, written) {
+  if (!previous || sameTasks(previous, written)) {
+    return null;
+  }
+
+  const journal = readJournal(tasksPath);
+
+  // A new change makes the undone entries unreachable
+  removeSnapshots(tasksPath, journal.entries.splice(journal.position));
+
+  let entry = journal.entries[journal.entries.length - 1];
+  if (entry && historyContext.runId && entry.runId === historyContext.runId) {
+    // Another write from the same command run: extend its entry
+    entry.revision = written.meta.revision;
+  } else {
+    entry = {
+      id: journal.nextId,
+      command: historyContext.command || "unknown",
+      args: historyContext.args,
+      timestamp: new Date().toISOString(),
+      runId: historyContext.runId,
+      revision: written.meta.revision,
+    };
+    journal.nextId += 1;
+    journal.entries.push(entry);
+
+    fs.mkdirSync(getHistoryDir(tasksPath), { recursive: true });
+    writeFileAtomic(getSnapshotPath(tasksPath, entry, "before"), JSON.stringify(previous));
+    removeSnapshots(tasksPath, journal.entries.splice(0, Math.max(0, journal.entries.length - HISTORY_LIMIT)));
+  }
+
+  writeFileAtomic(getSnapshotPath(tasksPath, entry, "after"), JSON.stringify(written));
+  journal.position = journal.entries.length;
+  writeJournal(tasksPath, journal);
+  return entry;
+}
+
+/**
+ * Get the recorded history of a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} { position, entries: [{ id, command, args, timestamp, revision, applied }] }
+ */
+function getTaskHistory(tasksPath) {
+  const journal = readJournal(tasksPath);
+  return {
+    position: journal.position,
+    entries: journal.entries.map(({ runId, ...entry }, index) => ({ ...entry, applied: index < journal.position })),
+  };
+}
+
+/**
+ * Move through the history by restoring a snapshot
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {number} steps - Number of entries to undo (negative) or redo (positive)
+ * @param {boolean} force - Restore even if the tasks changed outside the history
+ * @returns {Object} { entries, position }
+ */
+function moveInHistory(tasksPath, steps, force) {
+  return withFileLock(tasksPath, () => {
+    const journal = readJournal(tasksPath);
+    const undo = steps < 0;
+    const count = Math.abs(steps);
+    const available = undo ? journal.position : journal.entries.length - journal.position;
+
+    if (available === 0) {
+      throw new Error(undo ? "Nothing to undo" : "Nothing to redo");
+    }
+    if (count > available) {
+      throw new Error(`Only ${available} change(s) can be ${undo ? "undone" : "redone"}`);
+    }
+
+    const entries = undo
+      ? journal.entries.slice(journal.position - count, journal.position).reverse()
+      : journal.entries.slice(journal.position, journal.position + count);
+
+    // Refuse to throw away changes that were made without going through the history
+    const expected = readSnapshot(tasksPath, entries[0], undo ? "after" : "before");
+    if (!force && !sameTasks(readTasks(tasksPath), expected)) {
+      throw new Error(
+        `The tasks were changed after "${entries[0].command}" without being recorded in the history. ` +
+          `Use --force to ${undo ? "undo" : "redo"} anyway and lose those changes.`
+      );
+    }
+
+    writeTasks(tasksPath, readSnapshot(tasksPath, entries[entries.length - 1], undo ? "before" : "after"));
+    journal.position += undo ? -count : count;
+    writeJournal(tasksPath, journal);
+
+    return { entries: entries.map(({ runId, ...entry }) => entry), position: journal.position };
+  });
+}
+
+/**
+ * Undo the most recent recorded changes
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {number} steps - Number of changes to undo
+ * @param {Object} options - { force }
+ * @returns {Object} { entries, position }
+ */
+function undoTaskHistory(tasksPath, steps = 1, options = {}) {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error("The number of changes to undo must be a positive integer");
+  }
+  return moveInHistory(tasksPath, -steps, options.force);
+}
+
+/**
+ * Redo changes that were undone
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {number} steps - Number of changes to redo
+ * @param {Object} options - { force }
+ * @returns {Object} { entries, position }
+ */
+function redoTaskHistory(tasksPath, steps = 1, options = {}) {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error("The number of changes to redo must be a positive integer");
+  }
+  return moveInHistory(tasksPath, steps, options.force);
+}
+
+export { HISTORY_DIR, HISTORY_LIMIT, setHistoryContext, recordTaskHistory, getTaskHistory, undoTaskHistory, redoTaskHistory };
@@ -9,42 +9,69 @@ import chalk from "chalk";
 import boxen from "boxen";
 import Table from "cli-table3";
 import readline from "readline";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 
 import {
   CONFIG,
   log,
   readJSON,
   writeJSON,
+  tasksFileExists,
   sanitizePrompt,
   findTaskById,
   readComplexityReport,
   findTaskInComplexityReport,
   truncate,
+  isSilentMode,
 } from "./utils.js";
 
 import {
   displayBanner,
   getStatusWithColor,
+  getStatusColor,
   formatDependenciesWithStatus,
+  formatSubtaskDependenciesWithStatus,
   getComplexityWithColor,
   startLoadingIndicator,
   stopLoadingIndicator,
   createProgressBar,
+  displayTaskDiff,
+  displayTaskFileSync,
+  displayTaskHistory,
+  confirmAction,
+  displaySafetyBlock,
+  editBlockedPrompt,
 } from "./ui.js";
 
 import {
+  generateStructured,
   callGemini,
   generateComplexityAnalysisPrompt,
-  geminiModel,
   generateSubtasksWithGeminiWithResearch,
   generateSubtasksWithGemini,
 } from "./ai-services.js";
 
-import { validateTaskDependencies, validateAndFixDependencies } from "./dependency-manager.js";
+import { withCassette, getCassetteMode } from "./ai-cassette.js";
+import { withUsageTracking } from "./usage-tracker.js";
+import { AIServiceError, withResilience, mapWithConcurrency } from "./ai-resilience.js";
+import { estimateTokens, chunkPrd, mergeChunks, allocateTasksToChunks, mergeChunkTasks } from "./prd-chunking.js";
+import { diffTaskSets, hasTaskChanges, applyTaskDiff } from "./task-diff.js";
+import { writeTaskFiles, planTaskFileSync, applyTaskFileChanges } from "./task-files.js";
+import { STORAGE_BACKENDS, migrateTaskStorage } from "./task-storage.js";
+import { getTaskHistory, undoTaskHistory, redoTaskHistory } from "./task-history.js";
+import { getStatusWorkflow, getStatusDefinition, getWorkflowStatuses, isTerminalStatus, isActionableStatus, checkStatusTransition } from "./status-workflow.js";
+import { scheduleNextTask } from "./task-scheduler.js";
+import { resolveDependencyNode, normalizeDependencyId, buildDependencyGraph, findDependencyPath } from "./dependency-graph.js";
+import { parseAssigneeNames, getAssignees, isAssignedTo, updateAssignees } from "./assignees.js";
+import { setEstimate, applySuggestedEstimate, findWorkItem, getLoggedMinutes, startTimer, stopTimer, formatDuration, formatEstimate } from "./time-tracking.js";
+import {
+  NEW_TASK_SCHEMA,
+  TASK_LIST_SCHEMA,
+  COMPLEXITY_LIST_SCHEMA,
+  parseStructuredResponse,
+  normalizeComplexityAnalysis,
+} from "./structured-output.js";
 
-// Initialize Gemini client
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+import { validateTaskDependencies, validateAndFixDependencies } from "./dependency-manager.js";
 
 // Import perplexity if available
 let perplexity;
@@ -89,22 +116,35 @@ async function readTasksFromFile(tasksFile) {
  * @param {string} prdPath - Path to the PRD file
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number} numTasks - Number of tasks to generate
+ * @param {Object} options - Additional options
+ * @param {boolean} options.merge - Merge into the existing tasks.json instead of overwriting it
+ * @param {boolean} options.yes - Apply merge changes without asking for confirmation
+ * @param {string} options.outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { tasksPath, taskCount } or, when merging, { tasksPath, merged: true, applied, diff }
  */
-async function parsePRD(prdPath, tasksPath, numTasks) {
+async function parsePRD(prdPath, tasksPath, numTasks, options = {}) {
+  const outputFormat = options.outputFormat || "text";
   try {
     log("info", `Parsing PRD file: ${prdPath}`);
 
     // Read the PRD content
     const prdContent = fs.readFileSync(prdPath, "utf8");
 
-    // Call Claude to generate tasks
-    let tasksData = await callGemini(prdContent, prdPath, numTasks);
-
-    // check if tasksData contain ```json and ```, remove them
-    tasksData = tasksData.replace("```json", "").replace("```", "");
+    // Large PRDs are split into chunks that each fit the token budget
+    const prdTokens = estimateTokens(prdContent);
+    let tasksData;
+    if (prdTokens > CONFIG.prdChunkTokens) {
+      tasksData = await generateTasksFromChunks(prdContent, prdPath, numTasks);
+    } else {
+      // Ask the configured AI provider to generate tasks (parsed and validated)
+      tasksData = await callGemini(prdContent, prdPath, numTasks);
+    }
 
-    // parse tasksData as JSON
-    tasksData = JSON.parse(tasksData);
+    // Merge into the existing task set instead of overwriting it
+    if (options.merge && tasksFileExists(tasksPath)) {
+      const { applied, diff } = await mergePrdTasks(tasksPath, tasksData, options);
+      return { tasksPath, merged: true, applied, diff };
+    }
 
     // Create the directory if it doesn't exist
     const tasksDir = path.dirname(tasksPath);
@@ -121,6 +161,10 @@ async function parsePRD(prdPath, tasksPath, numTasks) {
     // Generate individual task files
     await generateTaskFiles(tasksPath, tasksDir);
 
+    if (outputFormat !== "text") {
+      return { tasksPath, taskCount: tasksData.tasks.length };
+    }
+
     console.log(
       boxen(chalk.green(`Successfully generated ${tasksData.tasks.length} tasks from PRD`), {
         padding: 1,
@@ -138,8 +182,14 @@ async function parsePRD(prdPath, tasksPath, numTasks) {
         { padding: 1, borderColor: "cyan", borderStyle: "round", margin: { top: 1 } }
       )
     );
+
+    return { tasksPath, taskCount: tasksData.tasks.length };
   } catch (error) {
     log("error", `Error parsing PRD: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
     console.error(chalk.red(`Error: ${error.message}`));
 
     if (CONFIG.debug) {
@@ -150,21 +200,133 @@ async function parsePRD(prdPath, tasksPath, numTasks) {
   }
 }
 
+/**
+ * Merge tasks generated from a revised PRD into an existing tasks.json
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} tasksData - Tasks generated from the PRD ({ tasks })
+ * @param {Object} options - Merge options
+ * @param {boolean} options.yes - Apply without asking for confirmation
+ * @param {string} options.outputFormat - "json" skips the diff display; without options.yes nothing is written
+ * @returns {Promise<Object>} { applied, diff } where applied is true if changes were written
+ */
+async function mergePrdTasks(tasksPath, tasksData, options = {}) {
+  const textOutput = (options.outputFormat || "text") === "text";
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    throw new Error(`No valid tasks found in ${tasksPath}`);
+  }
+
+  const diff = diffTaskSets(data.tasks, tasksData.tasks);
+  if (textOutput) {
+    displayTaskDiff(diff);
+  }
+
+  if (!hasTaskChanges(diff)) {
+    if (textOutput) {
+      console.log(boxen(chalk.green("Tasks are already up to date with the PRD"), { padding: 1, borderColor: "green", borderStyle: "round" }));
+    }
+    return { applied: false, diff };
+  }
+
+  if (!options.yes) {
+    // There is nobody to ask in JSON mode, so the diff is only a preview
+    const confirmed = textOutput && (await confirmAction(`Apply these changes to ${tasksPath}?`));
+    if (!confirmed) {
+      if (textOutput) {
+        console.log(chalk.yellow("No changes were written."));
+      }
+      return { applied: false, diff };
+    }
+  }
+
+  writeJSON(tasksPath, applyTaskDiff(data, diff));
+  log(
+    "success",
+    `Merged PRD into ${tasksPath}: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.obsolete.length} marked obsolete (${diff.obsoleteStatus})`
+  );
+
+  await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+  return { applied: true, diff };
+}
+
+/**
+ * Generate tasks for a PRD that exceeds the token budget, one chunk at a time
+ * @param {string} prdContent - The PRD content
+ * @param {string} prdPath - Path to the PRD file
+ * @param {number} numTasks - Total number of tasks to generate
+ * @returns {Promise<Object>} Merged tasks data ({ tasks, metadata })
+ */
+async function generateTasksFromChunks(prdContent, prdPath, numTasks) {
+  // Every chunk asks for at least one task, so there can be no more chunks than tasks
+  const chunks = mergeChunks(chunkPrd(prdContent, CONFIG.prdChunkTokens), numTasks);
+  const allocation = allocateTasksToChunks(chunks, numTasks);
+
+  log(
+    "info",
+    `PRD is ~${estimateTokens(prdContent)} tokens (budget ${CONFIG.prdChunkTokens}); processing it in ${chunks.length} chunks`
+  );
+
+  const chunkTasks = [];
+  let generated = [];
+  for (let index = 0; index < chunks.length; index++) {
+    const chunk = chunks[index];
+    const startId = generated.length + 1;
+    const loadingIndicator = startLoadingIndicator(`Generating tasks for PRD part ${index + 1}/${chunks.length}...`);
+
+    try {
+      const result = await callGemini(chunk.text, prdPath, allocation[index], {
+        startId,
+        previousTasks: generated,
+        chunk: { index, total: chunks.length, headings: chunk.headings },
+      });
+      chunkTasks.push(result.tasks);
+    } finally {
+      stopLoadingIndicator(loadingIndicator);
+    }
+
+    // Renumber as we go so later chunks see the final IDs of earlier tasks
+    generated = mergeChunkTasks(chunkTasks).tasks;
+    log("info", `Part ${index + 1}/${chunks.length}: generated ${chunkTasks[index].length} tasks`);
+  }
+
+  const { tasks, droppedDependencies } = mergeChunkTasks(chunkTasks);
+  droppedDependencies.forEach(({ taskId, dependency }) => {
+    log("warn", `Removed unresolved dependency ${dependency} from task ${taskId}`);
+  });
+
+  return {
+    tasks,
+    metadata: {
+      projectName: "PRD Implementation",
+      totalTasks: tasks.length,
+      sourceFile: prdPath,
+      generatedAt: new Date().toISOString().split("T")[0],
+      chunks: chunks.length,
+    },
+  };
+}
+
 /**
  * Update tasks based on new context
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number} fromId - Task ID to start updating from
  * @param {string} prompt - Prompt with new context
  * @param {boolean} useResearch - Whether to use Perplexity AI for research
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { updatedTaskIds }
  */
-async function updateTasks(tasksPath, fromId, prompt, useResearch = false) {
+async function updateTasks(tasksPath, fromId, prompt, useResearch = false, outputFormat = "text") {
   try {
     log("info", `Updating tasks from ID ${fromId} with prompt: "${prompt}"`);
 
-    // Validate research flag
-    if (useResearch && (!perplexity || !process.env.PERPLEXITY_API_KEY)) {
-      log("warn", "Perplexity AI is not available. Falling back to Claude AI.");
-      console.log(chalk.yellow("Perplexity AI is not available (API key may be missing). Falling back to Claude AI."));
+    // Validate research flag (recorded research responses can be replayed without a key)
+    const cassette = getCassetteMode();
+    const replaying = cassette && cassette.mode === "replay";
+    if (useResearch && !replaying && (!perplexity || !process.env.PERPLEXITY_API_KEY)) {
+      log("warn", "Perplexity AI is not available. Falling back to the configured AI provider.");
+      if (outputFormat === "text") {
+        console.log(chalk.yellow("Perplexity AI is not available (API key may be missing). Falling back to the configured AI provider."));
+      }
       useResearch = false;
     }
 
@@ -175,33 +337,37 @@ async function updateTasks(tasksPath, fromId, prompt, useResearch = false) {
     }
 
     // Find tasks to update (ID >= fromId and not 'done')
-    const tasksToUpdate = data.tasks.filter((task) => task.id >= fromId && task.status !== "done");
+    const tasksToUpdate = data.tasks.filter((task) => task.id >= fromId && !isTerminalStatus(task.status));
     if (tasksToUpdate.length === 0) {
       log("info", `No tasks to update (all tasks with ID >= ${fromId} are already marked as done)`);
-      console.log(chalk.yellow(`No tasks to update (all tasks with ID >= ${fromId} are already marked as done)`));
-      return;
+      if (outputFormat === "text") {
+        console.log(chalk.yellow(`No tasks to update (all tasks with ID >= ${fromId} are already marked as done)`));
+      }
+      return { updatedTaskIds: [] };
     }
 
-    // Show the tasks that will be updated
-    const table = new Table({
-      head: [chalk.cyan.bold("ID"), chalk.cyan.bold("Title"), chalk.cyan.bold("Status")],
-      colWidths: [5, 60, 10],
-    });
+    if (outputFormat === "text") {
+      // Show the tasks that will be updated
+      const table = new Table({
+        head: [chalk.cyan.bold("ID"), chalk.cyan.bold("Title"), chalk.cyan.bold("Status")],
+        colWidths: [5, 60, 10],
+      });
 
-    tasksToUpdate.forEach((task) => {
-      table.push([task.id, truncate(task.title, 57), getStatusWithColor(task.status)]);
-    });
+      tasksToUpdate.forEach((task) => {
+        table.push([task.id, truncate(task.title, 57), getStatusWithColor(task.status)]);
+      });
 
-    console.log(
-      boxen(chalk.white.bold(`Updating ${tasksToUpdate.length} tasks`), {
-        padding: 1,
-        borderColor: "blue",
-        borderStyle: "round",
-        margin: { top: 1, bottom: 0 },
-      })
-    );
+      console.log(
+        boxen(chalk.white.bold(`Updating ${tasksToUpdate.length} tasks`), {
+          padding: 1,
+          borderColor: "blue",
+          borderStyle: "round",
+          margin: { top: 1, bottom: 0 },
+        })
+      );
 
-    console.log(table.toString());
+      console.log(table.toString());
+    }
 
     // Build the system prompt
     const systemPrompt = `You are an AI assistant helping to update software development tasks based on new context.
@@ -221,7 +387,7 @@ The changes described in the prompt should be applied to ALL tasks in the list.`
 
     let updatedTasks;
     const loadingIndicator = startLoadingIndicator(
-      useResearch ? "Updating tasks with Perplexity AI research..." : "Updating tasks with Claude AI..."
+      useResearch ? "Updating tasks with Perplexity AI research..." : "Updating tasks with AI..."
     );
 
     try {
@@ -230,88 +396,59 @@ The changes described in the prompt should be applied to ALL tasks in the list.`
 
         // Call Perplexity AI using format consistent with ai-services.js
         const perplexityModel = process.env.PERPLEXITY_MODEL || "sonar-pro";
-        const result = await perplexity.chat.completions.create({
-          model: perplexityModel,
-          messages: [
-            {
-              role: "system",
-              content: `${systemPrompt}\n\nAdditionally, please research the latest best practices, implementation details, and considerations when updating these tasks. Use your online search capabilities to gather relevant information.`,
-            },
-            {
-              role: "user",
-              content: `Here are the tasks to update:
+        const researchRequest = {
+          purpose: "update-research",
+          systemPrompt: `${systemPrompt}\n\nAdditionally, please research the latest best practices, implementation details, and considerations when updating these tasks. Use your online search capabilities to gather relevant information.`,
+          prompt: `Here are the tasks to update:
 ${taskData}
 
 Please update these tasks based on the following new context:
 ${prompt}
 
 Return only the updated tasks as a valid JSON array.`,
-            },
-          ],
           temperature: parseFloat(process.env.TEMPERATURE || CONFIG.temperature),
-          max_tokens: parseInt(process.env.MAX_TOKENS || CONFIG.maxTokens),
-        });
-
-        const responseText = result.choices[0].message.content;
-
-        // Extract JSON from response
-        const jsonStart = responseText.indexOf("[");
-        const jsonEnd = responseText.lastIndexOf("]");
-
-        if (jsonStart === -1 || jsonEnd === -1) {
-          throw new Error("Could not find valid JSON array in Perplexity's response");
-        }
-
-        const jsonText = responseText.substring(jsonStart, jsonEnd + 1);
-        updatedTasks = JSON.parse(jsonText);
-      } else {
-        // Call Claude to update the tasks with streaming enabled
-        let responseText = "";
-        let streamingInterval = null;
+          maxTokens: parseInt(process.env.MAX_TOKENS || CONFIG.maxTokens),
+        };
 
-        try {
-          // Update loading indicator to show streaming progress
-          let dotCount = 0;
-          const readline = await import("readline");
-          streamingInterval = setInterval(() => {
-            readline.cursorTo(process.stdout, 0);
-            process.stdout.write(`Receiving streaming response from Claude${".".repeat(dotCount)}`);
-            dotCount = (dotCount + 1) % 4;
-          }, 500);
-
-          // Use streaming API call
-          const stream = await geminiModel.generateContent({
-            contents: [{ role: "user", parts: [{ text: `${systemPrompt}\n\n${taskData}` }] }],
-            generationConfig: {
-              maxOutputTokens: parseInt(process.env.MAX_TOKENS || CONFIG.maxTokens),
-              temperature: CONFIG.temperature,
-            },
+        const callPerplexity = async () => {
+          const result = await perplexity.chat.completions.create({
+            model: perplexityModel,
+            messages: [
+              { role: "system", content: researchRequest.systemPrompt },
+              { role: "user", content: researchRequest.prompt },
+            ],
+            temperature: researchRequest.temperature,
+            max_tokens: researchRequest.maxTokens,
           });
+          return {
+            text: result.choices[0].message.content,
+            raw: result,
+            usage: result.usage ? { inputTokens: result.usage.prompt_tokens || 0, outputTokens: result.usage.completion_tokens || 0 } : null,
+          };
+        };
 
-          // Process the stream
-          for await (const chunk of stream) {
-            if (chunk.type === "content_block_delta" && chunk.delta.text) {
-              responseText += chunk.delta.text;
-            }
-          }
-
-          if (streamingInterval) clearInterval(streamingInterval);
-          log("info", "Completed streaming response from Claude API!");
+        const usageMeta = { command: "update", purpose: "update-research", provider: "perplexity", model: perplexityModel };
+        const { text: responseText } = await withCassette(
+          researchRequest,
+          () => withResilience(usageMeta, () => withUsageTracking(usageMeta, callPerplexity)),
+          { command: "update", provider: "perplexity", model: perplexityModel }
+        );
 
-          // Extract JSON from response
-          const jsonStart = responseText.indexOf("[");
-          const jsonEnd = responseText.lastIndexOf("]");
+        updatedTasks = parseStructuredResponse(responseText, TASK_LIST_SCHEMA).data;
+      } else {
+        updatedTasks = await generateStructured({
+          command: "update",
+          purpose: "update",
+          schema: TASK_LIST_SCHEMA,
+          systemPrompt,
+          prompt: `Here are the tasks to update:
+${taskData}
 
-          if (jsonStart === -1 || jsonEnd === -1) {
-            throw new Error("Could not find valid JSON array in Claude's response");
-          }
+Please update these tasks based on the following new context:
+${prompt}
 
-          const jsonText = responseText.substring(jsonStart, jsonEnd + 1);
-          updatedTasks = JSON.parse(jsonText);
-        } catch (error) {
-          if (streamingInterval) clearInterval(streamingInterval);
-          throw error;
-        }
+Return only the updated tasks as a valid JSON array.`,
+        });
       }
 
       // Replace the tasks in the original data
@@ -330,14 +467,22 @@ Return only the updated tasks as a valid JSON array.`,
       // Generate individual task files
       await generateTaskFiles(tasksPath, path.dirname(tasksPath));
 
-      console.log(
-        boxen(chalk.green(`Successfully updated ${updatedTasks.length} tasks`), { padding: 1, borderColor: "green", borderStyle: "round" })
-      );
+      if (outputFormat === "text") {
+        console.log(
+          boxen(chalk.green(`Successfully updated ${updatedTasks.length} tasks`), { padding: 1, borderColor: "green", borderStyle: "round" })
+        );
+      }
+
+      return { updatedTaskIds: updatedTasks.map((task) => task.id) };
     } finally {
       stopLoadingIndicator(loadingIndicator);
     }
   } catch (error) {
     log("error", `Error updating tasks: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
     console.error(chalk.red(`Error: ${error.message}`));
 
     if (CONFIG.debug) {
@@ -352,8 +497,11 @@ Return only the updated tasks as a valid JSON array.`,
  * Generate individual task files from tasks.json
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} outputDir - Output directory for task files
+ * @param {Object} options - Generation options
+ * @param {boolean} options.fixDependencies - Fix invalid dependencies in tasks.json first (default true); when false,
+ *   generation fails instead if any dependency needs fixing
  */
-function generateTaskFiles(tasksPath, outputDir) {
+function generateTaskFiles(tasksPath, outputDir, options = {}) {
   try {
     log("info", `Reading tasks from ${tasksPath}...`);
     const data = readJSON(tasksPath);
@@ -361,99 +509,275 @@ function generateTaskFiles(tasksPath, outputDir) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
 
-    // Create the output directory if it doesn't exist
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-
     log("info", `Found ${data.tasks.length} tasks to generate files for.`);
 
-    // Validate and fix dependencies before generating files
-    log("info", `Validating and fixing dependencies before generating files...`);
-    validateAndFixDependencies(data, tasksPath);
+    if (options.fixDependencies === false) {
+      // Work out the fixes on a copy and refuse to continue rather than rewrite tasks.json
+      const changes = [];
+      validateAndFixDependencies(JSON.parse(JSON.stringify(data)), null, changes);
+      if (changes.length > 0) {
+        throw new Error(
+          `${changes.length} dependenc${changes.length === 1 ? "y needs" : "ies need"} fixing, so no task files were generated:\n` +
+            changes.map((change) => `  ${change.id}: remove ${change.dependency} (${change.message})`).join("\n") +
+            "\nRun generate without --no-fix-dependencies to apply these fixes."
+        );
+      }
+    } else {
+      // Validate and fix dependencies before generating files
+      log("info", `Validating and fixing dependencies before generating files...`);
+      validateAndFixDependencies(data, tasksPath);
+    }
 
     // Generate task files
     log("info", "Generating individual task files...");
-    data.tasks.forEach((task) => {
-      const taskPath = path.join(outputDir, `task_${task.id.toString().padStart(3, "0")}.txt`);
+    writeTaskFiles(data, outputDir).forEach((fileName) => {
+      log("info", `Generated: ${fileName}`);
+    });
 
-      // Format the content
-      let content = `# Task ID: ${task.id}\n`;
-      content += `# Title: ${task.title}\n`;
-      content += `# Status: ${task.status || "pending"}\n`;
+    log("success", `All ${data.tasks.length} tasks have been generated into '${outputDir}'.`);
+  } catch (error) {
+    log("error", `Error generating task files: ${error.message}`);
 
-      // Format dependencies with their status
-      if (task.dependencies && task.dependencies.length > 0) {
-        content += `# Dependencies: ${formatDependenciesWithStatus(task.dependencies, data.tasks, false)}\n`;
-      } else {
-        content += "# Dependencies: None\n";
+    // Inside the MCP server the caller reports the error; exiting would kill the server
+    if (isSilentMode()) {
+      throw error;
+    }
+
+    console.error(chalk.red(`Error generating task files: ${error.message}`));
+
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+
+    process.exit(1);
+  }
+}
+
+/**
+ * Apply the changes merged from one task file. Status edits go through updateSingleTaskStatus like set-status
+ * (subtasks first), so they propagate between the task and its subtasks and a task with open subtasks cannot
+ * be finished; edits it rejects move from result.changes to result.rejected.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} data - Tasks data (modified in place)
+ * @param {Object} result - Plan entry from planTaskFileSync; gets a cascaded list of the changes propagated
+ */
+async function applyTaskFileSyncResult(tasksPath, data, result) {
+  const task = data.tasks.find((t) => t.id === result.id);
+  const initialStatus = getStatusWorkflow().initialStatus;
+  const isStatusChange = (change) =>
+    (change.type === "field" && change.field === "status") ||
+    (change.type === "add-subtask" && Boolean(change.subtask.status) && change.subtask.status !== initialStatus);
+
+  // Added subtasks start in the initial status and then move to the status in the file
+  applyTaskFileChanges(
+    task,
+    result.changes
+      .filter((change) => !isStatusChange(change) || change.type === "add-subtask")
+      .map((change) => (isStatusChange(change) ? { ...change, subtask: { ...change.subtask, status: initialStatus } } : change))
+  );
+
+  const statusChanges = result.changes.filter(isStatusChange);
+  const ordered = [...statusChanges.filter((change) => change.id.includes(".")), ...statusChanges.filter((change) => !change.id.includes("."))];
+  result.cascaded = [];
+
+  for (const change of ordered) {
+    const status = change.type === "add-subtask" ? change.subtask.status : change.to;
+    const [, subtaskId] = change.id.split(".").map(Number);
+    const item = subtaskId === undefined ? task : task.subtasks.find((st) => st.id === subtaskId);
+    const current = getStatusDefinition(item.status || initialStatus);
+    if (current && current.name === status) {
+      // Already moved there by an earlier change of this file
+      continue;
+    }
+
+    try {
+      const { cascaded } = await updateSingleTaskStatus(tasksPath, change.id, status, data);
+      result.cascaded.push(...cascaded);
+    } catch (error) {
+      if (change.type === "add-subtask") {
+        task.subtasks = task.subtasks.filter((st) => st.id !== subtaskId);
       }
+      result.changes = result.changes.filter((c) => c !== change);
+      result.rejected.push({ ...change, reason: error.message });
+    }
+  }
+}
 
-      content += `# Priority: ${task.priority || "medium"}\n`;
-      content += `# Description: ${task.description || ""}\n`;
-
-      // Add more detailed sections
-      content += "# Details:\n";
-      content += (task.details || "")
-        .split("\n")
-        .map((line) => line)
-        .join("\n");
-      content += "\n\n";
-
-      content += "# Test Strategy:\n";
-      content += (task.testStrategy || "")
-        .split("\n")
-        .map((line) => line)
-        .join("\n");
-      content += "\n";
-
-      // Add subtasks if they exist
-      if (task.subtasks && task.subtasks.length > 0) {
-        content += "\n# Subtasks:\n";
+/**
+ * Merge edits made to the task files back into tasks.json
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} outputDir - Directory containing the task files
+ * @param {Object} options - Sync options
+ * @param {string} options.prefer - Side that wins when both changed: "json" (default) or "file"
+ * @param {boolean} options.dryRun - Report changes without writing anything
+ * @param {string} options.outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { results: [{ id, file, changes, conflicts, rejected, cascaded }], skipped }
+ */
+async function syncTaskFiles(tasksPath, outputDir, options = {}) {
+  const outputFormat = options.outputFormat || "text";
+  try {
+    if (options.prefer && !["json", "file"].includes(options.prefer)) {
+      throw new Error(`Invalid --prefer value "${options.prefer}". Use "json" or "file".`);
+    }
 
-        task.subtasks.forEach((subtask) => {
-          content += `## ${subtask.id}. ${subtask.title} [${subtask.status || "pending"}]\n`;
-
-          if (subtask.dependencies && subtask.dependencies.length > 0) {
-            // Format subtask dependencies
-            let subtaskDeps = subtask.dependencies
-              .map((depId) => {
-                if (typeof depId === "number") {
-                  // Handle numeric dependencies to other subtasks
-                  const foundSubtask = task.subtasks.find((st) => st.id === depId);
-                  if (foundSubtask) {
-                    // Just return the plain ID format without any color formatting
-                    return `${task.id}.${depId}`;
-                  }
-                }
-                return depId.toString();
-              })
-              .join(", ");
-
-            content += `### Dependencies: ${subtaskDeps}\n`;
-          } else {
-            content += "### Dependencies: None\n";
-          }
+    log("info", `Reading tasks from ${tasksPath}...`);
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
 
-          content += `### Description: ${subtask.description || ""}\n`;
-          content += "### Details:\n";
-          content += (subtask.details || "")
-            .split("\n")
-            .map((line) => line)
-            .join("\n");
-          content += "\n\n";
-        });
+    const plan = planTaskFileSync(data, outputDir, { prefer: options.prefer || "json" });
+
+    // A dry run applies the changes to a copy, so status edits the propagation rules reject are reported too
+    const target = options.dryRun ? JSON.parse(JSON.stringify(data)) : data;
+    for (const result of plan.results) {
+      await applyTaskFileSyncResult(tasksPath, target, result);
+    }
+
+    if (!options.dryRun) {
+      const changedTasks = plan.results.filter((result) => result.changes.length > 0);
+
+      if (changedTasks.length > 0) {
+        writeJSON(tasksPath, data);
+        log("success", `Synced changes from ${changedTasks.length} task file(s) into ${tasksPath}`);
       }
 
-      // Write the file
-      fs.writeFileSync(taskPath, content);
-      log("info", `Generated: task_${task.id.toString().padStart(3, "0")}.txt`);
-    });
+      // Refresh every file except those with unresolved conflicts or rejected status edits, so no edits are overwritten
+      const conflicted = plan.results
+        .filter(
+          (result) =>
+            result.rejected.length > 0 || result.conflicts.some((conflict) => conflict.resolvedWith === "json")
+        )
+        .map((result) => result.id);
+      writeTaskFiles(
+        data,
+        outputDir,
+        data.tasks.map((task) => task.id).filter((id) => !conflicted.includes(id))
+      );
+    }
 
-    log("success", `All ${data.tasks.length} tasks have been generated into '${outputDir}'.`);
+    if (outputFormat === "text") {
+      displayTaskFileSync(plan, { dryRun: options.dryRun });
+    }
+
+    return plan;
   } catch (error) {
-    log("error", `Error generating task files: ${error.message}`);
-    console.error(chalk.red(`Error generating task files: ${error.message}`));
+    log("error", `Error syncing task files: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
+    console.error(chalk.red(`Error: ${error.message}`));
+
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+
+    process.exit(1);
+  }
+}
+
+/**
+ * Move the tasks to another storage backend (json, yaml or markdown)
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} target - Backend to migrate to
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { from, to, taskCount, configPath, written, removed }
+ */
+async function migrateStorage(tasksPath, target, outputFormat = "text") {
+  try {
+    log("info", `Migrating ${tasksPath} to ${target} storage...`);
+    const result = migrateTaskStorage(tasksPath, target);
+    log("success", `Migrated ${result.taskCount} tasks from ${result.from} to ${result.to} storage`);
+
+    if (outputFormat === "text") {
+      const cwd = process.cwd();
+      console.log(
+        boxen(
+          chalk.white.bold(`Migrated ${result.taskCount} tasks from ${result.from} to ${result.to}`) +
+            "\n\n" +
+            chalk.white(`Tasks are now stored as ${STORAGE_BACKENDS[result.to].description}.\n`) +
+            chalk.white(`Written: ${result.written.map((file) => path.relative(cwd, file)).join(", ")}\n`) +
+            chalk.white(`Removed: ${result.removed.map((file) => path.relative(cwd, file)).join(", ") || "none"}\n`) +
+            chalk.white(`Config:  ${path.relative(cwd, result.configPath)}`),
+          { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
+        )
+      );
+    }
+
+    return result;
+  } catch (error) {
+    log("error", `Error migrating task storage: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
+    console.error(chalk.red(`Error: ${error.message}`));
+
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+
+    process.exit(1);
+  }
+}
+
+/**
+ * Show the recorded changes to the tasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number} limit - Maximum number of entries to display
+ * @param {string} outputFormat - "text" to print the history, "json" to only return it
+ * @returns {Object} { position, entries }
+ */
+function showTaskHistory(tasksPath, limit = 20, outputFormat = "text") {
+  const history = getTaskHistory(tasksPath);
+  if (outputFormat === "text") {
+    displayTaskHistory(history, limit);
+  }
+  return history;
+}
+
+/**
+ * Undo or redo recorded changes to the tasks and regenerate the task files
+ * @param {string} direction - "undo" or "redo"
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number} steps - Number of changes
+ * @param {Object} options - { force, outputFormat }
+ * @returns {Promise<Object>} { entries, position }
+ */
+async function moveTaskHistory(direction, tasksPath, steps, options = {}) {
+  const outputFormat = options.outputFormat || "text";
+  try {
+    const move = direction === "undo" ? undoTaskHistory : redoTaskHistory;
+    const result = move(tasksPath, steps, { force: options.force });
+    log("success", `${direction === "undo" ? "Undid" : "Redid"} ${result.entries.length} change(s) in ${tasksPath}`);
+
+    // Only the task files are regenerated: fixing dependencies here would rewrite the restored tasks
+    // as a new change and throw away the entries that can still be redone
+    writeTaskFiles(readJSON(tasksPath), path.dirname(tasksPath));
+
+    if (outputFormat === "text") {
+      const lines = result.entries.map(
+        (entry) => `${chalk.gray(`#${entry.id}`)} ${entry.command} ${chalk.gray(`(${new Date(entry.timestamp).toLocaleString()})`)}`
+      );
+      console.log(
+        boxen(
+          chalk.white.bold(`${direction === "undo" ? "Undid" : "Redid"} ${result.entries.length} change${result.entries.length === 1 ? "" : "s"}:`) +
+            "\n\n" +
+            lines.join("\n"),
+          { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
+        )
+      );
+    }
+
+    return result;
+  } catch (error) {
+    log("error", `Error running ${direction}: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
+    console.error(chalk.red(`Error: ${error.message}`));
 
     if (CONFIG.debug) {
       console.error(error);
@@ -463,17 +787,45 @@ function generateTaskFiles(tasksPath, outputDir) {
   }
 }
 
+/**
+ * Undo the most recent recorded changes to the tasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number} steps - Number of changes to undo
+ * @param {Object} options - { force, outputFormat }
+ * @returns {Promise<Object>} { entries, position }
+ */
+async function undoTaskChanges(tasksPath, steps = 1, options = {}) {
+  return moveTaskHistory("undo", tasksPath, steps, options);
+}
+
+/**
+ * Redo recorded changes that were undone
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number} steps - Number of changes to redo
+ * @param {Object} options - { force, outputFormat }
+ * @returns {Promise<Object>} { entries, position }
+ */
+async function redoTaskChanges(tasksPath, steps = 1, options = {}) {
+  return moveTaskHistory("redo", tasksPath, steps, options);
+}
+
 /**
  * Set the status of a task
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} taskIdInput - Task ID(s) to update
  * @param {string} newStatus - New status
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @param {Object} options - { fields, force }: field values to set along with the status (for statuses that require them),
+ *   and whether a task with open subtasks may be finished (its subtasks are finished with it)
+ * @returns {Promise<Object>} { updatedTasks: [{ id, oldStatus, newStatus }], cascaded: [{ id, oldStatus, newStatus, reason }] }
  */
-async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
+async function setTaskStatus(tasksPath, taskIdInput, newStatus, outputFormat = "text", options = {}) {
   try {
-    displayBanner();
+    if (outputFormat === "text") {
+      displayBanner();
 
-    console.log(boxen(chalk.white.bold(`Updating Task Status to: ${newStatus}`), { padding: 1, borderColor: "blue", borderStyle: "round" }));
+      console.log(boxen(chalk.white.bold(`Updating Task Status to: ${newStatus}`), { padding: 1, borderColor: "blue", borderStyle: "round" }));
+    }
 
     log("info", `Reading tasks from ${tasksPath}...`);
     const data = readJSON(tasksPath);
@@ -481,15 +833,21 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
 
-    // Handle multiple task IDs (comma-separated)
+    // Handle multiple task IDs (comma-separated). Subtasks go first, so "--id=3,3.1,3.2 --status=done"
+    // finishes the subtasks before the parent is checked for open ones.
     const taskIds = taskIdInput.split(",").map((id) => id.trim());
+    const orderedIds = [...taskIds.filter((id) => id.includes(".")), ...taskIds.filter((id) => !id.includes("."))];
     const updatedTasks = [];
+    const cascaded = [];
 
-    // Update each task
-    for (const id of taskIds) {
-      await updateSingleTaskStatus(tasksPath, id, newStatus, data);
-      updatedTasks.push(id);
+    // Update each task, remembering the previous status. The workflow is checked for every task
+    // before anything is written, so a rejected transition leaves the file unchanged.
+    for (const id of orderedIds) {
+      const result = await updateSingleTaskStatus(tasksPath, id, newStatus, data, { fields: options.fields || {}, force: options.force });
+      updatedTasks.push({ id, oldStatus: result.oldStatus, newStatus: result.status });
+      cascaded.push(...result.cascaded);
     }
+    updatedTasks.sort((a, b) => taskIds.indexOf(a.id) - taskIds.indexOf(b.id));
 
     // Write the updated tasks to the file
     writeJSON(tasksPath, data);
@@ -502,23 +860,369 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
     log("info", "Regenerating task files...");
     await generateTaskFiles(tasksPath, path.dirname(tasksPath));
 
-    // Display success message
-    for (const id of updatedTasks) {
-      const task = findTaskById(data.tasks, id);
-      const taskName = task ? task.title : id;
+    if (outputFormat !== "text") {
+      return { updatedTasks, cascaded };
+    }
 
+    // Display success message
+    for (const { id, oldStatus, newStatus: status } of updatedTasks) {
       console.log(
         boxen(
           chalk.white.bold(`Successfully updated task ${id} status:`) +
             "\n" +
-            `From: ${chalk.yellow(task ? task.status : "unknown")}\n` +
-            `To:   ${chalk.green(newStatus)}`,
+            `From: ${chalk.yellow(oldStatus || "unknown")}\n` +
+            `To:   ${chalk.green(status)}`,
           { padding: 1, borderColor: "green", borderStyle: "round" }
         )
       );
     }
+
+    if (cascaded.length > 0) {
+      console.log(
+        boxen(
+          chalk.white.bold("Also updated:") +
+            "\n" +
+            cascaded
+              .map(({ id, oldStatus, newStatus: status, reason }) => `${chalk.cyan(id)}: ${chalk.yellow(oldStatus)} → ${chalk.green(status)} ${chalk.gray(`(${reason})`)}`)
+              .join("\n"),
+          { padding: 1, borderColor: "cyan", borderStyle: "round" }
+        )
+      );
+    }
+
+    return { updatedTasks, cascaded };
   } catch (error) {
     log("error", `Error setting task status: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
+    console.error(chalk.red(`Error: ${error.message}`));
+
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+
+    process.exit(1);
+  }
+}
+
+/**
+ * Update the status of a single task, propagating the change between a parent task and its subtasks:
+ * finishing the last open subtask finishes the parent, starting a subtask starts a parent that has not
+ * been started, and a parent with open subtasks can only be finished with `force` (which finishes them too)
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} taskIdInput - Task ID to update
+ * @param {string} newStatus - New status
+ * @param {Object} data - Tasks data
+ * @param {Object} options - { fields, force } as for setTaskStatus
+ * @returns {Promise<Object>} { oldStatus, status, cascaded } where status is the new status as named in the workflow
+ *   and cascaded lists the other tasks and subtasks changed along with it
+ */
+async function updateSingleTaskStatus(tasksPath, taskIdInput, newStatus, data, options = {}) {
+  const fields = options.fields || {};
+  const cascaded = [];
+
+  // Check if it's a subtask (e.g., "1.2")
+  if (taskIdInput.includes(".")) {
+    const [parentId, subtaskId] = taskIdInput.split(".").map((id) => parseInt(id, 10));
+
+    // Find the parent task
+    const parentTask = data.tasks.find((t) => t.id === parentId);
+    if (!parentTask) {
+      throw new Error(`Parent task ${parentId} not found`);
+    }
+
+    // Find the subtask
+    if (!parentTask.subtasks) {
+      throw new Error(`Parent task ${parentId} has no subtasks`);
+    }
+
+    const subtask = parentTask.subtasks.find((st) => st.id === subtaskId);
+    if (!subtask) {
+      throw new Error(`Subtask ${subtaskId} not found in parent task ${parentId}`);
+    }
+
+    // Update the subtask status
+    const oldStatus = subtask.status || getStatusWorkflow().initialStatus;
+    const status = checkStatusTransition(subtask, `subtask ${parentId}.${subtaskId}`, newStatus, fields);
+    subtask.status = status;
+
+    log("info", `Updated subtask ${parentId}.${subtaskId} status from '${oldStatus}' to '${status}'`);
+
+    // Finishing the last open subtask finishes the parent
+    if (isTerminalStatus(status) && !isTerminalStatus(parentTask.status) && parentTask.subtasks.every((st) => isTerminalStatus(st.status))) {
+      propagateToParent(parentTask, status, `all subtasks of task ${parentId} are ${status}`, cascaded);
+    }
+
+    // Starting a subtask starts a parent that is still in the initial status
+    const initialStatus = getStatusWorkflow().initialStatus;
+    if (isActionableStatus(status) && status !== initialStatus && (parentTask.status || initialStatus) === initialStatus) {
+      propagateToParent(parentTask, status, `subtask ${parentId}.${subtaskId} is ${status}`, cascaded);
+    }
+
+    return { oldStatus, status, cascaded };
+  } else {
+    // Handle regular task
+    const taskId = parseInt(taskIdInput, 10);
+    const task = data.tasks.find((t) => t.id === taskId);
+
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    // A task with open subtasks is only finished on request, and then finishes them too
+    const target = getStatusDefinition(newStatus);
+    const openSubtasks = (task.subtasks || []).filter((st) => !isTerminalStatus(st.status));
+    if (target && target.terminal && openSubtasks.length > 0 && !options.force) {
+      throw new Error(
+        `Task ${taskId} has open subtasks (${openSubtasks.map((st) => `${taskId}.${st.id}`).join(", ")}). ` +
+          `Finish them first, or use --force to mark them ${target.name} along with the task.`
+      );
+    }
+
+    // Subtasks finished along with the task go through the workflow too, with the fields given for the task.
+    // They are checked on copies first, so a subtask that cannot make the move leaves everything unchanged.
+    const finishedSubtasks = target && target.terminal ? openSubtasks : [];
+    const subtaskUpdates = finishedSubtasks.map((subtask) => {
+      const update = { ...subtask };
+      try {
+        update.status = checkStatusTransition(update, `subtask ${taskId}.${subtask.id}`, newStatus, fields);
+      } catch (error) {
+        throw new Error(`Cannot force task ${taskId} to ${target.name}: ${error.message}`);
+      }
+      return update;
+    });
+
+    // Update the task status
+    const oldStatus = task.status || getStatusWorkflow().initialStatus;
+    const status = checkStatusTransition(task, `task ${taskId}`, newStatus, fields);
+    task.status = status;
+
+    log("info", `Updated task ${taskId} status from '${oldStatus}' to '${status}'`);
+
+    if (finishedSubtasks.length > 0) {
+      log("info", `Also marking ${finishedSubtasks.length} subtasks as '${status}'`);
+
+      finishedSubtasks.forEach((subtask, index) => {
+        cascaded.push({ id: `${taskId}.${subtask.id}`, oldStatus: subtask.status || getStatusWorkflow().initialStatus, newStatus: status, reason: `task ${taskId} was forced to ${status}` });
+        Object.assign(subtask, subtaskUpdates[index]);
+      });
+    }
+
+    return { oldStatus, status, cascaded };
+  }
+}
+
+/**
+ * Move a parent task to the status one of its subtasks caused. Moves the workflow does not allow
+ * are skipped with a warning rather than failing the subtask change.
+ * @param {Object} parentTask - Parent task
+ * @param {string} status - Status to move the parent to
+ * @param {string} reason - Why the parent changes, for the report
+ * @param {Object[]} cascaded - Cascaded changes, appended to
+ */
+function propagateToParent(parentTask, status, reason, cascaded) {
+  const oldStatus = parentTask.status || getStatusWorkflow().initialStatus;
+  try {
+    parentTask.status = checkStatusTransition(parentTask, `task ${parentTask.id}`, status);
+  } catch (error) {
+    log("warn", `Task ${parentTask.id} was left ${oldStatus} although ${reason}: ${error.message}`);
+    return;
+  }
+
+  log("info", `Updated task ${parentTask.id} status from '${oldStatus}' to '${parentTask.status}' because ${reason}`);
+  cascaded.push({ id: String(parentTask.id), oldStatus, newStatus: parentTask.status, reason });
+}
+
+/**
+ * Change who is assigned to tasks and subtasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} taskIdInput - Task or subtask ID(s), comma-separated
+ * @param {Object} change - { add, remove, clear } where add and remove are comma-separated names or name lists
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { updatedTasks: [{ id, assignees, added, removed }] }
+ */
+async function assignTask(tasksPath, taskIdInput, change, outputFormat = "text") {
+  try {
+    const add = parseAssigneeNames(change.add);
+    const remove = parseAssigneeNames(change.remove);
+    if (add.length === 0 && remove.length === 0 && !change.clear) {
+      throw new Error("Name at least one person to assign or unassign, or clear the assignees");
+    }
+
+    log("info", `Reading tasks from ${tasksPath}...`);
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+
+    // Resolve every ID before changing anything
+    const items = taskIdInput
+      .split(",")
+      .map((id) => id.trim())
+      .map((id) => {
+        const [taskId, subtaskId] = id.split(".").map((part) => parseInt(part, 10));
+        const task = data.tasks.find((t) => t.id === taskId);
+        const item = task && subtaskId !== undefined ? (task.subtasks || []).find((st) => st.id === subtaskId) : task;
+        if (!item) {
+          throw new Error(subtaskId !== undefined ? `Subtask ${id} not found` : `Task ${id} not found`);
+        }
+        return { id, item };
+      });
+
+    const updatedTasks = items.map(({ id, item }) => {
+      const { added, removed } = updateAssignees(item, { add, remove, clear: change.clear });
+      log("info", `Assignees of ${id}: ${getAssignees(item).join(", ") || "none"}`);
+      return { id, assignees: getAssignees(item), added, removed };
+    });
+
+    writeJSON(tasksPath, data);
+
+    if (outputFormat === "text") {
+      console.log(
+        boxen(
+          chalk.white.bold("Updated assignees:") +
+            "\n" +
+            updatedTasks
+              .map(({ id, assignees }) => `${chalk.cyan(id)}: ${assignees.length > 0 ? chalk.magenta(assignees.join(", ")) : chalk.gray("unassigned")}`)
+              .join("\n"),
+          { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
+        )
+      );
+    }
+
+    return { updatedTasks };
+  } catch (error) {
+    log("error", `Error assigning tasks: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
+    console.error(chalk.red(`Error: ${error.message}`));
+
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+
+    process.exit(1);
+  }
+}
+
+/**
+ * Format the assignees of a task or subtask for a table cell
+ * @param {Object} item - Task or subtask
+ * @returns {string} " @alice @bob", or "" when unassigned
+ */
+function formatAssigneeTag(item) {
+  return getAssignees(item)
+    .map((name) => ` @${name}`)
+    .join("");
+}
+
+/**
+ * Set or clear the effort estimate of tasks and subtasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} taskIdInput - Task or subtask ID(s), comma-separated
+ * @param {Object} change - { hours, points, clear }: set one of hours or points, or clear the estimate
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { updatedTasks: [{ id, estimate }] }
+ */
+async function estimateTask(tasksPath, taskIdInput, change, outputFormat = "text") {
+  try {
+    const given = ["hours", "points"].filter((unit) => change[unit] !== undefined && change[unit] !== null);
+    if (change.clear ? given.length > 0 : given.length !== 1) {
+      throw new Error("Give either --hours or --points, or --clear to remove the estimate");
+    }
+
+    log("info", `Reading tasks from ${tasksPath}...`);
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+
+    // Resolve every ID before changing anything
+    const items = taskIdInput.split(",").map((id) => findWorkItem(data.tasks, id));
+
+    const updatedTasks = items.map(({ id, item }) => {
+      if (change.clear) {
+        delete item.estimate;
+      } else {
+        setEstimate(item, change[given[0]], given[0]);
+      }
+      log("info", `Estimate of ${id}: ${formatEstimate(item.estimate) || "none"}`);
+      return { id, estimate: item.estimate || null };
+    });
+
+    writeJSON(tasksPath, data);
+
+    if (outputFormat === "text") {
+      console.log(
+        boxen(
+          chalk.white.bold("Updated estimates:") +
+            "\n" +
+            updatedTasks.map(({ id, estimate }) => `${chalk.cyan(id)}: ${estimate ? chalk.yellow(formatEstimate(estimate)) : chalk.gray("not estimated")}`).join("\n"),
+          { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
+        )
+      );
+    }
+
+    return { updatedTasks };
+  } catch (error) {
+    log("error", `Error estimating tasks: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
+    console.error(chalk.red(`Error: ${error.message}`));
+
+    if (CONFIG.debug) {
+      console.error(error);
+    }
+
+    process.exit(1);
+  }
+}
+
+/**
+ * Start a work-session timer on a task or subtask
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} taskId - Task or subtask ID
+ * @param {Object} options - { by, note }: who is working and what on
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { id, session, stopped } where stopped lists the timers the new one replaced
+ */
+async function startTaskTimer(tasksPath, taskId, options = {}, outputFormat = "text") {
+  try {
+    log("info", `Reading tasks from ${tasksPath}...`);
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
+
+    const result = startTimer(data.tasks, taskId, { by: options.by || null, note: options.note || null });
+    writeJSON(tasksPath, data);
+
+    if (outputFormat === "text") {
+      const { item } = findWorkItem(data.tasks, result.id);
+      console.log(
+        boxen(
+          result.stopped.map(({ id, minutes }) => chalk.gray(`Stopped timer on ${id} after ${formatDuration(minutes)}`) + "\n").join("") +
+            chalk.white.bold(`Timer started on ${result.id}: ${item.title}`) +
+            (options.by ? `\n${chalk.cyan("By:")} ${options.by}` : "") +
+            `\n${chalk.cyan("Stop it with:")} ${chalk.yellow(`task-master stop${options.by ? ` --by=${options.by}` : ""}`)}`,
+          { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
+        )
+      );
+    }
+
+    return result;
+  } catch (error) {
+    log("error", `Error starting timer: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
     console.error(chalk.red(`Error: ${error.message}`));
 
     if (CONFIG.debug) {
@@ -530,76 +1234,57 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus) {
 }
 
 /**
- * Update the status of a single task
+ * Stop running work-session timers and log the time
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {string} taskIdInput - Task ID to update
- * @param {string} newStatus - New status
- * @param {Object} data - Tasks data
+ * @param {string|null} taskId - Only stop the timer on this task or subtask
+ * @param {Object} options - { by } to stop that person's timer
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { stopped: [{ id, by, minutes, totalMinutes }] }
  */
-async function updateSingleTaskStatus(tasksPath, taskIdInput, newStatus, data) {
-  // Check if it's a subtask (e.g., "1.2")
-  if (taskIdInput.includes(".")) {
-    const [parentId, subtaskId] = taskIdInput.split(".").map((id) => parseInt(id, 10));
-
-    // Find the parent task
-    const parentTask = data.tasks.find((t) => t.id === parentId);
-    if (!parentTask) {
-      throw new Error(`Parent task ${parentId} not found`);
-    }
-
-    // Find the subtask
-    if (!parentTask.subtasks) {
-      throw new Error(`Parent task ${parentId} has no subtasks`);
-    }
-
-    const subtask = parentTask.subtasks.find((st) => st.id === subtaskId);
-    if (!subtask) {
-      throw new Error(`Subtask ${subtaskId} not found in parent task ${parentId}`);
+async function stopTaskTimer(tasksPath, taskId = null, options = {}, outputFormat = "text") {
+  try {
+    log("info", `Reading tasks from ${tasksPath}...`);
+    const data = readJSON(tasksPath);
+    if (!data || !data.tasks) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
     }
 
-    // Update the subtask status
-    const oldStatus = subtask.status || "pending";
-    subtask.status = newStatus;
-
-    log("info", `Updated subtask ${parentId}.${subtaskId} status from '${oldStatus}' to '${newStatus}'`);
-
-    // Check if all subtasks are done (if setting to 'done')
-    if (newStatus.toLowerCase() === "done" || newStatus.toLowerCase() === "completed") {
-      const allSubtasksDone = parentTask.subtasks.every((st) => st.status === "done" || st.status === "completed");
+    const stopped = stopTimer(data.tasks, taskId, { by: options.by || null }).map((session) => ({
+      ...session,
+      totalMinutes: Math.round(getLoggedMinutes(findWorkItem(data.tasks, session.id).item)),
+    }));
+    writeJSON(tasksPath, data);
 
-      // Suggest updating parent task if all subtasks are done
-      if (allSubtasksDone && parentTask.status !== "done" && parentTask.status !== "completed") {
-        console.log(chalk.yellow(`All subtasks of parent task ${parentId} are now marked as done.`));
-        console.log(chalk.yellow(`Consider updating the parent task status with: task-master set-status --id=${parentId} --status=done`));
-      }
+    if (outputFormat === "text") {
+      console.log(
+        boxen(
+          chalk.white.bold("Logged time:") +
+            "\n" +
+            stopped
+              .map(
+                ({ id, by, minutes, totalMinutes }) =>
+                  `${chalk.cyan(id)}: ${chalk.yellow(formatDuration(minutes))}${by ? ` by ${by}` : ""} ${chalk.gray(`(${formatDuration(totalMinutes)} in total)`)}`
+              )
+              .join("\n"),
+          { padding: 1, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
+        )
+      );
     }
-  } else {
-    // Handle regular task
-    const taskId = parseInt(taskIdInput, 10);
-    const task = data.tasks.find((t) => t.id === taskId);
 
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
+    return { stopped };
+  } catch (error) {
+    log("error", `Error stopping timer: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
     }
 
-    // Update the task status
-    const oldStatus = task.status || "pending";
-    task.status = newStatus;
-
-    log("info", `Updated task ${taskId} status from '${oldStatus}' to '${newStatus}'`);
-
-    // If marking as done, also mark all subtasks as done
-    if ((newStatus.toLowerCase() === "done" || newStatus.toLowerCase() === "completed") && task.subtasks && task.subtasks.length > 0) {
-      const pendingSubtasks = task.subtasks.filter((st) => st.status !== "done" && st.status !== "completed");
-
-      if (pendingSubtasks.length > 0) {
-        log("info", `Also marking ${pendingSubtasks.length} subtasks as '${newStatus}'`);
+    console.error(chalk.red(`Error: ${error.message}`));
 
-        pendingSubtasks.forEach((subtask) => {
-          subtask.status = newStatus;
-        });
-      }
+    if (CONFIG.debug) {
+      console.error(error);
     }
+
+    process.exit(1);
   }
 }
 
@@ -608,8 +1293,9 @@ async function updateSingleTaskStatus(tasksPath, taskIdInput, newStatus, data) {
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} statusFilter - Filter by status
  * @param {boolean} withSubtasks - Whether to show subtasks
+ * @param {Object} options - { assignee } to only list tasks with work assigned to that person
  */
-function listTasks(tasksPath, statusFilter, withSubtasks = false) {
+function listTasks(tasksPath, statusFilter, withSubtasks = false, options = {}) {
   try {
     displayBanner();
     const data = readJSON(tasksPath);
@@ -617,22 +1303,37 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
       throw new Error(`No valid tasks found in ${tasksPath}`);
     }
 
-    // Filter tasks by status if specified
-    const filteredTasks = statusFilter
-      ? data.tasks.filter((task) => task.status && task.status.toLowerCase() === statusFilter.toLowerCase())
-      : data.tasks;
+    // Filter tasks by status if specified (only statuses of the workflow can be filtered on)
+    if (statusFilter && !getStatusDefinition(statusFilter)) {
+      throw new Error(`Unknown status "${statusFilter}". Allowed statuses: ${getWorkflowStatuses().join(", ")}`);
+    }
+    const assignee = options.assignee || null;
+    const describeFilter = () =>
+      [statusFilter ? `with status '${statusFilter}'` : null, assignee ? `assigned to ${assignee}` : null].filter(Boolean).join(" and ");
+    const filteredTasks = data.tasks.filter(
+      (task) =>
+        (!statusFilter || (task.status && task.status.toLowerCase() === statusFilter.toLowerCase())) &&
+        (!assignee || isAssignedTo(task, assignee) || (task.subtasks || []).some((subtask) => isAssignedTo(subtask, assignee)))
+    );
 
     // Calculate completion statistics
     const totalTasks = data.tasks.length;
-    const completedTasks = data.tasks.filter((task) => task.status === "done" || task.status === "completed").length;
+    const completedTasks = data.tasks.filter((task) => isTerminalStatus(task.status)).length;
     const completionPercentage = totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0;
 
-    // Count statuses
-    const doneCount = completedTasks;
-    const inProgressCount = data.tasks.filter((task) => task.status === "in-progress").length;
-    const pendingCount = data.tasks.filter((task) => task.status === "pending").length;
-    const blockedCount = data.tasks.filter((task) => task.status === "blocked").length;
-    const deferredCount = data.tasks.filter((task) => task.status === "deferred").length;
+    // Count statuses: every terminal status counts as done, the others are listed as the workflow defines them
+    const statusCounts = [`Done: ${chalk.green(completedTasks)}`];
+    getWorkflowStatuses()
+      .filter((status) => !isTerminalStatus(status))
+      .forEach((status) => {
+        const count = data.tasks.filter((task) => task.status === status).length;
+        const label = status.replace(/[-_]/g, " ").replace(/\b\w/g, (letter) => letter.toUpperCase());
+        statusCounts.push(`${label}: ${getStatusColor(getStatusDefinition(status).color)(count)}`);
+      });
+    const unknownStatusCount = data.tasks.filter((task) => !getStatusDefinition(task.status)).length;
+    if (unknownStatusCount > 0) {
+      statusCounts.push(`Unknown: ${chalk.red(unknownStatusCount)}`);
+    }
 
     // Count subtasks
     let totalSubtasks = 0;
@@ -641,7 +1342,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
     data.tasks.forEach((task) => {
       if (task.subtasks && task.subtasks.length > 0) {
         totalSubtasks += task.subtasks.length;
-        completedSubtasks += task.subtasks.filter((st) => st.status === "done" || st.status === "completed").length;
+        completedSubtasks += task.subtasks.filter((st) => isTerminalStatus(st.status)).length;
       }
     });
 
@@ -652,16 +1353,15 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
     const subtaskProgressBar = createProgressBar(subtaskCompletionPercentage, 30);
 
     // Calculate dependency statistics
-    const completedTaskIds = new Set(data.tasks.filter((t) => t.status === "done" || t.status === "completed").map((t) => t.id));
+    const completedTaskIds = new Set(data.tasks.filter((t) => isTerminalStatus(t.status)).map((t) => t.id));
 
     const tasksWithNoDeps = data.tasks.filter(
-      (t) => t.status !== "done" && t.status !== "completed" && (!t.dependencies || t.dependencies.length === 0)
+      (t) => !isTerminalStatus(t.status) && (!t.dependencies || t.dependencies.length === 0)
     ).length;
 
     const tasksWithAllDepsSatisfied = data.tasks.filter(
       (t) =>
-        t.status !== "done" &&
-        t.status !== "completed" &&
+        !isTerminalStatus(t.status) &&
         t.dependencies &&
         t.dependencies.length > 0 &&
         t.dependencies.every((depId) => completedTaskIds.has(depId))
@@ -669,8 +1369,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
 
     const tasksWithUnsatisfiedDeps = data.tasks.filter(
       (t) =>
-        t.status !== "done" &&
-        t.status !== "completed" &&
+        !isTerminalStatus(t.status) &&
         t.dependencies &&
         t.dependencies.length > 0 &&
         !t.dependencies.every((depId) => completedTaskIds.has(depId))
@@ -708,7 +1407,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
     const avgDependenciesPerTask = totalDependencies / data.tasks.length;
 
     // Find next task to work on
-    const nextTask = findNextTask(data.tasks);
+    const nextTask = findNextTask(data.tasks, { complexityReport: readComplexityReport() });
     const nextTaskInfo = nextTask
       ? `ID: ${chalk.cyan(nextTask.id)} - ${chalk.white.bold(truncate(nextTask.title, 40))}\n` +
         `Priority: ${chalk.white(nextTask.priority || "medium")}  Dependencies: ${formatDependenciesWithStatus(
@@ -738,9 +1437,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
       chalk.white.bold("Project Dashboard") +
       "\n" +
       `Tasks Progress: ${chalk.greenBright(taskProgressBar)} ${completionPercentage.toFixed(0)}%\n` +
-      `Done: ${chalk.green(doneCount)}  In Progress: ${chalk.blue(inProgressCount)}  Pending: ${chalk.yellow(pendingCount)}  Blocked: ${chalk.red(
-        blockedCount
-      )}  Deferred: ${chalk.gray(deferredCount)}\n\n` +
+      `${statusCounts.join("  ")}\n\n` +
       `Subtasks Progress: ${chalk.cyan(subtaskProgressBar)} ${subtaskCompletionPercentage.toFixed(0)}%\n` +
       `Completed: ${chalk.green(completedSubtasks)}/${totalSubtasks}  Remaining: ${chalk.yellow(totalSubtasks - completedSubtasks)}\n\n` +
       chalk.cyan.bold("Priority Breakdown:") +
@@ -847,7 +1544,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
 
     if (filteredTasks.length === 0) {
       console.log(
-        boxen(statusFilter ? chalk.yellow(`No tasks with status '${statusFilter}' found`) : chalk.yellow("No tasks found"), {
+        boxen(statusFilter || assignee ? chalk.yellow(`No tasks ${describeFilter()} found`) : chalk.yellow("No tasks found"), {
           padding: 1,
           borderColor: "yellow",
           borderStyle: "round",
@@ -917,6 +1614,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
 
       // Clean up any ANSI codes or confusing characters
       const cleanTitle = task.title.replace(/\n/g, " ");
+      const assigneeText = formatAssigneeTag(task);
 
       // Get priority color
       const priorityColor =
@@ -932,7 +1630,7 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
       // Add the row without truncating dependencies
       table.push([
         task.id.toString(),
-        truncate(cleanTitle, titleWidth - 3),
+        truncate(cleanTitle, titleWidth - 3 - assigneeText.length) + (assigneeText ? chalk.magenta(assigneeText) : ""),
         status,
         priorityColor(truncate(task.priority || "medium", priorityWidth - 2)),
         depText, // No truncation for dependencies
@@ -941,54 +1639,21 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
       // Add subtasks if requested
       if (withSubtasks && task.subtasks && task.subtasks.length > 0) {
         task.subtasks.forEach((subtask) => {
-          // Format subtask dependencies with status indicators
-          let subtaskDepText = "None";
-          if (subtask.dependencies && subtask.dependencies.length > 0) {
-            // Handle both subtask-to-subtask and subtask-to-task dependencies
-            const formattedDeps = subtask.dependencies
-              .map((depId) => {
-                // Check if it's a dependency on another subtask
-                if (typeof depId === "number" && depId < 100) {
-                  const foundSubtask = task.subtasks.find((st) => st.id === depId);
-                  if (foundSubtask) {
-                    const isDone = foundSubtask.status === "done" || foundSubtask.status === "completed";
-                    const isInProgress = foundSubtask.status === "in-progress";
-
-                    // Use consistent color formatting instead of emojis
-                    if (isDone) {
-                      return chalk.green.bold(`${task.id}.${depId}`);
-                    } else if (isInProgress) {
-                      return chalk.hex("#FFA500").bold(`${task.id}.${depId}`);
-                    } else {
-                      return chalk.red.bold(`${task.id}.${depId}`);
-                    }
-                  }
-                }
-                // Default to regular task dependency
-                const depTask = data.tasks.find((t) => t.id === depId);
-                if (depTask) {
-                  const isDone = depTask.status === "done" || depTask.status === "completed";
-                  const isInProgress = depTask.status === "in-progress";
-                  // Use the same color scheme as in formatDependenciesWithStatus
-                  if (isDone) {
-                    return chalk.green.bold(`${depId}`);
-                  } else if (isInProgress) {
-                    return chalk.hex("#FFA500").bold(`${depId}`);
-                  } else {
-                    return chalk.red.bold(`${depId}`);
-                  }
-                }
-                return chalk.cyan(depId.toString());
-              })
-              .join(", ");
-
-            subtaskDepText = formattedDeps || chalk.gray("None");
+          // When filtering by assignee, other people's tasks only show the subtasks assigned to them
+          if (assignee && !isAssignedTo(task, assignee) && !isAssignedTo(subtask, assignee)) {
+            return;
           }
 
+          // Format subtask dependencies with status indicators
+          const subtaskDepText =
+            subtask.dependencies && subtask.dependencies.length > 0 ? formatSubtaskDependenciesWithStatus(task, subtask, data.tasks) : "None";
+
           // Add the subtask row without truncating dependencies
+          const subtaskAssigneeText = formatAssigneeTag(subtask);
           table.push([
             `${task.id}.${subtask.id}`,
-            chalk.dim(`└─ ${truncate(subtask.title, titleWidth - 5)}`),
+            chalk.dim(`└─ ${truncate(subtask.title, titleWidth - 5 - subtaskAssigneeText.length)}`) +
+              (subtaskAssigneeText ? chalk.magenta(subtaskAssigneeText) : ""),
             getStatusWithColor(subtask.status, true),
             chalk.dim("-"),
             subtaskDepText, // No truncation for dependencies
@@ -1011,9 +1676,8 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
     }
 
     // Show filter info if applied
-    if (statusFilter) {
-      console.log(chalk.yellow(`\nFiltered by status: ${statusFilter}`));
-      console.log(chalk.yellow(`Showing ${filteredTasks.length} of ${totalTasks} tasks`));
+    if (statusFilter || assignee) {
+      console.log(chalk.yellow(`\nShowing ${filteredTasks.length} of ${totalTasks} tasks ${describeFilter()}`));
     }
 
     // Define priority colors
@@ -1032,16 +1696,9 @@ function listTasks(tasksPath, statusFilter, withSubtasks = false) {
         subtasksSection += nextTask.subtasks
           .map((subtask) => {
             // Using a more simplified format for subtask status display
-            const status = subtask.status || "pending";
-            const statusColors = {
-              done: chalk.green,
-              completed: chalk.green,
-              pending: chalk.yellow,
-              "in-progress": chalk.blue,
-              deferred: chalk.gray,
-              blocked: chalk.red,
-            };
-            const statusColor = statusColors[status.toLowerCase()] || chalk.white;
+            const status = subtask.status || getStatusWorkflow().initialStatus;
+            const definition = getStatusDefinition(status);
+            const statusColor = definition ? getStatusColor(definition.color) : chalk.red;
             return `${chalk.cyan(`${nextTask.id}.${subtask.id}`)} [${statusColor(status)}] ${subtask.title}`;
           })
           .join("\n");
@@ -1205,19 +1862,43 @@ function safeColor(text, colorFn, maxLength = 0) {
 //   }
 // }
 
+/**
+ * Turn the estimatedHours the AI returned for generated subtasks into estimates
+ * @param {Object[]} subtasks - Generated subtasks (modified in place)
+ * @param {boolean} useEstimates - Whether estimates were requested; otherwise the field is dropped
+ * @returns {number} Number of subtasks that got an estimate
+ */
+function applyGeneratedEstimates(subtasks, useEstimates) {
+  return subtasks.filter((subtask) => {
+    const hours = subtask.estimatedHours;
+    delete subtask.estimatedHours;
+    return useEstimates && applySuggestedEstimate(subtask, hours);
+  }).length;
+}
+
 /**
  * Expand a task with subtasks
  * @param {number} taskId - Task ID to expand
  * @param {number} numSubtasks - Number of subtasks to generate
  * @param {boolean} useResearch - Whether to use research (Gemini)
  * @param {string} additionalContext - Additional context
+ * @param {Object} options - Expansion options
+ * @param {string} options.tasksPath - Path to the tasks.json file (defaults to tasks/tasks.json in the working directory)
+ * @param {boolean} options.force - Replace existing subtasks instead of appending to them
+ * @param {boolean} options.estimate - Ask the AI for an hour estimate per subtask
+ * @param {string} options.outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Promise<Object>} { task, subtasks } with the expanded task and the new subtasks
  */
-async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = "") {
+async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = "", options = {}) {
+  const { force = false, estimate = false, outputFormat = "text" } = options;
+
   try {
-    displayBanner();
+    if (outputFormat === "text") {
+      displayBanner();
+    }
 
     // Load tasks
-    const tasksPath = path.join(process.cwd(), "tasks", "tasks.json");
+    const tasksPath = options.tasksPath || path.join(process.cwd(), "tasks", "tasks.json");
     log("info", `Loading tasks from ${tasksPath}...`);
 
     const data = readJSON(tasksPath);
@@ -1232,7 +1913,10 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
     }
 
     // Check if the task is already completed
-    if (task.status === "done" || task.status === "completed") {
+    if (isTerminalStatus(task.status)) {
+      if (outputFormat !== "text") {
+        throw new Error(`Task ${taskId} is already marked as "${task.status}"`);
+      }
       log("warn", `Task ${taskId} is already marked as "${task.status}". Skipping expansion.`);
       console.log(chalk.yellow(`Task ${taskId} is already marked as "${task.status}". Skipping expansion.`));
       return;
@@ -1265,19 +1949,28 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
       }
     }
 
-    console.log(
-      boxen(chalk.white.bold(`Expanding Task: #${taskId} - ${task.title}`), {
-        padding: 1,
-        borderColor: "blue",
-        borderStyle: "round",
-        margin: { top: 0, bottom: 1 },
-      })
-    );
+    if (outputFormat === "text") {
+      console.log(
+        boxen(chalk.white.bold(`Expanding Task: #${taskId} - ${task.title}`), {
+          padding: 1,
+          borderColor: "blue",
+          borderStyle: "round",
+          margin: { top: 0, bottom: 1 },
+        })
+      );
+    }
 
     // Check if the task already has subtasks
     if (task.subtasks && task.subtasks.length > 0) {
-      log("warn", `Task ${taskId} already has ${task.subtasks.length} subtasks. Appending new subtasks.`);
-      console.log(chalk.yellow(`Task ${taskId} already has ${task.subtasks.length} subtasks. New subtasks will be appended.`));
+      if (force) {
+        log("info", `Task ${taskId} already has ${task.subtasks.length} subtasks. Replacing them due to --force flag.`);
+        task.subtasks = [];
+      } else {
+        log("warn", `Task ${taskId} already has ${task.subtasks.length} subtasks. Appending new subtasks.`);
+        if (outputFormat === "text") {
+          console.log(chalk.yellow(`Task ${taskId} already has ${task.subtasks.length} subtasks. New subtasks will be appended.`));
+        }
+      }
     }
 
     // Initialize subtasks array if it doesn't exist
@@ -1288,17 +1981,37 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
     // Determine the next subtask ID
     const nextSubtaskId = task.subtasks.length > 0 ? Math.max(...task.subtasks.map((st) => st.id)) + 1 : 1;
 
-    // Generate subtasks
+    // Generate subtasks. If the provider's safety filters block the prompt, show the task text
+    // that was sent and let the user rephrase it and try again.
     let subtasks;
-    if (useResearch) {
-      log("info", "Using Gemini AI for research-backed subtask generation");
-      subtasks = await generateSubtasksWithGeminiWithResearch(task, numSubtasks, nextSubtaskId, additionalContext);
-    } else {
-      log("info", "Generating subtasks with Gemini AI");
-      subtasks = await generateSubtasksWithGemini(task, numSubtasks, nextSubtaskId, additionalContext);
+    let promptTask = task;
+    let promptContext = additionalContext;
+    while (!subtasks) {
+      try {
+        if (useResearch) {
+          log("info", "Using research-backed subtask generation");
+          subtasks = await generateSubtasksWithGeminiWithResearch(promptTask, numSubtasks, nextSubtaskId, promptContext, { estimate });
+        } else {
+          log("info", "Generating subtasks with AI");
+          subtasks = await generateSubtasksWithGemini(promptTask, numSubtasks, nextSubtaskId, promptContext, { estimate });
+        }
+      } catch (error) {
+        if (!(error instanceof AIServiceError) || error.type !== "safety" || outputFormat !== "text") {
+          throw error;
+        }
+
+        displaySafetyBlock(promptTask, error, promptContext);
+        const edited = await editBlockedPrompt(promptTask, promptContext);
+        if (!edited) {
+          throw error;
+        }
+        promptTask = edited.task;
+        promptContext = edited.additionalContext;
+      }
     }
 
     // Add the subtasks to the task
+    applyGeneratedEstimates(subtasks, estimate);
     task.subtasks = [...task.subtasks, ...subtasks];
 
     // Write the updated tasks to the file
@@ -1307,6 +2020,10 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
     // Generate individual task files
     await generateTaskFiles(tasksPath, path.dirname(tasksPath));
 
+    if (outputFormat !== "text") {
+      return { task, subtasks };
+    }
+
     // Display success message
     console.log(
       boxen(chalk.green(`Successfully added ${subtasks.length} subtasks to task ${taskId}`), {
@@ -1318,20 +2035,38 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
 
     // Show the subtasks table
     const table = new Table({
-      head: [chalk.cyan.bold("ID"), chalk.cyan.bold("Title"), chalk.cyan.bold("Dependencies"), chalk.cyan.bold("Status")],
-      colWidths: [8, 50, 15, 15],
+      head: [
+        chalk.cyan.bold("ID"),
+        chalk.cyan.bold("Title"),
+        chalk.cyan.bold("Dependencies"),
+        chalk.cyan.bold("Status"),
+        ...(estimate ? [chalk.cyan.bold("Estimate")] : []),
+      ],
+      colWidths: [8, 50, 15, 15, ...(estimate ? [10] : [])],
     });
 
     subtasks.forEach((subtask) => {
       const deps =
         subtask.dependencies && subtask.dependencies.length > 0 ? subtask.dependencies.map((d) => `${taskId}.${d}`).join(", ") : chalk.gray("None");
 
-      table.push([`${taskId}.${subtask.id}`, truncate(subtask.title, 47), deps, getStatusWithColor(subtask.status, true)]);
+      table.push([
+        `${taskId}.${subtask.id}`,
+        truncate(subtask.title, 47),
+        deps,
+        getStatusWithColor(subtask.status, true),
+        ...(estimate ? [formatEstimate(subtask.estimate) || chalk.gray("-")] : []),
+      ]);
     });
 
     console.log(table.toString());
+
+    return { task, subtasks };
   } catch (error) {
     log("error", `Error expanding task: ${error.message}`);
+    if (outputFormat !== "text") {
+      throw error;
+    }
+
     console.error(chalk.red(`Error: ${error.message}`));
 
     if (CONFIG.debug) {
@@ -1348,8 +2083,9 @@ async function expandTask(taskId, numSubtasks = CONFIG.defaultSubtasks, useResea
  * @param {boolean} useResearch - Whether to use research (Gemini)
  * @param {string} additionalContext - Additional context
  * @param {boolean} forceFlag - Force regeneration for tasks with subtasks
+ * @param {Object} options - { estimate } to ask the AI for an hour estimate per subtask
  */
-async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = "", forceFlag = false) {
+async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch = false, additionalContext = "", forceFlag = false, options = {}) {
   try {
     displayBanner();
 
@@ -1368,7 +2104,7 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
 
     // Filter tasks that are not done and don't have subtasks (unless forced)
     const pendingTasks = data.tasks.filter(
-      (task) => task.status !== "done" && task.status !== "completed" && (forceFlag || !task.subtasks || task.subtasks.length === 0)
+      (task) => !isTerminalStatus(task.status) && (forceFlag || !task.subtasks || task.subtasks.length === 0)
     );
 
     if (pendingTasks.length === 0) {
@@ -1430,9 +2166,9 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
     console.log(chalk.yellow(`Research-backed generation: ${useResearch ? "Yes" : "No"}`));
     console.log(chalk.yellow(`Force regeneration: ${forceFlag ? "Yes" : "No"}`));
 
-    // Expand each task
+    // Expand tasks, a few at a time so large backlogs don't trip provider rate limits
     let expandedCount = 0;
-    for (const task of tasksToExpand) {
+    await mapWithConcurrency(tasksToExpand, CONFIG.aiConcurrency, async (task) => {
       try {
         log("info", `Expanding task ${task.id}: ${task.title}`);
 
@@ -1464,7 +2200,7 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
             task.subtasks = []; // Clear existing subtasks
           } else {
             log("warn", `Task ${task.id} already has subtasks. Skipping (use --force to regenerate).`);
-            continue;
+            return;
           }
         }
 
@@ -1479,22 +2215,22 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
         // Generate subtasks
         let subtasks;
         if (useResearch) {
-          log("info", "Using Gemini AI for research-backed subtask generation");
-          subtasks = await generateSubtasksWithGemini(task, taskSubtasks, nextSubtaskId, taskContext);
+          log("info", "Using research-backed subtask generation");
+          subtasks = await generateSubtasksWithGeminiWithResearch(task, taskSubtasks, nextSubtaskId, taskContext, { estimate: options.estimate });
         } else {
-          log("info", "Generating subtasks with Gemini AI");
-          subtasks = await generateSubtasksWithGemini(task, taskSubtasks, nextSubtaskId, taskContext);
+          log("info", "Generating subtasks with AI");
+          subtasks = await generateSubtasksWithGemini(task, taskSubtasks, nextSubtaskId, taskContext, { estimate: options.estimate });
         }
 
         // Add the subtasks to the task
+        applyGeneratedEstimates(subtasks, options.estimate);
         task.subtasks = [...task.subtasks, ...subtasks];
         expandedCount++;
       } catch (error) {
         log("error", `Error expanding task ${task.id}: ${error.message}`);
         console.error(chalk.red(`Error expanding task ${task.id}: ${error.message}`));
-        continue;
       }
-    }
+    });
 
     // Write the updated tasks to the file
     writeJSON(tasksPath, data);
@@ -1536,23 +2272,34 @@ async function expandAllTasks(numSubtasks = CONFIG.defaultSubtasks, useResearch
 /**
  * Clear subtasks from specified tasks
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {string} taskIds - Task IDs to clear subtasks from
+ * @param {string} taskIds - Task IDs to clear subtasks from (comma-separated)
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
+ * @returns {Object} { clearedTasks: [{ id, subtasksCleared }], skipped: [{ id, reason }] }
  */
-function clearSubtasks(tasksPath, taskIds) {
-  displayBanner();
+function clearSubtasks(tasksPath, taskIds, outputFormat = "text") {
+  const textOutput = outputFormat === "text";
+  if (textOutput) {
+    displayBanner();
+  }
 
   log("info", `Reading tasks from ${tasksPath}...`);
   const data = readJSON(tasksPath);
   if (!data || !data.tasks) {
     log("error", "No valid tasks found.");
+    if (!textOutput) {
+      throw new Error(`No valid tasks found in ${tasksPath}`);
+    }
     process.exit(1);
   }
 
-  console.log(boxen(chalk.white.bold("Clearing Subtasks"), { padding: 1, borderColor: "blue", borderStyle: "round", margin: { top: 1, bottom: 1 } }));
+  if (textOutput) {
+    console.log(boxen(chalk.white.bold("Clearing Subtasks"), { padding: 1, borderColor: "blue", borderStyle: "round", margin: { top: 1, bottom: 1 } }));
+  }
 
   // Handle multiple task IDs (comma-separated)
   const taskIdArray = taskIds.split(",").map((id) => id.trim());
-  let clearedCount = 0;
+  const clearedTasks = [];
+  const skipped = [];
 
   // Create a summary table for the cleared subtasks
   const summaryTable = new Table({
@@ -1565,32 +2312,45 @@ function clearSubtasks(tasksPath, taskIds) {
     const id = parseInt(taskId, 10);
     if (isNaN(id)) {
       log("error", `Invalid task ID: ${taskId}`);
+      skipped.push({ id: taskId, reason: "invalid ID" });
       return;
     }
 
     const task = data.tasks.find((t) => t.id === id);
     if (!task) {
       log("error", `Task ${id} not found`);
+      skipped.push({ id, reason: "not found" });
       return;
     }
 
     if (!task.subtasks || task.subtasks.length === 0) {
       log("info", `Task ${id} has no subtasks to clear`);
+      skipped.push({ id, reason: "no subtasks" });
       summaryTable.push([id.toString(), truncate(task.title, 47), chalk.yellow("No subtasks")]);
       return;
     }
 
     const subtaskCount = task.subtasks.length;
     task.subtasks = [];
-    clearedCount++;
+    clearedTasks.push({ id, subtasksCleared: subtaskCount });
     log("info", `Cleared ${subtaskCount} subtasks from task ${id}`);
 
     summaryTable.push([id.toString(), truncate(task.title, 47), chalk.green(`${subtaskCount} subtasks cleared`)]);
   });
 
-  if (clearedCount > 0) {
+  if (clearedTasks.length > 0) {
     writeJSON(tasksPath, data);
 
+    // Regenerate task files to reflect changes
+    log("info", "Regenerating task files...");
+    generateTaskFiles(tasksPath, path.dirname(tasksPath));
+  }
+
+  if (!textOutput) {
+    return { clearedTasks, skipped };
+  }
+
+  if (clearedTasks.length > 0) {
     // Show summary table
     console.log(
       boxen(chalk.white.bold("Subtask Clearing Summary:"), {
@@ -1602,13 +2362,9 @@ function clearSubtasks(tasksPath, taskIds) {
     );
     console.log(summaryTable.toString());
 
-    // Regenerate task files to reflect changes
-    log("info", "Regenerating task files...");
-    generateTaskFiles(tasksPath, path.dirname(tasksPath));
-
     // Success message
     console.log(
-      boxen(chalk.green(`Successfully cleared subtasks from ${chalk.bold(clearedCount)} task(s)`), {
+      boxen(chalk.green(`Successfully cleared subtasks from ${chalk.bold(clearedTasks.length)} task(s)`), {
         padding: 1,
         borderColor: "green",
         borderStyle: "round",
@@ -1629,6 +2385,8 @@ function clearSubtasks(tasksPath, taskIds) {
   } else {
     console.log(boxen(chalk.yellow("No subtasks were cleared"), { padding: 1, borderColor: "yellow", borderStyle: "round", margin: { top: 1 } }));
   }
+
+  return { clearedTasks, skipped };
 }
 
 /**
@@ -1637,15 +2395,21 @@ function clearSubtasks(tasksPath, taskIds) {
  * @param {string} prompt - Description of the task to add
  * @param {Array} dependencies - Task dependencies
  * @param {string} priority - Task priority
+ * @param {string} outputFormat - "text" to print the result, "json" to only return it (errors are thrown)
  * @returns {number} The new task ID
  */
-async function addTask(tasksPath, prompt, dependencies = [], priority = "medium") {
-  displayBanner();
+async function addTask(tasksPath, prompt, dependencies = [], priority = "medium", outputFormat = "text") {
+  if (outputFormat === "text") {
+    displayBanner();
+  }
 
   // Read the existing tasks
   const data = readJSON(tasksPath);
   if (!data || !data.tasks) {
     log("error", "Invalid or missing tasks.json.");
+    if (outputFormat !== "text") {
+      throw new Error(`Invalid or missing tasks file: ${tasksPath}`);
+    }
     process.exit(1);
   }
 
@@ -1653,14 +2417,16 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = "medium"
   const highestId = Math.max(...data.tasks.map((t) => t.id));
   const newTaskId = highestId + 1;
 
-  console.log(
-    boxen(chalk.white.bold(`Creating New Task #${newTaskId}`), {
-      padding: 1,
-      borderColor: "blue",
-      borderStyle: "round",
-      margin: { top: 1, bottom: 1 },
-    })
-  );
+  if (outputFormat === "text") {
+    console.log(
+      boxen(chalk.white.bold(`Creating New Task #${newTaskId}`), {
+        padding: 1,
+        borderColor: "blue",
+        borderStyle: "round",
+        margin: { top: 1, bottom: 1 },
+      })
+    );
+  }
 
   // Validate dependencies before proceeding
   const invalidDeps = dependencies.filter((depId) => {
@@ -1673,7 +2439,7 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = "medium"
     dependencies = dependencies.filter((depId) => !invalidDeps.includes(depId));
   }
 
-  // Create the system prompt for Claude
+  // Create the system prompt for the AI provider
   const systemPrompt =
     "You are a helpful assistant that creates well-structured tasks for a software development project. Generate a single new task based on the user's description.";
 
@@ -1712,68 +2478,26 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = "medium"
   IMPORTANT: Return ONLY the JSON object, nothing else.`;
 
   // Start the loading indicator
-  const loadingIndicator = startLoadingIndicator("Generating new task with Claude AI...");
-
-  let fullResponse = "";
-  let streamingInterval = null;
+  const loadingIndicator = startLoadingIndicator("Generating new task with AI...");
 
   try {
-    // Call Claude with streaming enabled
-    const stream = await geminiModel.generateContent({
-      contents: [{ role: "user", parts: [{ text: userPrompt }] }],
-      generationConfig: {
-        maxOutputTokens: parseInt(process.env.MAX_TOKENS || CONFIG.maxTokens),
-        temperature: CONFIG.temperature,
-      },
+    const taskData = await generateStructured({
+      command: "add-task",
+      purpose: "add-task",
+      taskId: newTaskId,
+      schema: NEW_TASK_SCHEMA,
+      systemPrompt,
+      prompt: userPrompt,
     });
 
-    // Update loading indicator to show streaming progress
-    let dotCount = 0;
-    streamingInterval = setInterval(() => {
-      readline.cursorTo(process.stdout, 0);
-      process.stdout.write(`Receiving streaming response from Claude${".".repeat(dotCount)}`);
-      dotCount = (dotCount + 1) % 4;
-    }, 500);
-
-    // Process the stream
-    for await (const chunk of stream) {
-      if (chunk.type === "content_block_delta" && chunk.delta.text) {
-        fullResponse += chunk.delta.text;
-      }
-    }
-
-    if (streamingInterval) clearInterval(streamingInterval);
     stopLoadingIndicator(loadingIndicator);
 
-    log("info", "Completed streaming response from Claude API!");
-    log("debug", `Streaming response length: ${fullResponse.length} characters`);
-
-    // Parse the response - handle potential JSON formatting issues
-    let taskData;
-    try {
-      // Check if the response is wrapped in a code block
-      const jsonMatch = fullResponse.match(/```(?:json)?([^`]+)```/);
-      const jsonContent = jsonMatch ? jsonMatch[1] : fullResponse;
-
-      // Parse the JSON
-      taskData = JSON.parse(jsonContent);
-
-      // Check that we have the required fields
-      if (!taskData.title || !taskData.description) {
-        throw new Error("Missing required fields in the generated task");
-      }
-    } catch (error) {
-      log("error", "Failed to parse Claude's response as valid task JSON:", error);
-      log("debug", "Response content:", fullResponse);
-      process.exit(1);
-    }
-
     // Create the new task object
     const newTask = {
       id: newTaskId,
       title: taskData.title,
       description: taskData.description,
-      status: "pending",
+      status: getStatusWorkflow().initialStatus,
       dependencies: dependencies,
       priority: priority,
       details: taskData.details || "",
@@ -1790,6 +2514,10 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = "medium"
     // Write the updated tasks back to the file
     writeJSON(tasksPath, data);
 
+    if (outputFormat !== "text") {
+      return newTaskId;
+    }
+
     // Show success message
     const successBox = boxen(
       chalk.green(`Successfully added new task #${newTaskId}:\n`) + chalk.white.bold(newTask.title) + "\n\n" + chalk.white(newTask.description),
@@ -1811,16 +2539,21 @@ async function addTask(tasksPath, prompt, dependencies = [], priority = "medium"
 
     return newTaskId;
   } catch (error) {
-    if (streamingInterval) clearInterval(streamingInterval);
     stopLoadingIndicator(loadingIndicator);
     log("error", "Error generating task:", error.message);
+    if (outputFormat !== "text") {
+      throw error;
+    }
     process.exit(1);
   }
 }
 
 /**
  * Analyzes task complexity using AI
- * @param {string} tasksFile - Path to the tasks.json file
+ * @param {Object} options - Command options ({ file, output, model, threshold, research })
+ * @param {boolean} options.estimate - Also ask for an hour estimate per task and save it on tasks that have none
+ * @param {string} options.outputFormat - "text" to print progress and a summary, "json" to only return the report
+ * @returns {Promise<Object>} The complexity report
  */
 export async function analyzeTaskComplexity(options) {
   const tasksPath = options.file || "tasks/tasks.json";
@@ -1828,49 +2561,51 @@ export async function analyzeTaskComplexity(options) {
   const modelOverride = options.model;
   const thresholdScore = parseFloat(options.threshold || "5");
   const useResearch = options.research || false;
+  const useEstimates = options.estimate || false;
+  const textOutput = (options.outputFormat || "text") === "text";
+  const print = textOutput ? console.log : () => {};
 
-  console.log(chalk.blue(`Analyzing task complexity and generating expansion recommendations...`));
+  print(chalk.blue(`Analyzing task complexity and generating expansion recommendations...`));
   try {
     // Read tasks.json
-    console.log(chalk.blue(`Reading tasks from ${tasksPath}...`));
+    print(chalk.blue(`Reading tasks from ${tasksPath}...`));
     const tasksData = readJSON(tasksPath);
 
     if (!tasksData || !tasksData.tasks || !Array.isArray(tasksData.tasks) || tasksData.tasks.length === 0) {
       throw new Error("No tasks found in the tasks file");
     }
 
-    console.log(chalk.blue(`Found ${tasksData.tasks.length} tasks to analyze.`));
+    print(chalk.blue(`Found ${tasksData.tasks.length} tasks to analyze.`));
 
-    // Helper function to use Gemini for complexity analysis
-    async function useGeminiForComplexityAnalysis(prompt) {
+    // Helper function to run the complexity analysis through the configured provider
+    async function requestComplexityAnalysis(prompt) {
       try {
-        const result = await geminiModel.generateContent({
-          contents: [{ role: "user", parts: [{ text: prompt }] }],
-          generationConfig: {
-            maxOutputTokens: parseInt(process.env.MAX_TOKENS || CONFIG.maxTokens),
-            temperature: CONFIG.temperature,
-          },
-          systemInstruction:
+        const analysis = await generateStructured({
+          command: "analyze-complexity",
+          purpose: "analyze-complexity",
+          schema: COMPLEXITY_LIST_SCHEMA,
+          model: modelOverride,
+          systemPrompt:
             "You are a technical analysis AI that only responds with clean, valid JSON. Never include explanatory text or markdown formatting in your response.",
+          prompt,
         });
 
-        const response = result.response.text();
-        console.log(chalk.green("Successfully generated complexity analysis with Gemini"));
-        return response;
+        print(chalk.green("Successfully generated complexity analysis"));
+        return normalizeComplexityAnalysis(analysis);
       } catch (error) {
-        console.error(chalk.red("Error analyzing task complexity with Gemini:"), error.message);
+        if (textOutput) {
+          console.error(chalk.red("Error analyzing task complexity:"), error.message);
+        }
         throw error;
       }
     }
 
     // Prepare the prompt for the LLM
-    const prompt = generateComplexityAnalysisPrompt(tasksData);
+    const prompt = generateComplexityAnalysisPrompt(tasksData, { estimate: useEstimates });
 
     // Start loading indicator
     const loadingIndicator = startLoadingIndicator("Calling AI to analyze task complexity...");
 
-    let fullResponse = "";
-
     const researchPrompt = `You are conducting a detailed analysis of software development tasks to determine their complexity and how they should be broken down into subtasks.
 
 Please research each task thoroughly, considering best practices, industry standards, and potential implementation challenges before providing your analysis.
@@ -1894,8 +2629,9 @@ Your response must be a clean JSON array only, following exactly this format:
 
 DO NOT include any text before or after the JSON array. No explanations, no markdown formatting.`;
 
+    let complexityAnalysis;
     try {
-      fullResponse = await useGeminiForComplexityAnalysis(researchPrompt);
+      complexityAnalysis = await requestComplexityAnalysis(researchPrompt);
     } catch (error) {
       stopLoadingIndicator(loadingIndicator);
       throw error;
@@ -1903,103 +2639,15 @@ DO NOT include any text before or after the JSON array. No explanations, no mark
 
     stopLoadingIndicator(loadingIndicator);
 
-    // Parse and validate the response
-    let complexityAnalysis;
     try {
-      // Clean up the response to ensure it's valid JSON
-      let cleanedResponse = fullResponse;
-
-      // First check for JSON code blocks
-      const codeBlockMatch = fullResponse.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-      if (codeBlockMatch) {
-        cleanedResponse = codeBlockMatch[1];
-        console.log(chalk.blue("Extracted JSON from code block"));
-      } else {
-        // Look for a complete JSON array pattern
-        const jsonArrayMatch = fullResponse.match(/(\[\s*\{\s*"[^"]*"\s*:[\s\S]*\}\s*\])/);
-        if (jsonArrayMatch) {
-          cleanedResponse = jsonArrayMatch[1];
-          console.log(chalk.blue("Extracted JSON array pattern"));
-        } else {
-          // Try to find the start of a JSON array and capture to the end
-          const jsonStartMatch = fullResponse.match(/(\[\s*\{[\s\S]*)/);
-          if (jsonStartMatch) {
-            cleanedResponse = jsonStartMatch[1];
-            // Try to find a proper closing to the array
-            const properEndMatch = cleanedResponse.match(/([\s\S]*\}\s*\])/);
-            if (properEndMatch) {
-              cleanedResponse = properEndMatch[1];
-            }
-            console.log(chalk.blue("Extracted JSON from start of array to end"));
-          }
-        }
-      }
-
-      // More aggressive cleaning if needed
-      const strictArrayMatch = cleanedResponse.match(/(\[\s*\{[\s\S]*\}\s*\])/);
-      if (strictArrayMatch) {
-        cleanedResponse = strictArrayMatch[1];
-        console.log(chalk.blue("Applied strict JSON array extraction"));
-      }
-
-      try {
-        complexityAnalysis = JSON.parse(cleanedResponse);
-      } catch (jsonError) {
-        // Try to fix common JSON issues
-        cleanedResponse = cleanedResponse.replace(/,(\s*[\]}])/g, "$1");
-        cleanedResponse = cleanedResponse.replace(/(\s*)(\w+)(\s*):(\s*)/g, '$1"$2"$3:$4');
-        cleanedResponse = cleanedResponse.replace(/:(\s*)'([^']*)'(\s*[,}])/g, ':$1"$2"$3');
-
-        try {
-          complexityAnalysis = JSON.parse(cleanedResponse);
-          console.log(chalk.green("Successfully parsed JSON after fixing common issues"));
-        } catch (fixedJsonError) {
-          // Try the individual task extraction as a last resort
-          console.log(chalk.red("Failed to parse JSON, attempting individual extraction..."));
-
-          const taskMatches = cleanedResponse.match(/\{\s*"taskId"\s*:\s*(\d+)[^}]*\}/g);
-          if (taskMatches && taskMatches.length > 0) {
-            console.log(chalk.yellow(`Found ${taskMatches.length} task objects, attempting to process individually`));
-
-            complexityAnalysis = [];
-            for (const taskMatch of taskMatches) {
-              try {
-                const fixedTask = taskMatch.replace(/,\s*$/, "");
-                const taskObj = JSON.parse(`${fixedTask}`);
-                if (taskObj && taskObj.taskId) {
-                  complexityAnalysis.push(taskObj);
-                }
-              } catch (taskParseError) {
-                console.log(chalk.yellow(`Could not parse individual task: ${taskMatch.substring(0, 30)}...`));
-              }
-            }
-
-            if (complexityAnalysis.length === 0) {
-              throw new Error("Could not parse any tasks");
-            }
-          } else {
-            throw fixedJsonError;
-          }
-        }
-      }
-
-      // Ensure it's an array
-      if (!Array.isArray(complexityAnalysis)) {
-        if (complexityAnalysis && typeof complexityAnalysis === "object") {
-          complexityAnalysis = [complexityAnalysis];
-        } else {
-          throw new Error("Response is not an array or object");
-        }
-      }
-
       // Check for missing tasks
       const taskIds = tasksData.tasks.map((t) => t.id);
       const analysisTaskIds = complexityAnalysis.map((a) => a.taskId);
       const missingTaskIds = taskIds.filter((id) => !analysisTaskIds.includes(id));
 
       if (missingTaskIds.length > 0) {
-        console.log(chalk.yellow(`Missing analysis for ${missingTaskIds.length} tasks: ${missingTaskIds.join(", ")}`));
-        console.log(chalk.blue(`Attempting to analyze missing tasks...`));
+        print(chalk.yellow(`Missing analysis for ${missingTaskIds.length} tasks: ${missingTaskIds.join(", ")}`));
+        print(chalk.blue(`Attempting to analyze missing tasks...`));
 
         // Create a subset of tasksData with just the missing tasks
         const missingTasks = {
@@ -2008,20 +2656,18 @@ DO NOT include any text before or after the JSON array. No explanations, no mark
         };
 
         // Generate a prompt for just the missing tasks
-        const missingTasksPrompt = generateComplexityAnalysisPrompt(missingTasks);
-
-        // Call Gemini to analyze the missing tasks
-        const missingAnalysis = await useGeminiForComplexityAnalysis(missingTasksPrompt);
+        const missingTasksPrompt = generateComplexityAnalysisPrompt(missingTasks, { estimate: useEstimates });
 
         try {
-          const parsedMissingAnalysis = JSON.parse(missingAnalysis);
-          if (Array.isArray(parsedMissingAnalysis)) {
-            complexityAnalysis = [...complexityAnalysis, ...parsedMissingAnalysis];
-            console.log(chalk.green(`Successfully analyzed ${parsedMissingAnalysis.length} missing tasks`));
-          }
+          // Ask the AI provider to analyze the missing tasks
+          const missingAnalysis = await requestComplexityAnalysis(missingTasksPrompt);
+          complexityAnalysis = [...complexityAnalysis, ...missingAnalysis];
+          print(chalk.green(`Successfully analyzed ${missingAnalysis.length} missing tasks`));
         } catch (error) {
-          console.error(chalk.red(`Error analyzing missing tasks: ${error.message}`));
-          console.log(chalk.yellow(`Continuing with partial analysis...`));
+          if (textOutput) {
+            console.error(chalk.red(`Error analyzing missing tasks: ${error.message}`));
+          }
+          print(chalk.yellow(`Continuing with partial analysis...`));
         }
       }
 
@@ -2038,10 +2684,22 @@ DO NOT include any text before or after the JSON array. No explanations, no mark
       };
 
       // Write the report to file
-      console.log(chalk.blue(`Writing complexity report to ${outputPath}...`));
+      print(chalk.blue(`Writing complexity report to ${outputPath}...`));
       writeJSON(outputPath, report);
 
-      console.log(chalk.green(`Task complexity analysis complete. Report written to ${outputPath}`));
+      print(chalk.green(`Task complexity analysis complete. Report written to ${outputPath}`));
+
+      // Save the suggested estimates on tasks that were not estimated by hand
+      if (useEstimates) {
+        const estimated = complexityAnalysis.filter((analysis) => {
+          const task = tasksData.tasks.find((t) => t.id === analysis.taskId);
+          return task && applySuggestedEstimate(task, analysis.estimatedHours);
+        }).length;
+        if (estimated > 0) {
+          writeJSON(tasksPath, tasksData);
+        }
+        print(chalk.blue(`Saved AI estimates on ${estimated} task(s); tasks estimated by hand were left alone.`));
+      }
 
       // Display a summary of findings
       const highComplexity = complexityAnalysis.filter((t) => t.complexityScore >= 8).length;
@@ -2049,28 +2707,26 @@ DO NOT include any text before or after the JSON array. No explanations, no mark
       const lowComplexity = complexityAnalysis.filter((t) => t.complexityScore < 5).length;
       const totalAnalyzed = complexityAnalysis.length;
 
-      console.log("\nComplexity Analysis Summary:");
-      console.log("----------------------------");
-      console.log(`Tasks in input file: ${tasksData.tasks.length}`);
-      console.log(`Tasks successfully analyzed: ${totalAnalyzed}`);
-      console.log(`High complexity tasks: ${highComplexity}`);
-      console.log(`Medium complexity tasks: ${mediumComplexity}`);
-      console.log(`Low complexity tasks: ${lowComplexity}`);
-      console.log(`Sum verification: ${highComplexity + mediumComplexity + lowComplexity} (should equal ${totalAnalyzed})`);
-      console.log(`Research-backed analysis: ${useResearch ? "Yes" : "No"}`);
-      console.log(`\nSee ${outputPath} for the full report and expansion commands.`);
+      print("\nComplexity Analysis Summary:");
+      print("----------------------------");
+      print(`Tasks in input file: ${tasksData.tasks.length}`);
+      print(`Tasks successfully analyzed: ${totalAnalyzed}`);
+      print(`High complexity tasks: ${highComplexity}`);
+      print(`Medium complexity tasks: ${mediumComplexity}`);
+      print(`Low complexity tasks: ${lowComplexity}`);
+      print(`Sum verification: ${highComplexity + mediumComplexity + lowComplexity} (should equal ${totalAnalyzed})`);
+      print(`Research-backed analysis: ${useResearch ? "Yes" : "No"}`);
+      print(`\nSee ${outputPath} for the full report and expansion commands.`);
 
       return report;
     } catch (error) {
-      console.error(chalk.red(`Failed to parse LLM response as JSON: ${error.message}`));
-      if (CONFIG.debug) {
-        console.debug(chalk.gray(`Raw response: ${fullResponse}`));
+      if (textOutput) {
+        console.error(chalk.red(`Failed to build the complexity report: ${error.message}`));
       }
-      throw new Error("Invalid response format from LLM. Expected JSON.");
+      throw error;
     }
   } catch (error) {
-    if (streamingInterval) clearInterval(streamingInterval);
-    stopLoadingIndicator(loadingIndicator);
+    log("error", `Error analyzing task complexity: ${error.message}`);
     throw error;
   }
 }
@@ -2142,6 +2798,25 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
       const highestSubtaskId = parentTask.subtasks.length > 0 ? Math.max(...parentTask.subtasks.map((st) => st.id)) : 0;
       const newSubtaskId = highestSubtaskId + 1;
 
+      // Dependencies on the converted task now point at the subtask
+      const redirectDependencies = (item, owner) => {
+        if (!item.dependencies) {
+          return;
+        }
+        item.dependencies = item.dependencies.map((depId) => {
+          if (resolveDependencyNode(depId, data.tasks, owner) !== String(existingTaskIdNum)) {
+            return depId;
+          }
+          return owner && owner.id === parentIdNum ? newSubtaskId : `${parentIdNum}.${newSubtaskId}`;
+        });
+      };
+      data.tasks.forEach((task) => {
+        if (task.id !== existingTaskIdNum) {
+          redirectDependencies(task, null);
+          (task.subtasks || []).forEach((subtask) => redirectDependencies(subtask, task));
+        }
+      });
+
       // Clone the existing task to be converted to a subtask
       newSubtask = { ...existingTask, id: newSubtaskId, parentTaskId: parentIdNum };
 
@@ -2159,14 +2834,30 @@ async function addSubtask(tasksPath, parentId, existingTaskId = null, newSubtask
       const highestSubtaskId = parentTask.subtasks.length > 0 ? Math.max(...parentTask.subtasks.map((st) => st.id)) : 0;
       const newSubtaskId = highestSubtaskId + 1;
 
+      // Dependencies may name a sibling, a task or a subtask of another task ("5.1"). Waiting on work
+      // that waits on the parent task would deadlock, since the parent waits on its new subtask.
+      const graph = buildDependencyGraph(data.tasks);
+      const dependencies = (newSubtaskData.dependencies || []).map((depId) => {
+        const normalized = normalizeDependencyId(depId, data.tasks, parentTask);
+        if (normalized === null) {
+          throw new Error(`Dependency ${depId} does not exist`);
+        }
+        const nodeId = resolveDependencyNode(normalized, data.tasks, parentTask);
+        if (findDependencyPath(graph, String(parentIdNum), nodeId)) {
+          const reason = nodeId === String(parentIdNum) ? "it is the parent task" : `it waits on parent task ${parentIdNum}`;
+          throw new Error(`Cannot depend on ${nodeId}: ${reason}, which would create a circular dependency`);
+        }
+        return normalized;
+      });
+
       // Create the new subtask object
       newSubtask = {
         id: newSubtaskId,
         title: newSubtaskData.title,
         description: newSubtaskData.description || "",
         details: newSubtaskData.details || "",
-        status: newSubtaskData.status || "pending",
-        dependencies: newSubtaskData.dependencies || [],
+        status: newSubtaskData.status || getStatusWorkflow().initialStatus,
+        dependencies: [...new Set(dependencies)],
         parentTaskId: parentIdNum,
       };
 
@@ -2281,6 +2972,27 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
 
     // Get a copy of the subtask before removing it
     const removedSubtask = { ...parentTask.subtasks[subtaskIndex] };
+    const removedNodeId = `${parentId}.${subtaskIdNum}`;
+
+    // A converted subtask keeps its place in the dependency graph: its own dependencies are restated as
+    // task-level references and everything that waited on it waits on the new task. Both are resolved
+    // while the subtask is still in place, so sibling numbers keep their meaning.
+    const newTaskId = Math.max(...data.tasks.map((t) => t.id)) + 1;
+    if (convertToTask) {
+      removedSubtask.dependencies = (removedSubtask.dependencies || [])
+        .map((depId) => normalizeDependencyId(resolveDependencyNode(depId, data.tasks, parentTask) || depId, data.tasks) || depId)
+        .filter((depId) => String(depId) !== removedNodeId);
+      data.tasks.forEach((task) => {
+        [task, ...(task.subtasks || [])].forEach((item) => {
+          const owner = item === task ? null : task;
+          if (item.dependencies && !(owner && owner.id === parentId && item.id === subtaskIdNum)) {
+            item.dependencies = item.dependencies.map((depId) =>
+              resolveDependencyNode(depId, data.tasks, owner) === removedNodeId ? (owner ? String(newTaskId) : newTaskId) : depId
+            );
+          }
+        });
+      });
+    }
 
     // Remove the subtask from the parent
     parentTask.subtasks.splice(subtaskIndex, 1);
@@ -2296,29 +3008,26 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
     if (convertToTask) {
       log("info", `Converting subtask ${subtaskId} to a standalone task...`);
 
-      // Find the highest task ID to determine the next ID
-      const highestId = Math.max(...data.tasks.map((t) => t.id));
-      const newTaskId = highestId + 1;
-
       // Create the new task from the subtask
       convertedTask = {
         id: newTaskId,
         title: removedSubtask.title,
         description: removedSubtask.description || "",
         details: removedSubtask.details || "",
-        status: removedSubtask.status || "pending",
-        dependencies: removedSubtask.dependencies || [],
+        status: removedSubtask.status || getStatusWorkflow().initialStatus,
+        dependencies: removedSubtask.dependencies,
         priority: parentTask.priority || "medium", // Inherit priority from parent
       };
 
-      // Add the parent task as a dependency if not already present
-      if (!convertedTask.dependencies.includes(parentId)) {
-        convertedTask.dependencies.push(parentId);
-      }
-
       // Add the converted task to the tasks array
       data.tasks.push(convertedTask);
 
+      // Add the parent task as a dependency unless the parent's remaining work waits on the new task
+      const waitedOnByParent = findDependencyPath(buildDependencyGraph(data.tasks), String(newTaskId), String(parentId));
+      if (!convertedTask.dependencies.includes(parentId) && !waitedOnByParent) {
+        convertedTask.dependencies.push(parentId);
+      }
+
       log("info", `Created new task ${newTaskId} from subtask ${subtaskId}`);
     } else {
       log("info", `Subtask ${subtaskId} deleted`);
@@ -2341,109 +3050,13 @@ async function removeSubtask(tasksPath, subtaskId, convertToTask = false, genera
 }
 
 /**
- * Find the next pending task based on dependencies
+ * Find the next task to work on (see task-scheduler.js for how candidates are ranked)
  * @param {Object[]} tasks - The array of tasks
+ * @param {Object} options - { complexityReport } used to find the critical path
  * @returns {Object|null} The next task to work on or null if no eligible tasks
  */
-function findNextTask(tasks) {
-  // Get all completed task IDs
-  const completedTaskIds = new Set(tasks.filter((t) => t.status === "done" || t.status === "completed").map((t) => t.id));
-
-  // Filter for pending tasks whose dependencies are all satisfied
-  const eligibleTasks = tasks.filter(
-    (task) =>
-      (task.status === "pending" || task.status === "in-progress") &&
-      task.dependencies && // Make sure dependencies array exists
-      task.dependencies.every((depId) => completedTaskIds.has(depId))
-  );
-
-  if (eligibleTasks.length === 0) {
-    return null;
-  }
-
-  // Sort eligible tasks by:
-  // 1. Priority (high > medium > low)
-  // 2. Dependencies count (fewer dependencies first)
-  // 3. ID (lower ID first)
-  const priorityValues = { high: 3, medium: 2, low: 1 };
-
-  const nextTask = eligibleTasks.sort((a, b) => {
-    // Sort by priority first
-    const priorityA = priorityValues[a.priority || "medium"] || 2;
-    const priorityB = priorityValues[b.priority || "medium"] || 2;
-
-    if (priorityB !== priorityA) {
-      return priorityB - priorityA; // Higher priority first
-    }
-
-    // If priority is the same, sort by dependency count
-    if (a.dependencies && b.dependencies && a.dependencies.length !== b.dependencies.length) {
-      return a.dependencies.length - b.dependencies.length; // Fewer dependencies first
-    }
-
-    // If dependency count is the same, sort by ID
-    return a.id - b.id; // Lower ID first
-  })[0]; // Return the first (highest priority) task
-
-  return nextTask;
-}
-
-/**
- * Parse and validate the complexity analysis response
- * @param {string} response - The raw response from the AI
- * @returns {Object} Parsed and validated complexity data
- */
-function parseComplexityResponse(response) {
-  try {
-    // Try to parse the response as JSON
-    let complexityData;
-    try {
-      complexityData = JSON.parse(response);
-    } catch (error) {
-      // If direct parsing fails, try to extract JSON from the response
-      const jsonMatch = response.match(/\[[\s\S]*\]/);
-      if (!jsonMatch) {
-        throw new Error("Could not find valid JSON in response");
-      }
-      complexityData = JSON.parse(jsonMatch[0]);
-    }
-
-    // Validate the structure
-    if (!Array.isArray(complexityData)) {
-      throw new Error("Response is not an array");
-    }
-
-    // Validate each task analysis
-    complexityData.forEach((analysis, index) => {
-      if (!analysis.taskId || !analysis.taskTitle || !analysis.complexityScore) {
-        throw new Error(`Missing required fields in analysis at index ${index}`);
-      }
-
-      // Ensure complexity score is within valid range
-      analysis.complexityScore = Math.max(1, Math.min(10, analysis.complexityScore));
-
-      // Set default values for optional fields if missing
-      analysis.recommendedSubtasks = analysis.recommendedSubtasks || Math.ceil(analysis.complexityScore / 2);
-      analysis.expansionPrompt = analysis.expansionPrompt || `Break down task ${analysis.taskId} into ${analysis.recommendedSubtasks} subtasks`;
-      analysis.reasoning = analysis.reasoning || "No specific reasoning provided";
-    });
-
-    // Create the final report structure
-    const report = {
-      timestamp: new Date().toISOString(),
-      complexityAnalysis: complexityData,
-      summary: {
-        totalTasks: complexityData.length,
-        averageComplexity: complexityData.reduce((sum, task) => sum + task.complexityScore, 0) / complexityData.length,
-        highComplexityTasks: complexityData.filter((task) => task.complexityScore >= 8).length,
-      },
-    };
-
-    return report;
-  } catch (error) {
-    log("error", `Error parsing complexity response: ${error.message}`);
-    throw error;
-  }
+function findNextTask(tasks, options = {}) {
+  return scheduleNextTask(tasks, options).task;
 }
 
 // Export task manager functions
@@ -2451,7 +3064,16 @@ export {
   parsePRD,
   updateTasks,
   generateTaskFiles,
+  syncTaskFiles,
+  migrateStorage,
+  showTaskHistory,
+  undoTaskChanges,
+  redoTaskChanges,
   setTaskStatus,
+  assignTask,
+  estimateTask,
+  startTaskTimer,
+  stopTaskTimer,
   updateSingleTaskStatus,
   listTasks,
   expandTask,
@@ -0,0 +1,360 @@
+/**
+ * task-scheduler.js
+ * Next-task scheduling: ranks the tasks that are ready to work on by priority, whether they are
+ * already started, whether they lie on the critical path of the remaining work, and how much
+ * work they unblock, then picks the next subtask inside the chosen task. Asked for one person, it
+ * only considers work that is theirs or unassigned, and skips work someone else has started.
+ *
+ * The critical path is the longest chain of open tasks through the dependency graph, where each
+ * task weighs its complexity score from the complexity report (DEFAULT_TASK_WEIGHT without one).
+ */
+
+import { findTaskInComplexityReport } from "./utils.js";
+import { getStatusWorkflow, isTerminalStatus, isActionableStatus } from "./status-workflow.js";
+import { isAssignedTo, isAssignedToOthers } from "./assignees.js";
+
+// Score contributions; see scoreCandidate
+const PRIORITY_SCORES = { high: 30, medium: 20, low: 10 };
+const STARTED_SCORE = 20;
+const ASSIGNED_SCORE = 25;
+const CRITICAL_PATH_SCORE = 15;
+const UNBLOCKS_SCORE = 5;
+const DOWNSTREAM_SCORE = 1;
+
+// Weight of a task without a complexity score (the middle of the 1-10 scale)
+const DEFAULT_TASK_WEIGHT = 5;
+
+/**
+ * Get the weight of a task on the critical path
+ * @param {Object} task - Task
+ * @param {Object|null} complexityReport - Complexity report
+ * @returns {number} Its complexity score, or DEFAULT_TASK_WEIGHT
+ */
+function getTaskWeight(task, complexityReport) {
+  const analysis = findTaskInComplexityReport(complexityReport, task.id);
+  return analysis && typeof analysis.complexityScore === "number" ? analysis.complexityScore : DEFAULT_TASK_WEIGHT;
+}
+
+/**
+ * Check whether a status means work on the item has started
+ * @param {string} status - Status
+ * @returns {boolean} True for actionable statuses other than the initial one
+ */
+function isStartedStatus(status) {
+  return Boolean(status) && status !== getStatusWorkflow().initialStatus && isActionableStatus(status);
+}
+
+/**
+ * Find the task or subtask a dependency refers to, read the same way as resolveDependencyNode in
+ * dependency-graph.js: dotted IDs name a subtask of any task, numbers on a subtask a sibling (else a
+ * task), and other plain IDs a task.
+ * @param {number|string} depId - Dependency as stored
+ * @param {Object[]} tasks - All tasks
+ * @param {Object|null} parentTask - Parent of the item the dependency belongs to, for subtasks
+ * @returns {Object|null} The task or subtask, or null when nothing matches
+ */
+function findDependencyItem(depId, tasks, parentTask = null) {
+  const [taskPart, subtaskPart] = String(depId).split(".");
+  if (subtaskPart === undefined) {
+    const sibling = parentTask && typeof depId === "number" ? (parentTask.subtasks || []).find((st) => st.id === depId) : null;
+    return sibling || tasks.find((t) => t.id === Number(taskPart)) || null;
+  }
+  const owner = parentTask && Number(taskPart) === parentTask.id ? parentTask : tasks.find((t) => t.id === Number(taskPart));
+  return (owner && (owner.subtasks || []).find((st) => st.id === Number(subtaskPart))) || null;
+}
+
+/**
+ * Get the task a task-level dependency ties into the task graph: the task itself, or the parent
+ * of a subtask ("5.1" ties in task 5)
+ * @param {number|string} depId - Dependency of a task
+ * @returns {number} Task ID
+ */
+function getDependencyTaskId(depId) {
+  return Number(String(depId).split(".")[0]);
+}
+
+/**
+ * Check whether a person can pick up a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {string} assignee - Person
+ * @returns {boolean} False when it is assigned to others, or started without being assigned to this person
+ */
+function isAvailableTo(item, assignee) {
+  return !isAssignedToOthers(item, assignee) && !(isStartedStatus(item.status) && !isAssignedTo(item, assignee));
+}
+
+/**
+ * Build the dependency graph of the open tasks
+ * @param {Object[]} tasks - All tasks
+ * @param {Object|null} complexityReport - Complexity report
+ * @returns {Object} { open: Map<id, task>, dependents: Map<id, id[]>, tail: Map<id, number>, next: Map<id, id|null> }
+ *   where tail is the weight of the longest chain starting at a task and next the following task on that chain
+ */
+function buildTaskGraph(tasks, complexityReport) {
+  const open = new Map(tasks.filter((task) => !isTerminalStatus(task.status)).map((task) => [task.id, task]));
+  const dependents = new Map([...open.keys()].map((id) => [id, []]));
+  open.forEach((task) => {
+    (task.dependencies || []).map(getDependencyTaskId).forEach((depId) => {
+      if (dependents.has(depId) && depId !== task.id && !dependents.get(depId).includes(task.id)) {
+        dependents.get(depId).push(task.id);
+      }
+    });
+  });
+
+  const tail = new Map();
+  const next = new Map();
+  const visiting = new Set();
+  const visit = (id) => {
+    if (tail.has(id)) {
+      return tail.get(id);
+    }
+    // A dependency cycle contributes nothing beyond the task that closes it
+    if (visiting.has(id)) {
+      return 0;
+    }
+    visiting.add(id);
+    let longest = 0;
+    let following = null;
+    dependents.get(id).forEach((dependentId) => {
+      const length = visit(dependentId);
+      if (length > longest || (length === longest && following !== null && dependentId < following)) {
+        longest = length;
+        following = dependentId;
+      }
+    });
+    visiting.delete(id);
+    tail.set(id, getTaskWeight(open.get(id), complexityReport) + longest);
+    next.set(id, following);
+    return tail.get(id);
+  };
+  open.forEach((task, id) => visit(id));
+
+  return { open, dependents, tail, next };
+}
+
+/**
+ * Find the critical path of the remaining work
+ * @param {Object} graph - Graph from buildTaskGraph
+ * @returns {Object} { ids, length } with the task IDs along the longest chain and its total weight
+ */
+function findCriticalPath(graph) {
+  let start = null;
+  graph.tail.forEach((length, id) => {
+    const hasOpenDependency = (graph.open.get(id).dependencies || []).map(getDependencyTaskId).some((depId) => depId !== id && graph.open.has(depId));
+    if (!hasOpenDependency && (start === null || length > graph.tail.get(start) || (length === graph.tail.get(start) && id < start))) {
+      start = id;
+    }
+  });
+
+  const ids = [];
+  for (let id = start; id !== null && id !== undefined && !ids.includes(id); id = graph.next.get(id)) {
+    ids.push(id);
+  }
+  return { ids, length: start === null ? 0 : graph.tail.get(start) };
+}
+
+/**
+ * Score a task that is ready to work on
+ * @param {Object} task - Candidate task
+ * @param {Object} graph - Graph from buildTaskGraph
+ * @param {number} criticalLength - Length of the critical path
+ * @param {Object|null} complexityReport - Complexity report
+ * @param {string|null} assignee - Person the recommendation is for
+ * @returns {Object} { task, score, priority, started, assigned, critical, pathLength, unblocks, downstream, complexity }
+ */
+function scoreCandidate(task, graph, criticalLength, complexityReport, assignee = null) {
+  const priority = task.priority || "medium";
+  const started = isStartedStatus(task.status);
+  const assigned = Boolean(assignee) && isAssignedTo(task, assignee);
+  const pathLength = graph.tail.get(task.id);
+  const critical = criticalLength > 0 && pathLength === criticalLength;
+
+  // Dependents whose only open dependency is this task become ready when it is finished
+  const unblocks = graph.dependents
+    .get(task.id)
+    .filter((id) =>
+      (graph.open.get(id).dependencies || [])
+        .map(getDependencyTaskId)
+        .every((depId) => depId === task.id || depId === id || !graph.open.has(depId))
+    );
+
+  // Every open task that waits on this one, directly or through others
+  const downstream = new Set();
+  const stack = [...graph.dependents.get(task.id)];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (!downstream.has(id) && id !== task.id) {
+      downstream.add(id);
+      stack.push(...graph.dependents.get(id));
+    }
+  }
+
+  const analysis = findTaskInComplexityReport(complexityReport, task.id);
+  const score =
+    (PRIORITY_SCORES[priority] || PRIORITY_SCORES.medium) +
+    (started ? STARTED_SCORE : 0) +
+    (assigned ? ASSIGNED_SCORE : 0) +
+    (critical ? CRITICAL_PATH_SCORE : 0) +
+    UNBLOCKS_SCORE * unblocks.length +
+    DOWNSTREAM_SCORE * downstream.size;
+
+  return {
+    task,
+    score,
+    priority,
+    started,
+    assigned,
+    critical,
+    pathLength,
+    unblocks,
+    downstream: downstream.size,
+    complexity: analysis ? analysis.complexityScore : null,
+  };
+}
+
+/**
+ * Describe why a candidate scored what it did
+ * @param {Object} candidate - Candidate from scoreCandidate
+ * @param {Object} criticalPath - Critical path from findCriticalPath
+ * @param {string|null} assignee - Person the recommendation is for
+ * @returns {string[]} One sentence per factor
+ */
+function explainCandidate(candidate, criticalPath, assignee = null) {
+  const reasons = [`Priority ${candidate.priority} (+${PRIORITY_SCORES[candidate.priority] || PRIORITY_SCORES.medium})`];
+  if (assignee) {
+    reasons.push(candidate.assigned ? `Assigned to ${assignee} (+${ASSIGNED_SCORE})` : "Unassigned, so anyone can pick it up");
+  }
+  if (candidate.started) {
+    reasons.push(`Already ${candidate.task.status}; finishing started work comes first (+${STARTED_SCORE})`);
+  }
+  if (candidate.critical) {
+    reasons.push(
+      `On the critical path ${criticalPath.ids.join(" → ")} (weight ${criticalPath.length}); delaying it delays the project (+${CRITICAL_PATH_SCORE})`
+    );
+  } else {
+    reasons.push(`Not on the critical path (longest chain from it: ${candidate.pathLength} of ${criticalPath.length})`);
+  }
+  if (candidate.unblocks.length > 0) {
+    reasons.push(`Unblocks ${candidate.unblocks.length === 1 ? "task" : "tasks"} ${candidate.unblocks.join(", ")} (+${UNBLOCKS_SCORE * candidate.unblocks.length})`);
+  }
+  if (candidate.downstream > 0) {
+    reasons.push(`${candidate.downstream} open ${candidate.downstream === 1 ? "task waits" : "tasks wait"} on it (+${DOWNSTREAM_SCORE * candidate.downstream})`);
+  }
+  reasons.push(candidate.complexity !== null ? `Complexity score ${candidate.complexity}` : "No complexity score (analyze-complexity to weigh the path)");
+  return reasons;
+}
+
+/**
+ * Pick the next subtask to work on inside a task
+ * @param {Object} task - Parent task
+ * @param {Object[]} tasks - All tasks, to resolve dependencies outside the parent
+ * @param {string|null} assignee - Only consider subtasks available to this person, preferring their own
+ * @returns {Object|null} The started subtask, else the ready subtask that unblocks most siblings (lowest ID on ties), or null
+ */
+function findNextSubtask(task, tasks = [], assignee = null) {
+  const subtasks = task.subtasks || [];
+
+  // Dependencies on missing work do not hold a subtask up
+  const isFinished = (depId) => {
+    const referenced = findDependencyItem(depId, tasks, task);
+    return !referenced || isTerminalStatus(referenced.status);
+  };
+
+  const ready = subtasks.filter(
+    (st) =>
+      !isTerminalStatus(st.status) &&
+      isActionableStatus(st.status) &&
+      (!assignee || isAvailableTo(st, assignee)) &&
+      (st.dependencies || []).every(isFinished)
+  );
+  if (ready.length === 0) {
+    return null;
+  }
+
+  const waitingOn = (subtask) =>
+    subtasks.filter((st) => (st.dependencies || []).some((depId) => findDependencyItem(depId, tasks, task) === subtask)).length;
+  return ready.sort((a, b) => {
+    if (isStartedStatus(a.status) !== isStartedStatus(b.status)) {
+      return isStartedStatus(a.status) ? -1 : 1;
+    }
+    if (assignee && isAssignedTo(a, assignee) !== isAssignedTo(b, assignee)) {
+      return isAssignedTo(a, assignee) ? -1 : 1;
+    }
+    return waitingOn(b) - waitingOn(a) || a.id - b.id;
+  })[0];
+}
+
+/**
+ * Recommend the next task (and subtask) to work on
+ * @param {Object[]} tasks - All tasks
+ * @param {Object} options - { complexityReport, assignee }: report used to weigh the critical path, and the person to recommend work for
+ * @returns {Object} { task, subtask, score, reasons, criticalPath, candidates } with task null when nothing is ready;
+ *   candidates lists every ready task, best first, as returned by scoreCandidate
+ */
+function scheduleNextTask(tasks, options = {}) {
+  const complexityReport = options.complexityReport || null;
+  const assignee = options.assignee || null;
+  const graph = buildTaskGraph(tasks, complexityReport);
+  const criticalPath = findCriticalPath(graph);
+  const isFinished = (depId) => {
+    const referenced = findDependencyItem(depId, tasks);
+    return referenced !== null && isTerminalStatus(referenced.status);
+  };
+
+  // A task whose open subtasks all wait on unfinished work cannot be worked on yet
+  const hasWorkReady = (task) => {
+    const openSubtasks = (task.subtasks || []).filter((st) => !isTerminalStatus(st.status));
+    return (
+      openSubtasks.length === 0 ||
+      openSubtasks.some((st) =>
+        (st.dependencies || []).every((depId) => {
+          const referenced = findDependencyItem(depId, tasks, task);
+          return !referenced || isTerminalStatus(referenced.status);
+        })
+      )
+    );
+  };
+
+  // A task with open subtasks is available to a person when one of those subtasks is
+  const isTaskAvailable = (task) => {
+    if (!assignee) {
+      return true;
+    }
+    const hasOpenSubtasks = (task.subtasks || []).some((st) => !isTerminalStatus(st.status));
+    return hasOpenSubtasks ? !isAssignedToOthers(task, assignee) && findNextSubtask(task, tasks, assignee) !== null : isAvailableTo(task, assignee);
+  };
+
+  // Ready tasks: actionable, with every dependency (task or subtask) finished
+  const candidates = tasks
+    .filter((task) => isActionableStatus(task.status) && task.dependencies && task.dependencies.every(isFinished) && hasWorkReady(task))
+    .filter(isTaskAvailable)
+    .map((task) => scoreCandidate(task, graph, criticalPath.length, complexityReport, assignee))
+    .sort((a, b) => b.score - a.score || a.task.dependencies.length - b.task.dependencies.length || a.task.id - b.task.id);
+
+  if (candidates.length === 0) {
+    return { task: null, subtask: null, score: 0, reasons: [], criticalPath, candidates };
+  }
+
+  const best = candidates[0];
+  const subtask = findNextSubtask(best.task, tasks, assignee);
+  const reasons = explainCandidate(best, criticalPath, assignee);
+  if (subtask) {
+    reasons.push(`Next subtask: ${best.task.id}.${subtask.id} (${subtask.status || getStatusWorkflow().initialStatus}, dependencies finished)`);
+  }
+
+  return { task: best.task, subtask, score: best.score, reasons, criticalPath, candidates };
+}
+
+export {
+  PRIORITY_SCORES,
+  STARTED_SCORE,
+  ASSIGNED_SCORE,
+  CRITICAL_PATH_SCORE,
+  UNBLOCKS_SCORE,
+  DOWNSTREAM_SCORE,
+  DEFAULT_TASK_WEIGHT,
+  buildTaskGraph,
+  findCriticalPath,
+  findNextSubtask,
+  scheduleNextTask,
+};
@@ -0,0 +1,159 @@
+/**
+ * task-schema.js
+ * JSON Schema validation and versioned migrations for the tasks file
+ *
+ * The schema is published in schemas/tasks.schema.json. Files record the version they follow in
+ * meta.schemaVersion; older files are upgraded by the migrations below when they are read, and
+ * the upgrade is saved with the next write.
+ */
+
+import fs from "fs";
+
+import { validateSchema } from "./structured-output.js";
+
+const TASKS_FILE_SCHEMA = JSON.parse(fs.readFileSync(new URL("../../schemas/tasks.schema.json", import.meta.url), "utf8"));
+
+/**
+ * Fill in required fields that older files or AI responses can leave out
+ * @param {Object} item - Task or subtask
+ * @param {string} defaultStatus - Status for items without one
+ */
+function applyItemDefaults(item, defaultStatus = "pending") {
+  if (!item || typeof item !== "object") {
+    return;
+  }
+  if (item.status === undefined || item.status === null || item.status === "") {
+    item.status = defaultStatus;
+  }
+  if (item.dependencies === undefined || item.dependencies === null) {
+    item.dependencies = [];
+  }
+}
+
+/**
+ * Fill in the defaults for required task and subtask fields
+ * @param {Object} data - Tasks data (modified in place)
+ * @param {string} defaultStatus - Status for items without one
+ */
+function applyTaskDefaults(data, defaultStatus = "pending") {
+  data.tasks.forEach((task) => {
+    applyItemDefaults(task, defaultStatus);
+    (Array.isArray(task && task.subtasks) ? task.subtasks : []).forEach((subtask) => applyItemDefaults(subtask, defaultStatus));
+  });
+}
+
+// Migrations in order; each upgrades data from the previous version to `version`.
+// Add new ones at the end and bump CURRENT_SCHEMA_VERSION with them.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Add meta.schemaVersion and default status and dependencies on tasks and subtasks",
+    migrate: (data) => applyTaskDefaults(data),
+  },
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version a tasks file follows
+ * @param {Object} data - Tasks data
+ * @returns {number} meta.schemaVersion, or 0 for files written before it existed
+ */
+function getSchemaVersion(data) {
+  return data && data.meta && Number.isInteger(data.meta.schemaVersion) ? data.meta.schemaVersion : 0;
+}
+
+/**
+ * Upgrade tasks data to the current schema version
+ * @param {Object} data - Tasks data (modified in place)
+ * @returns {Object} { data, fromVersion, toVersion, applied } where applied lists the migration versions run
+ */
+function migrateTasksData(data) {
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Tasks file uses schema version ${fromVersion}, but this version of Task Master only supports up to ${CURRENT_SCHEMA_VERSION}. Upgrade Task Master.`
+    );
+  }
+
+  const pending = MIGRATIONS.filter((migration) => migration.version > fromVersion);
+  pending.forEach((migration) => {
+    migration.migrate(data);
+    data.meta = { ...data.meta, schemaVersion: migration.version };
+  });
+
+  return { data, fromVersion, toVersion: getSchemaVersion(data), applied: pending.map((migration) => migration.version) };
+}
+
+/**
+ * Bring tasks data about to be written up to the current schema, so commands that build tasks
+ * from AI responses do not have to fill in every required field themselves
+ * @param {Object} data - Tasks data (modified in place)
+ * @param {string} defaultStatus - Status for new tasks without one (the workflow's initial status)
+ * @returns {Object} The data
+ */
+function normalizeTasksData(data, defaultStatus = "pending") {
+  migrateTasksData(data);
+  applyTaskDefaults(data, defaultStatus);
+  return data;
+}
+
+/**
+ * Validate tasks data against the tasks file schema, including ID uniqueness
+ * @param {Object} data - Tasks data
+ * @returns {string[]} Errors, each prefixed with the path of the offending value (e.g. "$.tasks[2].id")
+ */
+function validateTasksData(data) {
+  const errors = validateSchema(data, TASKS_FILE_SCHEMA);
+  if (errors.length > 0 || !data || !Array.isArray(data.tasks)) {
+    return errors;
+  }
+
+  const findDuplicates = (items, pathPrefix) => {
+    const seen = new Set();
+    items.forEach((item, index) => {
+      if (seen.has(item.id)) {
+        errors.push(`${pathPrefix}[${index}].id: duplicate ID ${item.id}`);
+      }
+      seen.add(item.id);
+    });
+  };
+
+  findDuplicates(data.tasks, "$.tasks");
+  data.tasks.forEach((task, index) => {
+    if (Array.isArray(task.subtasks)) {
+      findDuplicates(task.subtasks, `$.tasks[${index}].subtasks`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Upgrade and validate tasks data read from a file
+ * @param {Object} data - Tasks data
+ * @param {string} filepath - File it was read from, for error messages
+ * @returns {Object} The upgraded data
+ * @throws {Error} Listing every schema violation, with a `validationErrors` array
+ */
+function prepareTasksData(data, filepath) {
+  migrateTasksData(data);
+
+  const errors = validateTasksData(data);
+  if (errors.length > 0) {
+    const error = new Error(`${filepath} does not match the tasks file schema:\n  ${errors.join("\n  ")}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  return data;
+}
+
+export {
+  TASKS_FILE_SCHEMA,
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  getSchemaVersion,
+  migrateTasksData,
+  normalizeTasksData,
+  validateTasksData,
+  prepareTasksData,
+};
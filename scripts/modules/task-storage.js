@@ -0,0 +1,486 @@
+/**
+ * task-storage.js
+ * Storage backends for the tasks file: tasks.json, a single tasks.yaml, or one markdown file
+ * per task with YAML front matter. The backend is chosen in .taskmasterconfig and applied
+ * transparently by readJSON/writeJSON in utils.js.
+ *
+ * Tasks are written under the tasks file lock and stamp meta.revision, so a writer that read
+ * an older revision fails instead of overwriting another process's changes. Data that does not
+ * match the tasks file schema is refused, so a bad write cannot leave the tasks unreadable.
+ */
+
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+import { TasksFileError, writeFileAtomic, withFileLock } from "./file-lock.js";
+import { PROJECT_CONFIG_FILE, findProjectConfig, readProjectConfig, updateProjectConfig } from "./project-config.js";
+import { validateTasksData } from "./task-schema.js";
+
+const DEFAULT_TASKS_FILE = "tasks/tasks.json";
+
+// Task fields written as markdown sections instead of front matter, with their headings
+const MARKDOWN_SECTIONS = {
+  details: "## Details",
+  testStrategy: "## Test Strategy",
+};
+
+// Field order used when rebuilding a task from a markdown file
+const TASK_FIELD_ORDER = ["id", "title", "description", "status", "dependencies", "priority", "details", "testStrategy"];
+
+/**
+ * Serialize data as YAML without folding long lines
+ * @param {Object} data - Data to serialize
+ * @returns {string} YAML text
+ */
+function toYAML(data) {
+  return YAML.stringify(data, { lineWidth: 0 });
+}
+
+/**
+ * Write a file only when its contents changed, creating the directory if needed
+ * @param {string} filePath - File to write
+ * @param {string} content - New contents
+ */
+function writeIfChanged(filePath, content) {
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, "utf8") === content) {
+    return;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileAtomic(filePath, content);
+}
+
+/**
+ * Check whether a text field can live in the markdown body and still read back unchanged
+ * @param {*} value - Field value
+ * @returns {boolean} True for non-empty strings without surrounding newlines or section headings
+ */
+function fitsMarkdownBody(value) {
+  if (typeof value !== "string" || value.length === 0 || /^\n|\n$/.test(value) || value.includes("\r")) {
+    return false;
+  }
+  const headings = Object.values(MARKDOWN_SECTIONS);
+  return !value.split("\n").some((line) => headings.includes(line));
+}
+
+/**
+ * Format a task as a markdown file with YAML front matter
+ * @param {Object} task - Task to format
+ * @returns {string} File contents
+ */
+function formatMarkdownTask(task) {
+  const frontMatter = {};
+  const body = {};
+  Object.entries(task).forEach(([key, value]) => {
+    if ((key === "description" || MARKDOWN_SECTIONS[key]) && fitsMarkdownBody(value)) {
+      body[key] = value;
+    } else {
+      frontMatter[key] = value;
+    }
+  });
+
+  let content = `---\n${toYAML(frontMatter)}---\n\n# ${task.title || `Task ${task.id}`}\n`;
+  if (body.description !== undefined) {
+    content += `\n${body.description}\n`;
+  }
+  Object.entries(MARKDOWN_SECTIONS).forEach(([field, heading]) => {
+    if (body[field] !== undefined) {
+      content += `\n${heading}\n\n${body[field]}\n`;
+    }
+  });
+  return content;
+}
+
+/**
+ * Split a markdown file into its front matter and body
+ * @param {string} content - File contents
+ * @param {string} filePath - File path, for error messages
+ * @returns {Object} { frontMatter, body }
+ */
+function splitFrontMatter(content, filePath) {
+  const match = content.replace(/\r\n/g, "\n").match(/^---\n([\s\S]*?)\n?---\n?([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Missing YAML front matter in ${filePath}`);
+  }
+  return { frontMatter: YAML.parse(match[1]) || {}, body: match[2] };
+}
+
+/**
+ * Parse a markdown task file
+ * @param {string} content - File contents
+ * @param {string} filePath - File path, for error messages
+ * @returns {Object} Task
+ */
+function parseMarkdownTask(content, filePath = "task file") {
+  const { frontMatter, body } = splitFrontMatter(content, filePath);
+  const lines = body.split("\n");
+
+  // The "# Title" heading is generated from the front matter
+  const headingIndex = lines.findIndex((line) => line.trim() !== "");
+  if (headingIndex !== -1 && lines[headingIndex].startsWith("# ")) {
+    lines.splice(0, headingIndex + 1);
+  }
+
+  const sections = { description: [] };
+  let current = "description";
+  lines.forEach((line) => {
+    const field = Object.keys(MARKDOWN_SECTIONS).find((key) => MARKDOWN_SECTIONS[key] === line);
+    if (field) {
+      current = field;
+      sections[field] = [];
+    } else {
+      sections[current].push(line);
+    }
+  });
+
+  const fields = { ...frontMatter };
+  Object.entries(sections).forEach(([field, sectionLines]) => {
+    const text = sectionLines.join("\n").replace(/^\n+|\n+$/g, "");
+    if (field !== "description" || text !== "") {
+      fields[field] = text;
+    }
+  });
+
+  // Rebuild the task with the usual field order
+  const task = {};
+  TASK_FIELD_ORDER.filter((field) => field in fields).forEach((field) => {
+    task[field] = fields[field];
+  });
+  return Object.assign(task, fields);
+}
+
+/**
+ * Escape a value for a markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped text
+ */
+function tableCell(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/\|/g, "\\|")
+    .replace(/\n/g, " ");
+}
+
+/**
+ * Format the markdown index file holding the tasks file metadata
+ * @param {Object} data - Tasks data
+ * @returns {string} File contents
+ */
+function formatMarkdownIndex(data) {
+  const { tasks, ...rest } = data;
+  let content = `---\n${toYAML(rest)}---\n\n# Tasks\n\n`;
+  content += "| ID | Title | Status | Priority | Dependencies |\n";
+  content += "| --- | --- | --- | --- | --- |\n";
+  tasks.forEach((task) => {
+    const dependencies = (task.dependencies || []).join(", ") || "None";
+    content += `| [${task.id}](${getMarkdownTaskFileName(task.id)}) | ${tableCell(task.title)} | ${tableCell(task.status)} | ${tableCell(
+      task.priority
+    )} | ${dependencies} |\n`;
+  });
+  return content;
+}
+
+/**
+ * Get the file name of a markdown task file
+ * @param {number} taskId - Task ID
+ * @returns {string} File name (e.g. "task_001.md")
+ */
+function getMarkdownTaskFileName(taskId) {
+  return `task_${taskId.toString().padStart(3, "0")}.md`;
+}
+
+/**
+ * Get the markdown index path for a tasks file (tasks/tasks.json -> tasks/tasks.md)
+ * @param {string} tasksPath - Logical tasks file path
+ * @returns {string} Index file path
+ */
+function getMarkdownIndexPath(tasksPath) {
+  return path.join(path.dirname(tasksPath), `${path.basename(tasksPath, path.extname(tasksPath))}.md`);
+}
+
+/**
+ * List the markdown task files next to a tasks file
+ * @param {string} tasksPath - Logical tasks file path
+ * @returns {string[]} Paths sorted by task ID
+ */
+function listMarkdownTaskFiles(tasksPath) {
+  const dir = path.dirname(tasksPath);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((name) => /^task_\d+\.md$/.test(name))
+    .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10))
+    .map((name) => path.join(dir, name));
+}
+
+/**
+ * Get the YAML path for a tasks file (tasks/tasks.json -> tasks/tasks.yaml)
+ * @param {string} tasksPath - Logical tasks file path
+ * @returns {string} YAML file path
+ */
+function getYAMLPath(tasksPath) {
+  return path.join(path.dirname(tasksPath), `${path.basename(tasksPath, path.extname(tasksPath))}.yaml`);
+}
+
+// Each backend stores the data for a logical tasks file path (e.g. tasks/tasks.json)
+const STORAGE_BACKENDS = {
+  json: {
+    description: "a single tasks.json file",
+    exists: (tasksPath) => fs.existsSync(tasksPath),
+    files: (tasksPath) => (fs.existsSync(tasksPath) ? [tasksPath] : []),
+    read: (tasksPath) => JSON.parse(fs.readFileSync(tasksPath, "utf8")),
+    write: (tasksPath, data) => {
+      writeFileAtomic(tasksPath, JSON.stringify(data, null, 2));
+    },
+  },
+  yaml: {
+    description: "a single tasks.yaml file",
+    exists: (tasksPath) => fs.existsSync(getYAMLPath(tasksPath)),
+    files: (tasksPath) => (fs.existsSync(getYAMLPath(tasksPath)) ? [getYAMLPath(tasksPath)] : []),
+    read: (tasksPath) => YAML.parse(fs.readFileSync(getYAMLPath(tasksPath), "utf8")),
+    write: (tasksPath, data) => {
+      writeIfChanged(getYAMLPath(tasksPath), toYAML(data));
+    },
+  },
+  markdown: {
+    description: "one markdown file per task with YAML front matter",
+    exists: (tasksPath) => fs.existsSync(getMarkdownIndexPath(tasksPath)),
+    files: (tasksPath) => {
+      const indexPath = getMarkdownIndexPath(tasksPath);
+      return [...(fs.existsSync(indexPath) ? [indexPath] : []), ...listMarkdownTaskFiles(tasksPath)];
+    },
+    read: (tasksPath) => {
+      const indexPath = getMarkdownIndexPath(tasksPath);
+      const { frontMatter } = splitFrontMatter(fs.readFileSync(indexPath, "utf8"), indexPath);
+      const tasks = listMarkdownTaskFiles(tasksPath).map((filePath) => parseMarkdownTask(fs.readFileSync(filePath, "utf8"), filePath));
+      return { ...frontMatter, tasks };
+    },
+    write: (tasksPath, data) => {
+      const dir = path.dirname(tasksPath);
+      const written = new Set();
+      (data.tasks || []).forEach((task) => {
+        const filePath = path.join(dir, getMarkdownTaskFileName(task.id));
+        writeIfChanged(filePath, formatMarkdownTask(task));
+        written.add(filePath);
+      });
+
+      // Remove files of tasks that no longer exist
+      listMarkdownTaskFiles(tasksPath)
+        .filter((filePath) => !written.has(filePath))
+        .forEach((filePath) => fs.unlinkSync(filePath));
+
+      writeIfChanged(getMarkdownIndexPath(tasksPath), formatMarkdownIndex({ ...data, tasks: data.tasks || [] }));
+    },
+  },
+};
+
+/**
+ * Work out which storage backend holds a tasks file
+ * @param {string} tasksPath - Logical tasks file path
+ * @returns {Object|null} { name, backend, configPath }, or null if the path is not the project's tasks file
+ */
+function resolveTaskStorage(tasksPath) {
+  const resolvedPath = path.resolve(tasksPath);
+  const configPath = findProjectConfig(path.dirname(resolvedPath));
+  if (!configPath) {
+    return null;
+  }
+
+  const storage = readProjectConfig(configPath).storage || {};
+  const tasksFile = path.resolve(path.dirname(configPath), storage.tasksFile || DEFAULT_TASKS_FILE);
+  if (tasksFile !== resolvedPath) {
+    return null;
+  }
+
+  const name = storage.backend || "json";
+  if (!STORAGE_BACKENDS[name]) {
+    throw new Error(`Unknown storage backend "${name}" in ${configPath}. Use one of: ${Object.keys(STORAGE_BACKENDS).join(", ")}`);
+  }
+  return { name, backend: STORAGE_BACKENDS[name], configPath };
+}
+
+/**
+ * Get the backend for a path when it is the tasks file of a project using non-JSON storage
+ * @param {string} filepath - Path passed to readJSON/writeJSON
+ * @returns {Object|null} Backend, or null to use plain JSON
+ */
+function getTaskStorage(filepath) {
+  const storage = resolveTaskStorage(filepath);
+  return storage && storage.name !== "json" ? storage.backend : null;
+}
+
+/**
+ * Get the name of the backend storing a tasks file
+ * @param {string} tasksPath - Logical tasks file path
+ * @returns {string} Backend name
+ */
+function getStorageBackendName(tasksPath) {
+  const storage = resolveTaskStorage(tasksPath);
+  return storage ? storage.name : "json";
+}
+
+/**
+ * Get the revision stamped on tasks data
+ * @param {Object} data - Tasks data
+ * @returns {number} meta.revision, or 0 for data that was never written with a revision
+ */
+function getTasksRevision(data) {
+  return data && data.meta && Number.isInteger(data.meta.revision) ? data.meta.revision : 0;
+}
+
+/**
+ * Write tasks data under the tasks file lock, bumping meta.revision
+ * @param {string} tasksPath - Logical tasks file path
+ * @param {Object} data - Tasks data
+ * @param {number} [expectedRevision] - Revision the writer read; omit to overwrite unconditionally
+ * @param {Function} [onWrite] - Called under the lock with (previous, written) after the write
+ * @returns {number} The new revision
+ * @throws {TasksFileError} TASKS_FILE_INVALID, with a `validationErrors` array, if the data does not match the schema
+ */
+function writeTasks(tasksPath, data, expectedRevision, onWrite) {
+  const storage = resolveTaskStorage(tasksPath);
+  const backend = storage ? storage.backend : STORAGE_BACKENDS.json;
+
+  return withFileLock(tasksPath, () => {
+    let previous = null;
+    if (backend.exists(tasksPath)) {
+      try {
+        previous = backend.read(tasksPath);
+      } catch (error) {
+        // An unreadable file has no revision to protect
+      }
+    }
+    const currentRevision = getTasksRevision(previous);
+
+    if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+      throw new TasksFileError(
+        `${tasksPath} was changed by another process while this command was running ` +
+          `(read revision ${expectedRevision}, now at revision ${currentRevision}). Run the command again.`,
+        { code: "TASKS_FILE_CONFLICT", path: tasksPath }
+      );
+    }
+
+    const revision = currentRevision + 1;
+    const written = { ...data, meta: { ...data.meta, revision } };
+
+    const errors = validateTasksData(written);
+    if (errors.length > 0) {
+      const error = new TasksFileError(
+        `Refusing to write ${tasksPath}, the tasks would not match the tasks file schema:\n  ${errors.join("\n  ")}`,
+        { code: "TASKS_FILE_INVALID", path: tasksPath }
+      );
+      error.validationErrors = errors;
+      throw error;
+    }
+    backend.write(tasksPath, written);
+    if (onWrite) {
+      onWrite(previous, written);
+    }
+    return revision;
+  });
+}
+
+/**
+ * Read the tasks through whichever backend stores them
+ * @param {string} tasksPath - Logical tasks file path
+ * @returns {Object|null} Tasks data, or null if there are no tasks yet
+ */
+function readTasks(tasksPath) {
+  const storage = resolveTaskStorage(tasksPath);
+  const backend = storage ? storage.backend : STORAGE_BACKENDS.json;
+  return backend.exists(tasksPath) ? backend.read(tasksPath) : null;
+}
+
+/**
+ * Serialize data with sorted keys, for comparing data read back from different backends
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+  return JSON.stringify(value, (key, item) =>
+    item && typeof item === "object" && !Array.isArray(item)
+      ? Object.keys(item)
+          .sort()
+          .reduce((sorted, name) => ({ ...sorted, [name]: item[name] }), {})
+      : item
+  );
+}
+
+/**
+ * Move a tasks file to another storage backend and record the choice in .taskmasterconfig
+ * @param {string} tasksPath - Logical tasks file path
+ * @param {string} target - Backend to migrate to (json, yaml or markdown)
+ * @param {Object} options - { configPath } to use when the project has no config yet
+ * @returns {Object} { from, to, taskCount, configPath, written, removed }
+ */
+function migrateTaskStorage(tasksPath, target, options = {}) {
+  return withFileLock(tasksPath, () => migrateLockedTaskStorage(tasksPath, target, options));
+}
+
+/**
+ * Migrate a tasks file while its lock is held
+ * @param {string} tasksPath - Logical tasks file path
+ * @param {string} target - Backend to migrate to
+ * @param {Object} options - { configPath }
+ * @returns {Object} Migration summary
+ */
+function migrateLockedTaskStorage(tasksPath, target, options) {
+  if (!STORAGE_BACKENDS[target]) {
+    throw new Error(`Unknown storage backend "${target}". Use one of: ${Object.keys(STORAGE_BACKENDS).join(", ")}`);
+  }
+
+  const current = resolveTaskStorage(tasksPath) || { name: "json", backend: STORAGE_BACKENDS.json, configPath: null };
+  if (current.name === target) {
+    throw new Error(`Tasks are already stored as ${target}`);
+  }
+  if (!current.backend.exists(tasksPath)) {
+    throw new Error(`No tasks found in ${current.name} storage for ${tasksPath}`);
+  }
+
+  const data = current.backend.read(tasksPath);
+  const targetBackend = STORAGE_BACKENDS[target];
+  targetBackend.write(tasksPath, data);
+
+  // Only remove the old files once the new ones read back identically
+  if (canonicalJSON(targetBackend.read(tasksPath)) !== canonicalJSON(data)) {
+    throw new Error(`Tasks read back from ${target} storage differ from the original; the old files were kept`);
+  }
+
+  const written = new Set(targetBackend.files(tasksPath));
+  const removed = current.backend.files(tasksPath).filter((filePath) => !written.has(filePath));
+  removed.forEach((filePath) => fs.unlinkSync(filePath));
+
+  const configPath = current.configPath || options.configPath || path.join(process.cwd(), PROJECT_CONFIG_FILE);
+  const existingStorage = readProjectConfig(configPath).storage || {};
+  updateProjectConfig(configPath, {
+    storage: {
+      ...existingStorage,
+      backend: target,
+      tasksFile: path.relative(path.dirname(configPath), path.resolve(tasksPath)).split(path.sep).join("/"),
+    },
+  });
+
+  return {
+    from: current.name,
+    to: target,
+    taskCount: (data.tasks || []).length,
+    configPath,
+    written: [...written],
+    removed,
+  };
+}
+
+export {
+  STORAGE_BACKENDS,
+  formatMarkdownTask,
+  parseMarkdownTask,
+  getTaskStorage,
+  getStorageBackendName,
+  getTasksRevision,
+  readTasks,
+  writeTasks,
+  canonicalJSON,
+  migrateTaskStorage,
+};
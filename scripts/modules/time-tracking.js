@@ -0,0 +1,354 @@
+/**
+ * time-tracking.js
+ * Effort estimates, work-session timers and the estimate vs. actual report
+ *
+ * Tasks and subtasks keep an optional `estimate` ({ value, unit, source }) and a `timeLog` of work
+ * sessions ({ start, end, by, note }). A session without `end` is a running timer.
+ */
+
+import { sameAssignee } from "./assignees.js";
+import { isTerminalStatus } from "./status-workflow.js";
+
+const ESTIMATE_UNITS = ["hours", "points"];
+
+// Same bands as the analyze-complexity summary
+const COMPLEXITY_BANDS = [
+  { name: "high", label: "High (8-10)", min: 8 },
+  { name: "medium", label: "Medium (5-7)", min: 5 },
+  { name: "low", label: "Low (1-4)", min: 0 },
+];
+
+/**
+ * Round hours to two decimals
+ * @param {number} hours - Hours
+ * @returns {number} Rounded hours
+ */
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Format a number of minutes as "2h 05m" or "35m"
+ * @param {number} minutes - Minutes
+ * @returns {string} Formatted duration
+ */
+function formatDuration(minutes) {
+  const total = Math.max(0, Math.round(minutes));
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  return hours > 0 ? `${hours}h ${String(rest).padStart(2, "0")}m` : `${rest}m`;
+}
+
+/**
+ * Format an estimate for display
+ * @param {Object} estimate - { value, unit } or { hours, points }
+ * @returns {string} "4h", "3 pts", "4h + 3 pts", or "" when there is none
+ */
+function formatEstimate(estimate) {
+  if (!estimate) {
+    return "";
+  }
+  const hours = estimate.unit ? (estimate.unit === "hours" ? estimate.value : null) : estimate.hours;
+  const points = estimate.unit ? (estimate.unit === "points" ? estimate.value : null) : estimate.points;
+  return [hours !== null && hours !== undefined ? `${hours}h` : null, points !== null && points !== undefined ? `${points} pts` : null]
+    .filter(Boolean)
+    .join(" + ");
+}
+
+/**
+ * Set the estimate of a task or subtask
+ * @param {Object} item - Task or subtask (modified in place)
+ * @param {number|string} value - Positive number of hours or points
+ * @param {string} unit - "hours" or "points"
+ * @param {string} source - "manual" or "ai"
+ * @returns {Object} The new estimate
+ */
+function setEstimate(item, value, unit, source = "manual") {
+  const amount = typeof value === "number" ? value : parseFloat(value);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`Estimate must be a positive number, got "${value}"`);
+  }
+  if (!ESTIMATE_UNITS.includes(unit)) {
+    throw new Error(`Unknown estimate unit "${unit}". Use one of: ${ESTIMATE_UNITS.join(", ")}`);
+  }
+
+  item.estimate = { value: amount, unit, source };
+  return item.estimate;
+}
+
+/**
+ * Apply an AI-suggested estimate, without overwriting one that was set by hand
+ * @param {Object} item - Task or subtask (modified in place)
+ * @param {*} hours - Suggested hours from the model
+ * @returns {boolean} True when the estimate was applied
+ */
+function applySuggestedEstimate(item, hours) {
+  if (typeof hours !== "number" || !Number.isFinite(hours) || hours <= 0) {
+    return false;
+  }
+  if (item.estimate && item.estimate.source !== "ai") {
+    return false;
+  }
+
+  setEstimate(item, Math.round(hours * 2) / 2 || 0.5, "hours", "ai");
+  return true;
+}
+
+/**
+ * Get the estimate of a task, falling back to the sum of its subtask estimates
+ * @param {Object} task - Task
+ * @returns {Object} { hours, points } where either is null when not estimated
+ */
+function getTaskEstimate(task) {
+  const items = task.estimate ? [task] : task.subtasks || [];
+  const sum = (unit) => {
+    const values = items.filter((item) => item.estimate && item.estimate.unit === unit).map((item) => item.estimate.value);
+    return values.length > 0 ? roundHours(values.reduce((total, value) => total + value, 0)) : null;
+  };
+  return { hours: sum("hours"), points: sum("points") };
+}
+
+/**
+ * Length of a work session; running sessions count up to `now`
+ * @param {Object} session - { start, end }
+ * @param {Date} now - Current time
+ * @returns {number} Minutes
+ */
+function getSessionMinutes(session, now = new Date()) {
+  const start = new Date(session.start).getTime();
+  const end = session.end ? new Date(session.end).getTime() : now.getTime();
+  return Number.isFinite(start) && Number.isFinite(end) ? Math.max(0, (end - start) / 60000) : 0;
+}
+
+/**
+ * Total minutes logged against a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {Date} now - Current time, for running sessions
+ * @returns {number} Minutes
+ */
+function getLoggedMinutes(item, now = new Date()) {
+  return (Array.isArray(item.timeLog) ? item.timeLog : []).reduce((total, session) => total + getSessionMinutes(session, now), 0);
+}
+
+/**
+ * Total hours logged against a task and its subtasks
+ * @param {Object} task - Task
+ * @param {Date} now - Current time, for running sessions
+ * @returns {number} Hours
+ */
+function getTaskActualHours(task, now = new Date()) {
+  const minutes = [task, ...(task.subtasks || [])].reduce((total, item) => total + getLoggedMinutes(item, now), 0);
+  return roundHours(minutes / 60);
+}
+
+/**
+ * Find a task or subtask by ID
+ * @param {Object[]} tasks - All tasks
+ * @param {string|number} id - "3" or "3.2"
+ * @returns {Object} { id, item, task, subtask }
+ */
+function findWorkItem(tasks, id) {
+  const label = String(id).trim();
+  const [taskId, subtaskId] = label.split(".").map((part) => parseInt(part, 10));
+  const task = tasks.find((t) => t.id === taskId);
+  const subtask = task && subtaskId !== undefined ? (task.subtasks || []).find((st) => st.id === subtaskId) : null;
+  const item = subtaskId !== undefined ? subtask : task;
+  if (!item) {
+    throw new Error(subtaskId !== undefined ? `Subtask ${label} not found` : `Task ${label} not found`);
+  }
+  return { id: label, item, task, subtask };
+}
+
+/**
+ * List running timers
+ * @param {Object[]} tasks - All tasks
+ * @returns {Object[]} { id, item, session } for every session without an end
+ */
+function findRunningTimers(tasks) {
+  const running = [];
+  tasks.forEach((task) => {
+    [task, ...(task.subtasks || [])].forEach((item) => {
+      (Array.isArray(item.timeLog) ? item.timeLog : [])
+        .filter((session) => !session.end)
+        .forEach((session) => running.push({ id: item === task ? String(task.id) : `${task.id}.${item.id}`, item, session }));
+    });
+  });
+  return running;
+}
+
+/**
+ * Check whether a running timer belongs to a person. Timers started without a name belong to
+ * whoever stops them without a name.
+ * @param {Object} session - Running session
+ * @param {string|null} by - Person
+ * @returns {boolean} True when it is theirs
+ */
+function isTimerOf(session, by) {
+  return by ? Boolean(session.by) && sameAssignee(session.by, by) : !session.by;
+}
+
+/**
+ * Close running sessions
+ * @param {Object[]} timers - Entries from findRunningTimers
+ * @param {Date} now - Time to stop them at
+ * @returns {Object[]} { id, by, minutes } for each stopped session
+ */
+function closeTimers(timers, now) {
+  return timers.map(({ id, session }) => {
+    session.end = now.toISOString();
+    return { id, by: session.by || null, minutes: Math.round(getSessionMinutes(session, now)) };
+  });
+}
+
+/**
+ * Start a work session on a task or subtask. Other timers of the same person are stopped first,
+ * so nobody logs two sessions at once.
+ * @param {Object[]} tasks - All tasks (modified in place)
+ * @param {string} id - Task or subtask ID
+ * @param {Object} options - { by, note, now }
+ * @returns {Object} { id, session, stopped }
+ */
+function startTimer(tasks, id, options = {}) {
+  const { by = null, note = null, now = new Date() } = options;
+  const { item } = findWorkItem(tasks, id);
+  const label = String(id).includes(".") ? `Subtask ${id}` : `Task ${id}`;
+
+  if (isTerminalStatus(item.status)) {
+    throw new Error(`${label} is already "${item.status}". Reopen it before logging more work.`);
+  }
+
+  const running = findRunningTimers(tasks).filter((timer) => isTimerOf(timer.session, by));
+  const current = running.find((timer) => timer.item === item);
+  if (current) {
+    throw new Error(`A timer is already running on ${id}${by ? ` for ${by}` : ""} since ${current.session.start}`);
+  }
+
+  const stopped = closeTimers(running, now);
+  const session = { start: now.toISOString() };
+  if (by) {
+    session.by = by;
+  }
+  if (note) {
+    session.note = note;
+  }
+
+  item.timeLog = [...(Array.isArray(item.timeLog) ? item.timeLog : []), session];
+  return { id: String(id), session, stopped };
+}
+
+/**
+ * Stop running work sessions
+ * @param {Object[]} tasks - All tasks (modified in place)
+ * @param {string|null} id - Only stop the timer on this task or subtask
+ * @param {Object} options - { by, now }
+ * @returns {Object[]} { id, by, minutes } for each stopped session
+ */
+function stopTimer(tasks, id = null, options = {}) {
+  const { by = null, now = new Date() } = options;
+  const target = id ? findWorkItem(tasks, id).item : null;
+
+  const all = findRunningTimers(tasks);
+  const running = all.filter((timer) => (target ? timer.item === target && (!by || isTimerOf(timer.session, by)) : isTimerOf(timer.session, by)));
+  if (running.length === 0) {
+    const others = all.map((timer) => `${timer.id}${timer.session.by ? ` (${timer.session.by})` : ""}`);
+    throw new Error(
+      `No timer is running${id ? ` on ${id}` : ""}${by ? ` for ${by}` : ""}` + (others.length > 0 ? `. Running timers: ${others.join(", ")}` : "")
+    );
+  }
+
+  return closeTimers(running, now);
+}
+
+/**
+ * Find the complexity band of a score
+ * @param {number|null} score - Complexity score
+ * @returns {Object|null} Band, or null for unscored tasks
+ */
+function getComplexityBand(score) {
+  return typeof score === "number" ? COMPLEXITY_BANDS.find((band) => score >= band.min) : null;
+}
+
+/**
+ * Add up estimated and actual effort for a group of report rows. Hours are only compared on rows
+ * that have both an hour estimate and logged time; points are turned into hours per point.
+ * @param {Object[]} rows - Task rows
+ * @returns {Object} { tasks, estimatedHours, actualHours, compared, ratio, hoursPerPoint }
+ */
+function summarizeEffort(rows) {
+  const compared = rows.filter((row) => row.estimate.hours !== null && row.actualHours > 0);
+  const pointed = rows.filter((row) => row.estimate.points !== null && row.actualHours > 0);
+  const sum = (list, pick) => roundHours(list.reduce((total, row) => total + pick(row), 0));
+
+  const estimatedHours = sum(compared, (row) => row.estimate.hours);
+  const actualHours = sum(compared, (row) => row.actualHours);
+  const points = sum(pointed, (row) => row.estimate.points);
+
+  return {
+    tasks: rows.length,
+    estimatedHours,
+    actualHours,
+    compared: compared.length,
+    ratio: estimatedHours > 0 ? roundHours(actualHours / estimatedHours) : null,
+    hoursPerPoint: points > 0 ? roundHours(sum(pointed, (row) => row.actualHours) / points) : null,
+  };
+}
+
+/**
+ * Compare estimates with logged time per task and per complexity band
+ * @param {Object[]} tasks - All tasks
+ * @param {Object|null} complexityReport - Complexity report, for the bands
+ * @param {Date} now - Current time, for running sessions
+ * @returns {Object} { tasks, bands, totals, running }
+ */
+function buildEffortReport(tasks, complexityReport = null, now = new Date()) {
+  const analysis = complexityReport && Array.isArray(complexityReport.complexityAnalysis) ? complexityReport.complexityAnalysis : [];
+
+  const rows = tasks
+    .map((task) => {
+      const entry = analysis.find((candidate) => candidate.taskId === task.id);
+      const complexityScore = entry ? entry.complexityScore : null;
+      const estimate = getTaskEstimate(task);
+      const actualHours = getTaskActualHours(task, now);
+      const band = getComplexityBand(complexityScore);
+      return {
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        complexityScore,
+        band: band ? band.name : null,
+        estimate,
+        actualHours,
+        variance: estimate.hours !== null && actualHours > 0 ? roundHours(actualHours - estimate.hours) : null,
+      };
+    })
+    .filter((row) => row.estimate.hours !== null || row.estimate.points !== null || row.actualHours > 0);
+
+  const bands = [...COMPLEXITY_BANDS, { name: null, label: "Unscored" }]
+    .map((band) => ({ band: band.name, label: band.label, ...summarizeEffort(rows.filter((row) => row.band === band.name)) }))
+    .filter((band) => band.tasks > 0);
+
+  return {
+    tasks: rows,
+    bands,
+    totals: summarizeEffort(rows),
+    running: findRunningTimers(tasks).map(({ id, session }) => ({ id, by: session.by || null, start: session.start, minutes: Math.round(getSessionMinutes(session, now)) })),
+  };
+}
+
+export {
+  ESTIMATE_UNITS,
+  COMPLEXITY_BANDS,
+  formatDuration,
+  formatEstimate,
+  setEstimate,
+  applySuggestedEstimate,
+  getTaskEstimate,
+  getLoggedMinutes,
+  getTaskActualHours,
+  findWorkItem,
+  findRunningTimers,
+  startTimer,
+  stopTimer,
+  getComplexityBand,
+  buildEffortReport,
+};
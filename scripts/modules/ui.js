@@ -9,10 +9,17 @@ import boxen from "boxen";
 import ora from "ora";
 import Table from "cli-table3";
 import gradient from "gradient-string";
-import { CONFIG, log, findTaskById, readJSON, readComplexityReport, truncate } from "./utils.js";
+import { CONFIG, log, findTaskById, readJSON, readComplexityReport, truncate, isSilentMode } from "./utils.js";
 import path from "path";
 import fs from "fs";
-import { findNextTask, analyzeTaskComplexity } from "./task-manager.js";
+import readline from "readline";
+import { analyzeTaskComplexity } from "./task-manager.js";
+import { readUsageLedger, summarizeUsage, filterUsageSince } from "./usage-tracker.js";
+import { getStatusDefinition, getStatusWorkflow, isTerminalStatus } from "./status-workflow.js";
+import { scheduleNextTask } from "./task-scheduler.js";
+import { getAssignees } from "./assignees.js";
+import { formatDuration, formatEstimate, getTaskEstimate, getLoggedMinutes, findRunningTimers, buildEffortReport } from "./time-tracking.js";
+import { resolveDependencyNode, buildDependencyGraph, buildDependencyTree, findBlockedItems } from "./dependency-graph.js";
 
 // Create a color gradient for the banner
 const coolGradient = gradient(["#00b4d8", "#0077b6", "#03045e"]);
@@ -22,6 +29,10 @@ const warmGradient = gradient(["#fb8b24", "#e36414", "#9a031e"]);
  * Display a fancy banner for the CLI
  */
 function displayBanner() {
+  if (isSilentMode()) {
+    return;
+  }
+
   console.clear();
   const bannerText = figlet.textSync("Task Master", {
     font: "Standard",
@@ -62,6 +73,10 @@ function displayBanner() {
  * @returns {Object} Spinner object
  */
 function startLoadingIndicator(message) {
+  if (isSilentMode()) {
+    return null;
+  }
+
   const spinner = ora({
     text: message,
     color: "cyan",
@@ -97,7 +112,7 @@ function createProgressBar(percent, length = 30) {
 }
 
 /**
- * Get a colored status string based on the status value
+ * Get a colored status string, styled by the active status workflow
  * @param {string} status - Task status (e.g., "done", "pending", "in-progress")
  * @param {boolean} forTable - Whether the status is being displayed in a table
  * @returns {string} Colored status string
@@ -107,35 +122,99 @@ function getStatusWithColor(status, forTable = false) {
     return chalk.gray("❓ unknown");
   }
 
-  const statusConfig = {
-    done: { color: chalk.green, icon: "✅", tableIcon: "✓" },
-    completed: { color: chalk.green, icon: "✅", tableIcon: "✓" },
-    pending: { color: chalk.yellow, icon: "⏱️", tableIcon: "⏱" },
-    "in-progress": { color: chalk.hex("#FFA500"), icon: "🔄", tableIcon: "►" },
-    deferred: { color: chalk.gray, icon: "⏱️", tableIcon: "⏱" },
-    blocked: { color: chalk.red, icon: "❌", tableIcon: "✗" },
-    review: { color: chalk.magenta, icon: "👀", tableIcon: "👁" },
-  };
-
-  const config = statusConfig[status.toLowerCase()] || { color: chalk.red, icon: "❌", tableIcon: "✗" };
+  // Statuses outside the workflow are shown as errors
+  const definition = getStatusDefinition(status);
+  if (!definition) {
+    return chalk.red(`${forTable ? "x" : "❌"} ${status}`);
+  }
 
   // Use simpler icons for table display to prevent border issues
-  if (forTable) {
-    // Use ASCII characters instead of Unicode for completely stable display
-    const simpleIcons = {
-      done: "✓",
-      completed: "✓",
-      pending: "○",
-      "in-progress": "►",
-      deferred: "x",
-      blocked: "!", // Using plain x character for better compatibility
-      review: "?", // Using circled dot symbol
-    };
-    const simpleIcon = simpleIcons[status.toLowerCase()] || "x";
-    return config.color(`${simpleIcon} ${status}`);
+  return getStatusColor(definition.color)(`${forTable ? definition.tableIcon : definition.icon} ${status}`);
+}
+
+/**
+ * Get the chalk function for a workflow status color
+ * @param {string} color - Chalk color name (e.g. "yellow") or hex color (e.g. "#FFA500")
+ * @returns {Function} Chalk function
+ */
+function getStatusColor(color) {
+  if (typeof chalk[color] === "function") {
+    return chalk[color];
+  }
+  return /^#[0-9a-f]{6}$/i.test(color || "") ? chalk.hex(color) : chalk.white;
+}
+
+/**
+ * Format the assignees of a task or subtask for display
+ * @param {Object} item - Task or subtask
+ * @returns {string} Colored, comma-separated names, or "Unassigned"
+ */
+function formatAssignees(item) {
+  const assignees = getAssignees(item);
+  return assignees.length > 0 ? chalk.magenta(assignees.join(", ")) : chalk.gray("Unassigned");
+}
+
+/**
+ * Format the dependencies of a subtask with status colors, written as full IDs
+ * @param {Object} task - Parent task
+ * @param {Object} subtask - Subtask
+ * @param {Object[]} allTasks - All tasks, to resolve dependencies on other tasks and their subtasks
+ * @returns {string} Comma-separated colored IDs, or "None"
+ */
+function formatSubtaskDependenciesWithStatus(task, subtask, allTasks) {
+  if (!subtask.dependencies || subtask.dependencies.length === 0) {
+    return "None";
   }
 
-  return config.color(`${config.icon} ${status}`);
+  return subtask.dependencies
+    .map((depId) => {
+      const nodeId = resolveDependencyNode(depId, allTasks, task);
+      if (nodeId === null) {
+        return chalk.red(`${depId} (Not found)`);
+      }
+
+      const [taskPart, subtaskPart] = nodeId.split(".");
+      const owner = allTasks.find((t) => t.id === Number(taskPart));
+      const referenced = subtaskPart === undefined ? owner : owner.subtasks.find((st) => st.id === Number(subtaskPart));
+      const status = referenced.status || getStatusWorkflow().initialStatus;
+
+      // Use consistent color formatting instead of emojis
+      if (isTerminalStatus(status)) {
+        return chalk.green.bold(nodeId);
+      } else if (status === "in-progress") {
+        return chalk.hex("#FFA500").bold(nodeId);
+      }
+      return chalk.red.bold(nodeId);
+    })
+    .join(chalk.white(", "));
+}
+
+/**
+ * Format a node of the dependency graph for a single line
+ * @param {Object} node - Graph node
+ * @returns {string} "#3 Title ○ pending" for tasks, "3.2 Title ○ pending" for subtasks
+ */
+function formatGraphNode(node) {
+  return `${chalk.cyan(node.type === "task" ? `#${node.id}` : node.id)} ${node.title} ${getStatusWithColor(node.status, true)}`;
+}
+
+/**
+ * Format the estimate and logged time of a task (including its subtasks) or subtask
+ * @param {Object} item - Task or subtask
+ * @returns {string} e.g. "Estimated 4h, logged 2h 05m (timer running)"
+ */
+function formatEffort(item) {
+  const items = [item, ...(item.subtasks || [])];
+  const estimate = formatEstimate(getTaskEstimate(item));
+  const minutes = items.reduce((total, entry) => total + getLoggedMinutes(entry), 0);
+  const running = findRunningTimers([{ ...item, subtasks: item.subtasks || [] }]).length > 0;
+
+  return (
+    (estimate ? `Estimated ${chalk.yellow(estimate)}` : chalk.gray("Not estimated")) +
+    ", " +
+    (minutes > 0 ? `logged ${chalk.yellow(formatDuration(minutes))}` : chalk.gray("no time logged")) +
+    (running ? chalk.green(" (timer running)") : "")
+  );
 }
 
 /**
@@ -170,8 +249,8 @@ function formatDependenciesWithStatus(dependencies, allTasks, forConsole = false
       }
 
       // Format with status
-      const status = subtask.status || "pending";
-      const isDone = status.toLowerCase() === "done" || status.toLowerCase() === "completed";
+      const status = subtask.status || getStatusWorkflow().initialStatus;
+      const isDone = isTerminalStatus(status);
       const isInProgress = status.toLowerCase() === "in-progress";
 
       if (forConsole) {
@@ -203,8 +282,8 @@ function formatDependenciesWithStatus(dependencies, allTasks, forConsole = false
     }
 
     // Format with status
-    const status = depTask.status || "pending";
-    const isDone = status.toLowerCase() === "done" || status.toLowerCase() === "completed";
+    const status = depTask.status || getStatusWorkflow().initialStatus;
+    const isDone = isTerminalStatus(status);
     const isInProgress = status.toLowerCase() === "in-progress";
 
     if (forConsole) {
@@ -238,39 +317,52 @@ function displayHelp() {
       title: "Task Generation",
       color: "cyan",
       commands: [
-        { name: "parse-prd", args: "--input=<file.txt> [--tasks=10]", desc: "Generate tasks from a PRD document" },
-        { name: "generate", args: "", desc: "Create individual task files from tasks.json" },
+        { name: "parse-prd", args: "--input=<file.txt> [--tasks=10] [--merge]", desc: "Generate tasks from a PRD document (--merge keeps existing work)" },
+        { name: "generate", args: "[--no-fix-dependencies]", desc: "Create individual task files from tasks.json" },
+        { name: "sync-files", args: "[--prefer=file] [--dry-run]", desc: "Merge edits made to the task files back into tasks.json" },
+        { name: "migrate-storage", args: "--to=<json|yaml|markdown>", desc: "Move tasks to another storage backend" },
       ],
     },
     {
       title: "Task Management",
       color: "green",
       commands: [
-        { name: "list", args: "[--status=<status>] [--with-subtasks]", desc: "List all tasks with their status" },
-        { name: "set-status", args: "--id=<id> --status=<status>", desc: "Update task status (done, pending, etc.)" },
+        { name: "list", args: "[--status=<status>] [--assignee=<name>] [--with-subtasks]", desc: "List all tasks with their status" },
+        { name: "set-status", args: "--id=<id> --status=<status> [--field <name=value>] [--force]", desc: "Update task status (done, pending, etc.)" },
+        { name: "assign", args: "--id=<id> [--to=<names>] [--remove=<names>] [--clear]", desc: "Assign tasks and subtasks to people" },
+        { name: "estimate", args: "--id=<id> [--hours=<n>] [--points=<n>] [--clear]", desc: "Set the expected effort of tasks and subtasks" },
+        { name: "start", args: "--id=<id> [--by=<name>] [--note=<text>]", desc: "Start a work timer on a task or subtask" },
+        { name: "stop", args: "[--id=<id>] [--by=<name>]", desc: "Stop the running work timer and log the time" },
         { name: "update", args: '--from=<id> --prompt="<context>"', desc: "Update tasks based on new requirements" },
         { name: "add-task", args: '--prompt="<text>" [--dependencies=<ids>] [--priority=<priority>]', desc: "Add a new task using AI" },
         { name: "add-dependency", args: "--id=<id> --depends-on=<id>", desc: "Add a dependency to a task" },
         { name: "remove-dependency", args: "--id=<id> --depends-on=<id>", desc: "Remove a dependency from a task" },
+        { name: "history", args: "[--limit=20]", desc: "Show recorded changes to the tasks" },
+        { name: "undo", args: "[n] [--force]", desc: "Undo the last n recorded changes" },
+        { name: "redo", args: "[n] [--force]", desc: "Redo changes that were undone" },
       ],
     },
     {
       title: "Task Analysis & Detail",
       color: "yellow",
       commands: [
-        { name: "analyze-complexity", args: "[--research] [--threshold=5]", desc: "Analyze tasks and generate expansion recommendations" },
+        { name: "analyze-complexity", args: "[--research] [--threshold=5] [--estimate]", desc: "Analyze tasks and generate expansion recommendations" },
         { name: "complexity-report", args: "[--file=<path>]", desc: "Display the complexity analysis report" },
-        { name: "expand", args: '--id=<id> [--num=5] [--research] [--prompt="<context>"]', desc: "Break down tasks into detailed subtasks" },
+        { name: "expand", args: '--id=<id> [--num=5] [--research] [--prompt="<context>"] [--estimate]', desc: "Break down tasks into detailed subtasks" },
         { name: "expand --all", args: "[--force] [--research]", desc: "Expand all pending tasks with subtasks" },
         { name: "clear-subtasks", args: "--id=<id>", desc: "Remove subtasks from specified tasks" },
+        { name: "usage", args: "[--by=<day|command|task|model>] [--since=<date>]", desc: "Show AI token usage, latency and estimated cost" },
+        { name: "time-report", args: "[--report=<file>]", desc: "Compare estimated and logged effort per task and complexity" },
       ],
     },
     {
       title: "Task Navigation & Viewing",
       color: "magenta",
       commands: [
-        { name: "next", args: "", desc: "Show the next task to work on based on dependencies" },
+        { name: "next", args: "[--for=<name>] [--explain]", desc: "Show the next task to work on based on dependencies" },
         { name: "show", args: "<id>", desc: "Display detailed information about a specific task" },
+        { name: "tree", args: "<id> [--all]", desc: "Show the chain of unfinished prerequisites of a task" },
+        { name: "blocked", args: "", desc: "List blocked tasks and what each is waiting on" },
       ],
     },
     {
@@ -278,7 +370,9 @@ function displayHelp() {
       color: "blue",
       commands: [
         { name: "validate-dependencies", args: "", desc: "Identify invalid dependencies without fixing them" },
-        { name: "fix-dependencies", args: "", desc: "Fix invalid dependencies automatically" },
+        { name: "fix-dependencies", args: "[--dry-run] [--json]", desc: "Fix invalid dependencies automatically, or list the fixes first" },
+        { name: "break-cycles", args: "[--interactive] [--ai]", desc: "Explain dependency cycles and suggest which dependency to cut or task to split" },
+        { name: "graph", args: "[--format=<mermaid|dot|json>] [--id=<id>] [--direction=<dir>]", desc: "Export the dependency graph with cycles and the critical path" },
       ],
     },
   ];
@@ -362,13 +456,23 @@ function displayHelp() {
 
   envTable.push(
     [
-      `${chalk.yellow("ANTHROPIC_API_KEY")}${chalk.reset("")}`,
-      `${chalk.white("Your Anthropic API key")}${chalk.reset("")}`,
-      `${chalk.dim("Required")}${chalk.reset("")}`,
+      `${chalk.yellow("AI_PROVIDER")}${chalk.reset("")}`,
+      `${chalk.white("AI provider (gemini, openai, anthropic, ollama, fixture)")}${chalk.reset("")}`,
+      `${chalk.dim(`Default: ${CONFIG.aiProvider}`)}${chalk.reset("")}`,
+    ],
+    [
+      `${chalk.yellow("AI_PROVIDER_COMMANDS")}${chalk.reset("")}`,
+      `${chalk.white("Per-command providers, e.g. expand=anthropic")}${chalk.reset("")}`,
+      `${chalk.dim("Optional")}${chalk.reset("")}`,
+    ],
+    [
+      `${chalk.yellow("GEMINI_API_KEY")}${chalk.reset("")}`,
+      `${chalk.white("Your Gemini API key (or GOOGLE_API_KEY)")}${chalk.reset("")}`,
+      `${chalk.dim("Required for gemini")}${chalk.reset("")}`,
     ],
     [
       `${chalk.yellow("MODEL")}${chalk.reset("")}`,
-      `${chalk.white("Claude model to use")}${chalk.reset("")}`,
+      `${chalk.white("Gemini model to use")}${chalk.reset("")}`,
       `${chalk.dim(`Default: ${CONFIG.model}`)}${chalk.reset("")}`,
     ],
     [
@@ -448,8 +552,10 @@ function truncateString(str, maxLength) {
 /**
  * Display the next task to work on
  * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - { explain, report, assignee }: whether to show why the task was chosen, the complexity report to weigh
+ *   tasks with, and the person to find work for
  */
-async function displayNextTask(tasksPath) {
+async function displayNextTask(tasksPath, options = {}) {
   displayBanner();
 
   // Read the tasks file
@@ -460,16 +566,24 @@ async function displayNextTask(tasksPath) {
   }
 
   // Find the next task
-  const nextTask = findNextTask(data.tasks);
+  const recommendation = scheduleNextTask(data.tasks, { complexityReport: readComplexityReport(options.report || null), assignee: options.assignee });
+  const nextTask = recommendation.task;
+  const nextSubtask = recommendation.subtask;
 
   if (!nextTask) {
     console.log(
-      boxen(chalk.yellow("No eligible tasks found!\n\n") + "All pending tasks have unsatisfied dependencies, or all tasks are completed.", {
-        padding: { top: 0, bottom: 0, left: 1, right: 1 },
-        borderColor: "yellow",
-        borderStyle: "round",
-        margin: { top: 1 },
-      })
+      boxen(
+        chalk.yellow("No eligible tasks found!\n\n") +
+          (options.assignee
+            ? `No task is ready for ${options.assignee}: the pending tasks have unsatisfied dependencies, or belong to someone else.`
+            : "All pending tasks have unsatisfied dependencies, or all tasks are completed."),
+        {
+          padding: { top: 0, bottom: 0, left: 1, right: 1 },
+          borderColor: "yellow",
+          borderStyle: "round",
+          margin: { top: 1 },
+        }
+      )
     );
     return;
   }
@@ -516,6 +630,7 @@ async function displayNextTask(tasksPath) {
     [chalk.cyan.bold("ID:"), nextTask.id.toString()],
     [chalk.cyan.bold("Title:"), nextTask.title],
     [chalk.cyan.bold("Priority:"), priorityColor(nextTask.priority || "medium")],
+    [chalk.cyan.bold("Assignees:"), formatAssignees(nextTask)],
     [chalk.cyan.bold("Dependencies:"), formatDependenciesWithStatus(nextTask.dependencies, data.tasks, true)],
     [chalk.cyan.bold("Description:"), nextTask.description]
   );
@@ -582,47 +697,23 @@ async function displayNextTask(tasksPath) {
 
     // Add subtasks to table
     nextTask.subtasks.forEach((st) => {
-      const statusColor =
-        {
-          done: chalk.green,
-          completed: chalk.green,
-          pending: chalk.yellow,
-          "in-progress": chalk.blue,
-        }[st.status || "pending"] || chalk.white;
-
-      // Format subtask dependencies
-      let subtaskDeps = "None";
-      if (st.dependencies && st.dependencies.length > 0) {
-        // Format dependencies with correct notation
-        const formattedDeps = st.dependencies.map((depId) => {
-          if (typeof depId === "number" && depId < 100) {
-            const foundSubtask = nextTask.subtasks.find((st) => st.id === depId);
-            if (foundSubtask) {
-              const isDone = foundSubtask.status === "done" || foundSubtask.status === "completed";
-              const isInProgress = foundSubtask.status === "in-progress";
-
-              // Use consistent color formatting instead of emojis
-              if (isDone) {
-                return chalk.green.bold(`${nextTask.id}.${depId}`);
-              } else if (isInProgress) {
-                return chalk.hex("#FFA500").bold(`${nextTask.id}.${depId}`);
-              } else {
-                return chalk.red.bold(`${nextTask.id}.${depId}`);
-              }
-            }
-            return chalk.red(`${nextTask.id}.${depId} (Not found)`);
-          }
-          return depId;
-        });
-
-        // Join the formatted dependencies directly instead of passing to formatDependenciesWithStatus again
-        subtaskDeps = formattedDeps.length === 1 ? formattedDeps[0] : formattedDeps.join(chalk.white(", "));
-      }
+      const subtaskDeps = formatSubtaskDependenciesWithStatus(nextTask, st, data.tasks);
 
-      subtaskTable.push([`${nextTask.id}.${st.id}`, statusColor(st.status || "pending"), st.title, subtaskDeps]);
+      subtaskTable.push([`${nextTask.id}.${st.id}`, getStatusWithColor(st.status || getStatusWorkflow().initialStatus, true), st.title, subtaskDeps]);
     });
 
     console.log(subtaskTable.toString());
+
+    if (nextSubtask) {
+      console.log(
+        boxen(chalk.white.bold(`Next Subtask: #${nextTask.id}.${nextSubtask.id} - ${nextSubtask.title}`), {
+          padding: { top: 0, bottom: 0, left: 1, right: 1 },
+          borderColor: "magenta",
+          borderStyle: "round",
+          margin: { top: 1, bottom: 0 },
+        })
+      );
+    }
   } else {
     // Suggest expanding if no subtasks
     console.log(
@@ -635,16 +726,41 @@ async function displayNextTask(tasksPath) {
     );
   }
 
+  // Explain the choice
+  if (options.explain) {
+    const alternatives = recommendation.candidates.slice(1, 4);
+    console.log(
+      boxen(
+        chalk.white.bold(`Why task ${nextTask.id} (score ${recommendation.score}):`) +
+          "\n" +
+          recommendation.reasons.map((reason) => `${chalk.cyan("•")} ${reason}`).join("\n") +
+          (alternatives.length > 0
+            ? "\n\n" +
+              chalk.white.bold("Other ready tasks:") +
+              "\n" +
+              alternatives
+                .map((candidate) => `${chalk.cyan(`#${candidate.task.id}`)} ${truncate(candidate.task.title, 40)} ${chalk.gray(`(score ${candidate.score})`)}`)
+                .join("\n")
+            : ""),
+        { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: "cyan", borderStyle: "round", margin: { top: 1, bottom: 0 } }
+      )
+    );
+  }
+
   // Show action suggestions
+  const workId = nextSubtask ? `${nextTask.id}.${nextSubtask.id}` : nextTask.id;
   console.log(
     boxen(
       chalk.white.bold("Suggested Actions:") +
         "\n" +
-        `${chalk.cyan("1.")} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${nextTask.id} --status=in-progress`)}\n` +
-        `${chalk.cyan("2.")} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${nextTask.id} --status=done`)}\n` +
-        (nextTask.subtasks && nextTask.subtasks.length > 0
-          ? `${chalk.cyan("3.")} Update subtask status: ${chalk.yellow(`task-master set-status --id=${nextTask.id}.1 --status=done`)}`
-          : `${chalk.cyan("3.")} Break down into subtasks: ${chalk.yellow(`task-master expand --id=${nextTask.id}`)}`),
+        `${chalk.cyan("1.")} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${workId} --status=in-progress`)}\n` +
+        `${chalk.cyan("2.")} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${workId} --status=done`)}\n` +
+        (nextSubtask
+          ? `${chalk.cyan("3.")} View the parent task: ${chalk.yellow(`task-master show ${nextTask.id}`)}`
+          : nextTask.subtasks && nextTask.subtasks.length > 0
+            ? `${chalk.cyan("3.")} Update subtask status: ${chalk.yellow(`task-master set-status --id=${nextTask.id}.1 --status=done`)}`
+            : `${chalk.cyan("3.")} Break down into subtasks: ${chalk.yellow(`task-master expand --id=${nextTask.id}`)}`) +
+        (options.explain ? "" : `\n${chalk.cyan("4.")} See why this task was chosen: ${chalk.yellow("task-master next --explain")}`),
       { padding: { top: 0, bottom: 0, left: 1, right: 1 }, borderColor: "green", borderStyle: "round", margin: { top: 1 } }
     )
   );
@@ -715,7 +831,9 @@ async function displayTaskById(tasksPath, taskId) {
       [chalk.cyan.bold("ID:"), `${task.parentTask.id}.${task.id}`],
       [chalk.cyan.bold("Parent Task:"), `#${task.parentTask.id} - ${task.parentTask.title}`],
       [chalk.cyan.bold("Title:"), task.title],
-      [chalk.cyan.bold("Status:"), getStatusWithColor(task.status || "pending", true)],
+      [chalk.cyan.bold("Status:"), getStatusWithColor(task.status || getStatusWorkflow().initialStatus, true)],
+      [chalk.cyan.bold("Assignees:"), formatAssignees(task)],
+      [chalk.cyan.bold("Effort:"), formatEffort(task)],
       [chalk.cyan.bold("Description:"), task.description || "No description provided."]
     );
 
@@ -781,8 +899,10 @@ async function displayTaskById(tasksPath, taskId) {
   taskTable.push(
     [chalk.cyan.bold("ID:"), task.id.toString()],
     [chalk.cyan.bold("Title:"), task.title],
-    [chalk.cyan.bold("Status:"), getStatusWithColor(task.status || "pending", true)],
+    [chalk.cyan.bold("Status:"), getStatusWithColor(task.status || getStatusWorkflow().initialStatus, true)],
     [chalk.cyan.bold("Priority:"), priorityColor(task.priority || "medium")],
+    [chalk.cyan.bold("Assignees:"), formatAssignees(task)],
+    [chalk.cyan.bold("Effort:"), formatEffort(task)],
     [chalk.cyan.bold("Dependencies:"), formatDependenciesWithStatus(task.dependencies, data.tasks, true)],
     [chalk.cyan.bold("Description:"), task.description]
   );
@@ -861,44 +981,9 @@ async function displayTaskById(tasksPath, taskId) {
 
     // Add subtasks to table
     task.subtasks.forEach((st) => {
-      const statusColor =
-        {
-          done: chalk.green,
-          completed: chalk.green,
-          pending: chalk.yellow,
-          "in-progress": chalk.blue,
-        }[st.status || "pending"] || chalk.white;
-
-      // Format subtask dependencies
-      let subtaskDeps = "None";
-      if (st.dependencies && st.dependencies.length > 0) {
-        // Format dependencies with correct notation
-        const formattedDeps = st.dependencies.map((depId) => {
-          if (typeof depId === "number" && depId < 100) {
-            const foundSubtask = task.subtasks.find((st) => st.id === depId);
-            if (foundSubtask) {
-              const isDone = foundSubtask.status === "done" || foundSubtask.status === "completed";
-              const isInProgress = foundSubtask.status === "in-progress";
-
-              // Use consistent color formatting instead of emojis
-              if (isDone) {
-                return chalk.green.bold(`${task.id}.${depId}`);
-              } else if (isInProgress) {
-                return chalk.hex("#FFA500").bold(`${task.id}.${depId}`);
-              } else {
-                return chalk.red.bold(`${task.id}.${depId}`);
-              }
-            }
-            return chalk.red(`${task.id}.${depId} (Not found)`);
-          }
-          return depId;
-        });
-
-        // Join the formatted dependencies directly instead of passing to formatDependenciesWithStatus again
-        subtaskDeps = formattedDeps.length === 1 ? formattedDeps[0] : formattedDeps.join(chalk.white(", "));
-      }
+      const subtaskDeps = formatSubtaskDependenciesWithStatus(task, st, data.tasks);
 
-      subtaskTable.push([`${task.id}.${st.id}`, statusColor(st.status || "pending"), st.title, subtaskDeps]);
+      subtaskTable.push([`${task.id}.${st.id}`, getStatusWithColor(st.status || getStatusWorkflow().initialStatus, true), st.title, subtaskDeps]);
     });
 
     console.log(subtaskTable.toString());
@@ -1146,16 +1231,831 @@ async function displayComplexityReport(reportPath) {
 }
 
 // Export UI functions
+/**
+ * Display the difference between the current tasks and a revised PRD
+ * @param {Object} diff - Result of diffTaskSets
+ */
+function displayTaskDiff(diff) {
+  const summary = [
+    chalk.green(`${diff.added.length} added`),
+    chalk.yellow(`${diff.changed.length} changed`),
+    chalk.red(`${diff.obsolete.length} obsolete`),
+    ...(diff.rejected.length > 0 ? [chalk.red(`${diff.rejected.length} rejected`)] : []),
+    chalk.gray(`${diff.unchanged.length} unchanged`),
+    chalk.blue(`${diff.preserved.length} done (kept as is)`),
+  ].join(chalk.gray(" | "));
+
+  console.log(
+    boxen(chalk.white.bold("PRD Merge Preview") + "\n\n" + summary, {
+      padding: 1,
+      borderColor: "blue",
+      borderStyle: "round",
+      margin: { top: 1, bottom: 1 },
+    })
+  );
+
+  const rows = [
+    ...diff.added.map((task) => [chalk.green("+ add"), task.id, truncate(task.title, 45), chalk.gray(`deps: ${task.dependencies.join(", ") || "none"}`)]),
+    ...diff.changed.flatMap((change) => [
+      [
+        chalk.yellow("~ change"),
+        change.id,
+        truncate(change.existing.title, 45),
+        change.fields.includes("title")
+          ? `${chalk.white("title")} → ${truncate(change.proposed.title, 40)}` +
+            (change.fields.length > 1 ? chalk.gray(`\n+ ${change.fields.filter((field) => field !== "title").join(", ")}`) : "")
+          : change.fields.join(", "),
+      ],
+      // Removed dependencies get their own line, so dropping one is never hidden behind "dependencies"
+      ...(change.removedDependencies && change.removedDependencies.length > 0
+        ? [[chalk.red("- deps"), change.id, "", `removes ${change.removedDependencies.join(", ")}` + chalk.gray(" (no longer in the PRD)")]]
+        : []),
+    ]),
+    ...diff.obsolete.map((task) => [chalk.red("- obsolete"), task.id, truncate(task.title, 45), chalk.gray(`will be marked ${diff.obsoleteStatus}`)]),
+    ...diff.rejected.map((entry) => [
+      chalk.red.bold("✗ obsolete"),
+      entry.id,
+      truncate(entry.existing.title, 45),
+      chalk.gray(`no longer in PRD, status kept: ${entry.reason}`),
+    ]),
+    ...diff.preserved
+      .filter((entry) => entry.fields.length > 0 || !entry.proposed)
+      .map((entry) => [
+        chalk.blue("= done"),
+        entry.id,
+        truncate(entry.existing.title, 45),
+        chalk.gray(entry.proposed ? `PRD changes ignored: ${entry.fields.join(", ")}` : "no longer in PRD, kept"),
+      ]),
+  ];
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan.bold("Change"), chalk.cyan.bold("ID"), chalk.cyan.bold("Title"), chalk.cyan.bold("Details")],
+    colWidths: [12, 6, 48, 50],
+    wordWrap: true,
+  });
+  rows.forEach((row) => table.push(row));
+  console.log(table.toString());
+}
+
+/**
+ * Format a synced field value for display
+ * @param {*} value - Field value
+ * @returns {string} Short single-line description
+ */
+function formatSyncValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(", ") : "none";
+  }
+  if (value === undefined || value === null || value === "") {
+    return chalk.gray("(empty)");
+  }
+  return truncate(String(value).replace(/\s+/g, " "), 40);
+}
+
+/**
+ * Display the result of syncing task files back into tasks.json
+ * @param {Object} plan - Plan from planTaskFileSync ({ results, skipped })
+ * @param {Object} options - { dryRun }
+ */
+function displayTaskFileSync(plan, options = {}) {
+  const changes = plan.results.flatMap((result) => result.changes);
+  const conflicts = plan.results.flatMap((result) => result.conflicts);
+  const unresolved = conflicts.filter((conflict) => conflict.resolvedWith === "json");
+  const rejected = plan.results.flatMap((result) => result.rejected || []);
+  const cascaded = plan.results.flatMap((result) => result.cascaded || []);
+
+  const summary = [
+    chalk.green(`${changes.length} change${changes.length === 1 ? "" : "s"}${options.dryRun ? " found" : " applied"}`),
+    chalk.red(`${conflicts.length} conflict${conflicts.length === 1 ? "" : "s"}`),
+    ...(rejected.length > 0 ? [chalk.red(`${rejected.length} rejected`)] : []),
+    chalk.gray(`${plan.results.length} files checked`),
+  ].join(chalk.gray(" | "));
+
+  console.log(
+    boxen(chalk.white.bold(options.dryRun ? "Task File Sync (dry run)" : "Task File Sync") + "\n\n" + summary, {
+      padding: 1,
+      borderColor: "blue",
+      borderStyle: "round",
+      margin: { top: 1, bottom: 1 },
+    })
+  );
+
+  const describeChange = (change) => {
+    if (change.type === "add-subtask") {
+      return [chalk.green("+ subtask"), change.id, truncate(change.subtask.title, 60)];
+    }
+    if (change.type === "remove-subtask") {
+      return [chalk.red("- subtask"), change.id, ""];
+    }
+    return [chalk.yellow(`~ ${change.field}`), change.id, `${formatSyncValue(change.from)} → ${formatSyncValue(change.to)}`];
+  };
+
+  const rows = [
+    ...changes.map(describeChange),
+    ...cascaded.map((change) => [
+      chalk.cyan("↳ status"),
+      change.id,
+      `${formatSyncValue(change.oldStatus)} → ${formatSyncValue(change.newStatus)}\n` + chalk.gray(`because ${change.reason}`),
+    ]),
+    ...conflicts.map((conflict) => [
+      chalk.red.bold(`! ${conflict.field}`),
+      conflict.id,
+      `file: ${formatSyncValue(conflict.file)}\njson: ${formatSyncValue(conflict.json)}\n` +
+        chalk.gray(conflict.resolvedWith === "file" ? "kept the file version" : "kept tasks.json, file left untouched"),
+    ]),
+    ...rejected.map((change) => {
+      const [, id, details] = describeChange(change);
+      return [chalk.red.bold("✗ rejected"), id, `${details}\n` + chalk.gray(`${change.reason}\nfile left untouched`)];
+    }),
+    ...plan.skipped.map((entry) => [chalk.gray("skipped"), entry.file, chalk.gray(entry.reason)]),
+  ];
+
+  if (rows.length > 0) {
+    const table = new Table({
+      head: [chalk.cyan.bold("Change"), chalk.cyan.bold("ID"), chalk.cyan.bold("Details")],
+      colWidths: [18, 14, 84],
+      wordWrap: true,
+    });
+    rows.forEach((row) => table.push(row));
+    console.log(table.toString());
+  } else {
+    console.log(chalk.green("Task files and tasks.json are in sync."));
+  }
+
+  if (unresolved.length > 0) {
+    console.log(
+      boxen(
+        chalk.yellow.bold("Conflicts were not applied") +
+          "\n\n" +
+          "These fields changed in both the file and tasks.json.\n" +
+          "Edit one side to match, or keep the file versions with:\n" +
+          chalk.yellow("task-master sync-files --prefer=file"),
+        { padding: 1, borderColor: "yellow", borderStyle: "round", margin: { top: 1 } }
+      )
+    );
+  }
+
+  if (rejected.length > 0) {
+    console.log(
+      boxen(
+        chalk.red.bold("Status edits were not applied") +
+          "\n\n" +
+          "These status changes are not allowed by the status workflow.\n" +
+          "Fix the status in the file, or move the task through the allowed statuses with set-status.",
+        { padding: 1, borderColor: "red", borderStyle: "round", margin: { top: 1 } }
+      )
+    );
+  }
+}
+
+/**
+ * Display the dependencies fix-dependencies removes, or would remove in a dry run, and why
+ * @param {Object[]} changes - Fix records { id, dependency, reason, message }
+ * @param {Object} options - { dryRun }
+ */
+function displayDependencyFixPlan(changes, options = {}) {
+  if (options.dryRun) {
+    const summary =
+      changes.length > 0
+        ? chalk.yellow(`${changes.length} dependenc${changes.length === 1 ? "y" : "ies"} would be removed`) + chalk.gray(" | nothing was written")
+        : chalk.green("No changes needed - all dependencies are valid");
+    console.log(
+      boxen(chalk.white.bold("Dependency Fixes (dry run)") + "\n\n" + summary, {
+        padding: 1,
+        borderColor: "blue",
+        borderStyle: "round",
+        margin: { top: 1, bottom: 1 },
+      })
+    );
+  }
+
+  if (changes.length === 0) {
+    return;
+  }
+
+  const reasonColors = { duplicate: chalk.gray, self: chalk.yellow, missing: chalk.red, circular: chalk.magenta, sibling: chalk.blue };
+  const table = new Table({
+    head: [chalk.cyan.bold("ID"), chalk.cyan.bold("Remove"), chalk.cyan.bold("Reason"), chalk.cyan.bold("Details")],
+    colWidths: [10, 10, 12, 70],
+    wordWrap: true,
+  });
+  changes.forEach((change) => {
+    table.push([change.id, String(change.dependency), (reasonColors[change.reason] || chalk.white)(change.reason), change.message]);
+  });
+  console.log(table.toString());
+
+  if (options.dryRun) {
+    console.log(`\n${chalk.cyan("Apply them with:")} ${chalk.yellow("task-master fix-dependencies")}`);
+  }
+  if (changes.some((change) => change.reason === "circular")) {
+    console.log(`${chalk.cyan("To choose which dependency of a cycle to cut:")} ${chalk.yellow("task-master break-cycles --interactive")}`);
+  }
+}
+
+/**
+ * Display how to break a dependency cycle: the explanation, the ranked cuts and the split proposal
+ * @param {Object} suggestion - Suggestion from suggestCycleBreak or mergeAICycleBreak
+ * @param {Object} options - { index, total } to number the cycles, { interactive } to show the choices
+ */
+function displayCycleSuggestion(suggestion, options = {}) {
+  const heading = options.total ? `Dependency Cycle ${options.index + 1} of ${options.total}` : "Dependency Cycle";
+  console.log(
+    boxen(
+      chalk.yellow.bold(heading) +
+        (suggestion.source === "ai" ? chalk.gray(" (suggested by AI)") : "") +
+        "\n\n" +
+        chalk.white(suggestion.explanation),
+      { padding: 1, borderColor: "yellow", borderStyle: "round", margin: { top: 1, bottom: 1 } }
+    )
+  );
+
+  const table = new Table({
+    head: [chalk.cyan.bold("#"), chalk.cyan.bold("Cut"), chalk.cyan.bold("Why")],
+    colWidths: [5, 34, 61],
+    wordWrap: true,
+  });
+  suggestion.cuts.forEach((cut, position) => {
+    table.push([
+      options.interactive ? chalk.yellow(String(position + 1)) : String(position + 1),
+      `${cut.id} no longer waits on ${cut.dependsOn}`,
+      cut.reasons.length > 0 ? cut.reasons.join("\n") : chalk.gray("Nothing points either way"),
+    ]);
+  });
+  console.log(chalk.white.bold("Dependencies to cut, best first:"));
+  console.log(table.toString());
+
+  if (suggestion.split) {
+    const { split } = suggestion;
+    console.log(
+      boxen(
+        chalk.white.bold(`${options.interactive ? chalk.yellow("s") + "  " : ""}Or split ${split.id} in two`) +
+          "\n" +
+          chalk.gray(split.reason) +
+          "\n\n" +
+          `${chalk.cyan("Part 1")} (keeps ID ${split.id}, needed by ${split.neededBy}): ${split.first.title}\n` +
+          chalk.gray(split.first.description) +
+          "\n" +
+          `${chalk.cyan("Part 2")} (new, waits on part 1 and ${split.waitsOn}): ${split.second.title}\n` +
+          chalk.gray(split.second.description),
+        { padding: 1, borderColor: "blue", borderStyle: "round", margin: { top: 1, bottom: 1 } }
+      )
+    );
+  }
+}
+
+/**
+ * Format recorded command arguments for the history table
+ * @param {Object} args - Command options and arguments
+ * @returns {string} Arguments as --name=value pairs
+ */
+function formatHistoryArgs(args) {
+  return Object.entries(args || {})
+    .filter(([, value]) => value !== undefined && value !== false && !(Array.isArray(value) && value.length === 0))
+    .map(([name, value]) => (value === true ? `--${name}` : `--${name}=${Array.isArray(value) ? value.join(" ") : value}`))
+    .join(" ");
+}
+
+/**
+ * Display the undo/redo history of the tasks file
+ * @param {Object} history - { position, entries } from getTaskHistory
+ * @param {number} limit - Maximum number of entries to show (most recent first)
+ */
+function displayTaskHistory(history, limit = 20) {
+  if (history.entries.length === 0) {
+    console.log(
+      boxen(chalk.yellow("No changes recorded yet.") + "\n\n" + chalk.white("Commands that modify the tasks are recorded here and can be undone."), {
+        padding: 1,
+        borderColor: "yellow",
+        borderStyle: "round",
+        margin: { top: 1 },
+      })
+    );
+    return;
+  }
+
+  const undoable = history.position;
+  const redoable = history.entries.length - history.position;
+  const summary = [
+    chalk.green(`${undoable} change${undoable === 1 ? "" : "s"} to undo`),
+    chalk.yellow(`${redoable} to redo`),
+  ].join(chalk.gray(" | "));
+
+  console.log(
+    boxen(chalk.white.bold("Task History") + "\n\n" + summary, {
+      padding: 1,
+      borderColor: "blue",
+      borderStyle: "round",
+      margin: { top: 1, bottom: 1 },
+    })
+  );
+
+  const table = new Table({
+    head: [chalk.cyan.bold("#"), chalk.cyan.bold("When"), chalk.cyan.bold("Command"), chalk.cyan.bold("State")],
+    colWidths: [6, 25, 70, 12],
+    wordWrap: true,
+  });
+
+  history.entries
+    .slice()
+    .reverse()
+    .slice(0, limit)
+    .forEach((entry) => {
+      const command = `${entry.command} ${formatHistoryArgs(entry.args)}`.trim();
+      table.push([
+        entry.id,
+        new Date(entry.timestamp).toLocaleString(),
+        entry.applied ? command : chalk.gray(command),
+        entry.applied ? chalk.green("applied") : chalk.gray("undone"),
+      ]);
+    });
+
+  console.log(table.toString());
+
+  if (history.entries.length > limit) {
+    console.log(chalk.gray(`Showing the ${limit} most recent of ${history.entries.length} changes.`));
+  }
+}
+
+/**
+ * Format a cost in USD for display
+ * @param {number} cost - Cost in USD
+ * @param {number} unpricedCalls - Calls without a known price
+ * @returns {string} Formatted cost
+ */
+function formatCost(cost, unpricedCalls = 0) {
+  const formatted = `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+  return unpricedCalls > 0 ? `${formatted}${chalk.gray("*")}` : formatted;
+}
+
+/**
+ * Display the AI usage ledger with breakdowns
+ * @param {string} ledgerPath - Path to the usage ledger
+ * @param {Object} options - Report options
+ * @param {string} options.by - Show a single breakdown (day, command, task or model)
+ * @param {string} options.since - Only include calls on or after this date (YYYY-MM-DD)
+ */
+function displayUsageReport(ledgerPath, options = {}) {
+  const entries = filterUsageSince(readUsageLedger(ledgerPath), options.since);
+
+  if (entries.length === 0) {
+    console.log(
+      boxen(chalk.yellow(`No AI usage recorded in ${ledgerPath}${options.since ? ` since ${options.since}` : ""}`), {
+        padding: 1,
+        borderColor: "yellow",
+        borderStyle: "round",
+      })
+    );
+    return;
+  }
+
+  const [total] = summarizeUsage(entries.map((entry) => ({ ...entry, command: "total" })), "command");
+  console.log(
+    boxen(
+      chalk.white.bold("AI Usage") +
+        "\n\n" +
+        `${chalk.cyan("Calls:")} ${total.calls}\n` +
+        `${chalk.cyan("Input tokens:")} ${total.inputTokens.toLocaleString()}\n` +
+        `${chalk.cyan("Output tokens:")} ${total.outputTokens.toLocaleString()}\n` +
+        `${chalk.cyan("Time spent waiting:")} ${(total.durationMs / 1000).toFixed(1)}s\n` +
+        `${chalk.cyan("Estimated cost:")} ${formatCost(total.cost, total.unpricedCalls)}`,
+      { padding: 1, borderColor: "blue", borderStyle: "round", margin: { top: 1, bottom: 1 } }
+    )
+  );
+
+  const titles = { day: "By Day", command: "By Command", task: "By Task", model: "By Model" };
+  const groupings = options.by ? [options.by] : ["day", "command", "task"];
+
+  groupings.forEach((by) => {
+    const rows = summarizeUsage(entries, by);
+    const table = new Table({
+      head: [
+        chalk.cyan.bold(titles[by] || by),
+        chalk.cyan.bold("Calls"),
+        chalk.cyan.bold("Input"),
+        chalk.cyan.bold("Output"),
+        chalk.cyan.bold("Avg Latency"),
+        chalk.cyan.bold("Cost"),
+      ],
+      colWidths: [24, 8, 12, 12, 13, 12],
+    });
+
+    rows.forEach((row) => {
+      table.push([
+        truncate(row.key, 22),
+        row.calls,
+        row.inputTokens.toLocaleString(),
+        row.outputTokens.toLocaleString(),
+        `${(row.durationMs / row.calls / 1000).toFixed(1)}s`,
+        formatCost(row.cost, row.unpricedCalls),
+      ]);
+    });
+
+    console.log(table.toString());
+  });
+
+  if (total.unpricedCalls > 0) {
+    console.log(chalk.gray(`* ${total.unpricedCalls} call(s) used models without a price; set AI_PRICE_TABLE to include them.`));
+  }
+}
+
+/**
+ * Render a prerequisite tree as indented lines
+ * @param {Object} entry - Tree entry from buildDependencyTree
+ * @param {string} prefix - Indentation of the entry's children
+ * @returns {string[]} Lines for the entry's children, drawn with box characters
+ */
+function formatTreeLines(entry, prefix = "") {
+  const branches = [
+    ...entry.children.map((child) => ({ child })),
+    ...entry.missing.map((id) => ({ missing: id })),
+  ];
+
+  return branches.flatMap((branch, position) => {
+    const last = position === branches.length - 1;
+    const connector = chalk.gray(last ? "└── " : "├── ");
+    if (branch.missing !== undefined) {
+      return [`${prefix}${connector}${chalk.red(`${branch.missing} does not exist`)}`];
+    }
+
+    const { child } = branch;
+    const note = child.cycle ? chalk.red(" (cycle)") : child.repeated ? chalk.gray(" (see above)") : child.ready ? chalk.green(" ← ready to work on") : "";
+
+    return [`${prefix}${connector}${formatGraphNode(child.node)}${note}`, ...formatTreeLines(child, prefix + chalk.gray(last ? "    " : "│   "))];
+  });
+}
+
+/**
+ * Display the chain of unfinished prerequisites of a task or subtask
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - Task or subtask ID
+ * @param {Object} options - { all } to include finished prerequisites
+ */
+function displayDependencyTree(tasksPath, taskId, options = {}) {
+  displayBanner();
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    log("error", "No valid tasks found.");
+    process.exit(1);
+  }
+
+  let tree;
+  try {
+    tree = buildDependencyTree(buildDependencyGraph(data.tasks), taskId, { all: options.all });
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  const lines = formatTreeLines(tree);
+  if (lines.length === 0) {
+    console.log(
+      boxen(chalk.green(`${tree.node.type === "task" ? "Task" : "Subtask"} ${tree.id} is not waiting on any unfinished task.`), {
+        padding: 1,
+        borderColor: "green",
+        borderStyle: "round",
+        margin: { top: 1 },
+      })
+    );
+    return;
+  }
+
+  console.log(
+    boxen(chalk.white.bold(`Dependency tree: ${tree.node.type === "task" ? "#" : ""}${tree.id} - ${tree.node.title}`), {
+      padding: { top: 0, bottom: 0, left: 1, right: 1 },
+      borderColor: "blue",
+      borderStyle: "round",
+      margin: { top: 1, bottom: 1 },
+    })
+  );
+  console.log(formatGraphNode(tree.node));
+  lines.forEach((line) => console.log(line));
+
+  const readyIds = new Set();
+  const collectReady = (entry) =>
+    entry.children.forEach((child) => {
+      if (child.ready) readyIds.add(child.id);
+      collectReady(child);
+    });
+  collectReady(tree);
+  const startable = readyIds.size;
+  console.log(
+    "\n" +
+      chalk.gray(
+        `${startable} prerequisite${startable === 1 ? " is" : "s are"} ready to work on.` +
+          (options.all ? "" : " Use --all to include finished prerequisites.")
+      )
+  );
+}
+
+/**
+ * Display every open task and subtask that waits on unfinished prerequisites
+ * @param {string} tasksPath - Path to the tasks.json file
+ */
+function displayBlockedTasks(tasksPath) {
+  displayBanner();
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    log("error", "No valid tasks found.");
+    process.exit(1);
+  }
+
+  const { blocked, blockers } = findBlockedItems(buildDependencyGraph(data.tasks));
+  if (blocked.length === 0) {
+    console.log(
+      boxen(chalk.green("No task or subtask is waiting on unfinished prerequisites."), {
+        padding: 1,
+        borderColor: "green",
+        borderStyle: "round",
+        margin: { top: 1 },
+      })
+    );
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan.bold("ID"), chalk.cyan.bold("Title"), chalk.cyan.bold("Status"), chalk.cyan.bold("Waiting on")],
+    colWidths: [8, 34, 15, Math.max(30, Math.min(60, (process.stdout.columns || 120) - 62))],
+    wordWrap: true,
+  });
+
+  blocked.forEach(({ node, waitingOn, missing }) => {
+    table.push([
+      node.id,
+      truncate(node.title, 32),
+      getStatusWithColor(node.status, true),
+      [...waitingOn.map(formatGraphNode), ...missing.map((id) => chalk.red(`${id} does not exist`))].join("\n"),
+    ]);
+  });
+
+  console.log(chalk.white.bold(`\nBlocked (${blocked.length}):`));
+  console.log(table.toString());
+
+  if (blockers.length > 0) {
+    console.log(
+      boxen(
+        chalk.white.bold("Finish these to unblock the most work:") +
+          "\n" +
+          blockers
+            .slice(0, 5)
+            .map(({ node, holdsUp }) => `${formatGraphNode(node)} ${chalk.gray(`unblocks ${holdsUp} item${holdsUp === 1 ? "" : "s"}`)}`)
+            .join("\n") +
+          `\n\n${chalk.cyan("See a full chain with:")} ${chalk.yellow("task-master tree <id>")}`,
+        { padding: 1, borderColor: "yellow", borderStyle: "round", margin: { top: 1 } }
+      )
+    );
+  }
+}
+
+/**
+ * Format how far logged time is from the estimate
+ * @param {number|null} ratio - Actual hours divided by estimated hours
+ * @returns {string} e.g. "1.25x (25% over)", or "-" when nothing can be compared
+ */
+function formatEstimateAccuracy(ratio) {
+  if (ratio === null) {
+    return chalk.gray("-");
+  }
+  const percent = Math.round(Math.abs(ratio - 1) * 100);
+  const text = `${ratio.toFixed(2)}x${percent > 0 ? ` (${percent}% ${ratio > 1 ? "over" : "under"})` : ""}`;
+  return ratio > 1.1 ? chalk.red(text) : ratio < 0.9 ? chalk.yellow(text) : chalk.green(text);
+}
+
+/**
+ * Display the comparison of estimated and logged effort per task and per complexity band
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - { report }: complexity report that defines the bands
+ */
+function displayTimeReport(tasksPath, options = {}) {
+  displayBanner();
+
+  const data = readJSON(tasksPath);
+  if (!data || !data.tasks) {
+    log("error", "No valid tasks found.");
+    process.exit(1);
+  }
+
+  const report = buildEffortReport(data.tasks, readComplexityReport(options.report || null));
+  if (report.tasks.length === 0) {
+    console.log(
+      boxen(
+        chalk.yellow("No estimates or logged time yet.\n\n") +
+          `Estimate work with ${chalk.cyan("task-master estimate --id=<id> --hours=<n>")} and log it with ${chalk.cyan("task-master start --id=<id>")} / ${chalk.cyan("task-master stop")}.`,
+        { padding: 1, borderColor: "yellow", borderStyle: "round", margin: { top: 1 } }
+      )
+    );
+    return;
+  }
+
+  const { totals } = report;
+  console.log(
+    boxen(
+      chalk.white.bold("Estimates vs. Actuals") +
+        "\n\n" +
+        `${chalk.cyan("Tasks with estimates or logged time:")} ${totals.tasks}\n` +
+        `${chalk.cyan("Compared (hour estimate and logged time):")} ${totals.compared}\n` +
+        `${chalk.cyan("Estimated:")} ${totals.estimatedHours}h  ${chalk.cyan("Actual:")} ${totals.actualHours}h\n` +
+        `${chalk.cyan("Actual / estimate:")} ${formatEstimateAccuracy(totals.ratio)}` +
+        (totals.hoursPerPoint !== null ? `\n${chalk.cyan("Hours per story point:")} ${totals.hoursPerPoint}` : ""),
+      { padding: 1, borderColor: "blue", borderStyle: "round", margin: { top: 1, bottom: 1 } }
+    )
+  );
+
+  const taskTable = new Table({
+    head: [
+      chalk.cyan.bold("ID"),
+      chalk.cyan.bold("Title"),
+      chalk.cyan.bold("Status"),
+      chalk.cyan.bold("Score"),
+      chalk.cyan.bold("Estimate"),
+      chalk.cyan.bold("Actual"),
+      chalk.cyan.bold("Variance"),
+    ],
+    colWidths: [6, 34, 14, 7, 13, 10, 10],
+  });
+
+  report.tasks.forEach((row) => {
+    taskTable.push([
+      row.id,
+      truncate(row.title, 32),
+      getStatusWithColor(row.status, true),
+      row.complexityScore !== null ? getComplexityWithColor(row.complexityScore) : chalk.gray("-"),
+      formatEstimate(row.estimate) || chalk.gray("-"),
+      row.actualHours > 0 ? `${row.actualHours}h` : chalk.gray("-"),
+      row.variance === null ? chalk.gray("-") : row.variance > 0 ? chalk.red(`+${row.variance}h`) : chalk.green(`${row.variance}h`),
+    ]);
+  });
+
+  console.log(taskTable.toString());
+
+  const bandTable = new Table({
+    head: [
+      chalk.cyan.bold("Complexity"),
+      chalk.cyan.bold("Tasks"),
+      chalk.cyan.bold("Compared"),
+      chalk.cyan.bold("Estimated"),
+      chalk.cyan.bold("Actual"),
+      chalk.cyan.bold("Actual / Est."),
+      chalk.cyan.bold("h/pt"),
+    ],
+    colWidths: [14, 7, 10, 11, 9, 20, 7],
+  });
+
+  report.bands.forEach((band) => {
+    bandTable.push([
+      band.label,
+      band.tasks,
+      band.compared,
+      band.compared > 0 ? `${band.estimatedHours}h` : chalk.gray("-"),
+      band.compared > 0 ? `${band.actualHours}h` : chalk.gray("-"),
+      formatEstimateAccuracy(band.ratio),
+      band.hoursPerPoint !== null ? band.hoursPerPoint : chalk.gray("-"),
+    ]);
+  });
+
+  console.log(bandTable.toString());
+
+  if (report.running.length > 0) {
+    console.log(
+      chalk.green(
+        `Running: ${report.running.map((timer) => `${timer.id}${timer.by ? ` (${timer.by})` : ""} for ${formatDuration(timer.minutes)}`).join(", ")}`
+      )
+    );
+  }
+  if (!readComplexityReport(options.report || null)) {
+    console.log(chalk.gray("* Run task-master analyze-complexity to group tasks by complexity score."));
+  }
+}
+
+/**
+ * Ask the user a yes/no question on the terminal
+ * @param {string} message - Question to ask
+ * @returns {Promise<boolean>} True if the user answered yes
+ */
+async function confirmAction(message) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  const answer = await new Promise((resolve) => {
+    rl.question(chalk.cyan(`${message} (y/N): `), resolve);
+  });
+  rl.close();
+
+  return ["y", "yes"].includes(answer.trim().toLowerCase());
+}
+
+/**
+ * Ask the user for a line of text on the terminal
+ * @param {string} message - Prompt to show
+ * @param {string} defaultValue - Value used when the user just presses Enter
+ * @returns {Promise<string>} The answer
+ */
+async function promptInput(message, defaultValue = "") {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  const answer = await new Promise((resolve) => {
+    rl.question(chalk.cyan(`${message}${defaultValue ? chalk.gray(" (Enter to keep)") : ""}: `), resolve);
+  });
+  rl.close();
+
+  return answer.trim() === "" ? defaultValue : answer.trim();
+}
+
+/**
+ * Show the task text that was sent when a provider's safety filters blocked a generation
+ * @param {Object} task - Task whose text was in the prompt
+ * @param {Error} error - AIServiceError of type "safety"
+ * @param {string} additionalContext - Extra context that was part of the prompt
+ */
+function displaySafetyBlock(task, error, additionalContext = "") {
+  const safety = error.safety || {};
+  const categories = safety.categories && safety.categories.length > 0 ? safety.categories.join(", ") : "not reported";
+
+  let content =
+    chalk.red.bold(`Generation for task ${task.id} was blocked by ${error.provider || "the provider"}'s safety filters`) +
+    "\n\n" +
+    `${chalk.cyan("Blocked:")} ${safety.source === "prompt" ? "the prompt" : "the response"}${safety.reason ? ` (${safety.reason})` : ""}\n` +
+    `${chalk.cyan("Categories:")} ${categories}\n\n` +
+    chalk.white.bold("Task text sent to the model:") +
+    "\n" +
+    `${chalk.cyan("Title:")} ${task.title}\n` +
+    `${chalk.cyan("Description:")} ${task.description || ""}\n` +
+    `${chalk.cyan("Details:")} ${task.details || ""}`;
+  if (additionalContext) {
+    content += `\n${chalk.cyan("Additional context:")} ${additionalContext}`;
+  }
+
+  console.log(boxen(content, { padding: 1, borderColor: "red", borderStyle: "round", margin: { top: 1, bottom: 1 } }));
+}
+
+/**
+ * Let the user rephrase the task text of a safety-blocked prompt before retrying
+ * @param {Object} task - Task whose text was in the prompt
+ * @param {string} additionalContext - Extra context that was part of the prompt
+ * @returns {Promise<Object|null>} { task, additionalContext } to retry with, or null to give up
+ */
+async function editBlockedPrompt(task, additionalContext = "") {
+  if (!process.stdin.isTTY) {
+    console.log(
+      chalk.yellow(
+        `Rephrase task ${task.id} with ${chalk.cyan(`task-master update --from=${task.id} --prompt="..."`)} or pass different context with ${chalk.cyan("--prompt")}, then expand it again.`
+      )
+    );
+    return null;
+  }
+
+  if (!(await confirmAction("Edit the text sent to the model and retry?"))) {
+    return null;
+  }
+
+  const description = await promptInput("Description", task.description || "");
+  const details = await promptInput("Details", task.details || "");
+  const context = await promptInput("Additional context", additionalContext);
+
+  if (description === (task.description || "") && details === (task.details || "") && context === additionalContext) {
+    console.log(chalk.yellow("Nothing was changed; not retrying."));
+    return null;
+  }
+
+  // Only the prompt changes; the stored task keeps its original text
+  return { task: { ...task, description, details }, additionalContext: context };
+}
+
 export {
   displayBanner,
   startLoadingIndicator,
   stopLoadingIndicator,
   createProgressBar,
   getStatusWithColor,
+  getStatusColor,
   formatDependenciesWithStatus,
+  formatSubtaskDependenciesWithStatus,
   displayHelp,
   getComplexityWithColor,
   displayNextTask,
   displayTaskById,
   displayComplexityReport,
+  displayTaskDiff,
+  displayTaskFileSync,
+  displayDependencyFixPlan,
+  displayCycleSuggestion,
+  displayTaskHistory,
+  displayUsageReport,
+  displayTimeReport,
+  displayDependencyTree,
+  displayBlockedTasks,
+  confirmAction,
+  promptInput,
+  displaySafetyBlock,
+  editBlockedPrompt,
 };
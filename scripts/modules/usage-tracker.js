@@ -0,0 +1,218 @@
+/**
+ * usage-tracker.js
+ * Token, latency and cost accounting for AI calls
+ *
+ * Every live model call appends one JSON line to the project's usage ledger
+ * (tasks/usage.jsonl by default). Replayed calls are not recorded.
+ */
+
+import fs from "fs";
+import path from "path";
+import { CONFIG, log } from "./utils.js";
+
+// Default prices in USD per million tokens, matched by model-name prefix
+const DEFAULT_PRICE_TABLE = {
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "gemini-1.5-pro": { input: 1.25, output: 5.0 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10.0 },
+  "claude-3-7-sonnet": { input: 3.0, output: 15.0 },
+  "claude-3-5-haiku": { input: 0.8, output: 4.0 },
+  "sonar-pro": { input: 3.0, output: 15.0 },
+  sonar: { input: 1.0, output: 1.0 },
+};
+
+/**
+ * Load the price table, merging AI_PRICE_TABLE (a JSON file) over the defaults
+ * @returns {Object} Model prefix -> { input, output } prices per million tokens
+ */
+function getPriceTable() {
+  if (!CONFIG.priceTablePath) {
+    return DEFAULT_PRICE_TABLE;
+  }
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(CONFIG.priceTablePath, "utf8"));
+    return { ...DEFAULT_PRICE_TABLE, ...custom };
+  } catch (error) {
+    log("warn", `Could not read price table ${CONFIG.priceTablePath}: ${error.message}`);
+    return DEFAULT_PRICE_TABLE;
+  }
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {string} model - Model name
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @param {Object} priceTable - Price table to use
+ * @returns {number|null} Cost in USD, or null when the model has no price
+ */
+function estimateCost(model, inputTokens, outputTokens, priceTable = getPriceTable()) {
+  // Use the longest matching prefix so "gpt-4o-mini" does not pick up the "gpt-4o" price
+  const key = Object.keys(priceTable)
+    .filter((prefix) => (model || "").startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) {
+    return null;
+  }
+
+  const price = priceTable[key];
+  return ((inputTokens || 0) * price.input + (outputTokens || 0) * price.output) / 1000000;
+}
+
+/**
+ * Append an entry to the usage ledger. Failures are logged, never thrown.
+ * @param {Object} entry - Usage entry
+ * @param {string} entry.command - CLI command that made the call
+ * @param {string|number} entry.taskId - Task the call was made for, if any
+ * @param {string} entry.provider - Provider name
+ * @param {string} entry.model - Model name
+ * @param {number} entry.inputTokens - Prompt tokens
+ * @param {number} entry.outputTokens - Completion tokens
+ * @param {number} entry.durationMs - Wall-clock duration of the call
+ * @param {string} ledgerPath - Ledger file (defaults to CONFIG.usageLedger)
+ * @returns {Object|null} The written entry
+ */
+function recordUsage(entry, ledgerPath = CONFIG.usageLedger) {
+  const record = {
+    timestamp: new Date().toISOString(),
+    command: entry.command || null,
+    purpose: entry.purpose || null,
+    taskId: entry.taskId === undefined ? null : entry.taskId,
+    provider: entry.provider || null,
+    model: entry.model || null,
+    inputTokens: entry.inputTokens || 0,
+    outputTokens: entry.outputTokens || 0,
+    durationMs: entry.durationMs || 0,
+    cost: estimateCost(entry.model, entry.inputTokens, entry.outputTokens),
+  };
+
+  try {
+    const dir = path.dirname(ledgerPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(ledgerPath, JSON.stringify(record) + "\n");
+    return record;
+  } catch (error) {
+    log("warn", `Could not write usage ledger ${ledgerPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Time a live AI call and record its usage
+ * @param {Object} meta - Ledger fields known before the call (command, purpose, taskId, provider, model)
+ * @param {Function} callProvider - Performs the call, resolving to { text, raw, usage }
+ * @returns {Promise<Object>} The provider response
+ */
+async function withUsageTracking(meta, callProvider) {
+  const startTime = Date.now();
+  const response = await callProvider();
+  const usage = response.usage || {};
+
+  const record = recordUsage({
+    ...meta,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    durationMs: Date.now() - startTime,
+  });
+  if (record) {
+    log("debug", `${meta.model}: ${record.inputTokens} in / ${record.outputTokens} out tokens in ${record.durationMs}ms`);
+  }
+
+  return response;
+}
+
+/**
+ * Read all entries from a usage ledger, skipping malformed lines
+ * @param {string} ledgerPath - Ledger file
+ * @returns {Object[]} Ledger entries
+ */
+function readUsageLedger(ledgerPath = CONFIG.usageLedger) {
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(ledgerPath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Functions that pick the grouping key for each breakdown
+const USAGE_GROUPINGS = {
+  day: (entry) => (entry.timestamp || "").split("T")[0],
+  command: (entry) => entry.command || "(unknown)",
+  task: (entry) => (entry.taskId === null || entry.taskId === undefined ? "(none)" : String(entry.taskId)),
+  model: (entry) => entry.model || "(unknown)",
+};
+
+/**
+ * Aggregate ledger entries
+ * @param {Object[]} entries - Ledger entries
+ * @param {string} by - Grouping: day, command, task or model
+ * @returns {Object[]} Rows of { key, calls, inputTokens, outputTokens, durationMs, cost }, sorted by key
+ */
+function summarizeUsage(entries, by = "day") {
+  const getKey = USAGE_GROUPINGS[by];
+  if (!getKey) {
+    throw new Error(`Unknown usage grouping "${by}". Use one of: ${Object.keys(USAGE_GROUPINGS).join(", ")}`);
+  }
+
+  const rows = new Map();
+  entries.forEach((entry) => {
+    const key = getKey(entry);
+    if (!rows.has(key)) {
+      rows.set(key, { key, calls: 0, inputTokens: 0, outputTokens: 0, durationMs: 0, cost: 0, unpricedCalls: 0 });
+    }
+
+    const row = rows.get(key);
+    row.calls++;
+    row.inputTokens += entry.inputTokens || 0;
+    row.outputTokens += entry.outputTokens || 0;
+    row.durationMs += entry.durationMs || 0;
+    if (typeof entry.cost === "number") {
+      row.cost += entry.cost;
+    } else {
+      row.unpricedCalls++;
+    }
+  });
+
+  return [...rows.values()].sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+}
+
+/**
+ * Keep only ledger entries recorded on or after a date
+ * @param {Object[]} entries - Ledger entries
+ * @param {string} since - ISO date (YYYY-MM-DD)
+ * @returns {Object[]} Filtered entries
+ */
+function filterUsageSince(entries, since) {
+  if (!since) {
+    return entries;
+  }
+  return entries.filter((entry) => (entry.timestamp || "") >= since);
+}
+
+export {
+  DEFAULT_PRICE_TABLE,
+  USAGE_GROUPINGS,
+  getPriceTable,
+  estimateCost,
+  recordUsage,
+  withUsageTracking,
+  readUsageLedger,
+  summarizeUsage,
+  filterUsageSince,
+};
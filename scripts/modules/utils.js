@@ -8,14 +8,57 @@ import path from "path";
 import chalk from "chalk";
 import dotenv from "dotenv";
 
+import { getTaskStorage, getTasksRevision, writeTasks } from "./task-storage.js";
+import { TasksFileError, writeFileAtomic } from "./file-lock.js";
+import { recordTaskHistory } from "./task-history.js";
+import { normalizeTasksData, prepareTasksData } from "./task-schema.js";
+import { loadStatusWorkflow, getStatusWorkflow } from "./status-workflow.js";
+
 // Load environment variables from .env file
 dotenv.config();
 
+/**
+ * Parse per-command provider overrides, e.g. "expand=anthropic,parse-prd=openai"
+ * @param {string} value - Raw override string
+ * @returns {Object} Map of command name to provider name
+ */
+function parseCommandProviders(value) {
+  const overrides = {};
+  if (!value) {
+    return overrides;
+  }
+
+  value.split(",").forEach((entry) => {
+    const [command, provider] = entry.split("=").map((part) => part && part.trim());
+    if (command && provider) {
+      overrides[command] = provider;
+    }
+  });
+
+  return overrides;
+}
+
 // Configuration object
 export const CONFIG = {
+  aiProvider: process.env.AI_PROVIDER || "gemini",
+  commandProviders: parseCommandProviders(process.env.AI_PROVIDER_COMMANDS),
+  fixtureDir: process.env.AI_FIXTURE_DIR || null,
+  recordDir: process.env.AI_RECORD_DIR || null,
+  replayDir: process.env.AI_REPLAY_DIR || null,
+  usageLedger: process.env.AI_USAGE_LEDGER || "tasks/usage.jsonl",
+  priceTablePath: process.env.AI_PRICE_TABLE || null,
   model: process.env.MODEL || "gemini-1.5-pro",
   maxTokens: parseInt(process.env.MAX_TOKENS || "4000"),
   temperature: parseFloat(process.env.TEMPERATURE || "0.7"),
+  maxRepairAttempts: parseInt(process.env.AI_REPAIR_ATTEMPTS || "2"),
+  maxContinuations: parseInt(process.env.AI_MAX_CONTINUATIONS || "2"),
+  prdChunkTokens: parseInt(process.env.PRD_CHUNK_TOKENS || "3000"),
+  maxRetries: parseInt(process.env.AI_MAX_RETRIES || "3"),
+  retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_MS || "1000"),
+  retryMaxDelayMs: parseInt(process.env.AI_RETRY_MAX_MS || "30000"),
+  aiConcurrency: parseInt(process.env.AI_CONCURRENCY || "2"),
+  circuitBreakerThreshold: parseInt(process.env.AI_CIRCUIT_THRESHOLD || "5"),
+  circuitBreakerCooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS || "60000"),
   debug: process.env.DEBUG === "true",
   logLevel: process.env.LOG_LEVEL || "info",
   defaultSubtasks: parseInt(process.env.DEFAULT_SUBTASKS || "3"),
@@ -32,12 +75,42 @@ const LOG_LEVELS = {
   error: 3,
 };
 
+// When true, nothing is written to the console (used when running inside the MCP server,
+// where stdout carries the protocol)
+let silentMode = false;
+
+/**
+ * Suppress all console output from log() and the UI
+ */
+function enableSilentMode() {
+  silentMode = true;
+}
+
+/**
+ * Restore console output
+ */
+function disableSilentMode() {
+  silentMode = false;
+}
+
+/**
+ * Check whether console output is suppressed
+ * @returns {boolean} True in silent mode
+ */
+function isSilentMode() {
+  return silentMode;
+}
+
 /**
  * Logs a message at the specified level
  * @param {string} level - The log level (debug, info, warn, error)
  * @param  {...any} args - Arguments to log
  */
 function log(level, ...args) {
+  if (silentMode) {
+    return;
+  }
+
   const icons = {
     debug: chalk.gray("🔍"),
     info: chalk.blue("ℹ️"),
@@ -52,15 +125,49 @@ function log(level, ...args) {
   }
 }
 
+// Revision of each tasks object returned by readJSON, checked when it is written back
+const readRevisions = new WeakMap();
+
+/**
+ * Check whether parsed JSON is a tasks file
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean} True if it has a tasks array
+ */
+function isTasksData(data) {
+  return Boolean(data) && typeof data === "object" && Array.isArray(data.tasks);
+}
+
+/**
+ * Record a tasks write in the undo history without failing the write itself
+ * @param {string} filepath - Path to the tasks file
+ * @param {Object|null} previous - Tasks before the write
+ * @param {Object} written - Tasks as written
+ */
+function recordHistory(filepath, previous, written) {
+  try {
+    recordTaskHistory(filepath, previous, written);
+  } catch (error) {
+    log("warn", `Could not record the change in the task history: ${error.message}`);
+  }
+}
+
 /**
- * Reads and parses a JSON file
+ * Reads and parses a JSON file. The project's tasks file is read through the storage
+ * backend configured in .taskmasterconfig, upgraded to the current schema version and validated,
+ * and its project's status workflow becomes the active one.
  * @param {string} filepath - Path to the JSON file
  * @returns {Object} Parsed JSON data
  */
 function readJSON(filepath) {
   try {
-    const rawData = fs.readFileSync(filepath, "utf8");
-    return JSON.parse(rawData);
+    const storage = getTaskStorage(filepath);
+    const data = storage ? storage.read(filepath) : JSON.parse(fs.readFileSync(filepath, "utf8"));
+    if (isTasksData(data)) {
+      prepareTasksData(data, filepath);
+      loadStatusWorkflow(filepath);
+      readRevisions.set(data, getTasksRevision(data));
+    }
+    return data;
   } catch (error) {
     log("error", `Error reading JSON file ${filepath}:`, error.message);
     if (CONFIG.debug) {
@@ -71,14 +178,28 @@ function readJSON(filepath) {
 }
 
 /**
- * Writes data to a JSON file
+ * Writes data to a JSON file atomically. Tasks data goes to the configured storage backend
+ * under the tasks file lock, is recorded in the undo history, and fails with a TasksFileError
+ * if the file changed since it was read or the data does not match the tasks file schema.
  * @param {string} filepath - Path to the JSON file
  * @param {Object} data - Data to write
  */
 function writeJSON(filepath, data) {
   try {
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+    if (isTasksData(data)) {
+      normalizeTasksData(data, getStatusWorkflow().initialStatus);
+      const expectedRevision = readRevisions.has(data) ? readRevisions.get(data) : data.meta && data.meta.revision;
+      const revision = writeTasks(filepath, data, expectedRevision, (previous, written) => recordHistory(filepath, previous, written));
+      data.meta = { ...data.meta, revision };
+      readRevisions.set(data, revision);
+      return;
+    }
+
+    writeFileAtomic(filepath, JSON.stringify(data, null, 2));
   } catch (error) {
+    if (error instanceof TasksFileError) {
+      throw error;
+    }
     log("error", `Error writing JSON file ${filepath}:`, error.message);
     if (CONFIG.debug) {
       console.error(error);
@@ -86,6 +207,16 @@ function writeJSON(filepath, data) {
   }
 }
 
+/**
+ * Check whether a tasks file exists in whichever storage backend holds it
+ * @param {string} filepath - Path to the tasks file
+ * @returns {boolean} True if the tasks exist
+ */
+function tasksFileExists(filepath) {
+  const storage = getTaskStorage(filepath);
+  return storage ? storage.exists(filepath) : fs.existsSync(filepath);
+}
+
 /**
  * Sanitizes a prompt string for use in a shell command
  * @param {string} prompt The prompt to sanitize
@@ -329,8 +460,12 @@ function detectCamelCaseFlags(args) {
 export {
   LOG_LEVELS,
   log,
+  enableSilentMode,
+  disableSilentMode,
+  isSilentMode,
   readJSON,
   writeJSON,
+  tasksFileExists,
   sanitizePrompt,
   readComplexityReport,
   findTaskInComplexityReport,
@@ -341,4 +476,5 @@ export {
   findCycles,
   toKebabCase,
   detectCamelCaseFlags,
+  parseCommandProviders,
 };
@@ -69,4 +69,61 @@ export const emptySampleTasks = {
     updatedAt: "2023-01-01T00:00:00.000Z"
   },
   tasks: []
-}; 
\ No newline at end of file
+}; 
+/**
+ * Fresh copy of sampleTasks, for tests that change it
+ * @param {Object} meta - Fields to add to or override in meta
+ * @returns {Object} Tasks data
+ */
+export const createSampleTasks = (meta = {}) => {
+  const data = JSON.parse(JSON.stringify(sampleTasks));
+  data.meta = { ...data.meta, ...meta };
+  return data;
+};
+
+/**
+ * Build a task with defaults for the fields a test does not look at
+ * @param {number} id - Task ID
+ * @param {Array<number|string>} dependencies - Task and subtask IDs the task depends on
+ * @param {Object} extra - Fields to add or override
+ * @returns {Object} Task
+ */
+export const createTask = (id, dependencies = [], extra = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: "",
+  status: "pending",
+  dependencies,
+  priority: "medium",
+  ...extra
+});
+
+/**
+ * Tasks whose dependencies cover every graph case: a finished chain (1 → 2 → 3), a dependency
+ * between subtasks of different tasks (2.2 → 4.1), a cycle (4 ↔ 5) and a missing task (9)
+ * @returns {Object[]} Tasks
+ */
+export const createGraphTasks = () => [
+  createTask(1, [], { status: "done" }),
+  createTask(2, [1], {
+    status: "in-progress",
+    subtasks: [
+      { id: 1, title: "Routes", status: "done", dependencies: [] },
+      { id: 2, title: "Auth", status: "pending", dependencies: [1, "4.1"] }
+    ]
+  }),
+  createTask(3, [2]),
+  createTask(4, [5], { subtasks: [{ id: 1, title: "Intro", status: "pending", dependencies: [] }] }),
+  createTask(5, [4, 9])
+];
+
+/**
+ * Tasks with one dependency cycle: task 2 waits on task 4 by mistake, while 4 is built on 3, which is built on 2
+ * @returns {Object[]} Tasks
+ */
+export const createCycleTasks = () => [
+  createTask(1, [], { title: "Setup project", status: "done", priority: "high" }),
+  createTask(2, [1, 4], { title: "Database schema", priority: "high" }),
+  createTask(3, [2], { title: "User API", description: "REST endpoints on top of the database schema" }),
+  createTask(4, [3], { title: "Admin UI", description: "Screens that call the User API (task 3)", priority: "low" })
+];
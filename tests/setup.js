@@ -4,6 +4,9 @@
  * This file is run before each test suite to set up the test environment.
  */
 
+import os from 'os';
+import path from 'path';
+
 // Mock environment variables
 process.env.MODEL = 'sonar-pro';
 process.env.MAX_TOKENS = '64000';
@@ -14,6 +17,7 @@ process.env.DEFAULT_SUBTASKS = '3';
 process.env.DEFAULT_PRIORITY = 'medium';
 process.env.PROJECT_NAME = 'Test Project';
 process.env.PROJECT_VERSION = '1.0.0';
+process.env.AI_USAGE_LEDGER = path.join(os.tmpdir(), 'task-master-test-usage.jsonl');
 
 // Add global test helpers if needed
 global.wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,125 @@
+/**
+ * AI Cassette module tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  configureCassette,
+  getCassetteMode,
+  getCassetteKey,
+  getCassettePath,
+  writeCassette,
+  withCassette
+} from '../../scripts/modules/ai-cassette.js';
+import { registerProvider } from '../../scripts/modules/ai-providers.js';
+import { generateText } from '../../scripts/modules/ai-services.js';
+import { CONFIG } from '../../scripts/modules/utils.js';
+import { sampleGeminiResponse } from '../fixtures/sample-gemini-response.js';
+
+describe('AI Cassette Module', () => {
+  const originalProvider = CONFIG.aiProvider;
+  let cassetteDir;
+
+  beforeEach(() => {
+    cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-cassettes-'));
+    CONFIG.recordDir = null;
+    CONFIG.replayDir = null;
+  });
+
+  afterEach(() => {
+    CONFIG.recordDir = null;
+    CONFIG.replayDir = null;
+    CONFIG.aiProvider = originalProvider;
+    fs.rmSync(cassetteDir, { recursive: true, force: true });
+  });
+
+  describe('configureCassette', () => {
+    test('should reject --record and --replay together', () => {
+      expect(() => configureCassette({ record: cassetteDir, replay: cassetteDir })).toThrow('cannot be used together');
+    });
+
+    test('should reject a missing replay directory', () => {
+      expect(() => configureCassette({ replay: path.join(cassetteDir, 'missing') })).toThrow('Replay directory not found');
+    });
+
+    test('should switch between record and replay modes', () => {
+      expect(getCassetteMode()).toBeNull();
+
+      configureCassette({ record: cassetteDir });
+      expect(getCassetteMode()).toEqual({ mode: 'record', dir: cassetteDir });
+
+      configureCassette({ replay: cassetteDir });
+      expect(getCassetteMode()).toEqual({ mode: 'replay', dir: cassetteDir });
+    });
+  });
+
+  describe('getCassetteKey', () => {
+    test('should depend only on the prompt content', () => {
+      const request = { purpose: 'expand', systemPrompt: 'system', prompt: 'prompt' };
+      expect(getCassetteKey({ ...request, temperature: 0.1 })).toBe(getCassetteKey({ ...request, temperature: 0.9 }));
+      expect(getCassetteKey(request)).not.toBe(getCassetteKey({ ...request, prompt: 'other prompt' }));
+    });
+
+    test('should name cassette files after the purpose', () => {
+      const cassettePath = getCassettePath(cassetteDir, { purpose: 'parse-prd', prompt: 'x' });
+      expect(path.basename(cassettePath)).toMatch(/^parse-prd-[0-9a-f]{16}\.json$/);
+    });
+  });
+
+  describe('withCassette', () => {
+    const request = { purpose: 'expand', systemPrompt: '', prompt: 'Break this down' };
+
+    test('should record the live response in record mode', async () => {
+      configureCassette({ record: cassetteDir });
+      const callProvider = jest.fn().mockResolvedValue({ text: 'live', raw: { id: 'abc' } });
+
+      const response = await withCassette(request, callProvider, { provider: 'test' });
+
+      expect(response.text).toBe('live');
+      const cassette = JSON.parse(fs.readFileSync(getCassettePath(cassetteDir, request), 'utf8'));
+      expect(cassette.request.prompt).toBe('Break this down');
+      expect(cassette.response).toEqual({ text: 'live', finishReason: 'stop', safety: null, raw: { id: 'abc' } });
+      expect(cassette.provider).toBe('test');
+    });
+
+    test('should replay without calling the provider', async () => {
+      writeCassette(cassetteDir, request, { text: 'recorded', raw: null });
+      configureCassette({ replay: cassetteDir });
+      const callProvider = jest.fn();
+
+      const response = await withCassette(request, callProvider);
+
+      expect(response.text).toBe('recorded');
+      expect(callProvider).not.toHaveBeenCalled();
+    });
+
+    test('should fail when a replayed request was never recorded', async () => {
+      configureCassette({ replay: cassetteDir });
+      await expect(withCassette(request, jest.fn())).rejects.toThrow('No recorded AI response for "expand"');
+    });
+  });
+
+  describe('generateText', () => {
+    test('should replay a recorded Gemini response end to end', async () => {
+      const generate = jest.fn().mockResolvedValue({ text: JSON.stringify(sampleGeminiResponse), raw: null });
+      registerProvider('cassette-test', () => ({ name: 'cassette-test', model: 'test', generate }));
+      CONFIG.aiProvider = 'cassette-test';
+
+      const request = { command: 'parse-prd', purpose: 'parse-prd', systemPrompt: 'Split the PRD', prompt: 'PRD text' };
+
+      configureCassette({ record: cassetteDir });
+      const recorded = await generateText(request);
+
+      configureCassette({ replay: cassetteDir });
+      const replayed = await generateText(request);
+
+      expect(generate).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(replayed)).toEqual(sampleGeminiResponse);
+      expect(replayed).toBe(recorded);
+    });
+  });
+});
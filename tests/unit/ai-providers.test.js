@@ -0,0 +1,230 @@
+/**
+ * AI Providers module tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  readGeminiResponse,
+  createFixtureProvider,
+  createGeminiProvider,
+  createOllamaProvider,
+  resolveProviderName,
+  getProvider,
+  registerProvider,
+  listProviders
+} from '../../scripts/modules/ai-providers.js';
+import { CONFIG, parseCommandProviders } from '../../scripts/modules/utils.js';
+import { generateText, joinContinuation } from '../../scripts/modules/ai-services.js';
+
+describe('AI Providers Module', () => {
+  const originalProvider = CONFIG.aiProvider;
+  const originalOverrides = CONFIG.commandProviders;
+  let fixtureDir;
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-fixtures-'));
+  });
+
+  afterEach(() => {
+    CONFIG.aiProvider = originalProvider;
+    CONFIG.commandProviders = originalOverrides;
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  describe('parseCommandProviders', () => {
+    test('should parse comma separated command=provider pairs', () => {
+      expect(parseCommandProviders('expand=anthropic, parse-prd=openai')).toEqual({
+        expand: 'anthropic',
+        'parse-prd': 'openai'
+      });
+    });
+
+    test('should ignore empty and malformed entries', () => {
+      expect(parseCommandProviders('')).toEqual({});
+      expect(parseCommandProviders(undefined)).toEqual({});
+      expect(parseCommandProviders('expand,=openai,update=')).toEqual({});
+    });
+  });
+
+  describe('resolveProviderName', () => {
+    test('should fall back to the default provider', () => {
+      CONFIG.aiProvider = 'gemini';
+      CONFIG.commandProviders = {};
+      expect(resolveProviderName('expand')).toBe('gemini');
+    });
+
+    test('should prefer a per-command override', () => {
+      CONFIG.aiProvider = 'gemini';
+      CONFIG.commandProviders = { expand: 'anthropic' };
+      expect(resolveProviderName('expand')).toBe('anthropic');
+      expect(resolveProviderName('parse-prd')).toBe('gemini');
+    });
+  });
+
+  describe('getProvider', () => {
+    test('should throw a helpful error for unknown providers', () => {
+      CONFIG.aiProvider = 'does-not-exist';
+      CONFIG.commandProviders = {};
+      expect(() => getProvider('expand')).toThrow('Unknown AI provider "does-not-exist"');
+    });
+
+    test('should list the built-in providers', () => {
+      expect(listProviders()).toEqual(expect.arrayContaining(['gemini', 'openai', 'anthropic', 'ollama', 'fixture']));
+    });
+
+    test('should use registered custom providers', async () => {
+      const generate = jest.fn().mockResolvedValue({ text: 'custom response', raw: null });
+      registerProvider('custom-test', () => ({ name: 'custom-test', model: 'test', generate }));
+      CONFIG.commandProviders = { 'add-task': 'custom-test' };
+
+      const text = await generateText({ command: 'add-task', purpose: 'add-task', prompt: 'Hello' });
+
+      expect(text).toBe('custom response');
+      expect(generate).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'Hello', purpose: 'add-task' }));
+    });
+  });
+
+  describe('finish reasons', () => {
+    test('should continue a response cut off by the token limit', async () => {
+      const generate = jest
+        .fn()
+        .mockResolvedValueOnce({ text: '```json\n[{"id": 1, "title": "Fir', raw: null, finishReason: 'length' })
+        .mockResolvedValueOnce({ text: '```json\nst"}]\n```', raw: null, finishReason: 'stop' });
+      registerProvider('length-test', () => ({ name: 'length-test', model: 'test', generate }));
+      CONFIG.aiProvider = 'length-test';
+
+      const text = await generateText({ command: 'expand', purpose: 'expand', prompt: 'Make subtasks' });
+
+      expect(text).toBe('```json\n[{"id": 1, "title": "First"}]\n```');
+      expect(generate).toHaveBeenCalledTimes(2);
+      expect(generate.mock.calls[1][0].prompt).toContain('"title": "Fir');
+    });
+
+    test('should stop continuing after CONFIG.maxContinuations', async () => {
+      const generate = jest.fn().mockResolvedValue({ text: 'more ', raw: null, finishReason: 'length' });
+      registerProvider('endless-test', () => ({ name: 'endless-test', model: 'test', generate }));
+      CONFIG.aiProvider = 'endless-test';
+
+      await generateText({ command: 'expand', purpose: 'expand', prompt: 'Go' });
+
+      expect(generate).toHaveBeenCalledTimes(CONFIG.maxContinuations + 1);
+    });
+
+    test('should raise a safety error naming the task and categories', async () => {
+      const generate = jest.fn().mockResolvedValue({
+        text: '',
+        raw: null,
+        finishReason: 'safety',
+        safety: { source: 'response', reason: 'SAFETY', categories: ['DANGEROUS_CONTENT'] }
+      });
+      registerProvider('safety-test', () => ({ name: 'safety-test', model: 'test', generate }));
+      CONFIG.aiProvider = 'safety-test';
+
+      const promise = generateText({ command: 'expand', purpose: 'expand', prompt: 'Go', taskId: 7 });
+
+      await expect(promise).rejects.toMatchObject({ type: 'safety', safety: { categories: ['DANGEROUS_CONTENT'] } });
+      await expect(promise).rejects.toThrow('task 7');
+    });
+
+    test('should drop text the continuation repeats', () => {
+      expect(joinContinuation('The quick brown fox jumps', 'brown fox jumps over the dog')).toBe('The quick brown fox jumps over the dog');
+      expect(joinContinuation('abc', 'def')).toBe('abcdef');
+    });
+  });
+
+  describe('readGeminiResponse', () => {
+    test('should map MAX_TOKENS to a length finish reason and keep the text', () => {
+      const response = { candidates: [{ finishReason: 'MAX_TOKENS' }], text: () => 'partial' };
+      expect(readGeminiResponse(response)).toEqual({ text: 'partial', finishReason: 'length', safety: null });
+    });
+
+    test('should report blocked responses with their flagged categories', () => {
+      const response = {
+        candidates: [
+          {
+            finishReason: 'SAFETY',
+            safetyRatings: [
+              { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true },
+              { category: 'HARM_CATEGORY_HARASSMENT', probability: 'NEGLIGIBLE' }
+            ]
+          }
+        ],
+        text: () => {
+          throw new Error('Candidate was blocked due to SAFETY');
+        }
+      };
+
+      expect(readGeminiResponse(response)).toEqual({
+        text: '',
+        finishReason: 'safety',
+        safety: { source: 'response', reason: 'SAFETY', categories: ['DANGEROUS_CONTENT'] }
+      });
+    });
+
+    test('should report blocked prompts', () => {
+      const response = { promptFeedback: { blockReason: 'SAFETY', safetyRatings: [] }, text: () => '' };
+      expect(readGeminiResponse(response).safety).toEqual({ source: 'prompt', reason: 'SAFETY', categories: [] });
+    });
+  });
+
+  describe('createGeminiProvider', () => {
+    test('should not require an API key until a request is made', async () => {
+      const savedGemini = process.env.GEMINI_API_KEY;
+      const savedGoogle = process.env.GOOGLE_API_KEY;
+      delete process.env.GEMINI_API_KEY;
+      delete process.env.GOOGLE_API_KEY;
+
+      try {
+        const provider = createGeminiProvider({ model: 'gemini-1.5-pro' });
+        expect(provider.name).toBe('gemini');
+        await expect(provider.generate({ prompt: 'Hi' })).rejects.toThrow('No Gemini API key found');
+      } finally {
+        if (savedGemini !== undefined) process.env.GEMINI_API_KEY = savedGemini;
+        if (savedGoogle !== undefined) process.env.GOOGLE_API_KEY = savedGoogle;
+      }
+    });
+  });
+
+  describe('createOllamaProvider', () => {
+    test('should explain that Node 18 is needed when fetch is missing', async () => {
+      const savedFetch = globalThis.fetch;
+      delete globalThis.fetch;
+
+      try {
+        await expect(createOllamaProvider().generate({ prompt: 'Hi' })).rejects.toThrow('requires Node 18 or later');
+      } finally {
+        globalThis.fetch = savedFetch;
+      }
+    });
+  });
+
+  describe('createFixtureProvider', () => {
+    test('should serve the response matching the purpose', async () => {
+      fs.writeFileSync(path.join(fixtureDir, 'expand.json'), '[{"id": 1}]');
+      fs.writeFileSync(path.join(fixtureDir, 'default.txt'), 'fallback');
+
+      const provider = createFixtureProvider({ dir: fixtureDir });
+      const result = await provider.generate({ purpose: 'expand' });
+
+      expect(result.text).toBe('[{"id": 1}]');
+    });
+
+    test('should fall back to default.txt', async () => {
+      fs.writeFileSync(path.join(fixtureDir, 'default.txt'), 'fallback');
+
+      const provider = createFixtureProvider({ dir: fixtureDir });
+      const result = await provider.generate({ purpose: 'update' });
+
+      expect(result.text).toBe('fallback');
+    });
+
+    test('should throw when no fixture matches', async () => {
+      const provider = createFixtureProvider({ dir: fixtureDir });
+      await expect(provider.generate({ purpose: 'parse-prd' })).rejects.toThrow('No fixture response found for "parse-prd"');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * AI resilience module tests
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  AIServiceError,
+  classifyError,
+  parseRetryAfter,
+  getRetryAfterMs,
+  getBackoffDelay,
+  withResilience,
+  resetCircuits,
+  createConcurrencyLimiter,
+  mapWithConcurrency
+} from '../../scripts/modules/ai-resilience.js';
+import { CONFIG } from '../../scripts/modules/utils.js';
+
+/**
+ * Build an error shaped like a provider HTTP error
+ */
+function httpError(status, message = 'request failed', extra = {}) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+describe('AI Resilience Module', () => {
+  const noSleep = jest.fn().mockResolvedValue(undefined);
+
+  beforeEach(() => {
+    resetCircuits();
+    noSleep.mockClear();
+  });
+
+  describe('classifyError', () => {
+    test.each([
+      [httpError(401), 'auth'],
+      [new Error('[GoogleGenerativeAI Error]: [400 Bad Request] API key not valid. Please pass a valid API key.'), 'auth'],
+      [httpError(429, 'Resource has been exhausted'), 'rate-limit'],
+      [httpError(429, 'You exceeded your current quota, please check your plan and billing details'), 'quota'],
+      [new Error('[GoogleGenerativeAI Error]: Error fetching from https://x: [503 Service Unavailable] The model is overloaded.'), 'overloaded'],
+      [new Error('[GoogleGenerativeAI Error]: Candidate was blocked due to SAFETY'), 'safety'],
+      [httpError(404, 'models/gemini-9 is not found for API version v1beta'), 'invalid-model'],
+      [new Error('fetch failed'), 'network'],
+      [new Error('something odd'), 'unknown']
+    ])('should classify %p as %s', (error, type) => {
+      expect(classifyError(error, { provider: 'gemini' }).type).toBe(type);
+    });
+
+    test('should keep the original message and add a hint', () => {
+      const error = classifyError(httpError(401, 'bad key'), { provider: 'gemini' });
+      expect(error).toBeInstanceOf(AIServiceError);
+      expect(error.message).toContain('GEMINI_API_KEY');
+      expect(error.message).toContain('bad key');
+      expect(error.retryable).toBe(false);
+      expect(error.status).toBe(401);
+    });
+
+    test('should mark only transient errors as retryable', () => {
+      expect(classifyError(httpError(429)).retryable).toBe(true);
+      expect(classifyError(httpError(503)).retryable).toBe(true);
+      expect(classifyError(httpError(404)).retryable).toBe(false);
+    });
+  });
+
+  describe('retry-after hints', () => {
+    test('should parse seconds, durations and HTTP dates', () => {
+      expect(parseRetryAfter('2')).toBe(2000);
+      expect(parseRetryAfter('37s')).toBe(37000);
+      expect(parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50000);
+      expect(parseRetryAfter(null)).toBeNull();
+    });
+
+    test('should read hints from headers, Gemini error details and messages', () => {
+      expect(getRetryAfterMs(httpError(429, 'x', { headers: { 'retry-after': '3' } }))).toBe(3000);
+      expect(getRetryAfterMs(httpError(429, 'x', { errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '12s' }] }))).toBe(12000);
+      expect(getRetryAfterMs(new Error('Please retry in 4.5s.'))).toBe(4500);
+      expect(getRetryAfterMs(new Error('no hint'))).toBeNull();
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    test('should grow exponentially with jitter and respect the maximum', () => {
+      const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+      expect(getBackoffDelay(1, { ...options, random: () => 0 })).toBe(500);
+      expect(getBackoffDelay(1, { ...options, random: () => 1 })).toBe(1000);
+      expect(getBackoffDelay(3, { ...options, random: () => 1 })).toBe(4000);
+      expect(getBackoffDelay(10, { ...options, random: () => 1 })).toBe(5000);
+    });
+  });
+
+  describe('withResilience', () => {
+    test('should retry transient failures and return the result', async () => {
+      const call = jest.fn().mockRejectedValueOnce(httpError(503)).mockRejectedValueOnce(httpError(429)).mockResolvedValue('ok');
+
+      await expect(withResilience({ provider: 'mock' }, call, { maxRetries: 3, sleep: noSleep })).resolves.toBe('ok');
+      expect(call).toHaveBeenCalledTimes(3);
+      expect(noSleep).toHaveBeenCalledTimes(2);
+    });
+
+    test('should wait for the retry-after hint', async () => {
+      const call = jest.fn().mockRejectedValueOnce(httpError(429, 'slow down', { retryAfter: '2' })).mockResolvedValue('ok');
+
+      await withResilience({ provider: 'mock' }, call, { sleep: noSleep });
+      expect(noSleep).toHaveBeenCalledWith(2000);
+    });
+
+    test('should not retry when the retry-after hint exceeds the maximum delay', async () => {
+      const call = jest.fn().mockRejectedValue(httpError(429, 'slow down', { retryAfter: String(CONFIG.retryMaxDelayMs / 1000 + 60) }));
+
+      await expect(withResilience({ provider: 'mock' }, call, { sleep: noSleep })).rejects.toMatchObject({ type: 'rate-limit' });
+      expect(call).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not retry permanent failures', async () => {
+      const call = jest.fn().mockRejectedValue(httpError(401));
+
+      await expect(withResilience({ provider: 'mock' }, call, { sleep: noSleep })).rejects.toMatchObject({ type: 'auth' });
+      expect(call).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up after the configured retries', async () => {
+      const call = jest.fn().mockRejectedValue(httpError(503));
+
+      await expect(withResilience({ provider: 'mock' }, call, { maxRetries: 2, sleep: noSleep })).rejects.toMatchObject({ type: 'overloaded' });
+      expect(call).toHaveBeenCalledTimes(3);
+    });
+
+    test('should open the circuit after repeated failures and fail fast', async () => {
+      const failing = jest.fn().mockRejectedValue(httpError(503));
+      await expect(
+        withResilience({ provider: 'flaky' }, failing, { maxRetries: CONFIG.circuitBreakerThreshold, sleep: noSleep })
+      ).rejects.toMatchObject({ type: 'circuit-open' });
+      expect(failing).toHaveBeenCalledTimes(CONFIG.circuitBreakerThreshold);
+
+      const next = jest.fn().mockResolvedValue('ok');
+      await expect(withResilience({ provider: 'flaky' }, next, { sleep: noSleep })).rejects.toMatchObject({ type: 'circuit-open' });
+      expect(next).not.toHaveBeenCalled();
+
+      // Other providers are unaffected
+      await expect(withResilience({ provider: 'healthy' }, next, { sleep: noSleep })).resolves.toBe('ok');
+    });
+
+    test('should let a trial call through after the cooldown', async () => {
+      const originalCooldown = CONFIG.circuitBreakerCooldownMs;
+      CONFIG.circuitBreakerCooldownMs = 0;
+      try {
+        const failing = jest.fn().mockRejectedValue(httpError(503));
+        await expect(
+          withResilience({ provider: 'recovering' }, failing, { maxRetries: CONFIG.circuitBreakerThreshold - 1, sleep: noSleep })
+        ).rejects.toBeInstanceOf(AIServiceError);
+
+        await expect(withResilience({ provider: 'recovering' }, async () => 'ok', { sleep: noSleep })).resolves.toBe('ok');
+      } finally {
+        CONFIG.circuitBreakerCooldownMs = originalCooldown;
+      }
+    });
+  });
+
+  describe('concurrency limiting', () => {
+    test('should never run more than the limit at once', async () => {
+      let active = 0;
+      let peak = 0;
+      const run = createConcurrencyLimiter(2);
+
+      await Promise.all(
+        [1, 2, 3, 4, 5].map(() =>
+          run(async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            active--;
+          })
+        )
+      );
+
+      expect(peak).toBe(2);
+    });
+
+    test('should return results in input order and propagate errors', async () => {
+      const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        return index;
+      });
+      expect(results).toEqual([0, 1, 2]);
+
+      await expect(mapWithConcurrency([1], 1, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    });
+  });
+});
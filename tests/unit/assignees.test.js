@@ -0,0 +1,92 @@
+/**
+ * Assignee tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { parseAssigneeNames, isAssignedTo, isAssignedToOthers, updateAssignees } from '../../scripts/modules/assignees.js';
+import { assignTask } from '../../scripts/modules/task-manager.js';
+import { scheduleNextTask } from '../../scripts/modules/task-scheduler.js';
+import { createTask } from '../fixtures/sample-tasks.js';
+
+describe('Assignees', () => {
+  test('parseAssigneeNames should trim, drop blanks and duplicates', () => {
+    expect(parseAssigneeNames(' alice, Bob,, ALICE ')).toEqual(['alice', 'Bob']);
+    expect(parseAssigneeNames(undefined)).toEqual([]);
+  });
+
+  test('updateAssignees should add, remove and clear names case-insensitively', () => {
+    const item = { id: 1, assignees: ['Alice'] };
+
+    expect(updateAssignees(item, { add: ['alice', 'bob'] })).toEqual({ added: ['bob'], removed: [] });
+    expect(item.assignees).toEqual(['Alice', 'bob']);
+    expect(isAssignedTo(item, 'BOB')).toBe(true);
+    expect(isAssignedToOthers(item, 'carol')).toBe(true);
+
+    expect(updateAssignees(item, { remove: ['ALICE'] })).toEqual({ added: [], removed: ['Alice'] });
+    expect(updateAssignees(item, { clear: true })).toEqual({ added: [], removed: ['bob'] });
+    expect(item).toEqual({ id: 1 });
+  });
+
+  describe('assignTask', () => {
+    let dir;
+    let tasksPath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-assign-'));
+      tasksPath = path.join(dir, 'tasks.json');
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks: [createTask(1, [], { subtasks: [{ id: 1, title: 'Sub', status: 'pending', dependencies: [] }] })] }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should assign tasks and subtasks', async () => {
+      const result = await assignTask(tasksPath, '1,1.1', { add: 'alice,bob' }, 'json');
+
+      expect(result.updatedTasks.map((update) => update.assignees)).toEqual([
+        ['alice', 'bob'],
+        ['alice', 'bob']
+      ]);
+      const saved = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+      expect(saved.tasks[0].subtasks[0].assignees).toEqual(['alice', 'bob']);
+    });
+
+    test('should reject unknown IDs without writing', async () => {
+      await expect(assignTask(tasksPath, '1,2.1', { add: 'alice' }, 'json')).rejects.toThrow('Subtask 2.1 not found');
+      expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8')).tasks[0].assignees).toBeUndefined();
+    });
+  });
+
+  describe('next task for a person', () => {
+    test('should prefer their own tasks and skip tasks that belong to others', () => {
+      const tasks = [createTask(1, [], { priority: 'high', assignees: ['bob'] }), createTask(2), createTask(3, [], { assignees: ['Alice'] })];
+
+      const result = scheduleNextTask(tasks, { assignee: 'alice' });
+      expect(result.candidates.map((candidate) => candidate.task.id)).toEqual([3, 2]);
+      expect(result.reasons).toContain('Assigned to alice (+25)');
+    });
+
+    test('should skip work someone else has started', () => {
+      const tasks = [
+        createTask(1, [], { status: 'in-progress' }),
+        createTask(2, [], {
+          status: 'in-progress',
+          subtasks: [
+            { id: 1, title: 'Started by bob', status: 'in-progress', dependencies: [], assignees: ['bob'] },
+            { id: 2, title: 'Free', status: 'pending', dependencies: [] }
+          ]
+        }),
+        createTask(3, [], { subtasks: [{ id: 1, title: 'Bob only', status: 'pending', dependencies: [], assignees: ['bob'] }] })
+      ];
+
+      const result = scheduleNextTask(tasks, { assignee: 'alice' });
+      expect(result.candidates.map((candidate) => candidate.task.id)).toEqual([2]);
+      expect(result.subtask.id).toBe(2);
+      expect(scheduleNextTask(tasks).candidates.map((candidate) => candidate.task.id)).toEqual([1, 2, 3]);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Cycle breaking suggestion tests
+ */
+
+import { buildDependencyGraph } from '../../scripts/modules/dependency-graph.js';
+import {
+  findCycleLoop,
+  explainCycleLoop,
+  rankCycleCuts,
+  findSplitCandidates,
+  proposeCycleSplit,
+  suggestCycleBreak,
+  describeCycleForAI,
+  mergeAICycleBreak,
+  applyCycleCut,
+  applyCycleSplit
+} from '../../scripts/modules/cycle-breaker.js';
+import { createTask, createCycleTasks } from '../fixtures/sample-tasks.js';
+
+
+describe('Cycle Breaker Module', () => {
+  test('findCycleLoop and explainCycleLoop should describe the loop from its lowest ID', () => {
+    const tasks = createCycleTasks();
+    const graph = buildDependencyGraph(tasks);
+    const loop = findCycleLoop(graph, graph.cycles[0]);
+
+    expect(loop.map((edge) => [edge.from, edge.to])).toEqual([
+      ['2', '3'],
+      ['3', '4'],
+      ['4', '2']
+    ]);
+    expect(explainCycleLoop(tasks, loop)).toBe(
+      'Task 2 (Database schema) waits on task 4 (Admin UI), which waits on task 3 (User API), which waits on task 2 (Database schema) again. None of them can be finished.'
+    );
+  });
+
+  test('explainCycleLoop should name subtasks a task needs', () => {
+    const tasks = [createTask(1, [], { subtasks: [{ id: 1, title: 'Stuck', status: 'pending', dependencies: ['1'] }] })];
+    const graph = buildDependencyGraph(tasks);
+
+    expect(explainCycleLoop(tasks, findCycleLoop(graph, graph.cycles[0]))).toBe(
+      'Task 1 (Task 1) needs its subtask subtask 1.1 (Stuck), which waits on task 1 (Task 1) again. None of them can be finished.'
+    );
+  });
+
+  describe('rankCycleCuts', () => {
+    test('should rank by plan order, priority and what the descriptions refer to', () => {
+      const tasks = createCycleTasks();
+      const graph = buildDependencyGraph(tasks);
+      const cuts = rankCycleCuts(tasks, graph, graph.cycles[0], findCycleLoop(graph, graph.cycles[0]));
+
+      expect(cuts.map((cut) => [cut.id, cut.dependsOn, cut.score])).toEqual([
+        ['2', '4', 4],
+        ['3', '2', -3],
+        ['4', '3', -3]
+      ]);
+      expect(cuts[0].reasons).toEqual([
+        'Task 2 waits on task 4, which comes later in the plan',
+        'Task 2 is high priority but waits on low-priority task 4'
+      ]);
+      expect(cuts[1].reasons).toEqual(['Task 3 refers to task 2, so the dependency looks intended']);
+    });
+
+    test('should favour a prerequisite that refers to the item waiting on it', () => {
+      const tasks = [createTask(1, [2]), createTask(2, [1], { details: 'Extends the work of task 1' })];
+      const graph = buildDependencyGraph(tasks);
+      const cuts = rankCycleCuts(tasks, graph, graph.cycles[0], findCycleLoop(graph, graph.cycles[0]));
+
+      expect(cuts[0]).toMatchObject({ id: '1', dependsOn: '2', score: 5 });
+      expect(cuts[0].reasons).toContain('Task 2 refers to task 1, so it probably builds on it');
+    });
+
+    test('should penalize cuts that leave another cycle behind', () => {
+      const tasks = [createTask(1, [3]), createTask(2, [1]), createTask(3, [2, 1])];
+      const graph = buildDependencyGraph(tasks);
+      const cuts = rankCycleCuts(tasks, graph, graph.cycles[0], findCycleLoop(graph, graph.cycles[0]));
+
+      expect(cuts.map((cut) => [cut.id, cut.dependsOn, cut.score])).toEqual([
+        ['1', '3', 2],
+        ['3', '1', -5]
+      ]);
+      expect(cuts[1].reasons).toEqual(['Other dependencies would still form a cycle']);
+    });
+  });
+
+  describe('task splits', () => {
+    test('should propose splitting the item whose dependencies look the most intended', () => {
+      const tasks = createCycleTasks();
+      const suggestion = suggestCycleBreak(tasks, buildDependencyGraph(tasks), ['2', '3', '4']);
+
+      expect(findSplitCandidates(suggestion.loop).map((candidate) => candidate.id)).toEqual(['3', '4', '2']);
+      expect(suggestion.split).toMatchObject({
+        id: '3',
+        waitsOn: '2',
+        neededBy: '4',
+        first: { title: 'User API (part 1)' },
+        second: { title: 'User API (part 2)', description: 'The rest of "User API", done once task 2 is.' }
+      });
+      expect(proposeCycleSplit(tasks, suggestion.loop, suggestion.cuts, '4')).toMatchObject({ id: '4', waitsOn: '3', neededBy: '2' });
+      expect(proposeCycleSplit(tasks, suggestion.loop, suggestion.cuts, '1')).toBeNull();
+    });
+
+    test('should split a task so every dependency keeps its purpose', () => {
+      const tasks = [...createCycleTasks(), createTask(5, [3])];
+      const suggestion = suggestCycleBreak(tasks, buildDependencyGraph(tasks), ['2', '3', '4']);
+
+      expect(applyCycleSplit(tasks, suggestion.split)).toBe('6');
+      expect(tasks.map((t) => [t.id, t.title, t.dependencies])).toEqual([
+        [1, 'Setup project', []],
+        [2, 'Database schema', [1, 4]],
+        [3, 'User API (part 1)', []],
+        [4, 'Admin UI', [3]],
+        [5, 'Task 5', [6]],
+        [6, 'User API (part 2)', [3, 2]]
+      ]);
+      expect(tasks[5]).toMatchObject({ status: 'pending', priority: 'medium' });
+      expect(buildDependencyGraph(tasks).cycles).toEqual([]);
+    });
+
+    test('should split a subtask into a new sibling', () => {
+      const tasks = [
+        createTask(1, [], {
+          subtasks: [
+            { id: 1, title: 'Models', status: 'pending', dependencies: [3] },
+            { id: 2, title: 'Routes', status: 'pending', dependencies: [1] },
+            { id: 3, title: 'Docs', status: 'pending', dependencies: [2] }
+          ]
+        }),
+        createTask(2, ['1.2'])
+      ];
+      const graph = buildDependencyGraph(tasks);
+      const suggestion = suggestCycleBreak(tasks, graph, graph.cycles[0]);
+
+      expect(suggestion.split).toMatchObject({ id: '1.2', waitsOn: '1.1', neededBy: '1.3' });
+      expect(applyCycleSplit(tasks, suggestion.split)).toBe('1.4');
+      expect(tasks[0].subtasks.map((st) => [st.id, st.dependencies])).toEqual([
+        [1, [3]],
+        [2, []],
+        [3, [2]],
+        [4, [2, 1]]
+      ]);
+      expect(tasks[1].dependencies).toEqual(['1.4']);
+      expect(buildDependencyGraph(tasks).cycles).toEqual([]);
+    });
+  });
+
+  test('applyCycleCut should remove the dependency in whatever form it is stored', () => {
+    const tasks = [createTask(1, [], { subtasks: [{ id: 1, title: 'Stuck', status: 'pending', dependencies: ['1', 2] }] })];
+
+    expect(applyCycleCut(tasks, { id: '1.1', dependsOn: '1' })).toBe(true);
+    expect(tasks[0].subtasks[0].dependencies).toEqual([2]);
+    expect(applyCycleCut(tasks, { id: '1.1', dependsOn: '1' })).toBe(false);
+  });
+
+  test('describeCycleForAI should list the items, cuts and split candidates', () => {
+    const tasks = createCycleTasks();
+    const suggestion = suggestCycleBreak(tasks, buildDependencyGraph(tasks), ['2', '3', '4']);
+    const description = describeCycleForAI(tasks, suggestion);
+
+    expect(description.items.map((item) => [item.id, item.priority])).toEqual([
+      ['2', 'high'],
+      ['3', 'medium'],
+      ['4', 'low']
+    ]);
+    expect(description.cuts).toEqual([
+      { id: '2', dependsOn: '4' },
+      { id: '3', dependsOn: '2' },
+      { id: '4', dependsOn: '3' }
+    ]);
+    expect(description.splitCandidates).toEqual(['3', '4', '2']);
+  });
+
+  test('mergeAICycleBreak should follow the AI ranking and ignore what the loop does not allow', () => {
+    const tasks = createCycleTasks();
+    const suggestion = suggestCycleBreak(tasks, buildDependencyGraph(tasks), ['2', '3', '4']);
+    const merged = mergeAICycleBreak(tasks, suggestion, {
+      explanation: 'The schema should not wait on the admin screens.',
+      cuts: [
+        { id: 4, dependsOn: 3, reason: 'The screens can mock the API' },
+        { id: '9', dependsOn: '1', reason: 'Not in the cycle' }
+      ],
+      split: { id: '2', first: { title: 'Users table', description: 'Only users' }, second: { title: 'Admin tables', description: 'The rest' } }
+    });
+
+    expect(merged.source).toBe('ai');
+    expect(merged.explanation).toBe('The schema should not wait on the admin screens.');
+    expect(merged.cuts.map((cut) => [cut.id, cut.dependsOn])).toEqual([
+      ['4', '3'],
+      ['2', '4'],
+      ['3', '2']
+    ]);
+    expect(merged.cuts[0].reasons).toEqual(['The screens can mock the API']);
+    expect(merged.split).toMatchObject({ id: '2', waitsOn: '4', neededBy: '3', first: { title: 'Users table' }, second: { title: 'Admin tables' } });
+
+    expect(mergeAICycleBreak(tasks, suggestion, { explanation: 'x', cuts: [], split: { id: '1', first: {}, second: {} } }).split).toBeNull();
+  });
+});
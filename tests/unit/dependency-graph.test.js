@@ -0,0 +1,192 @@
+/**
+ * Dependency graph export tests
+ */
+
+import {
+  resolveDependencyNode,
+  normalizeDependencyId,
+  findDependencyCycles,
+  buildDependencyGraph,
+  filterDependencyGraph,
+  renderDependencyGraph,
+  findDependencyPath,
+  buildDependencyTree,
+  findBlockedItems
+} from '../../scripts/modules/dependency-graph.js';
+import { createTask, createGraphTasks } from '../fixtures/sample-tasks.js';
+
+describe('Dependency Graph Module', () => {
+  test('resolveDependencyNode should prefer siblings for plain subtask dependencies', () => {
+    const tasks = createGraphTasks();
+
+    expect(resolveDependencyNode(1, tasks, tasks[1])).toBe('2.1');
+    expect(resolveDependencyNode(3, tasks, tasks[1])).toBe('3');
+    expect(resolveDependencyNode('4.1', tasks, tasks[1])).toBe('4.1');
+    expect(resolveDependencyNode('4.7', tasks)).toBeNull();
+  });
+
+  test('resolveDependencyNode should read string IDs on subtasks as tasks', () => {
+    const tasks = createGraphTasks();
+
+    expect(resolveDependencyNode('1', tasks, tasks[1])).toBe('1');
+    expect(resolveDependencyNode('2.1', tasks, tasks[1])).toBe('2.1');
+  });
+
+  test('normalizeDependencyId should return the stored form for the owning item', () => {
+    const tasks = createGraphTasks();
+
+    expect(normalizeDependencyId('3', tasks)).toBe(3);
+    expect(normalizeDependencyId('4.1', tasks)).toBe('4.1');
+    expect(normalizeDependencyId('2.1', tasks, tasks[1])).toBe(1);
+    expect(normalizeDependencyId('3', tasks, tasks[1])).toBe('3');
+    expect(normalizeDependencyId('4.1', tasks, tasks[1])).toBe('4.1');
+    expect(normalizeDependencyId('8', tasks, tasks[1])).toBeNull();
+  });
+
+  test('findDependencyCycles should return each strongly connected group', () => {
+    const edges = [
+      { from: 'a', to: 'b' },
+      { from: 'b', to: 'a' },
+      { from: 'b', to: 'c' },
+      { from: 'd', to: 'd' }
+    ];
+
+    expect(findDependencyCycles(['a', 'b', 'c', 'd'], edges)).toEqual([['a', 'b'], ['d']]);
+  });
+
+  describe('buildDependencyGraph', () => {
+    test('should link tasks, subtasks and their dependencies', () => {
+      const graph = buildDependencyGraph(createGraphTasks());
+
+      expect(graph.nodes.map((node) => node.id)).toEqual(['1', '2', '2.1', '2.2', '3', '4', '4.1', '5']);
+      expect(graph.edges).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ from: '2.1', to: '2.2', type: 'dependency' }),
+          expect.objectContaining({ from: '4.1', to: '2.2', type: 'dependency' }),
+          expect.objectContaining({ from: '2.2', to: '2', type: 'subtask' })
+        ])
+      );
+      expect(graph.missing).toEqual([{ id: '5', dependency: '9' }]);
+    });
+
+    test('should mark cycles and the critical path', () => {
+      const graph = buildDependencyGraph(createGraphTasks());
+
+      expect(graph.cycles).toEqual([['4', '5']]);
+      expect(graph.nodes.filter((node) => node.inCycle).map((node) => node.id)).toEqual(['4', '5']);
+      expect(graph.criticalPath.ids).toEqual(['2', '3']);
+      expect(graph.edges.filter((edge) => edge.critical)).toEqual([expect.objectContaining({ from: '2', to: '3' })]);
+    });
+
+    test('should count a subtask waiting on its own parent as a cycle', () => {
+      const tasks = [createTask(1, [], { subtasks: [{ id: 1, title: 'Stuck', status: 'pending', dependencies: ['1'] }] })];
+      const graph = buildDependencyGraph(tasks);
+
+      expect(graph.cycles).toEqual([['1', '1.1']]);
+      expect(graph.edges.every((edge) => edge.inCycle)).toBe(true);
+      expect(graph.edges.some((edge) => edge.critical)).toBe(false);
+    });
+
+    test('should leave out subtasks on request', () => {
+      const graph = buildDependencyGraph(createGraphTasks(), { subtasks: false });
+
+      expect(graph.nodes.every((node) => node.type === 'task')).toBe(true);
+      expect(graph.edges.every((edge) => edge.type === 'dependency' && !edge.from.includes('.'))).toBe(true);
+    });
+  });
+
+  describe('filterDependencyGraph', () => {
+    test('should keep the ancestors or descendants of a task and its subtasks', () => {
+      const graph = buildDependencyGraph(createGraphTasks());
+
+      expect(filterDependencyGraph(graph, 2, 'ancestors').nodes.map((node) => node.id)).toEqual(['1', '2', '2.1', '2.2', '4.1']);
+      expect(filterDependencyGraph(graph, '4.1', 'descendants').nodes.map((node) => node.id)).toEqual(['2.2', '4.1']);
+      expect(filterDependencyGraph(graph, 1).nodes.map((node) => node.id)).toEqual(['1', '2', '3']);
+    });
+
+    test('should reject unknown IDs and directions', () => {
+      const graph = buildDependencyGraph(createGraphTasks());
+
+      expect(() => filterDependencyGraph(graph, '7')).toThrow('Task 7 not found');
+      expect(() => filterDependencyGraph(graph, '2', 'up')).toThrow('Unknown direction "up"');
+    });
+  });
+
+  test('findDependencyPath should follow dependencies and parent links', () => {
+    const graph = buildDependencyGraph(createGraphTasks());
+
+    expect(findDependencyPath(graph, '4.1', '3')).toEqual(['4.1', '2.2', '2', '3']);
+    expect(findDependencyPath(graph, '3', '4.1')).toBeNull();
+  });
+
+  describe('buildDependencyTree', () => {
+    test('should list unfinished prerequisites and mark what can start now', () => {
+      const tree = buildDependencyTree(buildDependencyGraph(createGraphTasks()), 3);
+
+      expect(tree.children.map((child) => child.id)).toEqual(['2']);
+      expect(tree.children[0].children.map((child) => child.id)).toEqual([]);
+      expect(tree.children[0].ready).toBe(true);
+
+      const withFinished = buildDependencyTree(buildDependencyGraph(createGraphTasks()), 3, { all: true });
+      expect(withFinished.children[0].children.map((child) => child.id)).toEqual(['1']);
+    });
+
+    test('should not mark subtasks of a blocked task as ready', () => {
+      const tree = buildDependencyTree(buildDependencyGraph(createGraphTasks()), '2.2');
+
+      expect(tree.children.map((child) => [child.id, child.ready])).toEqual([['4.1', false]]);
+    });
+
+    test('should mark cycles and missing dependencies', () => {
+      const tree = buildDependencyTree(buildDependencyGraph(createGraphTasks()), 5);
+
+      expect(tree.missing).toEqual(['9']);
+      expect(tree.children[0].id).toBe('4');
+      expect(tree.children[0].children).toEqual([expect.objectContaining({ id: '5', cycle: true, children: [] })]);
+    });
+  });
+
+  describe('findBlockedItems', () => {
+    test('should list blocked work and rank the blockers by how much they hold up', () => {
+      const tasks = [createTask(1), createTask(2, [1]), createTask(3, [2]), createTask(4, [1]), createTask(5), createTask(6, [5])];
+
+      const { blocked, blockers } = findBlockedItems(buildDependencyGraph(tasks));
+
+      expect(blocked.map((entry) => [entry.node.id, entry.waitingOn.map((node) => node.id)])).toEqual([
+        ['2', ['1']],
+        ['3', ['2']],
+        ['4', ['1']],
+        ['6', ['5']]
+      ]);
+      expect(blockers.map((entry) => [entry.node.id, entry.holdsUp])).toEqual([
+        ['1', 3],
+        ['5', 1]
+      ]);
+    });
+  });
+
+  describe('renderDependencyGraph', () => {
+    test('should render Mermaid with status classes and highlighted cycle edges', () => {
+      const output = renderDependencyGraph(buildDependencyGraph(createGraphTasks()), 'mermaid');
+
+      expect(output).toMatch(/^flowchart LR/);
+      expect(output).toContain('t2_1 --> t2_2');
+      expect(output).toContain('t2_2 -.- t2');
+      expect(output).toContain('class t2_2,t3,t4,t4_1,t5 status_pending');
+      expect(output).toContain('class t4,t5 cycle');
+      expect(output).toContain('linkStyle 6,8 stroke:#dc3545');
+    });
+
+    test('should render DOT with escaped labels', () => {
+      const tasks = [createTask(1, [], { title: 'Say "hi"' }), createTask(2, [1])];
+      const output = renderDependencyGraph(buildDependencyGraph(tasks), 'dot');
+
+      expect(output).toContain('"1" [label="#1 Say \\"hi\\" (pending)"');
+      expect(output).toContain('"1" -> "2" [color="#fd7e14", penwidth=2];');
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => renderDependencyGraph(buildDependencyGraph([]), 'svg')).toThrow('Unknown graph format "svg"');
+    });
+  });
+});
@@ -9,6 +9,7 @@ import {
   removeDuplicateDependencies,
   cleanupSubtaskDependencies,
   ensureAtLeastOneIndependentSubtask,
+  removeCircularDependencies,
   validateAndFixDependencies
 } from '../../scripts/modules/dependency-manager.js';
 import * as utils from '../../scripts/modules/utils.js';
@@ -414,6 +415,49 @@ describe('Dependency Manager Module', () => {
     });
   });
 
+  describe('removeCircularDependencies function', () => {
+    test('should cut each task-level cycle where it closes', () => {
+      const tasks = [
+        { id: 1, dependencies: [3] },
+        { id: 2, dependencies: [1] },
+        { id: 3, dependencies: [2] },
+        { id: 4, dependencies: [5] },
+        { id: 5, dependencies: [4] }
+      ];
+      const changes = [];
+
+      expect(removeCircularDependencies(tasks, changes)).toBe(2);
+      expect(changes).toEqual([
+        { id: '1', dependency: 3, reason: 'circular', message: 'Closes the dependency cycle 1 → 3 → 2 → 1' },
+        { id: '4', dependency: 5, reason: 'circular', message: 'Closes the dependency cycle 4 → 5 → 4' }
+      ]);
+      expect(tasks.map((task) => task.dependencies)).toEqual([[], [1], [2], [], [4]]);
+      expect(validateTaskDependencies(tasks).valid).toBe(true);
+    });
+
+    test('should cut cycles between subtasks of different tasks', () => {
+      const tasks = [
+        { id: 1, dependencies: [], subtasks: [{ id: 1, dependencies: ['2.1'] }] },
+        { id: 2, dependencies: [], subtasks: [{ id: 1, dependencies: ['1.1'] }] }
+      ];
+      const changes = [];
+
+      expect(removeCircularDependencies(tasks, changes)).toBe(1);
+      expect(changes).toEqual([{ id: '1.1', dependency: '2.1', reason: 'circular', message: 'Closes the dependency cycle 1.1 → 2.1 → 1.1' }]);
+      expect(tasks[1].subtasks[0].dependencies).toEqual(['1.1']);
+      expect(validateTaskDependencies(tasks).valid).toBe(true);
+    });
+
+    test('should not cut the link between a task and its own subtask', () => {
+      const tasks = [{ id: 1, dependencies: [], subtasks: [{ id: 1, dependencies: ['1'] }] }];
+      const changes = [];
+
+      expect(removeCircularDependencies(tasks, changes)).toBe(1);
+      expect(changes[0]).toMatchObject({ id: '1.1', dependency: '1', reason: 'circular' });
+      expect(tasks[0].subtasks[0].dependencies).toEqual([]);
+    });
+  });
+
   describe('validateAndFixDependencies function', () => {
     test('should fix multiple dependency issues and return true if changes made', () => {
       const tasksData = {
@@ -526,6 +570,52 @@ describe('Dependency Manager Module', () => {
       expect(mockWriteJSON).not.toHaveBeenCalledWith('tasks/tasks.json', expect.anything());
     });
 
+    test('should record each removed dependency and why', () => {
+      const tasksData = {
+        tasks: [
+          {
+            id: 1,
+            dependencies: [1, 99, 2, 2],
+            subtasks: [
+              { id: 1, dependencies: [2] },
+              { id: 2, dependencies: [1] }
+            ]
+          },
+          { id: 2, dependencies: [] }
+        ]
+      };
+      const changes = [];
+
+      validateAndFixDependencies(tasksData, null, changes);
+
+      expect(changes.map((change) => [change.id, change.dependency, change.reason])).toEqual([
+        ['1', 1, 'self'],
+        ['1', 99, 'missing'],
+        ['1', 2, 'duplicate'],
+        ['1.1', 2, 'circular']
+      ]);
+      expect(changes[1].message).toBe('No task 99 exists');
+    });
+
+    test('should break dependency cycles so validation passes', () => {
+      const tasksData = {
+        tasks: [
+          { id: 1, dependencies: [2] },
+          { id: 2, dependencies: [1], subtasks: [{ id: 1, dependencies: ['3.1'] }] },
+          { id: 3, dependencies: [], subtasks: [{ id: 1, dependencies: ['2.1'] }] }
+        ]
+      };
+      const changes = [];
+
+      expect(validateTaskDependencies(tasksData.tasks).valid).toBe(false);
+      expect(validateAndFixDependencies(tasksData, null, changes)).toBe(true);
+      expect(changes.map((change) => [change.id, change.dependency, change.reason])).toEqual([
+        ['1', 2, 'circular'],
+        ['2.1', '3.1', 'circular']
+      ]);
+      expect(validateTaskDependencies(tasksData.tasks).valid).toBe(true);
+    });
+
     test('should handle invalid input', () => {
       expect(validateAndFixDependencies(null)).toBe(false);
       expect(validateAndFixDependencies({})).toBe(false);
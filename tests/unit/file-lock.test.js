@@ -0,0 +1,97 @@
+/**
+ * Atomic write and lock file tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { TasksFileError, writeFileAtomic, withFileLock, isStaleLock } from '../../scripts/modules/file-lock.js';
+
+describe('File Lock Module', () => {
+  let dir;
+  let filePath;
+  let lockPath;
+
+  const writeLock = (owner, ageMs = 0) => {
+    fs.writeFileSync(lockPath, JSON.stringify(owner));
+    const time = new Date(Date.now() - ageMs);
+    fs.utimesSync(lockPath, time, time);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-lock-'));
+    filePath = path.join(dir, 'tasks.json');
+    lockPath = `${filePath}.lock`;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('writeFileAtomic', () => {
+    test('should replace the file without leaving temporary files', () => {
+      fs.writeFileSync(filePath, 'old');
+      writeFileAtomic(filePath, 'new');
+
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('new');
+      expect(fs.readdirSync(dir)).toEqual(['tasks.json']);
+    });
+
+    test('should clean up the temporary file when the rename fails', () => {
+      fs.mkdirSync(filePath);
+      expect(() => writeFileAtomic(filePath, 'data')).toThrow();
+      expect(fs.readdirSync(dir)).toEqual(['tasks.json']);
+    });
+  });
+
+  describe('withFileLock', () => {
+    test('should hold the lock while the function runs and release it afterwards', () => {
+      const result = withFileLock(filePath, () => {
+        const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        expect(owner.pid).toBe(process.pid);
+        return withFileLock(filePath, () => 'nested');
+      });
+
+      expect(result).toBe('nested');
+      expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    test('should release the lock when the function throws', () => {
+      expect(() =>
+        withFileLock(filePath, () => {
+          throw new Error('boom');
+        })
+      ).toThrow('boom');
+      expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    test('should time out on a lock held by a live process', () => {
+      writeLock({ pid: process.ppid, host: os.hostname() });
+
+      expect(() => withFileLock(filePath, () => 'never', { timeoutMs: 100 })).toThrow(TasksFileError);
+      expect(() => withFileLock(filePath, () => 'never', { timeoutMs: 0 })).toThrow(`process ${process.ppid}`);
+      expect(fs.existsSync(lockPath)).toBe(true);
+    });
+
+    test('should take over stale locks', () => {
+      writeLock({ pid: process.ppid, host: os.hostname() }, 60000);
+      expect(withFileLock(filePath, () => 'ran')).toBe('ran');
+    });
+  });
+
+  describe('isStaleLock', () => {
+    test('should detect locks of dead processes and old locks', () => {
+      writeLock({ pid: 2 ** 22 + 12345, host: os.hostname() });
+      expect(isStaleLock(lockPath, 30000)).toBe(true);
+
+      writeLock({ pid: process.ppid, host: 'another-host' });
+      expect(isStaleLock(lockPath, 30000)).toBe(false);
+      expect(isStaleLock(lockPath, -1)).toBe(true);
+    });
+
+    test('should not treat a missing lock as stale', () => {
+      expect(isStaleLock(lockPath, 30000)).toBe(false);
+    });
+  });
+});
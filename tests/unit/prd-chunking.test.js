@@ -0,0 +1,168 @@
+/**
+ * PRD chunking module tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  estimateTokens,
+  splitPrdIntoSections,
+  splitOversizedSection,
+  chunkPrd,
+  mergeChunks,
+  allocateTasksToChunks,
+  mergeChunkTasks
+} from '../../scripts/modules/prd-chunking.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const samplePrd = fs.readFileSync(path.join(__dirname, '../fixtures/sample-prd.txt'), 'utf8');
+
+describe('PRD Chunking Module', () => {
+  describe('estimateTokens', () => {
+    test('should estimate roughly four characters per token', () => {
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens('abcd')).toBe(1);
+      expect(estimateTokens('abcde')).toBe(2);
+    });
+  });
+
+  describe('splitPrdIntoSections', () => {
+    test('should split at markdown headings', () => {
+      const sections = splitPrdIntoSections('Intro text\n# One\nFirst\n## Two\nSecond');
+      expect(sections.map((s) => s.heading)).toEqual(['', 'One', 'Two']);
+      expect(sections[1].text).toBe('# One\nFirst');
+    });
+
+    test('should ignore headings inside code fences', () => {
+      const sections = splitPrdIntoSections('# One\n```\n# not a heading\n```\n# Two\ntext');
+      expect(sections.map((s) => s.heading)).toEqual(['One', 'Two']);
+    });
+
+    test('should keep the whole sample PRD', () => {
+      const sections = splitPrdIntoSections(samplePrd);
+      expect(sections.length).toBeGreaterThan(1);
+      expect(sections.map((s) => s.text).join('\n')).toContain('Task Management Core');
+    });
+  });
+
+  describe('splitOversizedSection', () => {
+    test('should split at paragraph boundaries', () => {
+      const text = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+      expect(splitOversizedSection(text, 15)).toEqual(['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)]);
+      expect(splitOversizedSection(text, 100)).toEqual([text]);
+    });
+  });
+
+  describe('chunkPrd', () => {
+    test('should return a single chunk when the PRD fits the budget', () => {
+      const chunks = chunkPrd(samplePrd, 100000);
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].tokens).toBe(estimateTokens(chunks[0].text));
+    });
+
+    test('should keep every chunk within the budget and preserve order', () => {
+      const prd = ['# A', 'x'.repeat(200), '# B', 'y'.repeat(200), '# C', 'z'.repeat(200)].join('\n');
+      const chunks = chunkPrd(prd, 80);
+
+      expect(chunks.map((c) => c.headings)).toEqual([['A'], ['B'], ['C']]);
+      chunks.forEach((chunk) => expect(chunk.tokens).toBeLessThanOrEqual(80));
+    });
+
+    test('should pack small sections together', () => {
+      const prd = '# A\nshort\n# B\nshort\n# C\nshort';
+      expect(chunkPrd(prd, 1000)[0].headings).toEqual(['A', 'B', 'C']);
+    });
+  });
+
+  describe('allocateTasksToChunks', () => {
+    test('should split the task count proportionally', () => {
+      expect(allocateTasksToChunks([{ tokens: 300 }, { tokens: 100 }], 8)).toEqual([6, 2]);
+    });
+
+    test('should give every chunk at least one task and keep the total', () => {
+      const allocation = allocateTasksToChunks([{ tokens: 1000 }, { tokens: 1 }, { tokens: 1 }], 10);
+      expect(allocation.every((count) => count >= 1)).toBe(true);
+      expect(allocation.reduce((sum, count) => sum + count, 0)).toBe(10);
+    });
+
+    test('should never request more tasks than asked for when there are more chunks than tasks', () => {
+      expect(allocateTasksToChunks([{ tokens: 100 }, { tokens: 300 }, { tokens: 50 }, { tokens: 200 }], 2)).toEqual([0, 1, 0, 1]);
+    });
+  });
+
+  describe('mergeChunks', () => {
+    const chunk = (name, tokens) => ({ text: name.repeat(tokens * 4), headings: [name], tokens });
+
+    test('should merge the smallest neighbours until there are no more chunks than tasks', () => {
+      const chunks = [chunk('A', 100), chunk('B', 300), chunk('C', 50), chunk('D', 60), chunk('E', 200)];
+      const merged = mergeChunks(chunks, 3);
+
+      // C and D go first (110 tokens), then C-D with E (311) is smaller than A with B (400)
+      expect(merged.map((c) => c.headings)).toEqual([['A'], ['B'], ['C', 'D', 'E']]);
+      expect(merged[2].text).toBe(`${'C'.repeat(200)}\n\n${'D'.repeat(240)}\n\n${'E'.repeat(800)}`);
+      expect(merged[2].tokens).toBe(estimateTokens(merged[2].text));
+
+      const allocation = allocateTasksToChunks(merged, 3);
+      expect(allocation).toEqual([1, 1, 1]);
+    });
+
+    test('should leave chunks alone when there are enough tasks', () => {
+      const chunks = [chunk('A', 100), chunk('B', 300)];
+      expect(mergeChunks(chunks, 5)).toEqual(chunks);
+      expect(mergeChunks(chunks, 0).map((c) => c.headings)).toEqual([['A', 'B']]);
+    });
+  });
+
+  describe('mergeChunkTasks', () => {
+    test('should renumber tasks and remap dependencies within a chunk', () => {
+      const { tasks } = mergeChunkTasks([
+        [
+          { id: 1, title: 'A', dependencies: [] },
+          { id: 2, title: 'B', dependencies: [1] }
+        ],
+        [
+          { id: 1, title: 'C', dependencies: [] },
+          { id: 2, title: 'D', dependencies: [1] }
+        ]
+      ]);
+
+      expect(tasks.map((t) => t.id)).toEqual([1, 2, 3, 4]);
+      expect(tasks[3].dependencies).toEqual([3]);
+    });
+
+    test('should keep dependencies on tasks from earlier chunks', () => {
+      const { tasks } = mergeChunkTasks([
+        [
+          { id: 1, title: 'A', dependencies: [] },
+          { id: 2, title: 'B', dependencies: [1] }
+        ],
+        [
+          { id: 3, title: 'C', dependencies: [2] },
+          { id: 4, title: 'D', dependencies: [3, 1] }
+        ]
+      ]);
+
+      expect(tasks[2].dependencies).toEqual([2]);
+      expect(tasks[3].dependencies).toEqual([3, 1]);
+    });
+
+    test('should drop forward, self and unknown dependencies', () => {
+      const { tasks, droppedDependencies } = mergeChunkTasks([
+        [
+          { id: 1, title: 'A', dependencies: [2] },
+          { id: 2, title: 'B', dependencies: [2, 99] }
+        ]
+      ]);
+
+      expect(tasks[0].dependencies).toEqual([]);
+      expect(tasks[1].dependencies).toEqual([]);
+      expect(droppedDependencies).toEqual([
+        { taskId: 1, dependency: 2 },
+        { taskId: 2, dependency: 2 },
+        { taskId: 2, dependency: 99 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Status workflow tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  DEFAULT_WORKFLOW,
+  normalizeWorkflow,
+  loadStatusWorkflow,
+  getStatusWorkflow,
+  setStatusWorkflow,
+  getStatusDefinition,
+  isTerminalStatus,
+  isActionableStatus,
+  checkStatusTransition
+} from '../../scripts/modules/status-workflow.js';
+import { findNextTask } from '../../scripts/modules/task-manager.js';
+
+const kanban = {
+  initialStatus: 'todo',
+  statuses: {
+    todo: { actionable: true },
+    doing: { color: '#FFA500', actionable: true },
+    qa: { color: 'magenta' },
+    shipped: { color: 'green', icon: '🚀', terminal: true, requires: ['completionNote'] }
+  },
+  transitions: {
+    todo: ['doing'],
+    doing: ['qa', 'todo'],
+    qa: ['shipped', 'doing'],
+    '*': ['todo']
+  }
+};
+
+describe('Status Workflow Module', () => {
+  afterEach(() => {
+    setStatusWorkflow(null);
+  });
+
+  describe('normalizeWorkflow', () => {
+    test('should fill in display defaults and flags', () => {
+      const workflow = normalizeWorkflow(kanban);
+
+      expect(workflow.initialStatus).toBe('todo');
+      expect(workflow.statuses.shipped).toEqual({
+        color: 'green',
+        icon: '🚀',
+        tableIcon: '•',
+        terminal: true,
+        actionable: false,
+        requires: ['completionNote']
+      });
+      expect(workflow.statuses.todo.terminal).toBe(false);
+    });
+
+    test('should keep the flags of built-in statuses that are redefined without them', () => {
+      const workflow = normalizeWorkflow({
+        statuses: { pending: { color: 'blue' }, review: {}, done: { requires: ['completionNote'] }, completed: { terminal: false } }
+      });
+
+      expect(workflow.statuses.pending).toMatchObject({ color: 'blue', actionable: true, terminal: false });
+      expect(workflow.statuses.review).toMatchObject({ actionable: false, terminal: false });
+      expect(workflow.statuses.done).toMatchObject({ terminal: true, actionable: false, requires: ['completionNote'] });
+      expect(workflow.statuses.completed.terminal).toBe(false);
+
+      setStatusWorkflow({ statuses: { pending: {}, done: {} } });
+      expect(isTerminalStatus('done')).toBe(true);
+      expect(isActionableStatus('pending')).toBe(true);
+    });
+
+    test('should pick the status obsolete tasks are moved to', () => {
+      expect(DEFAULT_WORKFLOW.obsoleteStatus).toBe('deferred');
+      expect(normalizeWorkflow({ statuses: { todo: { actionable: true }, qa: {}, shipped: { terminal: true } } }).obsoleteStatus).toBe('qa');
+      expect(normalizeWorkflow({ statuses: { todo: { actionable: true }, shipped: { terminal: true } } }).obsoleteStatus).toBeNull();
+      expect(normalizeWorkflow({ ...kanban, obsoleteStatus: 'todo' }).obsoleteStatus).toBe('todo');
+    });
+
+    test('should reject invalid workflows', () => {
+      expect(() => normalizeWorkflow({ statuses: {} })).toThrow('at least one status');
+      expect(() => normalizeWorkflow({ statuses: { todo: {} } })).toThrow('at least one status must be terminal');
+      expect(() => normalizeWorkflow({ ...kanban, initialStatus: 'backlog' })).toThrow('initialStatus "backlog"');
+      expect(() => normalizeWorkflow({ ...kanban, transitions: { todo: ['review'] } })).toThrow('unknown status "review"');
+      expect(() => normalizeWorkflow({ statuses: { done: { terminal: true, requires: 'note' } } })).toThrow('list of field names');
+      expect(() => normalizeWorkflow({ ...kanban, obsoleteStatus: 'gone' })).toThrow('obsoleteStatus "gone"');
+      expect(() => normalizeWorkflow({ ...kanban, obsoleteStatus: 'shipped' })).toThrow('must not be terminal');
+    });
+  });
+
+  describe('default workflow', () => {
+    test('should keep the built-in statuses', () => {
+      expect(getStatusWorkflow()).toBe(DEFAULT_WORKFLOW);
+      expect(isTerminalStatus('done')).toBe(true);
+      expect(isTerminalStatus('Completed')).toBe(true);
+      expect(isTerminalStatus('review')).toBe(false);
+      expect(isActionableStatus('in-progress')).toBe(true);
+      expect(isActionableStatus('deferred')).toBe(false);
+      expect(getStatusDefinition('IN-PROGRESS').name).toBe('in-progress');
+      expect(getStatusDefinition('todo')).toBeNull();
+    });
+
+    test('should allow any transition between known statuses', () => {
+      const task = { id: 1, status: 'done' };
+      expect(checkStatusTransition(task, 'task 1', 'Pending')).toBe('pending');
+      expect(() => checkStatusTransition(task, 'task 1', 'todo')).toThrow('Unknown status "todo"');
+    });
+
+    test('should accept a completion note but no other fields', () => {
+      const task = { id: 1, status: 'pending', dependencies: [2] };
+
+      expect(checkStatusTransition(task, 'task 1', 'done', { completionNote: 'Merged' })).toBe('done');
+      expect(() => checkStatusTransition(task, 'task 1', 'review', { dependencies: '' })).toThrow('Cannot set dependencies with a status change');
+      expect(task.dependencies).toEqual([2]);
+    });
+  });
+
+  describe('checkStatusTransition', () => {
+    beforeEach(() => {
+      setStatusWorkflow(kanban);
+    });
+
+    test('should allow configured transitions and wildcard sources', () => {
+      expect(checkStatusTransition({ status: 'todo' }, 'task 1', 'doing')).toBe('doing');
+      expect(checkStatusTransition({ status: 'qa' }, 'task 1', 'todo')).toBe('todo');
+      expect(checkStatusTransition({ status: 'qa' }, 'task 1', 'qa')).toBe('qa');
+    });
+
+    test('should reject other transitions and name the allowed ones', () => {
+      expect(() => checkStatusTransition({ status: 'todo' }, 'task 4', 'qa')).toThrow(
+        'Cannot move task 4 from "todo" to "qa". Allowed from "todo": doing, todo'
+      );
+    });
+
+    test('should require the configured fields and set the supplied ones', () => {
+      const task = { id: 2, status: 'qa' };
+
+      expect(() => checkStatusTransition(task, 'task 2', 'shipped')).toThrow('requires completionNote');
+      expect(() => checkStatusTransition(task, 'task 2', 'shipped', { completionNote: '  ' })).toThrow('requires completionNote');
+
+      expect(checkStatusTransition(task, 'task 2', 'shipped', { completionNote: 'Released' })).toBe('shipped');
+      expect(task.completionNote).toBe('Released');
+    });
+
+    test('should only set fields the workflow asks for', () => {
+      const task = { id: 2, title: 'Ship it', status: 'qa' };
+
+      expect(() => checkStatusTransition(task, 'task 2', 'shipped', { completionNote: 'Released', title: '' })).toThrow(
+        'Cannot set title with a status change. Fields that can be set: completionNote'
+      );
+      expect(task).toEqual({ id: 2, title: 'Ship it', status: 'qa' });
+    });
+  });
+
+  test('findNextTask should only suggest actionable statuses', () => {
+    setStatusWorkflow(kanban);
+    const tasks = [
+      { id: 1, title: 'Done', status: 'shipped', dependencies: [], priority: 'medium' },
+      { id: 2, title: 'In QA', status: 'qa', dependencies: [1], priority: 'high' },
+      { id: 3, title: 'Ready', status: 'todo', dependencies: [1], priority: 'low' }
+    ];
+
+    expect(findNextTask(tasks).id).toBe(3);
+  });
+
+  test('loadStatusWorkflow should read the workflow of the project', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-workflow-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'tasks'));
+      fs.writeFileSync(path.join(dir, '.taskmasterconfig'), JSON.stringify({ workflow: kanban }));
+
+      expect(loadStatusWorkflow(path.join(dir, 'tasks', 'tasks.json')).initialStatus).toBe('todo');
+      expect(isTerminalStatus('done')).toBe(false);
+      expect(isTerminalStatus('shipped')).toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Structured output module tests
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  stripCodeFences,
+  extractJson,
+  repairTruncatedJson,
+  parseJsonResponse,
+  validateSchema,
+  parseStructuredResponse,
+  buildRepairPrompt,
+  normalizeComplexityAnalysis,
+  SUBTASK_LIST_SCHEMA,
+  PRD_RESPONSE_SCHEMA,
+  COMPLEXITY_LIST_SCHEMA
+} from '../../scripts/modules/structured-output.js';
+import { registerProvider } from '../../scripts/modules/ai-providers.js';
+import { generateStructured } from '../../scripts/modules/ai-services.js';
+import { CONFIG } from '../../scripts/modules/utils.js';
+import { sampleGeminiResponse } from '../fixtures/sample-gemini-response.js';
+
+describe('Structured Output Module', () => {
+  describe('stripCodeFences', () => {
+    test('should remove json code fences and surrounding prose', () => {
+      expect(stripCodeFences('Here you go:\n```json\n[1, 2]\n```\nThanks')).toBe('[1, 2]');
+    });
+
+    test('should handle an unterminated fence', () => {
+      expect(stripCodeFences('```json\n[1, 2')).toBe('[1, 2');
+    });
+
+    test('should leave plain text untouched', () => {
+      expect(stripCodeFences('  [1]  ')).toBe('[1]');
+    });
+
+    test('should ignore fences inside JSON strings', () => {
+      const text = '[{"id": 1, "details": "Use:\\n```js\\nrun();\\n```"}]';
+      expect(stripCodeFences(text)).toBe(text);
+      expect(stripCodeFences('```json\n' + text + '\n```')).toBe(text);
+    });
+  });
+
+  describe('extractJson', () => {
+    test('should extract the expected value type from prose', () => {
+      expect(extractJson('Result: [{"a": 1}] done', 'array')).toBe('[{"a": 1}]');
+      expect(extractJson('Result: {"a": [1]} done', 'object')).toBe('{"a": [1]}');
+    });
+
+    test('should throw when no JSON is present', () => {
+      expect(() => extractJson('no json here', 'array')).toThrow('Could not find a JSON array');
+    });
+  });
+
+  describe('repairTruncatedJson', () => {
+    test('should drop an incomplete trailing array element', () => {
+      const truncated = '[{"id": 1, "title": "A"}, {"id": 2, "title": "B"}, {"id": 3, "ti';
+      expect(JSON.parse(repairTruncatedJson(truncated))).toEqual([
+        { id: 1, title: 'A' },
+        { id: 2, title: 'B' }
+      ]);
+    });
+
+    test('should close nested containers', () => {
+      const truncated = '{"tasks": [{"id": 1, "dependencies": []}, {"id": 2, "dependencies": [1';
+      expect(JSON.parse(repairTruncatedJson(truncated))).toEqual({ tasks: [{ id: 1, dependencies: [] }] });
+    });
+
+    test('should ignore brackets inside strings', () => {
+      const truncated = '[{"title": "Use [brackets] and {braces}"}, {"title": "cut';
+      expect(JSON.parse(repairTruncatedJson(truncated))).toEqual([{ title: 'Use [brackets] and {braces}' }]);
+    });
+
+    test('should return null when nothing is complete', () => {
+      expect(repairTruncatedJson('[{"id": 1')).toBeNull();
+    });
+  });
+
+  describe('parseJsonResponse', () => {
+    test('should parse fenced JSON with trailing commas', () => {
+      const { data, repaired } = parseJsonResponse('```json\n[{"id": 1,},]\n```', 'array');
+      expect(data).toEqual([{ id: 1 }]);
+      expect(repaired).toBe(false);
+    });
+
+    test('should keep code samples inside JSON strings', () => {
+      const details = 'Call it like this:\n```js\nawait run();\n```\nThen check the logs.';
+      const text = JSON.stringify([{ id: 1, title: 'Run', details }], null, 2);
+
+      expect(parseJsonResponse(text, 'array').data).toEqual([{ id: 1, title: 'Run', details }]);
+      expect(parseJsonResponse('Here are the tasks:\n' + text, 'array').data[0].details).toBe(details);
+      expect(parseJsonResponse('```json\n' + text + '\n```', 'array').data[0].details).toBe(details);
+    });
+
+    test('should report when truncation was repaired', () => {
+      const { data, repaired } = parseJsonResponse('[{"id": 1}, {"id": 2', 'array');
+      expect(data).toEqual([{ id: 1 }]);
+      expect(repaired).toBe(true);
+    });
+
+    test('should throw for unusable responses', () => {
+      expect(() => parseJsonResponse('[', 'array')).toThrow('Response is not valid JSON');
+    });
+  });
+
+  describe('validateSchema', () => {
+    test('should accept the sample PRD response', () => {
+      expect(validateSchema(sampleGeminiResponse, PRD_RESPONSE_SCHEMA)).toEqual([]);
+    });
+
+    test('should report missing required fields with their path', () => {
+      const errors = validateSchema([{ id: 1, title: 'A' }], SUBTASK_LIST_SCHEMA);
+      expect(errors).toEqual(['$[0].dependencies: is required']);
+    });
+
+    test('should report type and enum errors', () => {
+      const response = {
+        tasks: [{ id: '1', title: 'A', dependencies: [], priority: 'urgent' }]
+      };
+      const errors = validateSchema(response, PRD_RESPONSE_SCHEMA);
+      expect(errors).toContain('$.tasks[0].id: expected integer but got string');
+      expect(errors).toContain('$.tasks[0].priority: must be one of "high", "medium", "low"');
+    });
+  });
+
+  describe('parseStructuredResponse', () => {
+    test('should wrap a single object when a list is expected', () => {
+      const { data } = parseStructuredResponse('{"id": 1, "title": "A", "dependencies": []}', SUBTASK_LIST_SCHEMA);
+      expect(data).toEqual([{ id: 1, title: 'A', dependencies: [] }]);
+    });
+
+    test('should attach validation errors to the thrown error', () => {
+      expect.assertions(2);
+      try {
+        parseStructuredResponse('[{"id": 1}]', SUBTASK_LIST_SCHEMA);
+      } catch (error) {
+        expect(error.message).toContain('Response failed validation');
+        expect(error.validationErrors).toEqual(['$[0].title: is required', '$[0].dependencies: is required']);
+      }
+    });
+  });
+
+  describe('buildRepairPrompt', () => {
+    test('should include the original prompt, errors and previous response', () => {
+      const prompt = buildRepairPrompt('Original prompt', '[{"id": 1}]', ['$[0].title: is required']);
+      expect(prompt).toContain('Original prompt');
+      expect(prompt).toContain('- $[0].title: is required');
+      expect(prompt).toContain('[{"id": 1}]');
+    });
+  });
+
+  describe('normalizeComplexityAnalysis', () => {
+    test('should clamp scores and fill defaults', () => {
+      const [entry] = normalizeComplexityAnalysis([{ taskId: 3, taskTitle: 'A', complexityScore: 14 }]);
+      expect(entry.complexityScore).toBe(10);
+      expect(entry.recommendedSubtasks).toBe(5);
+      expect(entry.expansionPrompt).toBe('Break down task 3 into 5 subtasks');
+      expect(entry.reasoning).toBe('No specific reasoning provided');
+    });
+  });
+
+  describe('generateStructured', () => {
+    const originalProvider = CONFIG.aiProvider;
+    const originalAttempts = CONFIG.maxRepairAttempts;
+
+    afterEach(() => {
+      CONFIG.aiProvider = originalProvider;
+      CONFIG.maxRepairAttempts = originalAttempts;
+    });
+
+    test('should re-prompt with validation errors until the response is valid', async () => {
+      const generate = jest
+        .fn()
+        .mockResolvedValueOnce({ text: '[{"taskId": 1}]', raw: null })
+        .mockResolvedValueOnce({ text: '[{"taskId": 1, "taskTitle": "A", "complexityScore": 4}]', raw: null });
+      registerProvider('structured-test', () => ({ name: 'structured-test', model: 'test', generate }));
+      CONFIG.aiProvider = 'structured-test';
+
+      const result = await generateStructured({
+        command: 'analyze-complexity',
+        purpose: 'analyze-complexity',
+        schema: COMPLEXITY_LIST_SCHEMA,
+        prompt: 'Analyze'
+      });
+
+      expect(result).toEqual([{ taskId: 1, taskTitle: 'A', complexityScore: 4 }]);
+      expect(generate).toHaveBeenCalledTimes(2);
+      expect(generate.mock.calls[1][0].prompt).toContain('$[0].taskTitle: is required');
+    });
+
+    test('should give up after the configured number of repair attempts', async () => {
+      const generate = jest.fn().mockResolvedValue({ text: 'not json', raw: null });
+      registerProvider('structured-test', () => ({ name: 'structured-test', model: 'test', generate }));
+      CONFIG.aiProvider = 'structured-test';
+      CONFIG.maxRepairAttempts = 1;
+
+      await expect(
+        generateStructured({ command: 'expand', purpose: 'expand', schema: SUBTASK_LIST_SCHEMA, prompt: 'Expand' })
+      ).rejects.toThrow('after 2 attempt(s)');
+      expect(generate).toHaveBeenCalledTimes(2);
+    });
+  });
+});
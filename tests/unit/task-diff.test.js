@@ -0,0 +1,209 @@
+/**
+ * Task diff module tests
+ */
+
+import {
+  titleSimilarity,
+  matchTasks,
+  mergeDependencies,
+  diffTaskSets,
+  hasTaskChanges,
+  applyTaskDiff
+} from '../../scripts/modules/task-diff.js';
+import { setStatusWorkflow } from '../../scripts/modules/status-workflow.js';
+
+const existingTasks = [
+  {
+    id: 1,
+    title: 'Setup Task Data Structure',
+    description: 'Core data structure',
+    status: 'done',
+    dependencies: [],
+    priority: 'high',
+    details: 'Create tasks.json',
+    testStrategy: 'Check file'
+  },
+  {
+    id: 2,
+    title: 'Implement CLI Foundation',
+    description: 'Basic commands',
+    status: 'in-progress',
+    dependencies: [1],
+    priority: 'high',
+    details: 'Use Commander',
+    testStrategy: 'Run commands',
+    subtasks: [{ id: 1, title: 'Wire up commander', status: 'done', dependencies: [] }]
+  },
+  {
+    id: 3,
+    title: 'Legacy Export Feature',
+    description: 'Export to XML',
+    status: 'pending',
+    dependencies: [1],
+    priority: 'low',
+    details: '',
+    testStrategy: ''
+  }
+];
+
+// The revised PRD numbers its tasks from 1 again
+const proposedTasks = [
+  {
+    id: 1,
+    title: 'Setup Task Data Structure',
+    description: 'Core data structure with schema validation',
+    dependencies: [],
+    priority: 'high',
+    details: 'Create tasks.json',
+    testStrategy: 'Check file'
+  },
+  {
+    id: 2,
+    title: 'Implement the CLI Foundation',
+    description: 'Basic commands and help output',
+    dependencies: [1],
+    priority: 'high',
+    details: 'Use Commander',
+    testStrategy: 'Run commands'
+  },
+  {
+    id: 3,
+    title: 'Add Dependency Graph Visualization',
+    description: 'Render dependencies',
+    dependencies: [2],
+    priority: 'medium',
+    details: 'Mermaid output',
+    testStrategy: 'Snapshot output'
+  }
+];
+
+describe('Task Diff Module', () => {
+  describe('titleSimilarity', () => {
+    test('should score identical titles as 1 and unrelated titles as 0', () => {
+      expect(titleSimilarity('Implement CLI', 'implement cli')).toBe(1);
+      expect(titleSimilarity('Implement CLI', 'Database schema')).toBe(0);
+    });
+  });
+
+  describe('matchTasks', () => {
+    test('should pair revised tasks with their existing counterparts', () => {
+      const matches = matchTasks(existingTasks, proposedTasks);
+      expect(matches.get(1)).toBe(1);
+      expect(matches.get(2)).toBe(2);
+      expect(matches.has(3)).toBe(false);
+    });
+  });
+
+  describe('mergeDependencies', () => {
+    test('should follow the PRD for its own tasks and keep the dependencies it cannot express', () => {
+      expect(mergeDependencies([1, '5.1', 7, '2'], [2, 3], new Set([1, 2, 3]))).toEqual(['5.1', 7, '2', 3]);
+    });
+  });
+
+  describe('diffTaskSets', () => {
+    const diff = diffTaskSets(existingTasks, proposedTasks);
+
+    test('should add unmatched tasks after the highest existing ID with remapped dependencies', () => {
+      expect(diff.added).toHaveLength(1);
+      expect(diff.added[0].id).toBe(4);
+      expect(diff.added[0].dependencies).toEqual([2]);
+    });
+
+    test('should report changed fields of open tasks', () => {
+      expect(diff.changed).toHaveLength(1);
+      expect(diff.changed[0].id).toBe(2);
+      expect(diff.changed[0].fields).toEqual(['title', 'description']);
+    });
+
+    test('should never change done tasks', () => {
+      expect(diff.preserved).toHaveLength(1);
+      expect(diff.preserved[0].id).toBe(1);
+      expect(diff.preserved[0].fields).toEqual(['description']);
+    });
+
+    test('should flag open tasks missing from the PRD as obsolete', () => {
+      expect(diff.obsolete.map((task) => task.id)).toEqual([3]);
+      expect(hasTaskChanges(diff)).toBe(true);
+    });
+
+    test('should keep subtask and hand-added dependencies of changed tasks', () => {
+      const tasks = existingTasks.map((task) => (task.id === 2 ? { ...task, dependencies: [1, '1.1', 3] } : task));
+      const change = diffTaskSets(tasks, proposedTasks).changed[0];
+
+      expect(change.proposed.dependencies).toEqual([1, '1.1', 3]);
+      expect(change.fields).toEqual(['title', 'description']);
+      expect(change.removedDependencies).toEqual([]);
+    });
+
+    test('should list dependencies the PRD no longer has as removed', () => {
+      const revised = proposedTasks.map((task) => (task.id === 2 ? { ...task, dependencies: [] } : task));
+      const change = diffTaskSets(existingTasks, revised).changed[0];
+
+      expect(change.fields).toEqual(['title', 'description', 'dependencies']);
+      expect(change.removedDependencies).toEqual([1]);
+      expect(applyTaskDiff({ tasks: existingTasks }, diffTaskSets(existingTasks, revised)).tasks[1].dependencies).toEqual([]);
+    });
+
+    test('should report no changes for an identical task set', () => {
+      const sameDiff = diffTaskSets(existingTasks.slice(0, 2), existingTasks.slice(0, 2));
+      expect(sameDiff.unchanged).toEqual([1, 2]);
+      expect(hasTaskChanges(sameDiff)).toBe(false);
+    });
+  });
+
+  describe('applyTaskDiff', () => {
+    const data = { meta: { projectName: 'Test' }, tasks: existingTasks };
+    const merged = applyTaskDiff(data, diffTaskSets(existingTasks, proposedTasks));
+
+    test('should keep IDs, status and subtasks of changed tasks', () => {
+      const task = merged.tasks.find((t) => t.id === 2);
+      expect(task.title).toBe('Implement the CLI Foundation');
+      expect(task.status).toBe('in-progress');
+      expect(task.subtasks).toHaveLength(1);
+    });
+
+    test('should leave done tasks untouched', () => {
+      expect(merged.tasks.find((t) => t.id === 1)).toEqual(existingTasks[0]);
+    });
+
+    test('should defer obsolete tasks and append added ones', () => {
+      expect(merged.tasks.find((t) => t.id === 3).status).toBe('deferred');
+      expect(merged.tasks.find((t) => t.id === 4)).toMatchObject({ title: 'Add Dependency Graph Visualization', status: 'pending' });
+      expect(merged.meta).toEqual({ projectName: 'Test' });
+    });
+
+    test('should move obsolete tasks to the obsolete status of the workflow', () => {
+      setStatusWorkflow({ statuses: { todo: { actionable: true }, parked: {}, shipped: { terminal: true } } });
+      try {
+        const tasks = existingTasks.map((task) => ({ ...task, status: task.status === 'done' ? 'shipped' : 'todo' }));
+        const diff = diffTaskSets(tasks, proposedTasks);
+        expect(diff.obsoleteStatus).toBe('parked');
+        expect(applyTaskDiff({ tasks }, diff).tasks.find((t) => t.id === 3).status).toBe('parked');
+      } finally {
+        setStatusWorkflow(null);
+      }
+    });
+
+    test('should report obsolete tasks the workflow cannot move instead of changing them', () => {
+      setStatusWorkflow({
+        statuses: { pending: {}, deferred: {}, done: {} },
+        transitions: { pending: ['done'], '*': ['pending'] }
+      });
+      try {
+        const diff = diffTaskSets(existingTasks, proposedTasks);
+        expect(diff.obsolete).toEqual([]);
+        expect(diff.rejected).toEqual([
+          expect.objectContaining({ id: 3, status: 'deferred', reason: expect.stringContaining('Cannot move task 3 from "pending" to "deferred"') })
+        ]);
+        expect(applyTaskDiff({ tasks: existingTasks }, diff).tasks.find((t) => t.id === 3).status).toBe('pending');
+      } finally {
+        setStatusWorkflow(null);
+      }
+    });
+
+    test('should not modify the input data', () => {
+      expect(existingTasks[1].title).toBe('Implement CLI Foundation');
+      expect(existingTasks[2].status).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Task file formatting, parsing and sync tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  SYNC_BASE_FILE,
+  getTaskFileName,
+  formatTaskFile,
+  parseTaskFile,
+  parseDependencyList,
+  writeTaskFiles,
+  mergeTaskFile,
+  applyTaskFileChanges,
+  checkTaskFileStatusChanges,
+  planTaskFileSync
+} from '../../scripts/modules/task-files.js';
+import { setStatusWorkflow } from '../../scripts/modules/status-workflow.js';
+import { readJSON } from '../../scripts/modules/utils.js';
+import { syncTaskFiles } from '../../scripts/modules/task-manager.js';
+import { createSampleTasks } from '../fixtures/sample-tasks.js';
+
+// The shared sample tasks; subtask 3.2 also waits on its sibling and on a subtask of another task
+const sampleTasks = () => {
+  const { tasks } = createSampleTasks();
+  tasks[2].subtasks[1].dependencies = [1, '1.1'];
+  return tasks;
+};
+
+describe('Task Files Module', () => {
+  describe('getTaskFileName', () => {
+    test('should pad the task ID', () => {
+      expect(getTaskFileName(7)).toBe('task_007.txt');
+      expect(getTaskFileName(1234)).toBe('task_1234.txt');
+    });
+  });
+
+  describe('formatTaskFile', () => {
+    test('should write headers, sections and subtasks', () => {
+      const tasks = sampleTasks();
+      const content = formatTaskFile(tasks[2], tasks);
+
+      expect(content).toContain('# Task ID: 3\n# Title: Implement UI Components\n# Status: pending\n# Dependencies: 2\n# Priority: medium\n');
+      expect(content).toContain(`# Details:\n${tasks[2].details}\n\n# Test Strategy:\n${tasks[2].testStrategy}\n\n`);
+      expect(content).toContain('## 2. Create Footer Component [pending]\n### Dependencies: 3.1, 1.1\n');
+    });
+  });
+
+  describe('parseDependencyList', () => {
+    test('should parse task and subtask IDs and ignore status notes', () => {
+      expect(parseDependencyList('None')).toEqual([]);
+      expect(parseDependencyList('1, 3.2 (Not found)')).toEqual([1, '3.2']);
+      expect(parseDependencyList('2.1, 1.1, 4', 2)).toEqual([1, '1.1', '4']);
+    });
+  });
+
+  describe('parseTaskFile', () => {
+    test('should round-trip a formatted task', () => {
+      const tasks = sampleTasks();
+      expect(parseTaskFile(formatTaskFile(tasks[2], tasks))).toEqual(tasks[2]);
+    });
+
+    test('should keep multi-line details and lines that look like headings', () => {
+      const tasks = sampleTasks();
+      tasks[0].details = 'Steps:\n## 1. not a subtask [x]\n# Note: not a header';
+      const parsed = parseTaskFile(formatTaskFile(tasks[0], tasks));
+
+      expect(parsed.details).toBe(tasks[0].details);
+      expect(parsed.subtasks).toEqual([]);
+    });
+
+    test('should reject files without a task ID', () => {
+      expect(() => parseTaskFile('# Title: Orphan\n')).toThrow('Task ID');
+    });
+  });
+
+  describe('mergeTaskFile', () => {
+    const parsed = (tasks, id = 3) => parseTaskFile(formatTaskFile(tasks.find((task) => task.id === id), tasks));
+
+    test('should take fields only the file changed', () => {
+      const base = parsed(sampleTasks());
+      const file = { ...base, status: 'in-progress', subtasks: [{ ...base.subtasks[0], details: 'GraphQL' }, base.subtasks[1]] };
+
+      const { changes, conflicts } = mergeTaskFile(file, base, base);
+      expect(changes).toEqual([
+        { type: 'field', id: '3', field: 'status', from: 'pending', to: 'in-progress' },
+        { type: 'field', id: '3.1', field: 'details', from: base.subtasks[0].details, to: 'GraphQL' }
+      ]);
+      expect(conflicts).toEqual([]);
+    });
+
+    test('should keep fields only tasks.json changed', () => {
+      const base = parsed(sampleTasks());
+      const tasks = sampleTasks();
+      tasks[2].title = 'Build REST API';
+
+      expect(mergeTaskFile(base, parsed(tasks), base)).toEqual({ changes: [], conflicts: [] });
+    });
+
+    test('should report conflicts when both sides changed', () => {
+      const base = parsed(sampleTasks());
+      const tasks = sampleTasks();
+      tasks[2].title = 'Build REST API';
+      const file = { ...base, title: 'Build GraphQL API' };
+
+      const kept = mergeTaskFile(file, parsed(tasks), base);
+      expect(kept.changes).toEqual([]);
+      expect(kept.conflicts).toEqual([{ id: '3', field: 'title', file: 'Build GraphQL API', json: 'Build REST API', resolvedWith: 'json' }]);
+
+      const preferred = mergeTaskFile(file, parsed(tasks), base, { prefer: 'file' });
+      expect(preferred.changes).toEqual([{ type: 'field', id: '3', field: 'title', from: 'Build REST API', to: 'Build GraphQL API' }]);
+    });
+
+    test('should treat every difference as a conflict without a base', () => {
+      const current = parsed(sampleTasks());
+      const { conflicts } = mergeTaskFile({ ...current, priority: 'high' }, current, null);
+      expect(conflicts).toEqual([expect.objectContaining({ id: '3', field: 'priority' })]);
+    });
+
+    test('should add and remove subtasks edited in the file', () => {
+      const base = parsed(sampleTasks());
+      const added = { id: 3, title: 'Validation', status: 'pending', dependencies: [2], description: '', details: '' };
+      const file = { ...base, subtasks: [base.subtasks[0], added] };
+
+      const { changes } = mergeTaskFile(file, base, base);
+      expect(changes).toEqual([
+        { type: 'add-subtask', id: '3.3', subtask: added },
+        { type: 'remove-subtask', id: '3.2' }
+      ]);
+
+      const task = sampleTasks()[2];
+      applyTaskFileChanges(task, changes);
+      expect(task.subtasks.map((subtask) => subtask.id)).toEqual([1, 3]);
+    });
+
+    test('should not delete a subtask that changed in tasks.json', () => {
+      const base = parsed(sampleTasks());
+      const tasks = sampleTasks();
+      tasks[2].subtasks[1].status = 'done';
+      const file = { ...base, subtasks: [base.subtasks[0]] };
+
+      const { changes, conflicts } = mergeTaskFile(file, parsed(tasks), base);
+      expect(changes).toEqual([]);
+      expect(conflicts).toEqual([expect.objectContaining({ id: '3.2', field: 'subtask', file: 'removed' })]);
+    });
+  });
+
+  describe('checkTaskFileStatusChanges', () => {
+    beforeEach(() => {
+      setStatusWorkflow({
+        statuses: { pending: {}, 'in-progress': {}, done: { requires: ['completionNote'] } },
+        transitions: { pending: ['in-progress'], 'in-progress': ['pending', 'done'] }
+      });
+    });
+
+    afterEach(() => {
+      setStatusWorkflow(null);
+    });
+
+    test('should reject status edits the workflow does not allow', () => {
+      const task = sampleTasks()[2];
+      const changes = [
+        { type: 'field', id: '3', field: 'status', from: 'pending', to: 'done' },
+        { type: 'field', id: '3.1', field: 'status', from: 'pending', to: 'In-Progress' },
+        { type: 'field', id: '3', field: 'title', from: task.title, to: 'Build the UI' }
+      ];
+
+      const result = checkTaskFileStatusChanges(task, changes);
+      expect(result.changes).toEqual([
+        { type: 'field', id: '3.1', field: 'status', from: 'pending', to: 'in-progress' },
+        changes[2]
+      ]);
+      expect(result.rejected).toEqual([
+        { ...changes[0], reason: expect.stringContaining('Cannot move task 3 from "pending" to "done"') }
+      ]);
+      expect(task.status).toBe('pending');
+    });
+
+    test('should check required fields and the status of added subtasks', () => {
+      const task = sampleTasks()[2];
+      task.status = 'in-progress';
+      const added = { id: 3, title: 'Validation', status: 'unknown', dependencies: [], description: '', details: '' };
+      const changes = [
+        { type: 'field', id: '3', field: 'status', from: 'in-progress', to: 'done' },
+        { type: 'add-subtask', id: '3.3', subtask: added }
+      ];
+
+      const { changes: accepted, rejected } = checkTaskFileStatusChanges(task, changes);
+      expect(accepted).toEqual([]);
+      expect(rejected.map((change) => change.reason)).toEqual([
+        expect.stringContaining('requires completionNote'),
+        expect.stringContaining('Unknown status "unknown"')
+      ]);
+    });
+  });
+
+  describe('writeTaskFiles and planTaskFileSync', () => {
+    let outputDir;
+
+    beforeEach(() => {
+      outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-task-files-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    test('should record the written files as the sync base', () => {
+      const data = { tasks: sampleTasks() };
+      expect(writeTaskFiles(data, outputDir)).toEqual(['task_001.txt', 'task_002.txt', 'task_003.txt']);
+
+      const base = JSON.parse(fs.readFileSync(path.join(outputDir, SYNC_BASE_FILE), 'utf8'));
+      expect(base.tasks['2']).toBe(fs.readFileSync(path.join(outputDir, 'task_002.txt'), 'utf8'));
+    });
+
+    test('should plan changes for edited files and skip unknown ones', () => {
+      const data = { tasks: sampleTasks() };
+      writeTaskFiles(data, outputDir);
+
+      const filePath = path.join(outputDir, 'task_001.txt');
+      fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').replace('# Priority: high', '# Priority: low'));
+      fs.writeFileSync(path.join(outputDir, 'task_009.txt'), '# Task ID: 9\n# Title: Gone\n');
+
+      const plan = planTaskFileSync(data, outputDir);
+      expect(plan.results).toEqual([
+        { id: 1, file: 'task_001.txt', changes: [{ type: 'field', id: '1', field: 'priority', from: 'high', to: 'low' }], conflicts: [], rejected: [] },
+        { id: 2, file: 'task_002.txt', changes: [], conflicts: [], rejected: [] },
+        { id: 3, file: 'task_003.txt', changes: [], conflicts: [], rejected: [] }
+      ]);
+      expect(plan.skipped).toEqual([{ file: 'task_009.txt', reason: 'Task 9 is not in tasks.json' }]);
+    });
+  });
+
+  describe('syncTaskFiles status propagation', () => {
+    let dir;
+    let tasksPath;
+
+    // Edit task 3's file, then sync it
+    const syncEdit = (edit, options = {}) => {
+      const filePath = path.join(dir, 'task_003.txt');
+      fs.writeFileSync(filePath, edit(fs.readFileSync(filePath, 'utf8')));
+      return syncTaskFiles(tasksPath, dir, { outputFormat: 'json', ...options });
+    };
+    const task3 = () => readJSON(tasksPath).tasks[2];
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-task-files-sync-'));
+      tasksPath = path.join(dir, 'tasks.json');
+      const data = { tasks: sampleTasks() };
+      fs.writeFileSync(tasksPath, JSON.stringify(data));
+      writeTaskFiles(data, dir);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should not finish a task with open subtasks and leave its file untouched', async () => {
+      const plan = await syncEdit((text) => text.replace('# Status: pending', '# Status: done'));
+
+      expect(plan.results[2].changes).toEqual([]);
+      expect(plan.results[2].rejected).toEqual([expect.objectContaining({ id: '3', field: 'status', to: 'done', reason: expect.stringContaining('--force') })]);
+      expect(task3().status).toBe('pending');
+      expect(fs.readFileSync(path.join(dir, 'task_003.txt'), 'utf8')).toContain('# Status: done');
+    });
+
+    test('should finish the task when its file finishes the last open subtasks', async () => {
+      const plan = await syncEdit((text) => text.replace('## 1. Create Header Component [pending]', '## 1. Create Header Component [done]').replace('## 2. Create Footer Component [pending]', '## 2. Create Footer Component [done]'));
+
+      expect(plan.results[2].rejected).toEqual([]);
+      expect(plan.results[2].cascaded).toEqual([{ id: '3', oldStatus: 'pending', newStatus: 'done', reason: 'all subtasks of task 3 are done' }]);
+      expect(task3().status).toBe('done');
+      expect(fs.readFileSync(path.join(dir, 'task_003.txt'), 'utf8')).toContain('# Status: done');
+    });
+
+    test('should start the task when its file starts a subtask', async () => {
+      const plan = await syncEdit((text) => text.replace('## 1. Create Header Component [pending]', '## 1. Create Header Component [in-progress]'));
+
+      expect(plan.results[2].cascaded).toEqual([{ id: '3', oldStatus: 'pending', newStatus: 'in-progress', reason: 'subtask 3.1 is in-progress' }]);
+      expect(task3().status).toBe('in-progress');
+      expect(task3().subtasks[0].status).toBe('in-progress');
+    });
+
+    test('should report cascades and rejections in a dry run without writing', async () => {
+      const plan = await syncEdit(
+        (text) => text.replace('## 1. Create Header Component [pending]', '## 1. Create Header Component [in-progress]').replace('# Status: pending', '# Status: done'),
+        { dryRun: true }
+      );
+
+      expect(plan.results[2].cascaded).toEqual([expect.objectContaining({ id: '3', newStatus: 'in-progress' })]);
+      expect(plan.results[2].rejected).toEqual([expect.objectContaining({ id: '3', reason: expect.stringContaining('has open subtasks') })]);
+      expect(task3().status).toBe('pending');
+      expect(task3().subtasks[0].status).toBe('pending');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Undo/redo history tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  HISTORY_DIR,
+  HISTORY_LIMIT,
+  setHistoryContext,
+  getTaskHistory,
+  undoTaskHistory,
+  redoTaskHistory
+} from '../../scripts/modules/task-history.js';
+import { readJSON, writeJSON } from '../../scripts/modules/utils.js';
+import { generateTaskFiles, undoTaskChanges, redoTaskChanges } from '../../scripts/modules/task-manager.js';
+
+describe('Task History Module', () => {
+  let dir;
+  let tasksPath;
+
+  const statuses = () => readJSON(tasksPath).tasks.map((task) => task.status);
+
+  // Run a "command" that sets the status of task 1
+  const setStatus = (status, command = 'set-status') => {
+    setHistoryContext(command, { id: '1', status });
+    const data = readJSON(tasksPath);
+    data.tasks[0].status = status;
+    writeJSON(tasksPath, data);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-history-'));
+    tasksPath = path.join(dir, 'tasks.json');
+    fs.writeFileSync(
+      tasksPath,
+      JSON.stringify({ meta: { projectName: 'Demo' }, tasks: [{ id: 1, title: 'Setup', status: 'pending', dependencies: [] }, { id: 2, title: 'API', status: 'pending', dependencies: [1] }] })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should record each command with its args', () => {
+    setStatus('in-progress');
+    setStatus('done');
+
+    const history = getTaskHistory(tasksPath);
+    expect(history.position).toBe(2);
+    expect(history.entries).toEqual([
+      expect.objectContaining({ id: 1, command: 'set-status', args: { id: '1', status: 'in-progress' }, revision: 1, applied: true }),
+      expect.objectContaining({ id: 2, command: 'set-status', args: { id: '1', status: 'done' }, revision: 2, applied: true })
+    ]);
+    expect(fs.readdirSync(path.join(dir, HISTORY_DIR)).sort()).toEqual(['000001-after.json', '000001-before.json', '000002-after.json', '000002-before.json', 'journal.json']);
+  });
+
+  test('should group the writes of one command run and skip writes that change nothing', () => {
+    setHistoryContext('expand', { all: true });
+    const data = readJSON(tasksPath);
+    data.tasks[0].status = 'in-progress';
+    writeJSON(tasksPath, data);
+    data.tasks[1].status = 'in-progress';
+    writeJSON(tasksPath, data);
+    writeJSON(tasksPath, data);
+
+    expect(getTaskHistory(tasksPath).entries).toEqual([expect.objectContaining({ command: 'expand', revision: 2 })]);
+
+    undoTaskHistory(tasksPath);
+    expect(statuses()).toEqual(['pending', 'pending']);
+  });
+
+  test('should undo and redo several steps', () => {
+    setStatus('in-progress');
+    setStatus('review');
+    setStatus('done');
+
+    const undone = undoTaskHistory(tasksPath, 2);
+    expect(undone.entries.map((entry) => entry.id)).toEqual([3, 2]);
+    expect(undone.position).toBe(1);
+    expect(statuses()).toEqual(['in-progress', 'pending']);
+
+    redoTaskHistory(tasksPath);
+    expect(statuses()).toEqual(['review', 'pending']);
+    expect(getTaskHistory(tasksPath).entries.map((entry) => entry.applied)).toEqual([true, true, false]);
+
+    expect(() => redoTaskHistory(tasksPath, 2)).toThrow('Only 1 change(s) can be redone');
+    expect(() => undoTaskHistory(tasksPath, 0)).toThrow('positive integer');
+  });
+
+  test('should bump the revision when restoring so stale writers are rejected', () => {
+    setStatus('done');
+    const stale = readJSON(tasksPath);
+
+    undoTaskHistory(tasksPath);
+    expect(readJSON(tasksPath).meta.revision).toBe(2);
+    expect(() => writeJSON(tasksPath, stale)).toThrow(expect.objectContaining({ code: 'TASKS_FILE_CONFLICT' }));
+  });
+
+  test('should drop undone entries when a new change is made', () => {
+    setStatus('in-progress');
+    setStatus('done');
+    undoTaskHistory(tasksPath);
+    setStatus('blocked', 'update');
+
+    const history = getTaskHistory(tasksPath);
+    expect(history.entries.map((entry) => [entry.id, entry.command])).toEqual([
+      [1, 'set-status'],
+      [3, 'update']
+    ]);
+    expect(() => redoTaskHistory(tasksPath)).toThrow('Nothing to redo');
+  });
+
+  test('should keep undone entries when the restored tasks are written back unchanged', () => {
+    setStatus('in-progress');
+    setStatus('done');
+    undoTaskHistory(tasksPath, 2);
+
+    // The restored file predates meta.schemaVersion; writing it back only adds what the schema fills in
+    setHistoryContext('generate');
+    writeJSON(tasksPath, readJSON(tasksPath));
+
+    expect(getTaskHistory(tasksPath)).toMatchObject({ position: 0, entries: [{ id: 1 }, { id: 2 }] });
+    redoTaskHistory(tasksPath, 2);
+    expect(statuses()).toEqual(['done', 'pending']);
+  });
+
+  test('should keep redo through undo, generate and redo', async () => {
+    setStatus('done');
+
+    await undoTaskChanges(tasksPath, 1, { outputFormat: 'json' });
+    setHistoryContext('generate');
+    await generateTaskFiles(tasksPath, dir);
+    expect(fs.existsSync(path.join(dir, 'task_001.txt'))).toBe(true);
+
+    await redoTaskChanges(tasksPath, 1, { outputFormat: 'json' });
+    expect(statuses()).toEqual(['done', 'pending']);
+  });
+
+  test('should not fix dependencies of the restored tasks when undo regenerates the task files', async () => {
+    const data = readJSON(tasksPath);
+    data.tasks[1].dependencies = [1, 99];
+    fs.writeFileSync(tasksPath, JSON.stringify(data));
+
+    // set-status writes the status, then fixes the dependencies while regenerating the task files
+    setStatus('done');
+    await generateTaskFiles(tasksPath, dir);
+    expect(readJSON(tasksPath).tasks[1].dependencies).toEqual([1]);
+
+    await undoTaskChanges(tasksPath, 1, { outputFormat: 'json' });
+    expect(readJSON(tasksPath).tasks[1].dependencies).toEqual([1, 99]);
+    expect(fs.readFileSync(path.join(dir, 'task_002.txt'), 'utf8')).toContain('99');
+    expect(getTaskHistory(tasksPath).position).toBe(0);
+
+    await redoTaskChanges(tasksPath, 1, { outputFormat: 'json' });
+    expect(statuses()).toEqual(['done', 'pending']);
+    expect(readJSON(tasksPath).tasks[1].dependencies).toEqual([1]);
+  });
+
+  test('should refuse to undo over changes made outside the history unless forced', () => {
+    setStatus('done');
+    const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+    data.tasks[1].title = 'Edited by hand';
+    fs.writeFileSync(tasksPath, JSON.stringify(data));
+
+    expect(() => undoTaskHistory(tasksPath)).toThrow('--force');
+    undoTaskHistory(tasksPath, 1, { force: true });
+    expect(readJSON(tasksPath).tasks[1].title).toBe('API');
+  });
+
+  test('should keep at most HISTORY_LIMIT entries', () => {
+    for (let i = 0; i <= HISTORY_LIMIT; i++) {
+      setStatus(`status-${i}`);
+    }
+
+    const history = getTaskHistory(tasksPath);
+    expect(history.entries).toHaveLength(HISTORY_LIMIT);
+    expect(history.entries[0].id).toBe(2);
+    expect(fs.existsSync(path.join(dir, HISTORY_DIR, '000001-before.json'))).toBe(false);
+  });
+
+  test('should report an empty history', () => {
+    expect(getTaskHistory(tasksPath)).toEqual({ position: 0, entries: [] });
+    expect(() => undoTaskHistory(tasksPath)).toThrow('Nothing to undo');
+  });
+});
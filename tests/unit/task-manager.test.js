@@ -224,6 +224,7 @@ const testAddTask = (tasksData, taskPrompt, dependencies = [], priority = "mediu
 import * as taskManager from "../../scripts/modules/task-manager.js";
 import { sampleGeminiResponse } from "../fixtures/sample-gemini-response.js";
 import { sampleTasks, emptySampleTasks } from "../fixtures/sample-tasks.js";
+import { setStatusWorkflow } from "../../scripts/modules/status-workflow.js";
 
 // Destructure the required functions for convenience
 const { findNextTask, generateTaskFiles, clearSubtasks } = taskManager;
@@ -845,6 +846,83 @@ describe("Task Manager Module", () => {
     });
   });
 
+  describe("status propagation between tasks and subtasks", () => {
+    const { updateSingleTaskStatus } = taskManager;
+    let data;
+
+    beforeEach(() => {
+      data = JSON.parse(JSON.stringify(sampleTasks));
+    });
+
+    afterEach(() => {
+      setStatusWorkflow(null);
+    });
+
+    test("should finish the parent when its last open subtask is finished", async () => {
+      const first = await updateSingleTaskStatus("tasks/tasks.json", "3.1", "done", data);
+      expect(first.cascaded).toEqual([]);
+      expect(data.tasks[2].status).toBe("pending");
+
+      const last = await updateSingleTaskStatus("tasks/tasks.json", "3.2", "done", data);
+      expect(last).toEqual({
+        oldStatus: "pending",
+        status: "done",
+        cascaded: [{ id: "3", oldStatus: "pending", newStatus: "done", reason: "all subtasks of task 3 are done" }],
+      });
+      expect(data.tasks[2].status).toBe("done");
+    });
+
+    test("should start a parent that has not been started when a subtask starts", async () => {
+      const started = await updateSingleTaskStatus("tasks/tasks.json", "3.1", "in-progress", data);
+      expect(started.cascaded).toEqual([{ id: "3", oldStatus: "pending", newStatus: "in-progress", reason: "subtask 3.1 is in-progress" }]);
+      expect(data.tasks[2].status).toBe("in-progress");
+
+      const again = await updateSingleTaskStatus("tasks/tasks.json", "3.2", "in-progress", data);
+      expect(again.cascaded).toEqual([]);
+    });
+
+    test("should not finish a parent with open subtasks without force", async () => {
+      await expect(updateSingleTaskStatus("tasks/tasks.json", "3", "done", data)).rejects.toThrow(
+        "Task 3 has open subtasks (3.1, 3.2). Finish them first, or use --force to mark them done along with the task."
+      );
+      expect(data.tasks[2].status).toBe("pending");
+      expect(data.tasks[2].subtasks.map((subtask) => subtask.status)).toEqual(["pending", "pending"]);
+    });
+
+    test("should finish open subtasks with a forced parent and report them", async () => {
+      data.tasks[2].subtasks[0].status = "done";
+
+      const result = await updateSingleTaskStatus("tasks/tasks.json", "3", "done", data, { force: true });
+      expect(result.cascaded).toEqual([{ id: "3.2", oldStatus: "pending", newStatus: "done", reason: "task 3 was forced to done" }]);
+      expect(data.tasks[2].subtasks.map((subtask) => subtask.status)).toEqual(["done", "done"]);
+    });
+
+    test("should run subtasks finished with a forced parent through the status workflow", async () => {
+      setStatusWorkflow({
+        statuses: { pending: {}, "in-progress": {}, done: { requires: ["completionNote"] } },
+        transitions: { pending: ["in-progress"], "in-progress": ["done", "pending"] },
+      });
+      data.tasks[2].status = "in-progress";
+      const options = { force: true, fields: { completionNote: "Shipped" } };
+
+      await expect(updateSingleTaskStatus("tasks/tasks.json", "3", "done", data, options)).rejects.toThrow(
+        'Cannot force task 3 to done: Cannot move subtask 3.1 from "pending" to "done"'
+      );
+      expect(data.tasks[2].status).toBe("in-progress");
+      expect(data.tasks[2].subtasks[0].status).toBe("pending");
+
+      data.tasks[2].subtasks.forEach((subtask) => {
+        subtask.status = "in-progress";
+      });
+      const result = await updateSingleTaskStatus("tasks/tasks.json", "3", "done", data, options);
+      expect(result.cascaded.map((change) => change.id)).toEqual(["3.1", "3.2"]);
+      expect(data.tasks[2].subtasks).toEqual([
+        expect.objectContaining({ status: "done", completionNote: "Shipped" }),
+        expect.objectContaining({ status: "done", completionNote: "Shipped" }),
+      ]);
+    });
+  });
+
   describe("listTasks function", () => {
     test("should display all tasks when no filter is provided", async () => {
       // Arrange
@@ -0,0 +1,535 @@
+/**
+ * MCP core (direct function) tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  findTasksJsonPath,
+  listTasksDirect,
+  showTaskDirect,
+  nextTaskDirect,
+  setTaskStatusDirect,
+  expandTaskDirect,
+  addTaskDirect,
+  parsePRDDirect,
+  updateTasksDirect,
+  generateTaskFilesDirect,
+  analyzeTaskComplexityDirect,
+  complexityReportDirect,
+  clearSubtasksDirect,
+  addDependencyDirect,
+  removeDependencyDirect,
+  validateDependenciesDirect,
+  fixDependenciesDirect,
+  dependencyGraphDirect,
+  suggestCycleBreaksDirect,
+  addSubtaskDirect,
+  removeSubtaskDirect
+} from '../../mcp-server/src/core/task-master-core.js';
+import { handleApiResult } from '../../mcp-server/src/tools/utils.js';
+import { registerProvider } from '../../scripts/modules/ai-providers.js';
+import { CONFIG, isSilentMode } from '../../scripts/modules/utils.js';
+
+const log = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+const sampleData = {
+  meta: { projectName: 'Test Project' },
+  tasks: [
+    { id: 1, title: 'Setup', description: 'Set up the project', status: 'done', dependencies: [], priority: 'high', details: '', testStrategy: '' },
+    {
+      id: 2,
+      title: 'Build API',
+      description: 'Build the API',
+      status: 'pending',
+      dependencies: [1],
+      priority: 'high',
+      details: '',
+      testStrategy: '',
+      subtasks: [
+        { id: 1, title: 'Routes', description: '', status: 'done', dependencies: [] },
+        { id: 2, title: 'Handlers', description: '', status: 'pending', dependencies: [1] }
+      ]
+    },
+    { id: 3, title: 'Build UI', description: 'Build the UI', status: 'pending', dependencies: [2], priority: 'medium', details: '', testStrategy: '' }
+  ]
+};
+
+describe('Task Master MCP core', () => {
+  const originalProvider = CONFIG.aiProvider;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-mcp-'));
+    fs.mkdirSync(path.join(projectRoot, 'tasks'));
+    fs.writeFileSync(path.join(projectRoot, 'tasks', 'tasks.json'), JSON.stringify(sampleData, null, 2));
+  });
+
+  afterEach(() => {
+    CONFIG.aiProvider = originalProvider;
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  const readTasks = () => JSON.parse(fs.readFileSync(path.join(projectRoot, 'tasks', 'tasks.json'), 'utf8'));
+
+  describe('findTasksJsonPath', () => {
+    test('should resolve the tasks file inside the project root', () => {
+      expect(findTasksJsonPath({ projectRoot })).toBe(path.join(projectRoot, 'tasks', 'tasks.json'));
+    });
+
+    test('should report a missing tasks file with a code', async () => {
+      const result = await listTasksDirect({ projectRoot, file: 'missing.json' }, log);
+      expect(result).toEqual({ success: false, error: { code: 'TASKS_FILE_NOT_FOUND', message: expect.stringContaining('missing.json') } });
+    });
+  });
+
+  describe('listTasksDirect', () => {
+    test('should return tasks with dependency status and statistics', async () => {
+      const result = await listTasksDirect({ projectRoot }, log);
+
+      expect(result.success).toBe(true);
+      expect(result.data.tasks).toHaveLength(3);
+      expect(result.data.tasks[1].subtasks).toBeUndefined();
+      expect(result.data.tasks[2].dependencyStatus).toEqual([{ id: 2, title: 'Build API', status: 'pending', satisfied: false }]);
+      expect(result.data.stats).toMatchObject({ total: 3, done: 1, completionPercentage: 33, subtasks: { total: 2, done: 1 } });
+      expect(result.data.stats.byStatus).toMatchObject({ pending: 2, 'in-progress': 0, done: 1 });
+    });
+
+    test('should count tasks by the statuses of the project workflow', async () => {
+      fs.writeFileSync(
+        path.join(projectRoot, '.taskmasterconfig'),
+        JSON.stringify({ workflow: { initialStatus: 'todo', statuses: { todo: {}, pending: {}, shipped: { terminal: true } } } })
+      );
+      const data = readTasks();
+      data.tasks[2].status = 'todo';
+      data.tasks[0].status = 'review';
+      fs.writeFileSync(path.join(projectRoot, 'tasks', 'tasks.json'), JSON.stringify(data, null, 2));
+
+      const result = await listTasksDirect({ projectRoot }, log);
+      expect(result.data.stats.byStatus).toEqual({ todo: 1, pending: 1, shipped: 0 });
+      expect(result.data.stats.unknown).toBe(1);
+    });
+
+    test('should filter by status and include subtasks on request', async () => {
+      const result = await listTasksDirect({ projectRoot, status: 'pending', withSubtasks: true }, log);
+
+      expect(result.data.tasks.map((task) => task.id)).toEqual([2, 3]);
+      expect(result.data.tasks[0].subtasks[1].dependencyStatus).toEqual([{ id: '2.1', title: 'Routes', status: 'done', satisfied: true }]);
+    });
+
+    test('should leave silent mode off afterwards', async () => {
+      await listTasksDirect({ projectRoot }, log);
+      expect(isSilentMode()).toBe(false);
+    });
+  });
+
+  describe('showTaskDirect', () => {
+    test('should return a task with its subtasks', async () => {
+      const result = await showTaskDirect({ projectRoot, id: '2' }, log);
+
+      expect(result.data.title).toBe('Build API');
+      expect(result.data.dependencyStatus[0]).toMatchObject({ id: 1, satisfied: true });
+      expect(result.data.subtasks).toHaveLength(2);
+    });
+
+    test('should return a subtask by dotted ID', async () => {
+      const result = await showTaskDirect({ projectRoot, id: '2.2' }, log);
+
+      expect(result.data).toMatchObject({ id: '2.2', title: 'Handlers', parentTask: { id: 2 } });
+    });
+
+    test('should report unknown tasks', async () => {
+      const result = await showTaskDirect({ projectRoot, id: '99' }, log);
+      expect(result.error.code).toBe('TASK_NOT_FOUND');
+    });
+  });
+
+  describe('nextTaskDirect', () => {
+    test('should return the next ready task', async () => {
+      const result = await nextTaskDirect({ projectRoot }, log);
+      expect(result.data.nextTask.id).toBe(2);
+      expect(result.data.nextSubtask).toEqual(expect.objectContaining({ id: '2.2', title: 'Handlers' }));
+      expect(result.data.reasons[0]).toBe('Priority high (+30)');
+    });
+  });
+
+  describe('setTaskStatusDirect', () => {
+    test('should update tasks and report the previous status', async () => {
+      const result = await setTaskStatusDirect({ projectRoot, id: '3,2.2', status: 'in-progress' }, log);
+
+      expect(result.data.updatedTasks).toEqual([
+        { id: '3', oldStatus: 'pending', newStatus: 'in-progress' },
+        { id: '2.2', oldStatus: 'pending', newStatus: 'in-progress' }
+      ]);
+      expect(readTasks().tasks[2].status).toBe('in-progress');
+    });
+
+    test('should return an error instead of exiting for unknown tasks', async () => {
+      const result = await setTaskStatusDirect({ projectRoot, id: '42', status: 'done' }, log);
+      expect(result).toEqual({ success: false, error: { code: 'CORE_FUNCTION_ERROR', message: 'Task 42 not found' } });
+    });
+
+    test('should start the parent when a subtask starts', async () => {
+      const result = await setTaskStatusDirect({ projectRoot, id: '2.2', status: 'in-progress' }, log);
+
+      expect(result.data.cascaded).toEqual([{ id: '2', oldStatus: 'pending', newStatus: 'in-progress', reason: 'subtask 2.2 is in-progress' }]);
+      expect(readTasks().tasks[1].status).toBe('in-progress');
+    });
+
+    test('should finish the parent when its last subtask finishes', async () => {
+      const result = await setTaskStatusDirect({ projectRoot, id: '2.2', status: 'done' }, log);
+
+      expect(result.data.cascaded).toEqual([{ id: '2', oldStatus: 'pending', newStatus: 'done', reason: 'all subtasks of task 2 are done' }]);
+      expect(readTasks().tasks[1].status).toBe('done');
+    });
+
+    test('should refuse to finish a parent with open subtasks unless forced', async () => {
+      const refused = await setTaskStatusDirect({ projectRoot, id: '2', status: 'done' }, log);
+      expect(refused.error.message).toContain('Task 2 has open subtasks (2.2)');
+      expect(readTasks().tasks[1].status).toBe('pending');
+
+      const forced = await setTaskStatusDirect({ projectRoot, id: '2', status: 'done', force: true }, log);
+      expect(forced.data.cascaded).toEqual([{ id: '2.2', oldStatus: 'pending', newStatus: 'done', reason: 'task 2 was forced to done' }]);
+      expect(readTasks().tasks[1].subtasks[1].status).toBe('done');
+    });
+
+    test('should run forced subtasks through the status workflow', async () => {
+      fs.writeFileSync(
+        path.join(projectRoot, '.taskmasterconfig'),
+        JSON.stringify({
+          workflow: {
+            statuses: { pending: {}, 'in-progress': {}, done: { requires: ['completionNote'] } },
+            transitions: { pending: ['in-progress'], 'in-progress': ['done', 'pending'] }
+          }
+        })
+      );
+      const data = readTasks();
+      data.tasks[1].status = 'in-progress';
+      fs.writeFileSync(path.join(projectRoot, 'tasks', 'tasks.json'), JSON.stringify(data, null, 2));
+
+      const skipped = await setTaskStatusDirect({ projectRoot, id: '2', status: 'done', force: true, fields: { completionNote: 'Shipped' } }, log);
+      expect(skipped.error.message).toContain('Cannot force task 2 to done: Cannot move subtask 2.2 from "pending" to "done"');
+      expect(readTasks().tasks[1].status).toBe('in-progress');
+
+      await setTaskStatusDirect({ projectRoot, id: '2.2', status: 'in-progress' }, log);
+      const withoutNote = await setTaskStatusDirect({ projectRoot, id: '2', status: 'done', force: true }, log);
+      expect(withoutNote.error.message).toContain('requires completionNote');
+      expect(readTasks().tasks[1].subtasks[1].status).toBe('in-progress');
+
+      const forced = await setTaskStatusDirect({ projectRoot, id: '2', status: 'done', force: true, fields: { completionNote: 'Shipped' } }, log);
+      expect(forced.data.cascaded).toEqual([{ id: '2.2', oldStatus: 'in-progress', newStatus: 'done', reason: 'task 2 was forced to done' }]);
+      expect(readTasks().tasks[1].subtasks[1]).toMatchObject({ status: 'done', completionNote: 'Shipped' });
+    });
+
+    test('should finish listed subtasks before their parent', async () => {
+      const result = await setTaskStatusDirect({ projectRoot, id: '2,2.2', status: 'done' }, log);
+
+      expect(result.data.updatedTasks).toEqual([
+        { id: '2', oldStatus: 'done', newStatus: 'done' },
+        { id: '2.2', oldStatus: 'pending', newStatus: 'done' }
+      ]);
+    });
+
+    test('should reject fields no status requires without writing', async () => {
+      const result = await setTaskStatusDirect({ projectRoot, id: '3', status: 'review', fields: { title: '' } }, log);
+
+      expect(result.error.message).toContain('Cannot set title with a status change');
+      expect(readTasks().tasks[2]).toMatchObject({ title: 'Build UI', status: 'pending' });
+    });
+
+    test('should reject statuses outside the workflow without writing', async () => {
+      const result = await setTaskStatusDirect({ projectRoot, id: '3', status: 'todo' }, log);
+
+      expect(result.error.message).toContain('Unknown status "todo"');
+      expect(readTasks().tasks[2].status).toBe('pending');
+    });
+  });
+
+  describe('task file tools', () => {
+    test('should generate task files into the project', async () => {
+      const result = await generateTaskFilesDirect({ projectRoot }, log);
+
+      expect(result.data).toEqual({ outputDir: path.join(projectRoot, 'tasks'), taskCount: 3 });
+      expect(fs.existsSync(path.join(projectRoot, 'tasks', 'task_002.txt'))).toBe(true);
+    });
+
+    test('should clear subtasks and report skipped tasks', async () => {
+      const result = await clearSubtasksDirect({ projectRoot, id: '2,3' }, log);
+
+      expect(result.data).toEqual({ clearedTasks: [{ id: 2, subtasksCleared: 2 }], skipped: [{ id: 3, reason: 'no subtasks' }] });
+      expect(readTasks().tasks[1].subtasks).toEqual([]);
+    });
+
+    test('should require task IDs or all when clearing subtasks', async () => {
+      const result = await clearSubtasksDirect({ projectRoot }, log);
+      expect(result.error.code).toBe('INPUT_VALIDATION_ERROR');
+    });
+
+    test('should add and remove subtasks', async () => {
+      const added = await addSubtaskDirect({ projectRoot, parent: '3', title: 'Layout', dependencies: '2.1', skipGenerate: true }, log);
+      expect(added.data).toMatchObject({ id: '3.1', subtask: { title: 'Layout', status: 'pending', dependencies: ['2.1'] } });
+
+      const removed = await removeSubtaskDirect({ projectRoot, id: '3.1', convert: true, skipGenerate: true }, log);
+      expect(removed.data.convertedTask).toMatchObject({ id: 4, title: 'Layout', dependencies: ['2.1', 3] });
+      expect(readTasks().tasks.map((task) => task.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    test('should keep dependencies pointing at a converted subtask', async () => {
+      const removed = await removeSubtaskDirect({ projectRoot, id: '2.1', convert: true, skipGenerate: true }, log);
+      expect(removed.data.convertedTask).toMatchObject({ id: 4, dependencies: [] });
+      expect(readTasks().tasks[1].subtasks).toEqual([expect.objectContaining({ id: 2, dependencies: ['4'] })]);
+    });
+
+    test('should return subtask errors as results', async () => {
+      const result = await removeSubtaskDirect({ projectRoot, id: '3.9' }, log);
+      expect(result).toEqual({ success: false, error: { code: 'CORE_FUNCTION_ERROR', message: 'Parent task 3 has no subtasks' } });
+    });
+  });
+
+  describe('dependency tools', () => {
+    test('should add and remove a dependency', async () => {
+      const added = await addDependencyDirect({ projectRoot, id: '3', dependsOn: '1' }, log);
+      expect(added.data).toMatchObject({ taskId: 3, added: true });
+      expect(readTasks().tasks[2].dependencies).toEqual([1, 2]);
+
+      const removed = await removeDependencyDirect({ projectRoot, id: '3', dependsOn: '1' }, log);
+      expect(removed.data.removed).toBe(true);
+      expect(readTasks().tasks[2].dependencies).toEqual([2]);
+    });
+
+    test('should add dependencies between subtasks of different tasks', async () => {
+      await addSubtaskDirect({ projectRoot, parent: '3', title: 'Layout', skipGenerate: true }, log);
+
+      const added = await addDependencyDirect({ projectRoot, id: '3.1', dependsOn: '2.2' }, log);
+      expect(added.data).toMatchObject({ taskId: '3.1', added: true });
+      expect(readTasks().tasks[2].subtasks[0].dependencies).toEqual(['2.2']);
+
+      const circular = await addDependencyDirect({ projectRoot, id: '2.2', dependsOn: '3.1' }, log);
+      expect(circular.error.message).toContain('circular dependency: 2.2 → 3.1 → 2.2');
+
+      const removed = await removeDependencyDirect({ projectRoot, id: '3.1', dependsOn: '2.2' }, log);
+      expect(removed.data.removed).toBe(true);
+      expect(readTasks().tasks[2].subtasks[0].dependencies).toEqual([]);
+    });
+
+    test('should reject circular dependencies without exiting', async () => {
+      const result = await addDependencyDirect({ projectRoot, id: '1', dependsOn: '3' }, log);
+      expect(result.error.message).toContain('circular dependency');
+    });
+
+    test('should validate and plan fixes without changing the file, and then fix', async () => {
+      const data = readTasks();
+      data.tasks[2].dependencies = [2, 99];
+      fs.writeFileSync(path.join(projectRoot, 'tasks', 'tasks.json'), JSON.stringify(data, null, 2));
+
+      const validation = await validateDependenciesDirect({ projectRoot }, log);
+      expect(validation.data).toMatchObject({ valid: false, issues: [{ type: 'missing', taskId: 3, dependencyId: 99 }], tasksChecked: 3 });
+      expect(readTasks().tasks[2].dependencies).toEqual([2, 99]);
+
+      const plan = await fixDependenciesDirect({ projectRoot, dryRun: true }, log);
+      expect(plan.data).toMatchObject({ changed: true, dryRun: true, changes: [{ id: '3', dependency: 99, reason: 'missing', message: 'No task 99 exists' }] });
+      expect(readTasks().tasks[2].dependencies).toEqual([2, 99]);
+
+      const refused = await generateTaskFilesDirect({ projectRoot, fixDependencies: false }, log);
+      expect(refused.error.message).toContain('1 dependency needs fixing, so no task files were generated');
+      expect(fs.existsSync(path.join(projectRoot, 'tasks', 'task_003.txt'))).toBe(false);
+
+      const fix = await fixDependenciesDirect({ projectRoot }, log);
+      expect(fix.data.changed).toBe(true);
+      expect(fix.data.stats.nonExistentDependenciesRemoved).toBe(1);
+      expect(readTasks().tasks[2].dependencies).toEqual([2]);
+    });
+
+    test('should plan and break dependency cycles so validation passes', async () => {
+      await addSubtaskDirect({ projectRoot, parent: '3', title: 'Layout', dependencies: '2.2', skipGenerate: true }, log);
+      const data = readTasks();
+      data.tasks[0].dependencies = [3];
+      data.tasks[1].subtasks[1].dependencies = [1, '3.1'];
+      fs.writeFileSync(path.join(projectRoot, 'tasks', 'tasks.json'), JSON.stringify(data, null, 2));
+      expect((await validateDependenciesDirect({ projectRoot }, log)).data.valid).toBe(false);
+
+      const plan = await fixDependenciesDirect({ projectRoot, dryRun: true }, log);
+      expect(plan.data.changed).toBe(true);
+      expect(plan.data.stats.circularDependenciesFixed).toBe(2);
+      expect(plan.data.changes.map((change) => [change.id, change.dependency, change.reason])).toEqual([
+        ['1', 3, 'circular'],
+        ['2.2', '3.1', 'circular']
+      ]);
+      expect(readTasks().tasks[0].dependencies).toEqual([3]);
+
+      const fix = await fixDependenciesDirect({ projectRoot }, log);
+      expect(fix.data.changes).toEqual(plan.data.changes);
+      expect((await validateDependenciesDirect({ projectRoot }, log)).data.valid).toBe(true);
+      expect((await fixDependenciesDirect({ projectRoot, dryRun: true }, log)).data.changed).toBe(false);
+    });
+
+    test('should export the dependency graph', async () => {
+      const result = await dependencyGraphDirect({ projectRoot, format: 'dot', id: '3', direction: 'ancestors', withSubtasks: false }, log);
+
+      expect(result.data.content).toContain('"2" -> "3"');
+      expect(result.data.content).not.toContain('"2.1"');
+      expect(result.data.criticalPath).toEqual(['2', '3']);
+      expect(result.data.cycles).toEqual([]);
+    });
+
+    test('should suggest how to break a cycle without changing the file', async () => {
+      const data = readTasks();
+      data.tasks[1].dependencies = [1, 3];
+      fs.writeFileSync(path.join(projectRoot, 'tasks', 'tasks.json'), JSON.stringify(data, null, 2));
+
+      const result = await suggestCycleBreaksDirect({ projectRoot }, log);
+
+      expect(result.data.cycles).toHaveLength(1);
+      expect(result.data.cycles[0]).toMatchObject({ cycle: ['2', '3'], source: 'heuristic' });
+      expect(result.data.cycles[0].explanation).toContain('Task 2 (Build API) waits on task 3 (Build UI)');
+      expect(result.data.cycles[0].cuts[0]).toMatchObject({ id: '2', dependsOn: '3' });
+      expect(result.data.cycles[0].loop).toBeUndefined();
+      expect(readTasks().tasks[1].dependencies).toEqual([1, 3]);
+    });
+  });
+
+  describe('complexityReportDirect', () => {
+    test('should report a missing report', async () => {
+      const result = await complexityReportDirect({ projectRoot }, log);
+      expect(result.error.code).toBe('FILE_NOT_FOUND');
+    });
+  });
+
+  describe('AI-backed tools', () => {
+    const responses = {
+      'add-task': JSON.stringify({ title: 'Write docs', description: 'Document the API', details: 'Use markdown', testStrategy: 'Review' }),
+      'parse-prd': JSON.stringify({
+        tasks: [
+          { id: 1, title: 'Setup', description: 'Set up the project', status: 'pending', dependencies: [], priority: 'high', details: '', testStrategy: '' },
+          { id: 2, title: 'Add billing', description: 'Charge customers', status: 'pending', dependencies: [1], priority: 'medium', details: '', testStrategy: '' }
+        ]
+      }),
+      update: JSON.stringify([{ id: 3, title: 'Build UI in React', description: 'Build the UI', status: 'pending', dependencies: [2], priority: 'medium', details: 'React', testStrategy: '' }]),
+      'break-cycles': JSON.stringify({
+        explanation: 'The API should not wait on the UI.',
+        cuts: [{ id: '3', dependsOn: '2', reason: 'The UI can start against a mock API' }]
+      }),
+      'analyze-complexity': JSON.stringify([
+        { taskId: 1, taskTitle: 'Setup', complexityScore: 2, recommendedSubtasks: 2, expansionPrompt: 'x', reasoning: 'simple' },
+        { taskId: 2, taskTitle: 'Build API', complexityScore: 8, recommendedSubtasks: 5, expansionPrompt: 'y', reasoning: 'hard' },
+        { taskId: 3, taskTitle: 'Build UI', complexityScore: 5, recommendedSubtasks: 3, expansionPrompt: 'z', reasoning: 'medium' }
+      ])
+    };
+
+    beforeEach(() => {
+      registerProvider('mcp-test', () => ({
+        name: 'mcp-test',
+        model: 'test',
+        generate: async ({ purpose }) => ({
+          text: responses[purpose] || JSON.stringify([{ id: 1, title: 'Design screens', description: 'Wireframes', dependencies: [], details: 'Figma' }]),
+          raw: null,
+          usage: null,
+          finishReason: 'stop'
+        })
+      }));
+      CONFIG.aiProvider = 'mcp-test';
+    });
+
+    test('should expand a task and return the new subtasks', async () => {
+      const result = await expandTaskDirect({ projectRoot, id: '3', num: 1 }, log);
+
+      expect(result.success).toBe(true);
+      expect(result.data.subtasks).toEqual([expect.objectContaining({ id: 1, title: 'Design screens' })]);
+      expect(readTasks().tasks[2].subtasks).toHaveLength(1);
+    });
+
+    test('should add a task and return it', async () => {
+      const result = await addTaskDirect({ projectRoot, prompt: 'Document the API', dependencies: '2', priority: 'low' }, log);
+
+      expect(result.data.taskId).toBe(4);
+      expect(result.data.task).toMatchObject({ title: 'Write docs', dependencies: [2], priority: 'low', status: 'pending' });
+    });
+
+    test('should generate tasks from a PRD inside the project', async () => {
+      fs.writeFileSync(path.join(projectRoot, 'prd.txt'), 'Build a billing system.');
+      const result = await parsePRDDirect({ projectRoot, input: 'prd.txt', output: 'out/tasks.json', numTasks: 2 }, log);
+
+      expect(result.data).toEqual({ tasksPath: path.join(projectRoot, 'out', 'tasks.json'), taskCount: 2 });
+      expect(fs.existsSync(path.join(projectRoot, 'out', 'task_001.txt'))).toBe(true);
+    });
+
+    test('should only preview a PRD merge unless confirmed', async () => {
+      fs.writeFileSync(path.join(projectRoot, 'prd.txt'), 'Build a billing system.');
+      const args = { projectRoot, input: 'prd.txt', output: 'tasks/tasks.json', merge: true };
+
+      const preview = await parsePRDDirect(args, log);
+      expect(preview.data).toMatchObject({ merged: true, applied: false, changes: { added: [{ id: 4, title: 'Add billing' }] } });
+      expect(readTasks().tasks).toHaveLength(3);
+
+      const applied = await parsePRDDirect({ ...args, yes: true }, log);
+      expect(applied.data.applied).toBe(true);
+      expect(readTasks().tasks).toHaveLength(4);
+    });
+
+    test('should report a missing PRD file', async () => {
+      const result = await parsePRDDirect({ projectRoot, input: 'nope.txt' }, log);
+      expect(result.error.code).toBe('FILE_NOT_FOUND');
+    });
+
+    test('should update tasks from an ID onwards', async () => {
+      const result = await updateTasksDirect({ projectRoot, from: '3', prompt: 'Use React' }, log);
+
+      expect(result.data).toEqual({ updatedTaskIds: [3] });
+      expect(readTasks().tasks[2].title).toBe('Build UI in React');
+    });
+
+    test('should analyze complexity and read the report back', async () => {
+      const analysis = await analyzeTaskComplexityDirect({ projectRoot, output: 'report.json', threshold: 6 }, log);
+
+      expect(analysis.data.reportPath).toBe(path.join(projectRoot, 'report.json'));
+      expect(analysis.data.report.meta).toMatchObject({ tasksAnalyzed: 3, thresholdScore: 6 });
+
+      const report = await complexityReportDirect({ projectRoot, file: 'report.json' }, log);
+      expect(report.data.complexityAnalysis.map((entry) => entry.complexityScore)).toEqual([2, 8, 5]);
+    });
+
+    test('should let the AI rank the cuts that break a cycle', async () => {
+      const data = readTasks();
+      data.tasks[1].dependencies = [1, 3];
+      fs.writeFileSync(path.join(projectRoot, 'tasks', 'tasks.json'), JSON.stringify(data, null, 2));
+
+      const result = await suggestCycleBreaksDirect({ projectRoot, ai: true }, log);
+
+      expect(result.data.cycles[0]).toMatchObject({ source: 'ai', explanation: 'The API should not wait on the UI.' });
+      expect(result.data.cycles[0].cuts.map((cut) => [cut.id, cut.dependsOn])).toEqual([
+        ['3', '2'],
+        ['2', '3']
+      ]);
+      expect(result.data.cycles[0].cuts[0].reasons).toEqual(['The UI can start against a mock API']);
+    });
+
+    test('should map AI errors to coded results', async () => {
+      registerProvider('mcp-test', () => ({
+        name: 'mcp-test',
+        model: 'test',
+        generate: async () => {
+          throw Object.assign(new Error('bad key'), { status: 401 });
+        }
+      }));
+
+      const result = await expandTaskDirect({ projectRoot, id: '3' }, log);
+      expect(result.error.code).toBe('AI_AUTH');
+    });
+  });
+
+  describe('handleApiResult', () => {
+    test('should return data as JSON content', () => {
+      const response = handleApiResult({ success: true, data: { taskId: 4 } }, log);
+      expect(JSON.parse(response.content[0].text)).toEqual({ taskId: 4 });
+      expect(response.isError).toBeUndefined();
+    });
+
+    test('should return coded MCP error responses', () => {
+      const response = handleApiResult({ success: false, error: { code: 'TASK_NOT_FOUND', message: 'Task 9 not found' } }, log, 'Error showing task');
+      expect(response.isError).toBe(true);
+      expect(JSON.parse(response.content[0].text)).toEqual({ error: { code: 'TASK_NOT_FOUND', message: 'Error showing task: Task 9 not found' } });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Next-task scheduler tests
+ */
+
+import {
+  DEFAULT_TASK_WEIGHT,
+  buildTaskGraph,
+  findCriticalPath,
+  findNextSubtask,
+  scheduleNextTask
+} from '../../scripts/modules/task-scheduler.js';
+import { createTask } from '../fixtures/sample-tasks.js';
+
+const report = (scores) => ({
+  complexityAnalysis: Object.entries(scores).map(([taskId, complexityScore]) => ({ taskId: Number(taskId), complexityScore }))
+});
+
+describe('Task Scheduler Module', () => {
+  describe('findCriticalPath', () => {
+    test('should follow the longest chain of open tasks', () => {
+      const tasks = [createTask(1, [], { status: 'done' }), createTask(2, [1]), createTask(3, [1]), createTask(4, [2]), createTask(5, [4])];
+
+      expect(findCriticalPath(buildTaskGraph(tasks, null))).toEqual({ ids: [2, 4, 5], length: 3 * DEFAULT_TASK_WEIGHT });
+    });
+
+    test('should weigh tasks by their complexity score', () => {
+      const tasks = [createTask(1), createTask(2), createTask(3, [1]), createTask(4, [2])];
+
+      expect(findCriticalPath(buildTaskGraph(tasks, report({ 2: 9, 4: 8, 1: 2, 3: 2 })))).toEqual({ ids: [2, 4], length: 17 });
+    });
+
+    test('should survive dependency cycles', () => {
+      const tasks = [createTask(1), createTask(2, [1, 3]), createTask(3, [2])];
+
+      expect(findCriticalPath(buildTaskGraph(tasks, null)).ids[0]).toBe(1);
+    });
+  });
+
+  describe('scheduleNextTask', () => {
+    test('should prefer the task on the critical path', () => {
+      const tasks = [createTask(1), createTask(2), createTask(3, [2]), createTask(4, [3])];
+
+      const result = scheduleNextTask(tasks);
+      expect(result.task.id).toBe(2);
+      expect(result.criticalPath.ids).toEqual([2, 3, 4]);
+      expect(result.reasons).toEqual(expect.arrayContaining([expect.stringContaining('On the critical path 2 → 3 → 4')]));
+      expect(result.candidates.map((candidate) => candidate.task.id)).toEqual([2, 1]);
+    });
+
+    test('should let the complexity report move the critical path', () => {
+      const tasks = [createTask(1), createTask(2), createTask(3, [1]), createTask(4, [2])];
+
+      expect(scheduleNextTask(tasks, { complexityReport: report({ 1: 2, 3: 2, 2: 8, 4: 8 }) }).task.id).toBe(2);
+      expect(scheduleNextTask(tasks, { complexityReport: report({ 1: 8, 3: 8, 2: 2, 4: 2 }) }).task.id).toBe(1);
+    });
+
+    test('should favour tasks that unblock more work', () => {
+      const tasks = [createTask(1), createTask(2), createTask(3, [2]), createTask(4, [2]), createTask(5, [1, 2])];
+
+      const result = scheduleNextTask(tasks);
+      expect(result.task.id).toBe(2);
+      expect(result.candidates[0]).toEqual(expect.objectContaining({ unblocks: [3, 4], downstream: 3 }));
+      expect(result.candidates[1]).toEqual(expect.objectContaining({ unblocks: [], downstream: 1 }));
+    });
+
+    test('should rank by priority between equally critical tasks', () => {
+      const tasks = [createTask(1, [], { priority: 'high' }), createTask(2, [], { priority: 'low' }), createTask(3, [2]), createTask(4, [1])];
+
+      expect(scheduleNextTask(tasks).candidates.map((candidate) => candidate.score)).toEqual([51, 31]);
+    });
+
+    test('should let critical work outrank a higher priority side task', () => {
+      const tasks = [createTask(1, [], { priority: 'high' }), createTask(2, [], { priority: 'low' }), createTask(3, [2])];
+
+      expect(scheduleNextTask(tasks).task.id).toBe(2);
+    });
+
+    test('should finish started work first and pick its next subtask', () => {
+      const tasks = [
+        createTask(1, [], { priority: 'high' }),
+        createTask(2, [], {
+          status: 'in-progress',
+          subtasks: [
+            { id: 1, title: 'Schema', status: 'done', dependencies: [] },
+            { id: 2, title: 'Queries', status: 'pending', dependencies: [1] },
+            { id: 3, title: 'Migrations', status: 'pending', dependencies: [] },
+            { id: 4, title: 'Seeds', status: 'pending', dependencies: [3] }
+          ]
+        })
+      ];
+
+      const result = scheduleNextTask(tasks);
+      expect(result.task.id).toBe(2);
+      expect(result.subtask.id).toBe(3);
+      expect(result.reasons).toEqual(expect.arrayContaining(['Next subtask: 2.3 (pending, dependencies finished)']));
+    });
+
+    test('should return nothing when no task is ready', () => {
+      const result = scheduleNextTask([createTask(1, [2]), createTask(2, [1])]);
+
+      expect(result.task).toBeNull();
+      expect(result.candidates).toEqual([]);
+    });
+  });
+
+  describe('findNextSubtask', () => {
+    test('should prefer a started subtask and respect dependencies on other tasks', () => {
+      const tasks = [
+        createTask(1, [], {
+          subtasks: [
+            { id: 1, title: 'Waits on 2.1', status: 'pending', dependencies: ['2.1'] },
+            { id: 2, title: 'Waits on task 3', status: 'pending', dependencies: [3] },
+            { id: 4, title: 'Started', status: 'in-progress', dependencies: [] }
+          ]
+        }),
+        createTask(2, [], { subtasks: [{ id: 1, title: 'Open', status: 'pending', dependencies: [] }] }),
+        createTask(3, [], { status: 'done' })
+      ];
+
+      expect(findNextSubtask(tasks[0], tasks).id).toBe(4);
+
+      tasks[0].subtasks[2].status = 'done';
+      expect(findNextSubtask(tasks[0], tasks).id).toBe(2);
+
+      tasks[0].subtasks[1].status = 'done';
+      expect(findNextSubtask(tasks[0], tasks)).toBeNull();
+
+      tasks[1].subtasks[0].status = 'done';
+      expect(findNextSubtask(tasks[0], tasks).id).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tasks file schema and migration tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+import {
+  TASKS_FILE_SCHEMA,
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  getSchemaVersion,
+  migrateTasksData,
+  normalizeTasksData,
+  validateTasksData,
+  prepareTasksData
+} from '../../scripts/modules/task-schema.js';
+import { readJSON, writeJSON } from '../../scripts/modules/utils.js';
+import { createSampleTasks } from '../fixtures/sample-tasks.js';
+
+const validData = () => createSampleTasks({ schemaVersion: CURRENT_SCHEMA_VERSION });
+
+describe('Task Schema Module', () => {
+  test('should load the published schema', () => {
+    const published = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'schemas', 'tasks.schema.json'), 'utf8'));
+    expect(TASKS_FILE_SCHEMA).toEqual(published);
+    expect(CURRENT_SCHEMA_VERSION).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+  });
+
+  describe('validateTasksData', () => {
+    test('should accept valid data', () => {
+      const data = validData();
+      data.tasks[2].subtasks[1].dependencies = [1, '2.1'];
+      expect(validateTasksData(data)).toEqual([]);
+    });
+
+    test('should report errors with their paths', () => {
+      const data = validData();
+      data.tasks[0].id = '1';
+      data.tasks[2].priority = 'urgent';
+      data.tasks[2].subtasks[0].dependencies = [{ id: 1 }];
+      delete data.tasks[2].subtasks[0].title;
+
+      expect(validateTasksData(data)).toEqual([
+        '$.tasks[0].id: expected integer but got string',
+        '$.tasks[2].priority: must be one of "high", "medium", "low"',
+        '$.tasks[2].subtasks[0].title: is required',
+        '$.tasks[2].subtasks[0].dependencies[0]: expected integer or string but got object'
+      ]);
+    });
+
+    test('should report duplicate IDs', () => {
+      const data = validData();
+      data.tasks[1].id = 1;
+      data.tasks[2].subtasks[1].id = 1;
+
+      expect(validateTasksData(data)).toEqual(['$.tasks[1].id: duplicate ID 1', '$.tasks[2].subtasks[1].id: duplicate ID 1']);
+    });
+  });
+
+  describe('migrateTasksData', () => {
+    test('should upgrade files without a schema version', () => {
+      const data = { tasks: [{ id: 1, title: 'Setup', subtasks: [{ id: 1, title: 'Init', status: '' }] }] };
+
+      const result = migrateTasksData(data);
+      expect(result).toEqual(expect.objectContaining({ fromVersion: 0, toVersion: CURRENT_SCHEMA_VERSION, applied: [1] }));
+      expect(data).toEqual({
+        tasks: [{ id: 1, title: 'Setup', status: 'pending', dependencies: [], subtasks: [{ id: 1, title: 'Init', status: 'pending', dependencies: [] }] }],
+        meta: { schemaVersion: 1 }
+      });
+    });
+
+    test('should leave current files alone', () => {
+      const data = validData();
+      expect(migrateTasksData(data).applied).toEqual([]);
+      expect(data).toEqual(validData());
+    });
+
+    test('should refuse files from a newer version', () => {
+      const data = validData();
+      data.meta.schemaVersion = CURRENT_SCHEMA_VERSION + 1;
+      expect(() => migrateTasksData(data)).toThrow('Upgrade Task Master');
+    });
+  });
+
+  test('normalizeTasksData should fill in required fields missing from new tasks', () => {
+    const data = validData();
+    data.tasks[2].subtasks.push({ id: 3, title: 'Sidebar' });
+
+    normalizeTasksData(data);
+    expect(data.tasks[2].subtasks[2]).toEqual({ id: 3, title: 'Sidebar', status: 'pending', dependencies: [] });
+    expect(getSchemaVersion(data)).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  test('prepareTasksData should throw with every validation error', () => {
+    const data = validData();
+    data.tasks[0].title = '';
+
+    expect(() => prepareTasksData(data, 'tasks.json')).toThrow(
+      expect.objectContaining({ message: expect.stringContaining('tasks.json does not match'), validationErrors: ['$.tasks[0].title: must not be empty'] })
+    );
+  });
+
+  describe('reading and writing tasks files', () => {
+    let dir;
+    let tasksPath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-schema-'));
+      tasksPath = path.join(dir, 'tasks.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should upgrade old files on read and save the upgrade with the next write', () => {
+      fs.writeFileSync(tasksPath, JSON.stringify({ meta: { projectName: 'Demo' }, tasks: [{ id: 1, title: 'Setup' }] }));
+
+      const data = readJSON(tasksPath);
+      expect(data.meta.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(data.tasks[0]).toEqual({ id: 1, title: 'Setup', status: 'pending', dependencies: [] });
+
+      writeJSON(tasksPath, data);
+      expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8')).meta).toEqual({ projectName: 'Demo', schemaVersion: CURRENT_SCHEMA_VERSION, revision: 1 });
+    });
+
+    test('should reject invalid files on read and log the error paths', () => {
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks: [{ id: 'one', title: 'Setup' }] }));
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      expect(readJSON(tasksPath)).toBeNull();
+      expect(consoleSpy.mock.calls.flat().join('\n')).toContain('$.tasks[0].id: expected integer but got string');
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Task storage backend tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  STORAGE_BACKENDS,
+  formatMarkdownTask,
+  parseMarkdownTask,
+  getTaskStorage,
+  getStorageBackendName,
+  writeTasks,
+  migrateTaskStorage
+} from '../../scripts/modules/task-storage.js';
+import { readJSON, writeJSON, tasksFileExists } from '../../scripts/modules/utils.js';
+import { createSampleTasks } from '../fixtures/sample-tasks.js';
+
+// The shared sample tasks, with text that is hard to keep intact in markdown and YAML
+const sampleData = () => {
+  const data = createSampleTasks({ schemaVersion: 1 });
+  data.tasks[0].details = 'Line one\n\nLine two';
+  Object.assign(data.tasks[1], { title: 'Build: API | v1', description: '', details: 'Steps:\n## Details\nnot a heading', testStrategy: '\nLeading newline' });
+  return data;
+};
+
+describe('Task Storage Module', () => {
+  let projectDir;
+  let tasksPath;
+
+  const writeConfig = (storage) => {
+    fs.writeFileSync(path.join(projectDir, '.taskmasterconfig'), JSON.stringify({ storage }));
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-storage-'));
+    fs.mkdirSync(path.join(projectDir, 'tasks'));
+    tasksPath = path.join(projectDir, 'tasks', 'tasks.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('markdown task files', () => {
+    test('should put text fields in the body and the rest in front matter', () => {
+      const content = formatMarkdownTask(sampleData().tasks[0]);
+
+      expect(content).toMatch(/^---\nid: 1\ntitle: Initialize Project\nstatus: done\n/);
+      expect(content).toContain(
+        '---\n\n# Initialize Project\n\nSet up the project structure and dependencies\n\n## Details\n\nLine one\n\nLine two\n\n' +
+          '## Test Strategy\n\nVerify all directories and files are created correctly\n'
+      );
+    });
+
+    test('should round-trip fields that cannot live in the body', () => {
+      const task = sampleData().tasks[1];
+      const content = formatMarkdownTask(task);
+
+      expect(content).toContain('\ntestStrategy: ');
+      expect(content).not.toContain('## Test Strategy');
+      expect(parseMarkdownTask(content)).toEqual(task);
+      expect(Object.keys(parseMarkdownTask(content))).toEqual(Object.keys(task));
+    });
+
+    test('should read hand-edited sections', () => {
+      const content = '---\nid: 3\ntitle: Docs\nstatus: pending\n---\n# Docs\n\nWrite docs\n\n## Test Strategy\n\nReview them\n';
+      expect(parseMarkdownTask(content)).toEqual({ id: 3, title: 'Docs', description: 'Write docs', status: 'pending', testStrategy: 'Review them' });
+    });
+
+    test('should reject files without front matter', () => {
+      expect(() => parseMarkdownTask('# Title\n', 'task_001.md')).toThrow('front matter in task_001.md');
+    });
+  });
+
+  describe('backends', () => {
+    test.each(Object.keys(STORAGE_BACKENDS))('should round-trip tasks through the %s backend', (name) => {
+      const backend = STORAGE_BACKENDS[name];
+      expect(backend.exists(tasksPath)).toBe(false);
+
+      backend.write(tasksPath, sampleData());
+      expect(backend.exists(tasksPath)).toBe(true);
+      expect(backend.read(tasksPath)).toEqual(sampleData());
+    });
+
+    test('should remove markdown files of deleted tasks', () => {
+      const data = sampleData();
+      STORAGE_BACKENDS.markdown.write(tasksPath, data);
+      data.tasks.pop();
+      STORAGE_BACKENDS.markdown.write(tasksPath, data);
+
+      expect(fs.readdirSync(path.join(projectDir, 'tasks')).sort()).toEqual(['task_001.md', 'task_002.md', 'tasks.md']);
+    });
+  });
+
+  describe('backend selection', () => {
+    test('should use plain JSON without a project config', () => {
+      expect(getTaskStorage(tasksPath)).toBeNull();
+      expect(getStorageBackendName(tasksPath)).toBe('json');
+    });
+
+    test('should only apply the configured backend to the tasks file', () => {
+      writeConfig({ backend: 'yaml' });
+
+      expect(getTaskStorage(tasksPath)).toBe(STORAGE_BACKENDS.yaml);
+      expect(getTaskStorage(path.join(projectDir, 'tasks', 'other.json'))).toBeNull();
+    });
+
+    test('should route readJSON and writeJSON through the configured backend', () => {
+      writeConfig({ backend: 'markdown' });
+
+      writeJSON(tasksPath, sampleData());
+      expect(fs.existsSync(tasksPath)).toBe(false);
+      expect(tasksFileExists(tasksPath)).toBe(true);
+
+      const data = readJSON(tasksPath);
+      expect(data).toEqual({ ...sampleData(), meta: { ...sampleData().meta, revision: 1 } });
+    });
+
+    test('should reject unknown backends', () => {
+      writeConfig({ backend: 'xml' });
+      expect(() => getTaskStorage(tasksPath)).toThrow('Unknown storage backend "xml"');
+    });
+  });
+
+  describe('revisions', () => {
+    test('should bump meta.revision on every write', () => {
+      fs.writeFileSync(tasksPath, JSON.stringify(sampleData()));
+
+      const data = readJSON(tasksPath);
+      writeJSON(tasksPath, data);
+      expect(data.meta.revision).toBe(1);
+      writeJSON(tasksPath, data);
+      expect(readJSON(tasksPath).meta.revision).toBe(2);
+    });
+
+    test('should reject writes based on an older revision', () => {
+      fs.writeFileSync(tasksPath, JSON.stringify(sampleData()));
+
+      const first = readJSON(tasksPath);
+      const second = readJSON(tasksPath);
+      first.tasks[0].status = 'pending';
+      writeJSON(tasksPath, first);
+
+      second.tasks[1].status = 'done';
+      expect(() => writeJSON(tasksPath, second)).toThrow(expect.objectContaining({ code: 'TASKS_FILE_CONFLICT' }));
+      expect(readJSON(tasksPath).tasks.map((task) => task.status)).toEqual(['pending', 'in-progress', 'pending']);
+      expect(fs.existsSync(`${tasksPath}.lock`)).toBe(false);
+    });
+
+    test('should overwrite unconditionally when the data was not read from the file', () => {
+      writeTasks(tasksPath, sampleData());
+      expect(writeTasks(tasksPath, sampleData())).toBe(2);
+      expect(() => writeTasks(tasksPath, sampleData(), 1)).toThrow('changed by another process');
+    });
+  });
+
+  describe('schema validation', () => {
+    test('should refuse to write tasks that do not match the schema', () => {
+      fs.writeFileSync(tasksPath, JSON.stringify(sampleData()));
+
+      const data = readJSON(tasksPath);
+      data.tasks[1].title = '';
+      expect(() => writeJSON(tasksPath, data)).toThrow(
+        expect.objectContaining({ code: 'TASKS_FILE_INVALID', validationErrors: ['$.tasks[1].title: must not be empty'] })
+      );
+      expect(readJSON(tasksPath).tasks[1].title).toBe('Build: API | v1');
+      expect(fs.existsSync(`${tasksPath}.lock`)).toBe(false);
+    });
+
+    test('should refuse invalid data in every backend', () => {
+      writeConfig('markdown');
+      writeTasks(tasksPath, sampleData());
+
+      const data = sampleData();
+      data.tasks[1].id = 1;
+      expect(() => writeTasks(tasksPath, data)).toThrow('$.tasks[1].id: duplicate ID 1');
+      expect(readJSON(tasksPath).tasks.map((task) => task.id)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('migrateTaskStorage', () => {
+    test('should convert between backends and record the choice', () => {
+      fs.writeFileSync(tasksPath, JSON.stringify(sampleData(), null, 2));
+      const configPath = path.join(projectDir, '.taskmasterconfig');
+
+      const result = migrateTaskStorage(tasksPath, 'markdown', { configPath });
+      expect(result).toEqual(expect.objectContaining({ from: 'json', to: 'markdown', taskCount: 3, removed: [tasksPath] }));
+      expect(JSON.parse(fs.readFileSync(configPath, 'utf8'))).toEqual({ storage: { backend: 'markdown', tasksFile: 'tasks/tasks.json' } });
+      expect(readJSON(tasksPath)).toEqual(sampleData());
+
+      migrateTaskStorage(tasksPath, 'yaml');
+      expect(fs.readdirSync(path.join(projectDir, 'tasks'))).toEqual(['tasks.yaml']);
+
+      migrateTaskStorage(tasksPath, 'json');
+      expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8'))).toEqual(sampleData());
+    });
+
+    test('should refuse to migrate to the current backend or without tasks', () => {
+      expect(() => migrateTaskStorage(tasksPath, 'json')).toThrow('already stored as json');
+      expect(() => migrateTaskStorage(tasksPath, 'yaml')).toThrow('No tasks found');
+      expect(() => migrateTaskStorage(tasksPath, 'xml')).toThrow('Unknown storage backend');
+    });
+  });
+});
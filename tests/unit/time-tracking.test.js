@@ -0,0 +1,152 @@
+/**
+ * Time tracking tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  setEstimate,
+  applySuggestedEstimate,
+  getTaskEstimate,
+  getTaskActualHours,
+  startTimer,
+  stopTimer,
+  buildEffortReport
+} from '../../scripts/modules/time-tracking.js';
+import { estimateTask } from '../../scripts/modules/task-manager.js';
+import { createTask } from '../fixtures/sample-tasks.js';
+
+const at = (time) => new Date(`2025-03-01T${time}:00.000Z`);
+const session = (start, end, extra = {}) => ({ start: at(start).toISOString(), end: at(end).toISOString(), ...extra });
+
+describe('Time Tracking Module', () => {
+  describe('estimates', () => {
+    test('setEstimate should validate the value and unit', () => {
+      const item = createTask(1);
+
+      expect(setEstimate(item, '2.5', 'hours')).toEqual({ value: 2.5, unit: 'hours', source: 'manual' });
+      expect(() => setEstimate(item, 0, 'hours')).toThrow('positive number');
+      expect(() => setEstimate(item, 3, 'days')).toThrow('Unknown estimate unit "days"');
+    });
+
+    test('applySuggestedEstimate should not overwrite estimates set by hand', () => {
+      const manual = createTask(1, [], { estimate: { value: 8, unit: 'hours', source: 'manual' } });
+      const suggested = createTask(2, [], { estimate: { value: 8, unit: 'hours', source: 'ai' } });
+
+      expect(applySuggestedEstimate(manual, 3)).toBe(false);
+      expect(applySuggestedEstimate(suggested, 3.2)).toBe(true);
+      expect(suggested.estimate).toEqual({ value: 3, unit: 'hours', source: 'ai' });
+      expect(applySuggestedEstimate(createTask(3), 'soon')).toBe(false);
+    });
+
+    test('getTaskEstimate should fall back to the subtask estimates', () => {
+      const parent = createTask(1, [], {
+        subtasks: [
+          { id: 1, estimate: { value: 2, unit: 'hours' } },
+          { id: 2, estimate: { value: 1.5, unit: 'hours' } },
+          { id: 3, estimate: { value: 3, unit: 'points' } }
+        ]
+      });
+
+      expect(getTaskEstimate(parent)).toEqual({ hours: 3.5, points: 3 });
+      parent.estimate = { value: 5, unit: 'points' };
+      expect(getTaskEstimate(parent)).toEqual({ hours: null, points: 5 });
+    });
+  });
+
+  describe('timers', () => {
+    test('should log sessions and stop the previous timer of the same person', () => {
+      const tasks = [createTask(1, [], { subtasks: [{ id: 1, title: 'Sub', status: 'pending', dependencies: [] }] }), createTask(2)];
+
+      startTimer(tasks, '1.1', { by: 'alice', now: at('09:00') });
+      startTimer(tasks, '2', { by: 'bob', now: at('09:10') });
+      const result = startTimer(tasks, '2', { by: 'Alice', note: 'API', now: at('10:30') });
+
+      expect(result.stopped).toEqual([{ id: '1.1', by: 'alice', minutes: 90 }]);
+      expect(tasks[1].timeLog).toHaveLength(2);
+      expect(() => startTimer(tasks, '2', { by: 'alice' })).toThrow('A timer is already running on 2 for alice');
+
+      expect(stopTimer(tasks, null, { by: 'alice', now: at('11:00') })).toEqual([{ id: '2', by: 'Alice', minutes: 30 }]);
+      expect(getTaskActualHours(tasks[0])).toBe(1.5);
+    });
+
+    test('should name the running timers when there is none to stop', () => {
+      const tasks = [createTask(1)];
+      startTimer(tasks, '1', { by: 'bob', now: at('09:00') });
+
+      expect(() => stopTimer(tasks)).toThrow('No timer is running. Running timers: 1 (bob)');
+      expect(stopTimer(tasks, '1', { now: at('09:45') })).toEqual([{ id: '1', by: 'bob', minutes: 45 }]);
+    });
+
+    test('should not start timers on finished work', () => {
+      expect(() => startTimer([createTask(1, [], { status: 'done' })], '1')).toThrow('Task 1 is already "done"');
+      expect(() => startTimer([createTask(1)], '1.4')).toThrow('Subtask 1.4 not found');
+    });
+  });
+
+  describe('buildEffortReport', () => {
+    test('should compare estimates with actuals per task and complexity band', () => {
+      const tasks = [
+        createTask(1, [], { estimate: { value: 4, unit: 'hours' }, timeLog: [session('09:00', '15:00')] }),
+        createTask(2, [], {
+          subtasks: [
+            { id: 1, estimate: { value: 1, unit: 'hours' }, timeLog: [session('09:00', '09:30')] },
+            { id: 2, estimate: { value: 1, unit: 'hours' }, timeLog: [session('10:00', '10:30')] }
+          ]
+        }),
+        createTask(3, [], { estimate: { value: 2, unit: 'points' }, timeLog: [session('09:00', '12:00')] }),
+        createTask(4, [], { estimate: { value: 6, unit: 'hours' } }),
+        createTask(5)
+      ];
+      const complexityReport = {
+        complexityAnalysis: [
+          { taskId: 1, complexityScore: 8 },
+          { taskId: 2, complexityScore: 3 },
+          { taskId: 3, complexityScore: 9 }
+        ]
+      };
+
+      const report = buildEffortReport(tasks, complexityReport, at('18:00'));
+
+      expect(report.tasks.map((row) => row.id)).toEqual([1, 2, 3, 4]);
+      expect(report.tasks[0]).toEqual(expect.objectContaining({ band: 'high', actualHours: 6, variance: 2 }));
+      expect(report.tasks[1]).toEqual(expect.objectContaining({ band: 'low', actualHours: 1, variance: -1 }));
+      expect(report.bands.map((band) => [band.band, band.tasks, band.ratio, band.hoursPerPoint])).toEqual([
+        ['high', 2, 1.5, 1.5],
+        ['low', 1, 0.5, null],
+        [null, 1, null, null]
+      ]);
+      expect(report.totals).toEqual(expect.objectContaining({ tasks: 4, compared: 2, estimatedHours: 6, actualHours: 7 }));
+    });
+  });
+
+  describe('estimateTask', () => {
+    let dir;
+    let tasksPath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-estimate-'));
+      tasksPath = path.join(dir, 'tasks.json');
+      fs.writeFileSync(tasksPath, JSON.stringify({ tasks: [createTask(1, [], { subtasks: [{ id: 1, title: 'Sub', status: 'pending', dependencies: [] }] })] }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should save estimates on tasks and subtasks', async () => {
+      await estimateTask(tasksPath, '1,1.1', { points: '3' }, 'json');
+
+      const saved = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+      expect(saved.tasks[0].estimate).toEqual({ value: 3, unit: 'points', source: 'manual' });
+      expect(saved.tasks[0].subtasks[0].estimate).toEqual({ value: 3, unit: 'points', source: 'manual' });
+    });
+
+    test('should require exactly one unit', async () => {
+      await expect(estimateTask(tasksPath, '1', { hours: '2', points: '3' }, 'json')).rejects.toThrow('Give either --hours or --points');
+      await expect(estimateTask(tasksPath, '1', {}, 'json')).rejects.toThrow('Give either --hours or --points');
+    });
+  });
+});
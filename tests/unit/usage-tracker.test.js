@@ -0,0 +1,135 @@
+/**
+ * Usage tracker module tests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  DEFAULT_PRICE_TABLE,
+  estimateCost,
+  recordUsage,
+  withUsageTracking,
+  readUsageLedger,
+  summarizeUsage,
+  filterUsageSince
+} from '../../scripts/modules/usage-tracker.js';
+import { registerProvider } from '../../scripts/modules/ai-providers.js';
+import { generateText } from '../../scripts/modules/ai-services.js';
+import { CONFIG } from '../../scripts/modules/utils.js';
+
+const sampleEntries = [
+  { timestamp: '2025-03-01T10:00:00.000Z', command: 'parse-prd', taskId: null, model: 'gemini-1.5-pro', inputTokens: 1000, outputTokens: 500, durationMs: 3000, cost: 0.00375 },
+  { timestamp: '2025-03-02T09:00:00.000Z', command: 'expand', taskId: 2, model: 'gemini-1.5-pro', inputTokens: 400, outputTokens: 200, durationMs: 1000, cost: 0.0015 },
+  { timestamp: '2025-03-02T11:00:00.000Z', command: 'expand', taskId: 10, model: 'llama3', inputTokens: 300, outputTokens: 100, durationMs: 2000, cost: null }
+];
+
+describe('Usage Tracker Module', () => {
+  const originalLedger = CONFIG.usageLedger;
+  const originalProvider = CONFIG.aiProvider;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-usage-'));
+    CONFIG.usageLedger = path.join(tempDir, 'usage.jsonl');
+  });
+
+  afterEach(() => {
+    CONFIG.usageLedger = originalLedger;
+    CONFIG.aiProvider = originalProvider;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('estimateCost', () => {
+    test('should price tokens per million', () => {
+      expect(estimateCost('gemini-1.5-pro', 1000000, 1000000, DEFAULT_PRICE_TABLE)).toBeCloseTo(6.25);
+    });
+
+    test('should use the longest matching model prefix', () => {
+      expect(estimateCost('gpt-4o-mini-2024-07-18', 1000000, 0, DEFAULT_PRICE_TABLE)).toBeCloseTo(0.15);
+      expect(estimateCost('gpt-4o-2024-08-06', 1000000, 0, DEFAULT_PRICE_TABLE)).toBeCloseTo(2.5);
+    });
+
+    test('should return null for models without a price', () => {
+      expect(estimateCost('llama3', 100, 100, DEFAULT_PRICE_TABLE)).toBeNull();
+      expect(estimateCost(null, 100, 100, DEFAULT_PRICE_TABLE)).toBeNull();
+    });
+  });
+
+  describe('recordUsage and readUsageLedger', () => {
+    test('should append entries to the ledger and read them back', () => {
+      recordUsage({ command: 'expand', taskId: 3, provider: 'gemini', model: 'gemini-1.5-pro', inputTokens: 10, outputTokens: 5, durationMs: 42 });
+      recordUsage({ command: 'add-task', provider: 'ollama', model: 'llama3' });
+
+      const entries = readUsageLedger();
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({ command: 'expand', taskId: 3, inputTokens: 10, outputTokens: 5, durationMs: 42 });
+      expect(typeof entries[0].cost).toBe('number');
+      expect(entries[1]).toMatchObject({ taskId: null, inputTokens: 0, cost: null });
+    });
+
+    test('should skip malformed lines and return nothing for a missing ledger', () => {
+      fs.writeFileSync(CONFIG.usageLedger, '{"command":"expand"}\nnot json\n');
+      expect(readUsageLedger()).toEqual([{ command: 'expand' }]);
+      expect(readUsageLedger(path.join(tempDir, 'missing.jsonl'))).toEqual([]);
+    });
+  });
+
+  describe('withUsageTracking', () => {
+    test('should record the call and return the provider response', async () => {
+      const response = { text: 'ok', raw: {}, usage: { inputTokens: 7, outputTokens: 3 } };
+      const result = await withUsageTracking({ command: 'update', purpose: 'update', provider: 'mock', model: 'mock-1' }, async () => response);
+
+      expect(result).toBe(response);
+      expect(readUsageLedger()).toEqual([expect.objectContaining({ command: 'update', model: 'mock-1', inputTokens: 7, outputTokens: 3 })]);
+    });
+
+    test('should record every live generateText call', async () => {
+      registerProvider('usage-test', () => ({
+        name: 'usage-test',
+        model: 'usage-model',
+        generate: async () => ({ text: 'done', raw: null, usage: { inputTokens: 12, outputTokens: 4 } })
+      }));
+      CONFIG.aiProvider = 'usage-test';
+
+      await generateText({ command: 'expand', purpose: 'expand', systemPrompt: 'sys', prompt: 'hi', taskId: 5 });
+
+      expect(readUsageLedger()).toEqual([
+        expect.objectContaining({ command: 'expand', taskId: 5, provider: 'usage-test', model: 'usage-model', inputTokens: 12, outputTokens: 4 })
+      ]);
+    });
+  });
+
+  describe('summarizeUsage', () => {
+    test('should group by day', () => {
+      const rows = summarizeUsage(sampleEntries, 'day');
+      expect(rows.map((row) => row.key)).toEqual(['2025-03-01', '2025-03-02']);
+      expect(rows[1]).toMatchObject({ calls: 2, inputTokens: 700, outputTokens: 300, durationMs: 3000, unpricedCalls: 1 });
+      expect(rows[1].cost).toBeCloseTo(0.0015);
+    });
+
+    test('should group by task with numeric ordering', () => {
+      expect(summarizeUsage(sampleEntries, 'task').map((row) => row.key)).toEqual(['(none)', '2', '10']);
+    });
+
+    test('should group by command and model', () => {
+      expect(summarizeUsage(sampleEntries, 'command').map((row) => [row.key, row.calls])).toEqual([
+        ['expand', 2],
+        ['parse-prd', 1]
+      ]);
+      expect(summarizeUsage(sampleEntries, 'model').map((row) => row.key)).toEqual(['gemini-1.5-pro', 'llama3']);
+    });
+
+    test('should reject unknown groupings', () => {
+      expect(() => summarizeUsage(sampleEntries, 'week')).toThrow('Unknown usage grouping');
+    });
+  });
+
+  describe('filterUsageSince', () => {
+    test('should keep entries on or after the date', () => {
+      expect(filterUsageSince(sampleEntries, '2025-03-02')).toHaveLength(2);
+      expect(filterUsageSince(sampleEntries, undefined)).toHaveLength(3);
+    });
+  });
+});
@@ -229,15 +229,17 @@ describe('Utils Module', () => {
   });
 
   describe('writeJSON function', () => {
-    test('should write JSON data to a file', () => {
+    test('should write JSON data to a temporary file and rename it into place', () => {
       const testData = { key: 'value', nested: { prop: true } };
+      const renameSpy = jest.spyOn(fs, 'renameSync').mockImplementation();
       
       writeJSON('output.json', testData);
       
-      expect(fsWriteFileSyncSpy).toHaveBeenCalledWith(
-        'output.json', 
-        JSON.stringify(testData, null, 2)
-      );
+      const [tempPath, content] = fsWriteFileSyncSpy.mock.calls[0];
+      expect(tempPath).toMatch(/^output\.json\..+\.tmp$/);
+      expect(content).toBe(JSON.stringify(testData, null, 2));
+      expect(renameSpy).toHaveBeenCalledWith(tempPath, 'output.json');
+      renameSpy.mockRestore();
     });
 
     test('should handle file write errors', () => {